@@ -1,15 +1,57 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect, useMemo, useContext, createContext } from 'react';
 import {
   Download, Upload, Plus, ChevronDown, ChevronUp,
   AlertCircle, CheckCircle, HelpCircle, Copy, Check,
-  FileText, Code, Database, FileJson, Menu, X
+  FileText, Code, Database, FileJson, Menu, X, Repeat, Activity, Clock, Undo2, Redo2,
+  FolderOpen, FilePlus, Pencil, Trash2, Search, FolderInput, FolderOutput, Link2, Eye, LayoutTemplate, Cpu, BookOpen, Printer, Wrench
 } from 'lucide-react';
 
 import { TECHNIQUES, TECHNIQUE_CATEGORIES, createDefaultStep } from './lib/techniques';
-import { validateStep, validateProcedure, LEVEL, summarizeIssues } from './lib/validation';
-import { generateYAML, generatePython, generateECDL, generateIR } from './lib/generators';
+import {
+  validateStep, validateRepeat, validateProcedure, LEVEL, summarizeIssues, applyFix, fixWarnings
+} from './lib/validation';
+import { generateYAML, generatePython, generateECDL, generateIR, generateManualMarkdown, generateManualHTML } from './lib/generators';
+import {
+  createRepeatBlock, isRepeatBlock, collectSteps,
+  updateNode, removeNode, insertNode, wrapInRepeat, unwrapRepeat,
+  PHASE_ROLES, createPhase, flattenPhases, mapPhaseSteps, movePhase, setPhaseRole, moveStepInPhases
+} from './lib/procedure';
+import {
+  REFERENCE_ELECTRODES, referenceConditions, convertPotential, offsetToRHE, potentialParams, stepPotentialsRHE,
+  rescalePotentials
+} from './lib/potentials';
+import { stepWaveform, procedureWaveform } from './lib/waveforms';
+import { stepDuration, procedureSeconds, procedureTimeline, formatDuration } from './lib/duration';
+import { importProcedure, isImportEmpty, IMPORT_CODES, IMPORT_CLEARED_FIELDS } from './lib/parsers';
+import { createEntry, searchEntries, entryStatus, formatModified, serializeWorkspace, parseWorkspace } from './lib/workspace';
+import { encodeShareFragment, decodeShareFragment, readShareFragment, shareURL } from './lib/share';
+import { BUILT_IN_TEMPLATES, TEMPLATE_CATEGORIES, loadTemplate, instantiateTemplate } from './lib/templates';
+import { isExpression, resolveVariables, resolveStep, inlineVariables } from './lib/variables';
+import {
+  ELECTRODE_TYPES, absoluteCurrents, currentParams, currentUnit, currentDensity, resolveProcedure
+} from './lib/electrodes';
+import {
+  SWEEP_MODES, MAX_SWEEP_POINTS, TEMPERATURE, BATCH_FORMATS, sweepValues, sweepParams, describeTarget, expandSweep, sweepBatch, batchFiles
+} from './lib/sweeps';
+import { createZip } from './lib/zip';
+import { LAB_LIMIT_FIELDS, safetyEnvelope } from './lib/safety';
+import { STOP_WHEN, STOP_ACTIONS, createStopCondition, stopConditions, stepTags, describeStopCondition } from './lib/stops';
+import { RULES, RULE_SCOPES, ruleSettings } from './lib/rules';
+import { INSTRUMENTS, instrumentProfile, describeInstrument } from './lib/instruments';
+import { DEFAULT_POLICY, parsePolicy, serializePolicy, changedRules } from './lib/policy';
+import { VENDOR_FORMATS, generateVendor, vendorFormatFor } from './lib/vendors';
+import {
+  SOLVENTS, CONCENTRATION_UNITS, parseElectrolyte, formatElectrolyte, electrolytePH, electrolyteRegime
+} from './lib/electrolyte';
 import { useLocalStorage } from './hooks/useLocalStorage';
-import yaml from 'js-yaml';
+import { useTeamTemplates } from './hooks/useTeamTemplates';
+import { useLabLimits } from './hooks/useLabLimits';
+import { usePolicies } from './hooks/usePolicies';
+import WaveformPlot from './components/WaveformPlot';
+
+// Procedure-wide context for deeply nested step editors: metadata, lab safety
+// limits, validation policy, step tags (jump targets) and procedure-level issues
+const EditorContext = createContext({ metadata: {}, limits: null, policy: null, tags: [], procIssues: [] });
 
 // === Utility Components ===
 
@@ -27,9 +69,21 @@ const Badge = ({ level, children }) => {
   );
 };
 
+// Quick fix offered next to a validation issue
+const FixButton = ({ fix, onFix }) => (
+  <button
+    onClick={() => onFix(fix)}
+    title="Apply this fix"
+    className="shrink-0 flex items-center gap-1 px-1.5 py-0.5 text-xs text-slate-200 border border-slate-600 rounded hover:bg-slate-700"
+  >
+    <Wrench className="w-3 h-3" />
+    {fix.label}
+  </button>
+);
+
 // === Parameter Input ===
 
-const ParamInput = ({ paramKey, config, value, onChange, issue }) => {
+const ParamInput = ({ paramKey, config, value, onChange, issue, unit = config.unit, hint }) => {
   const [showHelp, setShowHelp] = useState(false);
   const hasIssue = issue !== undefined;
   
@@ -64,14 +118,21 @@ const ParamInput = ({ paramKey, config, value, onChange, issue }) => {
       );
     }
     
+    // Numeric params also take expressions over the procedure variables, kept as text;
+    // so are numbers still being typed ("0.", "1.50"), which would not survive Number()
+    const numeric = config.type === 'number' || config.type === 'integer';
+    const parse = (text) => {
+      if (text.trim() === '') return null;
+      if (!numeric) return text;
+      return Number.isFinite(Number(text)) && String(Number(text)) === text.trim() ? Number(text) : text;
+    };
+
     return (
       <input
-        type={config.type === 'integer' ? 'number' : 'text'}
-        step={config.type === 'integer' ? 1 : 'any'}
+        type="text"
+        inputMode={numeric ? 'decimal' : undefined}
         value={value ?? ''}
-        onChange={(e) => onChange(paramKey, e.target.value === '' ? null : 
-          config.type === 'number' || config.type === 'integer' ? parseFloat(e.target.value) : e.target.value
-        )}
+        onChange={(e) => onChange(paramKey, parse(e.target.value))}
         placeholder={config.default !== null ? String(config.default) : ''}
         className={`w-full bg-slate-700 border rounded px-2 py-1.5 text-sm text-slate-100 font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50 ${
           hasIssue ? 'border-rose-500' : 'border-slate-600'
@@ -89,7 +150,7 @@ const ParamInput = ({ paramKey, config, value, onChange, issue }) => {
       <div className="flex items-center justify-between mb-1">
         <label className="text-xs text-slate-400">
           {config.label}
-          {config.unit && <span className="ml-1 text-slate-500">({config.unit})</span>}
+          {unit && <span className="ml-1 text-slate-500">({unit})</span>}
         </label>
         <button 
           type="button"
@@ -108,6 +169,9 @@ const ParamInput = ({ paramKey, config, value, onChange, issue }) => {
           </div>
         )}
       </div>
+      {hint && (
+        <p className="mt-1 text-xs text-slate-500 font-mono">{hint}</p>
+      )}
       {hasIssue && (
         <p className="mt-1 text-xs text-rose-400">{issue.message}</p>
       )}
@@ -115,17 +179,338 @@ const ParamInput = ({ paramKey, config, value, onChange, issue }) => {
   );
 };
 
+// === Procedure Variables ===
+
+const VariablesEditor = ({ variables, onChange }) => {
+  const { issues } = resolveVariables(variables);
+  // `field` groups typing in one input into a single undo entry
+  const update = (index, field, value) =>
+    onChange(variables.map((v, i) => (i === index ? { ...v, [field]: value } : v)), `metadata.variables.${index}.${field}`);
+
+  return (
+    <div className="mt-3">
+      <div className="flex items-center justify-between mb-1">
+        <label className="text-xs text-slate-400">
+          Variables
+          <span className="ml-1 text-slate-500">(use in numeric params, e.g. E_upper - 0.05)</span>
+        </label>
+        <button
+          onClick={() => onChange([...variables, { name: '', value: null }])}
+          className="flex items-center gap-1 px-2 py-0.5 text-xs text-slate-300 border border-slate-600 rounded hover:bg-slate-700"
+        >
+          <Plus className="w-3 h-3" />
+          Add
+        </button>
+      </div>
+      <div className="space-y-1">
+        {variables.map((variable, i) => {
+          const issue = issues.find(item => item.index === i);
+          return (
+            <div key={i}>
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={variable.name}
+                  onChange={(e) => update(i, 'name', e.target.value.trim())}
+                  placeholder="name"
+                  aria-label={`Variable ${i + 1} name`}
+                  className={`w-32 bg-slate-700 border rounded px-2 py-1 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50 ${
+                    issue ? 'border-rose-500' : 'border-slate-600'
+                  }`}
+                />
+                <span className="text-slate-500">=</span>
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={variable.value ?? ''}
+                  onChange={(e) => {
+                    const text = e.target.value.trim();
+                    update(i, 'value', text === '' ? null : Number.isFinite(Number(text)) ? Number(text) : text);
+                  }}
+                  placeholder="value"
+                  aria-label={`Variable ${i + 1} value`}
+                  className="w-24 bg-slate-700 border border-slate-600 rounded px-2 py-1 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+                />
+                <button
+                  onClick={() => onChange(variables.filter((_, j) => j !== i))}
+                  title="Remove variable"
+                  className="p-1 text-slate-500 hover:text-rose-400"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </div>
+              {issue && <p className="mt-0.5 text-xs text-rose-400">{issue.message}</p>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// === Electrolyte ===
+
+const SPECIES_LISTS = { components: 'Components', additives: 'Additives' };
+
+// Structured view of the electrolyte text; every edit writes the text back
+const ElectrolyteEditor = ({ text, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [draft, setDraft] = useState(() => parseElectrolyte(text));
+  // Text typed in the field replaces the draft; rows still without a solute
+  // are not in the text and live only in the draft
+  useEffect(() => {
+    setDraft(current => (formatElectrolyte(current) === text ? current : parseElectrolyte(text)));
+  }, [text]);
+
+  const change = (next, field) => {
+    setDraft(next);
+    onChange(formatElectrolyte(next), field);
+  };
+  const updateSpecies = (list, index, key, value) => change(
+    { ...draft, [list]: draft[list].map((s, i) => (i === index ? { ...s, [key]: value } : s)) },
+    `metadata.electrolyte.${list}.${index}.${key}`
+  );
+
+  const ph = electrolytePH(draft);
+  const summary = [
+    ph === null ? 'pH unknown' : `pH ${Math.round(ph * 100) / 100} (${draft.ph !== null ? 'measured' : 'estimated'})`,
+    electrolyteRegime(draft),
+    draft.solvent ?? 'solvent not stated',
+  ].join(' · ');
+  const input = 'bg-slate-700 border border-slate-600 rounded px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-cyan-500/50';
+
+  return (
+    <div className="mt-3">
+      <div className="flex items-center justify-between mb-1">
+        <button onClick={() => setExpanded(!expanded)} className="flex items-center gap-1 text-xs text-slate-400 hover:text-slate-200">
+          {expanded ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+          Electrolyte composition
+        </button>
+        <span className="text-xs text-slate-500 font-mono">{summary}</span>
+      </div>
+      {expanded && (
+        <div className="space-y-2">
+          {Object.entries(SPECIES_LISTS).map(([list, title]) => (
+            <div key={list}>
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-xs text-slate-500">{title}</span>
+                <button
+                  onClick={() => change({ ...draft, [list]: [...draft[list], { solute: '', concentration: null, unit: 'M' }] })}
+                  className="flex items-center gap-1 px-2 py-0.5 text-xs text-slate-300 border border-slate-600 rounded hover:bg-slate-700"
+                >
+                  <Plus className="w-3 h-3" />
+                  Add
+                </button>
+              </div>
+              <div className="space-y-1">
+                {draft[list].map((species, i) => (
+                  <div key={i} className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={species.concentration ?? ''}
+                      onChange={(e) => updateSpecies(list, i, 'concentration', optionalNumber(e.target.value))}
+                      placeholder="conc."
+                      aria-label={`${title} ${i + 1} concentration`}
+                      className={`w-20 font-mono ${input}`}
+                    />
+                    <select
+                      value={species.unit}
+                      onChange={(e) => updateSpecies(list, i, 'unit', e.target.value)}
+                      aria-label={`${title} ${i + 1} unit`}
+                      className={input}
+                    >
+                      {Object.keys(CONCENTRATION_UNITS).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                    </select>
+                    <input
+                      type="text"
+                      value={species.solute}
+                      onChange={(e) => updateSpecies(list, i, 'solute', e.target.value)}
+                      placeholder="solute, e.g. H2SO4"
+                      aria-label={`${title} ${i + 1} solute`}
+                      className={`flex-1 min-w-0 font-mono ${input}`}
+                    />
+                    <button
+                      onClick={() => change({ ...draft, [list]: draft[list].filter((_, j) => j !== i) })}
+                      title="Remove"
+                      className="p-1 text-slate-500 hover:text-rose-400"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="text-xs text-slate-500 block mb-1">Solvent</label>
+              <input
+                type="text"
+                list="electrolyte-solvents"
+                value={draft.solvent ?? ''}
+                onChange={(e) => change({ ...draft, solvent: e.target.value.trim() || null }, 'metadata.electrolyte.solvent')}
+                placeholder="not stated"
+                className={`w-full ${input}`}
+              />
+              <datalist id="electrolyte-solvents">
+                {Object.keys(SOLVENTS).map(solvent => <option key={solvent} value={solvent} />)}
+              </datalist>
+            </div>
+            <div>
+              <label className="text-xs text-slate-500 block mb-1">Measured pH</label>
+              <input
+                type="number"
+                step="any"
+                value={draft.ph ?? ''}
+                onChange={(e) => change({ ...draft, ph: optionalNumber(e.target.value) }, 'metadata.electrolyte.ph')}
+                placeholder={ph === null ? 'optional' : `≈ ${Math.round(ph * 100) / 100}`}
+                className={`w-full font-mono ${input}`}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// === Stop Conditions ===
+
+const StopConditionsEditor = ({ conditions, tags, reference, issues, onChange }) => {
+  // `field` groups typing in one input into a single undo entry
+  const update = (index, field, value) =>
+    onChange(conditions.map((c, i) => (i === index ? { ...c, [field]: value } : c)), `stop_conditions.${index}.${field}`);
+  const inputClass = 'bg-slate-700 border border-slate-600 rounded px-2 py-1 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50';
+
+  return (
+    <div className="px-3 pb-3">
+      <div className="flex items-center justify-between mb-1">
+        <label className="text-xs text-slate-400">
+          Stop conditions
+          <span className="ml-1 text-slate-500">(end the step early)</span>
+        </label>
+        <button
+          onClick={() => onChange([...conditions, createStopCondition()])}
+          className="flex items-center gap-1 px-2 py-0.5 text-xs text-slate-300 border border-slate-600 rounded hover:bg-slate-700"
+        >
+          <Plus className="w-3 h-3" />
+          Add
+        </button>
+      </div>
+      <div className="space-y-1">
+        {conditions.map((condition, i) => {
+          const issue = issues.find(item => item.condition === i);
+          const spec = STOP_WHEN[condition.when];
+          return (
+            <div key={i}>
+              <div className="flex flex-wrap items-center gap-2">
+                <select
+                  value={condition.when}
+                  onChange={(e) => update(i, 'when', e.target.value)}
+                  aria-label={`Stop condition ${i + 1} quantity`}
+                  className={inputClass}
+                >
+                  {Object.entries(STOP_WHEN).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={condition.value ?? ''}
+                  onChange={(e) => {
+                    const text = e.target.value.trim();
+                    update(i, 'value', text === '' ? null : String(Number(text)) === text ? Number(text) : text);
+                  }}
+                  aria-label={`Stop condition ${i + 1} value`}
+                  className={`w-20 ${inputClass} ${issue ? 'border-rose-500' : ''}`}
+                />
+                <span className="text-xs text-slate-500">{spec?.quantity === 'potential_V' ? `V vs ${reference}` : spec?.unit}</span>
+                <span className="text-slate-500">→</span>
+                <select
+                  value={condition.action}
+                  onChange={(e) => update(i, 'action', e.target.value)}
+                  aria-label={`Stop condition ${i + 1} action`}
+                  className={inputClass}
+                >
+                  {Object.entries(STOP_ACTIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+                {condition.action === 'goto' && (
+                  <select
+                    value={condition.target}
+                    onChange={(e) => update(i, 'target', e.target.value)}
+                    aria-label={`Stop condition ${i + 1} target`}
+                    className={inputClass}
+                  >
+                    <option value="">Tagged step…</option>
+                    {[...new Set([...tags, condition.target].filter(Boolean))].map(tag => <option key={tag} value={tag}>{tag}</option>)}
+                  </select>
+                )}
+                <button
+                  onClick={() => onChange(conditions.filter((_, j) => j !== i))}
+                  title="Remove stop condition"
+                  className="p-1 text-slate-500 hover:text-rose-400"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </div>
+              {issue && <p className="mt-0.5 text-xs text-rose-400">{issue.message}</p>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
 // === Step Editor ===
 
-const StepEditor = ({ step, index, total, onUpdate, onRemove, onMove }) => {
+const StepEditor = ({ step, label, canMoveUp, canMoveDown, onUpdate, onRemove, onMove, onWrap, onSweep, onFix }) => {
   const [expanded, setExpanded] = useState(true);
   const tech = TECHNIQUES[step.technique];
-  const issues = validateStep(step);
+  const { metadata, limits, policy, tags, procIssues } = useContext(EditorContext);
+  const issues = [...validateStep(step, metadata, limits, policy), ...procIssues.filter(issue => issue.stepId === step.id)];
   const { errors, warnings } = summarizeIssues(issues);
   
   const getIssueForParam = (paramKey) => 
     issues.find(i => i.param === paramKey);
 
+  // Expressions are shown with their value and currents in mA; everything derived uses those
+  const evaluated = resolveStep(step, resolveVariables(metadata.variables).scope).step;
+  const resolved = absoluteCurrents(evaluated, metadata).step;
+
+  // Potentials are on the chosen reference scale; show the RHE equivalent too
+  const reference = metadata.reference;
+  const potentialKeys = potentialParams(resolved);
+  const rhe = stepPotentialsRHE(resolved, reference, referenceConditions(metadata));
+  const potentialUnit = (config) =>
+    (config.unit === 'V or OCP' ? `V vs ${reference} or OCP` : `V vs ${reference}`);
+  // Currents are in the step's basis; show the current, or its density on a known area
+  const currentKeys = currentParams(step);
+  const basis = currentUnit(step);
+  const currentHint = (key) => {
+    const value = resolved.params[key];
+    if (value === null || value === '' || isNaN(value)) return null;
+    if (basis !== 'mA') return resolved.params.current_basis === 'mA' ? `≙ ${value} mA` : null;
+    const density = currentDensity(Number(value), metadata);
+    return density === null ? null : `≙ ${Number(density.toPrecision(4))} mA/cm²`;
+  };
+  const paramHint = (key, config) => {
+    const hints = [];
+    if (isExpression(config, step.params[key]) && evaluated.params[key] !== null) hints.push(`= ${evaluated.params[key]}`);
+    if (potentialKeys.includes(key) && reference !== 'RHE' && key in rhe) hints.push(`≙ ${rhe[key]} V vs RHE`);
+    if (currentKeys.includes(key) && currentHint(key)) hints.push(currentHint(key));
+    return hints.length > 0 ? hints.join('  ') : undefined;
+  };
+  const paramUnit = (key, config) => {
+    if (potentialKeys.includes(key)) return potentialUnit(config);
+    if (currentKeys.includes(key)) return basis;
+    return config.unit;
+  };
+
+  const waveform = stepWaveform(resolved);
+  const duration = stepDuration(resolved);
+
   return (
     <div className={`bg-slate-800 border rounded-lg overflow-hidden ${
       errors.length > 0 ? 'border-rose-500/50' : 
@@ -136,7 +521,7 @@ const StepEditor = ({ step, index, total, onUpdate, onRemove, onMove }) => {
         className="flex items-center px-3 py-2 bg-slate-800/50 cursor-pointer hover:bg-slate-700/50"
         onClick={() => setExpanded(!expanded)}
       >
-        <span className="text-xs font-mono text-slate-500 w-8">{String(index + 1).padStart(2, '0')}</span>
+        <span className="text-xs font-mono text-slate-500 w-10">{label}</span>
         <div className="flex-1 min-w-0">
           <span className="font-medium text-slate-100">{tech.abbrev}</span>
           <span className="ml-2 text-sm text-slate-400 truncate">{tech.name}</span>
@@ -146,6 +531,12 @@ const StepEditor = ({ step, index, total, onUpdate, onRemove, onMove }) => {
             {step.tag}
           </span>
         )}
+        <span
+          className={`hidden md:inline text-xs font-mono whitespace-nowrap ${duration.assumed ? 'text-amber-400/80' : 'text-slate-500'}`}
+          title={duration.note || 'Estimated duration'}
+        >
+          ≈ {formatDuration(duration.seconds)}
+        </span>
         <div className="flex items-center gap-2 ml-2">
           {errors.length > 0 && <Badge level="error">{errors.length}</Badge>}
           {warnings.length > 0 && <Badge level="warning">{warnings.length}</Badge>}
@@ -172,8 +563,10 @@ const StepEditor = ({ step, index, total, onUpdate, onRemove, onMove }) => {
                 paramKey={key}
                 config={config}
                 value={step.params[key]}
-                onChange={(k, v) => onUpdate({ ...step, params: { ...step.params, [k]: v } })}
+                onChange={(k, v) => onUpdate({ ...step, params: { ...step.params, [k]: v } }, `params.${k}`)}
                 issue={getIssueForParam(key)}
+                unit={paramUnit(key, config)}
+                hint={paramHint(key, config)}
               />
             ))}
             
@@ -186,13 +579,26 @@ const StepEditor = ({ step, index, total, onUpdate, onRemove, onMove }) => {
               <input
                 type="text"
                 value={step.tag || ''}
-                onChange={(e) => onUpdate({ ...step, tag: e.target.value })}
+                onChange={(e) => onUpdate({ ...step, tag: e.target.value }, 'tag')}
                 placeholder="e.g., baseline_activity"
                 className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm text-slate-100 font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
               />
             </div>
           </div>
           
+          <StopConditionsEditor
+            conditions={stopConditions(step)}
+            tags={tags}
+            reference={reference}
+            issues={issues}
+            onChange={(conditions, field) => onUpdate({ ...step, stop_conditions: conditions }, field)}
+          />
+
+          {/* Applied waveform */}
+          <div className="px-3 pb-3">
+            <WaveformPlot segments={[{ t0: 0, duration_s: waveform.duration_s, waveform }]} />
+          </div>
+
           {/* Validation issues */}
           {issues.length > 0 && (
             <div className="px-3 pb-3 space-y-1">
@@ -204,7 +610,8 @@ const StepEditor = ({ step, index, total, onUpdate, onRemove, onMove }) => {
                   }`}
                 >
                   <AlertCircle className="w-3 h-3 mt-0.5 shrink-0" />
-                  <span><span className="font-mono">[{issue.code}]</span> {issue.message}</span>
+                  <span className="flex-1"><span className="font-mono">[{issue.code}]</span> {issue.message}</span>
+                  {issue.fix && <FixButton fix={issue.fix} onFix={onFix} />}
                 </div>
               ))}
             </div>
@@ -215,18 +622,31 @@ const StepEditor = ({ step, index, total, onUpdate, onRemove, onMove }) => {
             <div className="flex gap-1">
               <button
                 onClick={() => onMove(-1)}
-                disabled={index === 0}
+                disabled={!canMoveUp}
                 className="px-2 py-1 text-xs text-slate-400 hover:text-slate-200 disabled:opacity-30 disabled:cursor-not-allowed"
               >
                 ↑ Up
               </button>
               <button
                 onClick={() => onMove(1)}
-                disabled={index === total - 1}
+                disabled={!canMoveDown}
                 className="px-2 py-1 text-xs text-slate-400 hover:text-slate-200 disabled:opacity-30 disabled:cursor-not-allowed"
               >
                 ↓ Down
               </button>
+              <button
+                onClick={onWrap}
+                className="px-2 py-1 text-xs text-slate-400 hover:text-slate-200"
+              >
+                ⟳ Repeat
+              </button>
+              <button
+                onClick={onSweep}
+                title="Run this step over a list or range of values"
+                className="px-2 py-1 text-xs text-slate-400 hover:text-slate-200"
+              >
+                ⇶ Sweep
+              </button>
             </div>
             <button
               onClick={onRemove}
@@ -241,9 +661,249 @@ const StepEditor = ({ step, index, total, onUpdate, onRemove, onMove }) => {
   );
 };
 
+// === Repeat Block Editor ===
+
+const RepeatBlockEditor = ({ block, label, canMoveUp, canMoveDown, actions }) => {
+  const [expanded, setExpanded] = useState(true);
+  const { policy } = useContext(EditorContext);
+  const issues = validateRepeat(block, policy);
+  const { errors, warnings } = summarizeIssues(issues);
+
+  return (
+    <div className={`border border-dashed rounded-lg ${
+      errors.length > 0 ? 'border-rose-500/50' :
+      warnings.length > 0 ? 'border-amber-500/30' : 'border-violet-500/40'
+    }`}>
+      {/* Header */}
+      <div
+        className="flex items-center px-3 py-2 bg-violet-500/5 cursor-pointer hover:bg-violet-500/10"
+        onClick={() => setExpanded(!expanded)}
+      >
+        <span className="text-xs font-mono text-slate-500 w-10">{label}</span>
+        <Repeat className="w-4 h-4 text-violet-400 mr-2" />
+        <span className="font-medium text-slate-100">Repeat</span>
+        <input
+          type="number"
+          min={1}
+          step={1}
+          value={block.count ?? ''}
+          onClick={e => e.stopPropagation()}
+          onChange={(e) => actions.update(block.id, {
+            ...block,
+            count: e.target.value === '' ? null : parseInt(e.target.value, 10),
+          }, 'count')}
+          className="ml-2 w-20 bg-slate-700 border border-slate-600 rounded px-2 py-0.5 text-sm text-slate-100 font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+        />
+        <span className="ml-1 text-sm text-slate-400">×</span>
+        <span className="ml-2 text-xs text-slate-500 truncate">
+          {block.steps.length} step{block.steps.length === 1 ? '' : 's'}
+        </span>
+        <div className="flex items-center gap-2 ml-auto">
+          {errors.length > 0 && <Badge level="error">{errors.length}</Badge>}
+          {warnings.length > 0 && <Badge level="warning">{warnings.length}</Badge>}
+          {expanded ? <ChevronUp className="w-4 h-4 text-slate-400" /> : <ChevronDown className="w-4 h-4 text-slate-400" />}
+        </div>
+      </div>
+
+      {expanded && (
+        <>
+          {/* Validation issues */}
+          {issues.length > 0 && (
+            <div className="px-3 pt-2 space-y-1">
+              {issues.map((issue, i) => (
+                <div
+                  key={i}
+                  className={`flex items-start gap-2 text-xs px-2 py-1.5 rounded ${
+                    issue.level === LEVEL.ERROR ? 'bg-rose-500/10 text-rose-400' : 'bg-amber-500/10 text-amber-400'
+                  }`}
+                >
+                  <AlertCircle className="w-3 h-3 mt-0.5 shrink-0" />
+                  <span><span className="font-mono">[{issue.code}]</span> {issue.message}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Nested steps */}
+          <div className="p-3 pl-5">
+            <StepList nodes={block.steps} labelPrefix={`${label}.`} nested actions={actions} />
+          </div>
+
+          {/* Actions */}
+          <div className="flex items-center justify-between px-3 py-2 border-t border-dashed border-violet-500/20">
+            <div className="flex gap-1">
+              <button
+                onClick={() => actions.move(block.id, -1)}
+                disabled={!canMoveUp}
+                className="px-2 py-1 text-xs text-slate-400 hover:text-slate-200 disabled:opacity-30 disabled:cursor-not-allowed"
+              >
+                ↑ Up
+              </button>
+              <button
+                onClick={() => actions.move(block.id, 1)}
+                disabled={!canMoveDown}
+                className="px-2 py-1 text-xs text-slate-400 hover:text-slate-200 disabled:opacity-30 disabled:cursor-not-allowed"
+              >
+                ↓ Down
+              </button>
+              <button
+                onClick={() => actions.openAdd(block.id)}
+                className="px-2 py-1 text-xs text-cyan-400 hover:text-cyan-300"
+              >
+                + Step
+              </button>
+            </div>
+            <div className="flex gap-1">
+              <button
+                onClick={() => actions.unwrap(block.id)}
+                className="px-2 py-1 text-xs text-slate-400 hover:text-slate-200"
+              >
+                Unwrap
+              </button>
+              <button
+                onClick={() => actions.remove(block.id)}
+                className="px-2 py-1 text-xs text-rose-400 hover:text-rose-300"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// === Step List ===
+
+// exitUp/exitDown: the first/last step may leave the list (into a neighbouring phase)
+const StepList = ({ nodes, labelPrefix = '', nested = false, exitUp = false, exitDown = false, actions }) => (
+  <div className="space-y-3">
+    {nodes.map((node, i) => {
+      const label = labelPrefix
+        ? `${labelPrefix}${i + 1}`
+        : String(i + 1).padStart(2, '0');
+      const canMoveUp = i > 0 || nested || exitUp;
+      const canMoveDown = i < nodes.length - 1 || nested || exitDown;
+
+      if (isRepeatBlock(node)) {
+        return (
+          <RepeatBlockEditor
+            key={node.id}
+            block={node}
+            label={label}
+            canMoveUp={canMoveUp}
+            canMoveDown={canMoveDown}
+            actions={actions}
+          />
+        );
+      }
+      return (
+        <StepEditor
+          key={node.id}
+          step={node}
+          label={label}
+          canMoveUp={canMoveUp}
+          canMoveDown={canMoveDown}
+          onUpdate={(s, field) => actions.update(node.id, s, field)}
+          onRemove={() => actions.remove(node.id)}
+          onMove={(dir) => actions.move(node.id, dir)}
+          onWrap={() => actions.wrap(node.id)}
+          onSweep={() => actions.sweep(node.id)}
+          onFix={actions.fix}
+        />
+      );
+    })}
+    {nested && nodes.length === 0 && (
+      <p className="text-xs text-slate-500 text-center py-2">Empty block — add steps or move them in with ↑/↓</p>
+    )}
+  </div>
+);
+
+// === Phase Editor ===
+
+const PhaseEditor = ({ phase, index, total, actions, phaseActions }) => {
+  const [collapsed, setCollapsed] = useState(false);
+  const stepCount = collectSteps(phase.steps).length;
+
+  return (
+    <section className="border border-slate-700 rounded-lg bg-slate-900/40">
+      {/* Header */}
+      <div className="flex items-center gap-2 px-3 py-2 bg-slate-800/60 rounded-t-lg">
+        <button
+          onClick={() => setCollapsed(!collapsed)}
+          className="text-slate-400 hover:text-slate-200"
+          title={collapsed ? 'Expand phase' : 'Collapse phase'}
+        >
+          {collapsed ? <ChevronDown className="w-4 h-4" /> : <ChevronUp className="w-4 h-4" />}
+        </button>
+        <input
+          type="text"
+          value={phase.name}
+          onChange={(e) => phaseActions.rename(phase.id, e.target.value)}
+          placeholder="Phase name"
+          className="flex-1 min-w-0 bg-transparent border border-transparent hover:border-slate-600 focus:border-slate-600 rounded px-1 py-0.5 text-sm font-medium text-slate-100 focus:outline-none"
+        />
+        <select
+          value={phase.role || ''}
+          onChange={(e) => phaseActions.setRole(phase.id, e.target.value)}
+          title="Emit this phase as an IR setup, stabilize or teardown block"
+          className="bg-slate-700 border border-slate-600 rounded px-1 py-0.5 text-xs text-slate-300 focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+        >
+          <option value="">Steps</option>
+          {PHASE_ROLES.map(role => (
+            <option key={role} value={role}>IR {role}</option>
+          ))}
+        </select>
+        <span className="hidden md:inline text-xs text-slate-500 whitespace-nowrap">
+          {stepCount} step{stepCount === 1 ? '' : 's'}
+        </span>
+        <button
+          onClick={() => phaseActions.move(phase.id, -1)}
+          disabled={index === 0}
+          className="px-1 text-xs text-slate-400 hover:text-slate-200 disabled:opacity-30 disabled:cursor-not-allowed"
+        >
+          ↑
+        </button>
+        <button
+          onClick={() => phaseActions.move(phase.id, 1)}
+          disabled={index === total - 1}
+          className="px-1 text-xs text-slate-400 hover:text-slate-200 disabled:opacity-30 disabled:cursor-not-allowed"
+        >
+          ↓
+        </button>
+        <button
+          onClick={() => phaseActions.remove(phase.id)}
+          disabled={total === 1}
+          className="text-rose-400 hover:text-rose-300 disabled:opacity-30 disabled:cursor-not-allowed"
+          title="Remove phase"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {!collapsed && (
+        <div className="p-3 space-y-3">
+          <StepList nodes={phase.steps} exitUp={index > 0} exitDown={index < total - 1} actions={actions} />
+          {phase.steps.length === 0 && (
+            <p className="text-xs text-slate-500 text-center py-2">No steps in this phase</p>
+          )}
+          <button
+            onClick={() => actions.openAdd(null, phase.id)}
+            className="flex items-center gap-1 px-2 py-1 text-xs text-cyan-400 hover:text-cyan-300"
+          >
+            <Plus className="w-3 h-3" />
+            Add step to {phase.name || 'phase'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
 // === Add Step Menu ===
 
-const AddStepMenu = ({ onAdd, onClose }) => {
+const AddStepMenu = ({ onAdd, onAddRepeat, onClose }) => {
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
       <div 
@@ -282,6 +942,817 @@ const AddStepMenu = ({ onAdd, onClose }) => {
               </div>
             </div>
           ))}
+          <div className="mb-4 last:mb-0">
+            <h4 className="text-xs font-medium text-slate-500 uppercase tracking-wider mb-2">
+              Control Flow
+            </h4>
+            <button
+              onClick={() => { onAddRepeat(); onClose(); }}
+              className="w-full text-left px-3 py-2 rounded hover:bg-slate-700 transition-colors"
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-slate-100">Repeat</span>
+                <span className="text-xs text-slate-500">Loop block</span>
+              </div>
+              <p className="text-xs text-slate-400 mt-0.5">Runs a group of steps a fixed number of times, e.g. CV ×3 then EIS, repeated 50× for durability testing.</p>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// === Workspace Sidebar ===
+
+const WorkspaceSidebar = ({ workspace, limits, policy }) => {
+  const [query, setQuery] = useState('');
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [archiveNote, setArchiveNote] = useState(null);
+  const archiveInputRef = useRef(null);
+
+  const statuses = useMemo(
+    () => new Map(workspace.procedures.map(p => [p.id, entryStatus(p, limits, policy)])),
+    [workspace.procedures, limits, policy]
+  );
+  const shown = searchEntries(workspace.procedures, query);
+  const now = Date.now();
+
+  const commitRename = () => {
+    const name = renaming.name.trim();
+    if (name) workspace.rename(renaming.id, name);
+    setRenaming(null);
+  };
+
+  const remove = (entry) => {
+    if (!window.confirm(`Delete "${entry.metadata.name}"? This cannot be undone.`)) return;
+    workspace.remove(entry.id);
+  };
+
+  const exportArchive = () => {
+    const blob = new Blob([serializeWorkspace(workspace)], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ecproc-workspace-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importArchive = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const { entries, diagnostics } = parseWorkspace(String(event.target?.result ?? ''));
+      workspace.add(entries);
+      const skipped = diagnostics.filter(d => d.level !== LEVEL.ERROR);
+      setArchiveNote({
+        error: entries.length === 0,
+        text: entries.length === 0
+          ? diagnostics[0]?.message ?? 'The archive holds no procedures'
+          : `Imported ${entries.length} procedure${entries.length === 1 ? '' : 's'}` +
+            (skipped.length > 0 ? `; skipped: ${skipped.map(d => `${d.location ?? ''} ${d.message}`.trim()).join('; ')}` : ''),
+      });
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  return (
+    <aside className="w-64 shrink-0 flex flex-col border-r border-slate-700 bg-slate-800/50">
+      <div className="shrink-0 p-3 space-y-2 border-b border-slate-700">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xs font-medium text-slate-500 uppercase tracking-wider">
+            Procedures ({workspace.procedures.length})
+          </h2>
+          <button
+            onClick={workspace.create}
+            title="New procedure"
+            className="p-1 text-slate-400 hover:text-slate-200 rounded hover:bg-slate-700"
+          >
+            <FilePlus className="w-4 h-4" />
+          </button>
+        </div>
+        <div className="relative">
+          <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-3 h-3 text-slate-500" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search name, electrolyte, technique"
+            className="w-full bg-slate-700 border border-slate-600 rounded pl-7 pr-2 py-1 text-xs text-slate-100 focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+          />
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto p-2 space-y-1">
+        {shown.length === 0 && (
+          <p className="text-xs text-slate-500 text-center py-4">No procedures match “{query}”</p>
+        )}
+        {shown.map(entry => {
+          const active = entry.id === workspace.activeId;
+          const { errors, warnings } = statuses.get(entry.id);
+          return (
+            <div
+              key={entry.id}
+              onClick={() => !active && workspace.open(entry.id)}
+              className={`group px-2 py-1.5 rounded cursor-pointer border ${
+                active ? 'border-cyan-500/40 bg-cyan-500/10' : 'border-transparent hover:bg-slate-700/50'
+              }`}
+            >
+              {renaming?.id === entry.id ? (
+                <input
+                  autoFocus
+                  value={renaming.name}
+                  onClick={e => e.stopPropagation()}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setRenaming(null);
+                  }}
+                  className="w-full bg-slate-700 border border-slate-600 rounded px-1.5 py-0.5 text-sm text-slate-100 focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+                />
+              ) : (
+                <div className="flex items-center gap-1">
+                  <span className={`flex-1 truncate text-sm ${active ? 'text-slate-100' : 'text-slate-300'}`}>
+                    {entry.metadata.name || 'Untitled procedure'}
+                  </span>
+                  <div className="hidden group-hover:flex items-center" onClick={e => e.stopPropagation()}>
+                    <button
+                      onClick={() => setRenaming({ id: entry.id, name: entry.metadata.name })}
+                      title="Rename"
+                      className="p-0.5 text-slate-500 hover:text-slate-200"
+                    >
+                      <Pencil className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => workspace.duplicate(entry.id)}
+                      title="Duplicate"
+                      className="p-0.5 text-slate-500 hover:text-slate-200"
+                    >
+                      <Copy className="w-3 h-3" />
+                    </button>
+                    {workspace.procedures.length > 1 && (
+                      <button
+                        onClick={() => remove(entry)}
+                        title="Delete"
+                        className="p-0.5 text-slate-500 hover:text-rose-400"
+                      >
+                        <Trash2 className="w-3 h-3" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+              <div className="flex items-center justify-between mt-0.5 text-[10px] text-slate-500">
+                <span>{formatModified(entry.modified, now)}</span>
+                {errors > 0 ? (
+                  <span className="text-rose-400">{errors} error{errors > 1 ? 's' : ''}</span>
+                ) : warnings > 0 ? (
+                  <span className="text-amber-400">{warnings} warning{warnings > 1 ? 's' : ''}</span>
+                ) : (
+                  <span className="text-emerald-400">Valid</span>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="shrink-0 p-2 border-t border-slate-700 space-y-2">
+        {archiveNote && (
+          <p className={`text-[10px] ${archiveNote.error ? 'text-rose-400' : 'text-slate-400'}`}>{archiveNote.text}</p>
+        )}
+        <input ref={archiveInputRef} type="file" accept=".json" onChange={importArchive} className="hidden" />
+        <div className="flex gap-2">
+          <button
+            onClick={() => archiveInputRef.current?.click()}
+            title="Add the procedures from a workspace archive"
+            className="flex-1 flex items-center justify-center gap-1 px-2 py-1 text-xs text-slate-300 border border-slate-600 rounded hover:bg-slate-700"
+          >
+            <FolderInput className="w-3 h-3" />
+            Import
+          </button>
+          <button
+            onClick={exportArchive}
+            title="Download every procedure as one archive file"
+            className="flex-1 flex items-center justify-center gap-1 px-2 py-1 text-xs text-slate-300 border border-slate-600 rounded hover:bg-slate-700"
+          >
+            <FolderOutput className="w-3 h-3" />
+            Export
+          </button>
+        </div>
+      </div>
+    </aside>
+  );
+};
+
+// === Share Menu ===
+
+// Chat tools and wikis commonly cut links around this length
+const LONG_LINK = 2000;
+
+const ShareMenu = ({ metadata, phases }) => {
+  const [open, setOpen] = useState(false);
+  const [copied, setCopied] = useState(null); // { mode, length }
+
+  const copy = async (mode) => {
+    const url = shareURL(await encodeShareFragment(metadata, phases, mode));
+    await navigator.clipboard.writeText(url);
+    setCopied({ mode, length: url.length });
+  };
+
+  const options = [
+    { mode: 'edit', icon: Link2, label: 'Copy share link', desc: 'Opens in the editor' },
+    { mode: 'view', icon: Eye, label: 'Copy read-only link', desc: 'For lab wikis and notebooks' },
+  ];
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => { setOpen(!open); setCopied(null); }}
+        title="Share as a link"
+        className="flex items-center gap-1 px-3 py-1.5 text-sm text-slate-300 hover:text-slate-100 border border-slate-600 rounded hover:bg-slate-700"
+      >
+        <Link2 className="w-4 h-4" />
+        <span className="hidden sm:inline">Share</span>
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-50 mt-1 w-72 p-1 bg-slate-800 border border-slate-700 rounded-lg shadow-xl">
+            {options.map(option => (
+              <button
+                key={option.mode}
+                onClick={() => copy(option.mode)}
+                className="w-full flex items-start gap-2 px-3 py-2 text-left rounded hover:bg-slate-700"
+              >
+                {copied?.mode === option.mode
+                  ? <Check className="w-4 h-4 mt-0.5 text-emerald-400" />
+                  : <option.icon className="w-4 h-4 mt-0.5 text-slate-400" />}
+                <span>
+                  <span className="block text-sm text-slate-100">{copied?.mode === option.mode ? 'Copied' : option.label}</span>
+                  <span className="block text-xs text-slate-500">{option.desc}</span>
+                </span>
+              </button>
+            ))}
+            <p className="px-3 py-2 text-xs text-slate-500 border-t border-slate-700">
+              The procedure is stored in the link itself, not on a server.
+              {copied && copied.length > LONG_LINK && (
+                <span className="block mt-1 text-amber-400">
+                  This link is {copied.length.toLocaleString()} characters long; some chat tools cut long links — share the .ecproc file instead if it breaks.
+                </span>
+              )}
+            </p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// === Validation Issues ===
+
+const ISSUE_COLORS = {
+  [LEVEL.ERROR]: 'bg-rose-500/10 text-rose-400',
+  [LEVEL.WARNING]: 'bg-amber-500/10 text-amber-400',
+  [LEVEL.INFO]: 'bg-slate-700/50 text-slate-300',
+};
+
+// Step issues carry their `step`; procedure issues stand on their own
+const IssuesMenu = ({ issues, onFix, onFixAll }) => {
+  const [open, setOpen] = useState(false);
+  const { errors, warnings } = summarizeIssues(issues);
+  const fixable = warnings.filter(issue => issue.fix).length;
+
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(!open)} title="Validation issues" className="flex items-center">
+        {errors.length > 0 ? (
+          <Badge level="error">{errors.length} error{errors.length > 1 ? 's' : ''}</Badge>
+        ) : warnings.length > 0 ? (
+          <Badge level="warning">{warnings.length} warning{warnings.length > 1 ? 's' : ''}</Badge>
+        ) : (
+          <Badge level="success">Valid</Badge>
+        )}
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-50 mt-1 w-96 max-h-[70vh] flex flex-col bg-slate-800 border border-slate-700 rounded-lg shadow-xl">
+            <div className="flex-1 overflow-auto p-2 space-y-1">
+              {issues.length === 0 && <p className="px-2 py-1 text-xs text-slate-500">No issues in this procedure.</p>}
+              {issues.map((issue, i) => (
+                <div key={i} className={`flex items-start gap-2 text-xs px-2 py-1.5 rounded ${ISSUE_COLORS[issue.level]}`}>
+                  <AlertCircle className="w-3 h-3 mt-0.5 shrink-0" />
+                  <span className="flex-1">
+                    {issue.step && (
+                      <span className="text-slate-400">
+                        {TECHNIQUES[issue.step.technique].abbrev}{issue.step.tag ? ` (${issue.step.tag})` : ''} ·{' '}
+                      </span>
+                    )}
+                    <span className="font-mono">[{issue.code}]</span> {issue.message}
+                  </span>
+                  {issue.fix && <FixButton fix={issue.fix} onFix={onFix} />}
+                </div>
+              ))}
+            </div>
+            <div className="flex items-center justify-between gap-2 px-3 py-2 border-t border-slate-700">
+              <span className="text-xs text-slate-500">Errors are only fixed one by one</span>
+              <button
+                onClick={() => { setOpen(false); onFixAll(); }}
+                disabled={fixable === 0}
+                className="flex items-center gap-1 px-2 py-1 text-xs text-amber-300 border border-amber-500/40 rounded hover:bg-amber-500/10 disabled:opacity-40 disabled:pointer-events-none"
+              >
+                <Wrench className="w-3 h-3" />
+                Fix all warnings
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Changes "Fix all warnings" would make, from fixWarnings; `before` is the procedure as it is
+const FixPreviewDialog = ({ before, preview, onApply, onCancel }) => {
+  const stepIn = (phases, id) => collectSteps(flattenPhases(phases)).find(step => step.id === id);
+
+  // "Cycles: 2 → 3" for a param set on a step that was there before
+  const describe = ({ fix }) => {
+    const step = fix.stepId && stepIn(before, fix.stepId);
+    if (!step) return fix.label;
+    const tech = TECHNIQUES[step.technique];
+    const change = fix.kind === 'set'
+      ? `${tech.params[fix.param].label}: ${step.params[fix.param]} → ${fix.value}`
+      : fix.label;
+    return `${tech.abbrev}${step.tag ? ` (${step.tag})` : ''} · ${change}`;
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onCancel}>
+      <div
+        className="w-full max-w-xl max-h-[80vh] flex flex-col bg-slate-800 border border-slate-700 rounded-lg shadow-xl"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-700">
+          <h3 className="font-medium text-slate-100">Fix all warnings</h3>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-200">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-4 py-3 text-sm text-slate-300 border-b border-slate-700">
+          {preview.fixes.length === 0
+            ? 'None of the warnings has a fix.'
+            : `${preview.fixes.length} change${preview.fixes.length === 1 ? '' : 's'} will be made. Undo reverts them in one step.`}
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-1">
+          {preview.fixes.map((issue, i) => (
+            <div key={i} className="flex items-start gap-2 text-xs px-2 py-1.5 rounded bg-slate-700/50 text-slate-200">
+              <Wrench className="w-3 h-3 mt-0.5 shrink-0 text-amber-400" />
+              <span>
+                {describe(issue)}
+                <span className="block text-slate-500"><span className="font-mono">[{issue.code}]</span> {issue.message}</span>
+              </span>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-2 px-4 py-3 border-t border-slate-700">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1.5 text-sm text-slate-300 hover:text-slate-100 border border-slate-600 rounded hover:bg-slate-700"
+          >
+            Cancel
+          </button>
+          {preview.fixes.length > 0 && (
+            <button
+              onClick={onApply}
+              className="px-3 py-1.5 text-sm bg-cyan-400 text-slate-900 rounded font-medium hover:bg-cyan-300"
+            >
+              Apply fixes
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// === Import Report Dialog ===
+
+const ImportReportDialog = ({ report, onAccept, onCancel, onAcceptNew, title = 'Import report', acceptLabel = 'Import anyway' }) => {
+  const empty = isImportEmpty(report);
+  const stepCount = report.phases ? collectSteps(flattenPhases(report.phases)).length : 0;
+  const order = [LEVEL.ERROR, LEVEL.WARNING, LEVEL.INFO];
+  const sorted = [...report.diagnostics].sort((a, b) => order.indexOf(a.level) - order.indexOf(b.level));
+  const colors = {
+    [LEVEL.ERROR]: 'bg-rose-500/10 text-rose-400',
+    [LEVEL.WARNING]: 'bg-amber-500/10 text-amber-400',
+    [LEVEL.INFO]: 'bg-slate-700/50 text-slate-300',
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onCancel}>
+      <div
+        className="w-full max-w-xl max-h-[80vh] flex flex-col bg-slate-800 border border-slate-700 rounded-lg shadow-xl"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-700">
+          <div className="min-w-0">
+            <h3 className="font-medium text-slate-100">{title}</h3>
+            <p className="text-xs text-slate-500 truncate">{report.fileName}</p>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-200">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-4 py-3 text-sm text-slate-300 border-b border-slate-700">
+          {empty
+            ? 'Nothing could be imported from this file.'
+            : report.phases
+              ? `${stepCount} step${stepCount === 1 ? '' : 's'} in ${report.phases.length} phase${report.phases.length === 1 ? '' : 's'} can be imported.` +
+                (report.diagnostics.length > 0 ? ' Items below were skipped or changed.' : '')
+              : 'Only setup fields can be imported; the current procedure steps are kept.'}
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-1">
+          {sorted.map((d, i) => (
+            <div key={i} className={`flex items-start gap-2 text-xs px-2 py-1.5 rounded ${colors[d.level]}`}>
+              <AlertCircle className="w-3 h-3 mt-0.5 shrink-0" />
+              <span>
+                <span className="font-mono">[{d.code}]</span>{' '}
+                {d.line && <span className="font-mono">line {d.line}{d.column ? `, col ${d.column}` : ''}: </span>}
+                {d.message}
+                {d.location && <span className="block text-slate-500">{d.location}</span>}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-2 px-4 py-3 border-t border-slate-700">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1.5 text-sm text-slate-300 hover:text-slate-100 border border-slate-600 rounded hover:bg-slate-700"
+          >
+            {empty ? 'Close' : 'Cancel'}
+          </button>
+          {!empty && onAcceptNew && report.phases && (
+            <button
+              onClick={onAcceptNew}
+              className="px-3 py-1.5 text-sm text-cyan-300 border border-cyan-500/40 rounded hover:bg-cyan-500/10"
+            >
+              Open as new procedure
+            </button>
+          )}
+          {!empty && (
+            <button
+              onClick={onAccept}
+              className="px-3 py-1.5 text-sm bg-cyan-400 text-slate-900 rounded font-medium hover:bg-cyan-300"
+            >
+              {acceptLabel}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// === Template Gallery ===
+
+const TemplateCard = ({ template, onUse, onDelete }) => {
+  const usable = Boolean(template.phases);
+  const stepCount = usable ? collectSteps(flattenPhases(template.phases)).length : 0;
+
+  const download = () => {
+    const blob = new Blob([template.content], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = template.fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="flex flex-col p-3 rounded border border-slate-700 bg-slate-900/40">
+      <div className="flex items-start gap-2">
+        <h4 className="flex-1 text-sm font-medium text-slate-100">{template.metadata.name || 'Untitled template'}</h4>
+        {template.team && <span className="px-1.5 py-0.5 text-[10px] rounded bg-violet-500/20 text-violet-300">Team</span>}
+      </div>
+      {template.metadata.description && <p className="mt-1 text-xs text-slate-400">{template.metadata.description}</p>}
+      {template.rationale && <p className="mt-2 text-xs text-slate-500 leading-relaxed">{template.rationale}</p>}
+      <div className="mt-auto pt-3 flex items-center gap-2 text-[10px] text-slate-500">
+        <span className="flex-1">
+          {usable
+            ? `${stepCount} step${stepCount === 1 ? '' : 's'} · ≈ ${formatDuration(procedureSeconds(template.phases))}` +
+              (template.metadata.electrolyte ? ` · ${template.metadata.electrolyte}` : '')
+            : <span className="text-rose-400">{template.diagnostics[0]?.message ?? 'No steps'}</span>}
+        </span>
+        {template.team && (
+          <>
+            <button onClick={download} title="Download .ecproc" className="p-1 text-slate-500 hover:text-slate-200">
+              <Download className="w-3 h-3" />
+            </button>
+            <button onClick={onDelete} title="Delete team template" className="p-1 text-slate-500 hover:text-rose-400">
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </>
+        )}
+        <button
+          onClick={onUse}
+          disabled={!usable}
+          className="px-2 py-1 text-xs bg-cyan-500/10 text-cyan-400 border border-cyan-500/30 rounded hover:bg-cyan-500/20 disabled:opacity-40 disabled:pointer-events-none"
+        >
+          Use template
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TemplateGallery = ({ metadata, phases, onUse, onClose }) => {
+  const team = useTeamTemplates();
+  const [saving, setSaving] = useState(null); // { category, rationale }
+  const [note, setNote] = useState(null);
+  const templateInputRef = useRef(null);
+
+  const templates = [...BUILT_IN_TEMPLATES, ...team.templates];
+  const categories = [...new Set(templates.map(t => t.category))];
+
+  const save = () => {
+    team.save(metadata, phases, { category: saving.category.trim() || 'Other', rationale: saving.rationale.trim() });
+    setNote({ text: `Saved "${metadata.name}" as a team template` });
+    setSaving(null);
+  };
+
+  const remove = (template) => {
+    if (!window.confirm(`Delete the team template "${template.metadata.name}"? This cannot be undone.`)) return;
+    team.remove(template.id);
+  };
+
+  const importTemplate = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const content = String(event.target?.result ?? '');
+      const template = loadTemplate(file.name, content);
+      if (template.phases) {
+        team.add(content);
+        setNote({ text: `Added "${template.metadata.name || file.name}" to the team templates` });
+      } else {
+        setNote({ error: true, text: template.diagnostics[0]?.message ?? 'The file holds no procedure steps' });
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-4xl max-h-[85vh] flex flex-col bg-slate-800 border border-slate-700 rounded-lg shadow-xl"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-700">
+          <div>
+            <h3 className="font-medium text-slate-100">Template gallery</h3>
+            <p className="text-xs text-slate-500">A template opens as a new procedure; your current one is kept</p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-200">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          {categories.map(category => (
+            <section key={category}>
+              <h4 className="mb-2 text-xs font-medium text-slate-500 uppercase tracking-wider">{category}</h4>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {templates.filter(t => t.category === category).map(template => (
+                  <TemplateCard
+                    key={template.id}
+                    template={template}
+                    onUse={() => onUse(template)}
+                    onDelete={() => remove(template)}
+                  />
+                ))}
+              </div>
+            </section>
+          ))}
+        </div>
+
+        <div className="px-4 py-3 border-t border-slate-700 space-y-2">
+          {note && <p className={`text-xs ${note.error ? 'text-rose-400' : 'text-slate-400'}`}>{note.text}</p>}
+          {saving ? (
+            <div className="space-y-2">
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  list="template-categories"
+                  value={saving.category}
+                  onChange={(e) => setSaving({ ...saving, category: e.target.value })}
+                  placeholder="Category"
+                  className="w-48 bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+                />
+                <datalist id="template-categories">
+                  {TEMPLATE_CATEGORIES.map(c => <option key={c} value={c} />)}
+                </datalist>
+                <span className="flex-1 self-center text-xs text-slate-400 truncate">
+                  Saving “{metadata.name || 'Untitled procedure'}”
+                </span>
+              </div>
+              <textarea
+                value={saving.rationale}
+                onChange={(e) => setSaving({ ...saving, rationale: e.target.value })}
+                placeholder="Rationale: why the procedure is set up this way"
+                rows={2}
+                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+              />
+              <div className="flex justify-end gap-2">
+                <button
+                  onClick={() => setSaving(null)}
+                  className="px-3 py-1.5 text-sm text-slate-300 hover:text-slate-100 border border-slate-600 rounded hover:bg-slate-700"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={save}
+                  className="px-3 py-1.5 text-sm bg-cyan-400 text-slate-900 rounded font-medium hover:bg-cyan-300"
+                >
+                  Save template
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex justify-end gap-2">
+              <input ref={templateInputRef} type="file" accept=".ecproc,.yaml,.yml" onChange={importTemplate} className="hidden" />
+              <button
+                onClick={() => templateInputRef.current?.click()}
+                title="Add an .ecproc file to the team templates"
+                className="flex items-center gap-1 px-3 py-1.5 text-sm text-slate-300 hover:text-slate-100 border border-slate-600 rounded hover:bg-slate-700"
+              >
+                <Upload className="w-4 h-4" />
+                Import template
+              </button>
+              <button
+                onClick={() => setSaving({ category: '', rationale: '' })}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm text-cyan-300 border border-cyan-500/40 rounded hover:bg-cyan-500/10"
+              >
+                <Plus className="w-4 h-4" />
+                Save current as team template
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// === Parameter Sweep ===
+
+const SweepDialog = ({ step, metadata, phases, onExpand, onBatch, onClose }) => {
+  const tech = TECHNIQUES[step.technique];
+  const params = sweepParams(step);
+  const [param, setParam] = useState(params.includes('scan_rate_mV_s') ? 'scan_rate_mV_s' : params[0] ?? TEMPERATURE);
+  const [sweep, setSweep] = useState({ mode: 'list', list: '', start: '', stop: '', count: 5 });
+  const [format, setFormat] = useState('ecproc');
+
+  const { values, error } = sweepValues(sweep);
+  const ready = Boolean(values);
+  const { label, unit } = describeTarget(step, param);
+  const set = (field) => (e) => setSweep({ ...sweep, [field]: e.target.value });
+
+  const downloadZip = () => {
+    const files = batchFiles(metadata, phases, step, param, { mode: sweep.mode, values }, format);
+    const blob = new Blob([createZip(files)], { type: 'application/zip' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${(metadata.name || 'procedure').toLowerCase().replace(/\s+/g, '_')}_sweep.zip`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const inputClass = 'w-full bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-lg max-h-[85vh] flex flex-col bg-slate-800 border border-slate-700 rounded-lg shadow-xl"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-700">
+          <div>
+            <h3 className="font-medium text-slate-100">Sweep {tech.abbrev}</h3>
+            <p className="text-xs text-slate-500">Run the step once per value, inline or as a batch of procedures</p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-200">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="text-xs text-slate-400 block mb-1">Parameter</label>
+              <select value={param} onChange={(e) => setParam(e.target.value)} className={inputClass}>
+                {params.map(key => (
+                  <option key={key} value={key}>{tech.params[key].label}</option>
+                ))}
+                <option value={TEMPERATURE}>Temperature (whole procedure)</option>
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-slate-400 block mb-1">Values</label>
+              <select value={sweep.mode} onChange={set('mode')} className={inputClass}>
+                {Object.entries(SWEEP_MODES).map(([id, name]) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {sweep.mode === 'list' ? (
+            <div>
+              <label className="text-xs text-slate-400 block mb-1">
+                {label}{unit && <span className="ml-1 text-slate-500">({unit})</span>}
+              </label>
+              <input type="text" value={sweep.list} onChange={set('list')} placeholder="e.g., 10, 20, 50, 100" className={inputClass} />
+            </div>
+          ) : (
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <label className="text-xs text-slate-400 block mb-1">Start{unit && ` (${unit})`}</label>
+                <input type="text" inputMode="decimal" value={sweep.start} onChange={set('start')} className={inputClass} />
+              </div>
+              <div>
+                <label className="text-xs text-slate-400 block mb-1">Stop{unit && ` (${unit})`}</label>
+                <input type="text" inputMode="decimal" value={sweep.stop} onChange={set('stop')} className={inputClass} />
+              </div>
+              <div>
+                <label className="text-xs text-slate-400 block mb-1">Points</label>
+                <input type="number" min={2} max={MAX_SWEEP_POINTS} value={sweep.count} onChange={set('count')} className={inputClass} />
+              </div>
+            </div>
+          )}
+
+          <p className={`text-xs font-mono ${ready ? 'text-slate-400' : 'text-rose-400'}`}>
+            {ready ? `${values.length} value${values.length > 1 ? 's' : ''}: ${values.join(', ')}` : error}
+          </p>
+        </div>
+
+        <div className="px-4 py-3 border-t border-slate-700 space-y-2">
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => onExpand(param, values)}
+              disabled={!ready || param === TEMPERATURE}
+              title={param === TEMPERATURE ? 'Temperature applies to the whole procedure — use a batch' : 'Replace the step by one copy per value'}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm bg-cyan-400 text-slate-900 rounded font-medium hover:bg-cyan-300 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <Repeat className="w-4 h-4" />
+              Expand inline
+            </button>
+            <button
+              onClick={() => onBatch(sweepBatch(metadata, phases, step, param, values))}
+              disabled={!ready}
+              title="Add one procedure per value to the workspace"
+              className="flex items-center gap-1 px-3 py-1.5 text-sm text-slate-300 border border-slate-600 rounded hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <FilePlus className="w-4 h-4" />
+              Add {ready ? values.length : ''} procedures
+            </button>
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="text-xs text-slate-500">Batch export</span>
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="bg-slate-700 border border-slate-600 rounded px-2 py-1 text-xs focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+            >
+              {Object.entries(BATCH_FORMATS).map(([id, f]) => (
+                <option key={id} value={id}>{f.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={downloadZip}
+              disabled={!ready}
+              title="One file per value plus manifest.json"
+              className="flex items-center gap-1 px-2 py-1 text-xs bg-cyan-500/10 text-cyan-400 hover:bg-cyan-500/20 rounded disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <Download className="w-3 h-3" />
+              Download .zip
+            </button>
+          </div>
         </div>
       </div>
     </div>
@@ -290,15 +1761,25 @@ const AddStepMenu = ({ onAdd, onClose }) => {
 
 // === Code Output Panel ===
 
-const CodeOutput = ({ format, metadata, steps }) => {
+const CodeOutput = ({ format, metadata, phases, limits }) => {
   const [copied, setCopied] = useState(false);
   const [showDownloadMsg, setShowDownloadMsg] = useState(false);
+  const [resolved, setResolved] = useState(false);
+  const [vendor, setVendor] = useState(() => vendorFormatFor(metadata) ?? 'biologic');
+  const [manualFormat, setManualFormat] = useState('markdown');
 
-  const code = {
-    yaml: () => generateYAML(metadata, steps),
-    python: () => generatePython(metadata, steps),
-    ecdl: () => generateECDL(metadata, steps),
-    ir: () => generateIR(metadata, steps),
+  // .ecproc and Python keep expressions unless resolved values are asked for;
+  // ECDL and IR always carry values
+  const canResolve = (format === 'yaml' || format === 'python') && (metadata.variables ?? []).length > 0;
+  const source = canResolve && resolved ? inlineVariables(metadata, phases) : { metadata, phases };
+  // Vendor methods always carry values, and list what they leave out
+  const exported = format === 'vendor' ? generateVendor(vendor, metadata, phases) : null;
+  const code = exported?.content ?? {
+    yaml: () => generateYAML(source.metadata, source.phases),
+    python: () => generatePython(source.metadata, source.phases),
+    ecdl: () => generateECDL(source.metadata, source.phases),
+    ir: () => generateIR(source.metadata, source.phases, limits),
+    manual: () => (manualFormat === 'html' ? generateManualHTML : generateManualMarkdown)(metadata, phases, limits),
   }[format]();
 
   const copyToClipboard = async () => {
@@ -308,14 +1789,15 @@ const CodeOutput = ({ format, metadata, steps }) => {
   };
 
   const downloadFile = () => {
-    const extensions = { yaml: 'ecproc', python: 'py', ecdl: 'ecdl.json', ir: 'ir.json' };
+    const extensions = { yaml: 'ecproc', python: 'py', ecdl: 'ecdl.json', ir: 'ir.json', manual: manualFormat === 'html' ? 'manual.html' : 'manual.md' };
 
     // Use application/octet-stream to prevent macOS/Safari from auto-opening files
     const blob = new Blob([code], { type: 'application/octet-stream' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${metadata.name.toLowerCase().replace(/\s+/g, '_')}.${extensions[format]}`;
+    const extension = format === 'vendor' ? VENDOR_FORMATS[vendor].extension : extensions[format];
+    a.download = `${metadata.name.toLowerCase().replace(/\s+/g, '_')}.${extension}`;
     a.click();
     URL.revokeObjectURL(url);
 
@@ -328,6 +1810,16 @@ const CodeOutput = ({ format, metadata, steps }) => {
     python: 'Saved! Run from terminal: python3 filename.py (requires: pip install ecproc)',
     ecdl: 'Saved!',
     ir: 'Saved!',
+    vendor: 'Saved! Open or paste it in the instrument software',
+    manual: 'Saved!',
+  };
+
+  // The HTML manual in a new tab, where the browser prints it (or saves a PDF)
+  const openPrintable = () => {
+    const blob = new Blob([generateManualHTML(metadata, phases, limits)], { type: 'text/html' });
+    const url = URL.createObjectURL(blob);
+    window.open(url, '_blank');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
   };
 
   return (
@@ -341,6 +1833,48 @@ const CodeOutput = ({ format, metadata, steps }) => {
             {format === 'python' && 'Run from terminal \u2014 requires: pip install ecproc'}
           </span>
         )}
+        {format === 'vendor' && (
+          <select
+            value={vendor}
+            onChange={(e) => setVendor(e.target.value)}
+            className="px-2 py-1 text-xs bg-slate-700 border border-slate-600 rounded text-slate-200 focus:outline-none focus:border-cyan-500"
+          >
+            {Object.entries(VENDOR_FORMATS).map(([id, target]) => (
+              <option key={id} value={id}>{target.label}</option>
+            ))}
+          </select>
+        )}
+        {format === 'manual' && (
+          <>
+            <select
+              value={manualFormat}
+              onChange={(e) => setManualFormat(e.target.value)}
+              className="px-2 py-1 text-xs bg-slate-700 border border-slate-600 rounded text-slate-200 focus:outline-none focus:border-cyan-500"
+            >
+              <option value="markdown">Markdown</option>
+              <option value="html">HTML</option>
+            </select>
+            <button
+              onClick={openPrintable}
+              className="flex items-center gap-1 px-2 py-1 text-xs text-slate-400 hover:text-slate-200"
+              title="Open the manual in a new tab to print it or save it as PDF"
+            >
+              <Printer className="w-3 h-3" />
+              Print
+            </button>
+          </>
+        )}
+        {canResolve && (
+          <label className="flex items-center gap-1 text-xs text-slate-400" title="Write values instead of expressions over the variables">
+            <input
+              type="checkbox"
+              checked={resolved}
+              onChange={(e) => setResolved(e.target.checked)}
+              className="w-3 h-3 rounded border-slate-600 bg-slate-700 text-cyan-500 focus:ring-cyan-500/50"
+            />
+            Resolved values
+          </label>
+        )}
         <button
           onClick={copyToClipboard}
           className="flex items-center gap-1 px-2 py-1 text-xs text-slate-400 hover:text-slate-200"
@@ -356,6 +1890,17 @@ const CodeOutput = ({ format, metadata, steps }) => {
           Download
         </button>
       </div>
+      {exported?.issues.length > 0 && (
+        <div className="shrink-0 max-h-36 overflow-auto px-3 py-2 border-b border-slate-700 space-y-1">
+          {exported.issues.map((d, i) => (
+            <div key={i} className={`text-xs ${{ [LEVEL.ERROR]: 'text-rose-400', [LEVEL.WARNING]: 'text-amber-400', [LEVEL.INFO]: 'text-cyan-400' }[d.level]}`}>
+              <span className="font-mono">[{d.code}]</span>{' '}
+              {d.location && <span className="text-slate-500">{d.location}: </span>}
+              {d.message}
+            </div>
+          ))}
+        </div>
+      )}
       <pre className="flex-1 p-4 overflow-auto text-sm font-mono text-slate-300 leading-relaxed whitespace-pre-wrap">
         {code}
       </pre>
@@ -363,90 +1908,646 @@ const CodeOutput = ({ format, metadata, steps }) => {
   );
 };
 
+// === Procedure Waveform Panel ===
+
+const ProcedureWaveform = ({ phases }) => {
+  const { segments, collapsed, total_s } = procedureWaveform(phases);
+
+  return (
+    <div className="flex-1 overflow-auto p-4 space-y-3">
+      {segments.length === 0 ? (
+        <p className="text-sm text-slate-500">Add steps to see the applied waveform.</p>
+      ) : (
+        <WaveformPlot segments={segments} collapsed={collapsed} total_s={total_s} />
+      )}
+      {collapsed.length > 0 && (
+        <p className="text-xs text-slate-500">
+          Later repeat iterations are drawn as shaded blocks ({collapsed.map(c => c.label).join(', ')}).
+        </p>
+      )}
+      <div className="space-y-1">
+        {segments.map((s, i) => (
+          <div key={i} className="flex items-center gap-3 text-xs font-mono text-slate-400">
+            <span className="w-20 text-right text-slate-500">{formatDuration(s.t0)}</span>
+            <span className="text-slate-200">{s.label}</span>
+            <span className="truncate text-slate-500">{s.waveform.note}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// === Procedure Timeline Panel ===
+
+const ProcedureTimeline = ({ phases }) => {
+  const { rows, total_s } = procedureTimeline(phases);
+  const total = Math.max(total_s, 1e-9);
+  const assumed = rows.filter(r => r.assumed && !isRepeatBlock(r.node));
+
+  return (
+    <div className="flex-1 overflow-auto p-4 space-y-3">
+      <div className="flex items-baseline justify-between">
+        <span className="text-sm text-slate-300">
+          Total ≈ <span className="font-mono text-slate-100">{formatDuration(total_s)}</span>
+        </span>
+        <span className="text-xs text-slate-500">excludes instrument overhead</span>
+      </div>
+      {rows.length === 0 && (
+        <p className="text-sm text-slate-500">Add steps to see the timeline.</p>
+      )}
+      <div className="space-y-1">
+        {rows.map((row, i) => (
+          <React.Fragment key={i}>
+            {row.depth === 0 && row.phase !== rows[i - 1]?.phase && (
+              <div className="pt-2 text-xs font-medium text-slate-500 uppercase tracking-wider">{row.phase}</div>
+            )}
+            <div className="flex items-center gap-2 text-xs font-mono">
+              <span className="w-28 shrink-0 truncate text-slate-300" style={{ paddingLeft: `${row.depth * 0.75}rem` }}>
+                <span className="text-slate-500">{row.label}</span> {row.name}
+              </span>
+              <div className="relative flex-1 h-4 bg-slate-800 rounded">
+                <div
+                  className={`absolute inset-y-0 rounded ${
+                    isRepeatBlock(row.node) ? 'bg-slate-600/60' :
+                    row.assumed ? 'bg-amber-500/50' : 'bg-cyan-500/60'
+                  }`}
+                  style={{
+                    left: `${(row.start_s / total) * 100}%`,
+                    width: `max(2px, ${(row.duration_s / total) * 100}%)`,
+                  }}
+                />
+              </div>
+              <span className="w-16 shrink-0 text-right text-slate-400" title="Step duration">
+                {formatDuration(row.duration_s)}
+              </span>
+              <span className="w-16 shrink-0 text-right text-slate-500" title="Elapsed at end of step">
+                {formatDuration(row.end_s)}
+              </span>
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+      {assumed.length > 0 && (
+        <p className="text-xs text-amber-400">
+          {assumed.map(r => `${r.label} ${r.name}`).join(', ')}: {assumed[0].note} — set an expected capacity for a better estimate.
+        </p>
+      )}
+    </div>
+  );
+};
+
+// === Safety Limits ===
+
+// "−0.2 to 1.6 V vs RHE, max 10 mA", or '' for a procedure that applies nothing
+const describeEnvelope = ({ window: range, maxCurrent }, reference) => [
+  range ? `${range[0]} to ${range[1]} V vs ${reference}` : '',
+  maxCurrent !== null ? `max ${maxCurrent} mA` : '',
+].filter(Boolean).join(', ');
+
+// Lab-wide limits with the envelope of the open procedure
+const LabLimitsEditor = ({ limits, onChange, envelope, reference }) => (
+  <div className="mt-3">
+    <div className="flex items-center justify-between mb-1">
+      <label className="text-xs text-slate-400">
+        Lab safety limits
+        <span className="ml-1 text-slate-500">(all procedures; potentials vs the procedure&apos;s reference)</span>
+      </label>
+      <span className="text-xs text-slate-500 font-mono" title="Potentials and currents this procedure applies or stops at">
+        {describeEnvelope(envelope, reference) || 'no applied potentials or currents'}
+      </span>
+    </div>
+    <div className="grid grid-cols-3 gap-2">
+      {Object.entries(LAB_LIMIT_FIELDS).map(([key, field]) => (
+        <input
+          key={key}
+          type="number"
+          step="any"
+          value={limits[key] ?? ''}
+          onChange={(e) => onChange({ ...limits, [key]: e.target.value })}
+          placeholder={`${field.label} (${field.unit})`}
+          aria-label={`${field.label} (${field.unit})`}
+          className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+        />
+      ))}
+    </div>
+  </div>
+);
+
+// Rule settings of a profile, one row per registry entry
+const PolicyRules = ({ policy }) => (
+  <div className="mt-2 max-h-64 overflow-y-auto border border-slate-700 rounded">
+    <table className="w-full text-xs">
+      <tbody>
+        {RULES.map((rule, i) => {
+          const { enabled, level, params } = ruleSettings(rule, policy);
+          const changed = level !== rule.level || !enabled ||
+            Object.keys(params).some(name => params[name] !== rule.params[name].default);
+          return (
+            <tr key={i} className={`border-t border-slate-700/50 first:border-t-0 ${enabled ? '' : 'opacity-40'}`}>
+              <td className="px-2 py-1 font-mono text-slate-400 align-top">{rule.code}</td>
+              <td className="px-2 py-1 text-slate-300">
+                {rule.title}
+                <span className="ml-1 text-slate-500">({RULE_SCOPES[rule.scope].toLowerCase()}{rule.locked ? ', locked' : ''})</span>
+                {Object.keys(params).length > 0 && (
+                  <div className="text-slate-500 font-mono">
+                    {Object.entries(params).map(([name, value]) => `${rule.params[name].label} ${value}${rule.params[name].unit ? ` ${rule.params[name].unit}` : ''}`).join(' · ')}
+                  </div>
+                )}
+              </td>
+              <td className={`px-2 py-1 text-right align-top ${changed ? 'text-cyan-400' : 'text-slate-500'}`}>
+                {enabled ? level : 'off'}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  </div>
+);
+
+// Validation policy profiles: pick the active one, load a lab's JSON, export one as a starting point
+const PolicyEditor = ({ policies, policy, onSelect, onAdd, onRemove }) => {
+  const [showRules, setShowRules] = useState(false);
+  const [note, setNote] = useState(null);
+  const inputRef = useRef(null);
+  const changed = changedRules(policy);
+
+  const load = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const { policy: loaded, diagnostics } = parsePolicy(String(event.target?.result ?? ''));
+      if (loaded) onAdd(loaded);
+      setNote({
+        error: !loaded,
+        text: !loaded
+          ? diagnostics[0]?.message ?? 'The file is not a policy profile'
+          : `Loaded "${loaded.name}"` +
+            (diagnostics.length > 0 ? `; ignored: ${diagnostics.map(d => `${d.location ?? ''} ${d.message}`.trim()).join('; ')}` : ''),
+      });
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const exportPolicy = () => {
+    const blob = new Blob([serializePolicy(policy)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${policy.name.replace(/[^\w-]+/g, '_')}.policy.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mt-3">
+      <label className="text-xs text-slate-400 block mb-1">
+        Validation policy
+        <span className="ml-1 text-slate-500">(all procedures)</span>
+      </label>
+      <div className="flex items-center gap-2">
+        <select
+          value={policy.name}
+          onChange={(e) => onSelect(e.target.value)}
+          aria-label="Validation policy"
+          className="flex-1 bg-slate-700 border border-slate-600 rounded px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+        >
+          {policies.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+        </select>
+        <input ref={inputRef} type="file" accept=".json" onChange={load} className="hidden" />
+        <button
+          onClick={() => inputRef.current?.click()}
+          title="Load a policy profile (JSON)"
+          className="p-1.5 text-slate-400 hover:text-slate-200 border border-slate-600 rounded hover:bg-slate-700"
+        >
+          <Upload className="w-4 h-4" />
+        </button>
+        <button
+          onClick={exportPolicy}
+          title="Export this profile with every rule spelled out"
+          className="p-1.5 text-slate-400 hover:text-slate-200 border border-slate-600 rounded hover:bg-slate-700"
+        >
+          <Download className="w-4 h-4" />
+        </button>
+        {policy !== DEFAULT_POLICY && (
+          <button
+            onClick={() => onRemove(policy.name)}
+            title="Remove this profile"
+            className="p-1.5 text-slate-400 hover:text-rose-400 border border-slate-600 rounded hover:bg-slate-700"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+      <div className="flex items-center justify-between mt-1 text-xs text-slate-500">
+        <span>
+          {policy.description}
+          {changed.length > 0 && ` — changes ${changed.join(', ')}`}
+        </span>
+        <button onClick={() => setShowRules(!showRules)} className="shrink-0 ml-2 text-cyan-400 hover:text-cyan-300">
+          {showRules ? 'Hide rules' : 'Show rules'}
+        </button>
+      </div>
+      {note && <p className={`mt-1 text-xs ${note.error ? 'text-rose-400' : 'text-slate-400'}`}>{note.text}</p>}
+      {showRules && <PolicyRules policy={policy} />}
+    </div>
+  );
+};
+
+// === Read-only Viewer ===
+
+const ReadOnlySteps = ({ nodes, reference, labelPrefix = '' }) => (
+  <div className="space-y-2">
+    {nodes.map((node, i) => {
+      const label = labelPrefix ? `${labelPrefix}${i + 1}` : String(i + 1).padStart(2, '0');
+      if (isRepeatBlock(node)) {
+        return (
+          <div key={node.id} className="border border-violet-500/30 rounded-lg p-3 space-y-2">
+            <div className="flex items-center gap-2 text-sm">
+              <span className="text-xs font-mono text-slate-500 w-10">{label}</span>
+              <Repeat className="w-4 h-4 text-violet-400" />
+              <span className="font-medium text-slate-100">Repeat ×{node.count}</span>
+              {node.tag && <span className="text-xs font-mono text-slate-500">{node.tag}</span>}
+            </div>
+            <ReadOnlySteps nodes={node.steps} reference={reference} labelPrefix={`${label}.`} />
+          </div>
+        );
+      }
+      const tech = TECHNIQUES[node.technique];
+      const potentialKeys = potentialParams(node);
+      const currentKeys = currentParams(node);
+      const params = Object.entries(tech.params)
+        .filter(([key]) => node.params[key] !== null && node.params[key] !== undefined && node.params[key] !== '');
+      return (
+        <div key={node.id} className="bg-slate-800 border border-slate-700 rounded-lg p-3">
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-xs font-mono text-slate-500 w-10">{label}</span>
+            <span className="font-medium text-slate-100">{tech.name}</span>
+            <span className="text-xs text-slate-500">{tech.abbrev}</span>
+            {node.tag && <span className="ml-auto text-xs font-mono text-slate-500">{node.tag}</span>}
+          </div>
+          <dl className="mt-2 grid grid-cols-2 sm:grid-cols-3 gap-x-4 gap-y-1 text-xs">
+            {params.map(([key, config]) => {
+              const value = node.params[key];
+              const unit = potentialKeys.includes(key) ? `V vs ${reference}`
+                : currentKeys.includes(key) ? currentUnit(node) : config.unit;
+              return (
+                <div key={key} className="flex justify-between gap-2">
+                  <dt className="text-slate-400">{config.label}</dt>
+                  <dd className="font-mono text-slate-200">
+                    {typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value)}
+                    {unit && !isNaN(value) && typeof value !== 'boolean' ? ` ${unit}` : ''}
+                  </dd>
+                </div>
+              );
+            })}
+          </dl>
+          {stopConditions(node).length > 0 && (
+            <ul className="mt-2 text-xs text-slate-400">
+              {stopConditions(node).map((condition, j) => (
+                <li key={j}>Stop: <span className="font-mono text-slate-200">{describeStopCondition(condition)}</span></li>
+              ))}
+            </ul>
+          )}
+        </div>
+      );
+    })}
+  </div>
+);
+
+// Procedure from a #view=… link; never touches the saved workspace
+const SharedViewer = ({ hash }) => {
+  const [result, setResult] = useState(null);
+  const [limits] = useLabLimits();
+  const { policy } = usePolicies();
+
+  useEffect(() => {
+    let cancelled = false;
+    decodeShareFragment(hash).then(decoded => {
+      if (!cancelled) setResult(decoded);
+    });
+    return () => { cancelled = true; };
+  }, [hash]);
+
+  const openInEditor = () => {
+    const { codec, data } = readShareFragment(hash);
+    window.location.hash = `procedure=${codec}.${data}`;
+  };
+
+  if (!result) {
+    return <div className="h-screen flex items-center justify-center bg-slate-900 text-slate-400 text-sm">Loading shared procedure…</div>;
+  }
+
+  const metadata = { ...DEFAULT_METADATA, ...result.metadata };
+  const phases = result.phases ?? [];
+  const steps = flattenPhases(phases);
+  const issues = [
+    ...collectSteps(steps).flatMap(step => validateStep(step, metadata, limits, policy)),
+    ...validateProcedure(phases, metadata, policy),
+  ];
+  const { errors, warnings } = summarizeIssues(issues);
+  const resolvedPhases = resolveProcedure(phases, metadata);
+  const envelope = safetyEnvelope(resolvedPhases, metadata);
+  const setup = [
+    ['Reference', metadata.reference],
+    ['Electrolyte', metadata.electrolyte],
+    ['Temperature', metadata.temperature ? `${metadata.temperature} °C` : ''],
+    ['Electrodes', `${metadata.electrodes}-electrode`],
+    ['Working electrode', metadata.working_electrode],
+    ['Electrode geometry', [
+      ELECTRODE_TYPES[metadata.electrode_type]?.label,
+      metadata.electrode_area_cm2 ? `${metadata.electrode_area_cm2} cm²` : '',
+      metadata.catalyst_loading_mg_cm2 ? `${metadata.catalyst_loading_mg_cm2} mg/cm²` : '',
+    ].filter(Boolean).join(', ')],
+    ['Counter electrode', metadata.counter_electrode],
+    ['Instrument', instrumentProfile(metadata)?.name],
+    ['Variables', metadata.variables.map(v => `${v.name} = ${v.value}`).join(', ')],
+    ['Safety envelope', describeEnvelope(envelope, metadata.reference)],
+  ].filter(([, value]) => value);
+
+  return (
+    <div className="min-h-screen bg-slate-900 text-slate-100">
+      <header className="border-b border-slate-700 bg-slate-800">
+        <div className="max-w-5xl mx-auto flex items-center justify-between px-4 py-3">
+          <div className="flex items-center gap-2">
+            <div className="w-2 h-2 rounded-full bg-cyan-400" />
+            <span className="font-semibold tracking-tight">ecproc</span>
+            <span className="text-slate-500 font-normal text-sm">read-only view</span>
+          </div>
+          {result.phases && (
+            <button
+              onClick={openInEditor}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm bg-cyan-400 text-slate-900 rounded font-medium hover:bg-cyan-300"
+            >
+              <FileText className="w-4 h-4" />
+              Open in editor
+            </button>
+          )}
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto p-4 space-y-6">
+        {result.diagnostics.length > 0 && (
+          <div className="space-y-1">
+            {result.diagnostics.map((d, i) => (
+              <div key={i} className="flex items-start gap-2 text-xs px-2 py-1.5 rounded bg-amber-500/10 text-amber-400">
+                <AlertCircle className="w-3 h-3 mt-0.5 shrink-0" />
+                <span><span className="font-mono">[{d.code}]</span> {d.message}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {result.phases && (
+          <>
+            <section>
+              <div className="flex items-center gap-3">
+                <h1 className="text-xl font-semibold">{metadata.name}</h1>
+                {errors.length > 0 ? (
+                  <Badge level="error">{errors.length} error{errors.length > 1 ? 's' : ''}</Badge>
+                ) : warnings.length > 0 ? (
+                  <Badge level="warning">{warnings.length} warning{warnings.length > 1 ? 's' : ''}</Badge>
+                ) : (
+                  <Badge level="success">Valid</Badge>
+                )}
+              </div>
+              {metadata.author && <p className="text-sm text-slate-400">{metadata.author}</p>}
+              {metadata.description && <p className="mt-2 text-sm text-slate-300">{metadata.description}</p>}
+              <dl className="mt-3 grid grid-cols-2 sm:grid-cols-3 gap-2 text-sm">
+                {setup.map(([label, value]) => (
+                  <div key={label}>
+                    <dt className="text-xs text-slate-500">{label}</dt>
+                    <dd className="font-mono text-slate-200">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+            </section>
+
+            <section className="space-y-4">
+              {phases.map(phase => (
+                <div key={phase.id}>
+                  <h2 className="mb-2 text-xs font-medium text-slate-500 uppercase tracking-wider">
+                    {phase.name}{phase.role && <span className="ml-2 normal-case text-cyan-400">IR {phase.role}</span>}
+                  </h2>
+                  <ReadOnlySteps nodes={phase.steps} reference={metadata.reference} />
+                </div>
+              ))}
+            </section>
+
+            <section className="border border-slate-700 rounded-lg">
+              <h2 className="px-4 pt-3 text-xs font-medium text-slate-500 uppercase tracking-wider">Applied waveform</h2>
+              <ProcedureWaveform phases={resolvedPhases} />
+            </section>
+
+            <section className="border border-slate-700 rounded-lg">
+              <h2 className="px-4 pt-3 text-xs font-medium text-slate-500 uppercase tracking-wider">Timeline</h2>
+              <ProcedureTimeline phases={resolvedPhases} />
+            </section>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
 // === Main App ===
 
-export default function App() {
+// Value of an optional number input (React keeps partial input such as "0.0" as typed)
+const optionalNumber = (text) => (text === '' ? null : Number(text));
+
+const DEFAULT_METADATA = {
+  name: 'ORR Catalyst Characterization',
+  author: '',
+  description: '',
+  electrodes: 3,
+  reference: 'RHE',
+  electrolyte: '0.1 M HClO4',
+  temperature: 25,
+  working_electrode: '',
+  counter_electrode: '',
+  electrode_type: '',
+  electrode_area_cm2: null,
+  catalyst_loading_mg_cm2: null,
+  instrument: '',
+  variables: [],
+};
+
+function Editor() {
   // State (persisted to localStorage)
-  const [metadata, setMetadata, steps, setSteps] = useLocalStorage(
-    {
-      name: 'ORR Catalyst Characterization',
-      author: '',
-      description: '',
-      electrodes: 3,
-      reference: 'RHE',
-      electrolyte: '0.1 M HClO4',
-      temperature: 25,
-      working_electrode: '',
-      counter_electrode: '',
-    },
+  const [metadata, setMetadata, phases, setPhases, history, workspace] = useLocalStorage(
+    DEFAULT_METADATA,
     [
-      createDefaultStep('purge'),
-      createDefaultStep('ocp'),
-      createDefaultStep('cv'),
-      createDefaultStep('eis'),
+      createPhase('Main', [
+        createDefaultStep('purge'),
+        createDefaultStep('ocp'),
+        createDefaultStep('cv'),
+        createDefaultStep('eis'),
+      ]),
     ]
   );
+  const [labLimits, setLabLimits] = useLabLimits();
+  const policies = usePolicies();
+  const steps = flattenPhases(phases);
+  const resolvedPhases = resolveProcedure(phases, metadata);
   
   const [activeFormat, setActiveFormat] = useState('yaml');
   const [showAddMenu, setShowAddMenu] = useState(false);
+  const [addTarget, setAddTarget] = useState({ parentId: null, phaseId: null });
   const [showMobileMenu, setShowMobileMenu] = useState(false);
+  const [pendingRescale, setPendingRescale] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [showWorkspace, setShowWorkspace] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [sweepStepId, setSweepStepId] = useState(null);
+  const [fixPreview, setFixPreview] = useState(null);
+  const sweepStep = sweepStepId ? collectSteps(steps).find(s => s.id === sweepStepId) : null;
   
   const fileInputRef = useRef(null);
 
   // Handlers
-  const addStep = (techniqueId) => {
-    setSteps([...steps, createDefaultStep(techniqueId)]);
+  const openAddMenu = (parentId = null, phaseId = null) => {
+    setAddTarget({ parentId, phaseId });
+    setShowAddMenu(true);
+  };
+
+  // Add into a repeat block, or append to a phase (default: the last one)
+  const insertIntoProcedure = (node) => {
+    const { parentId, phaseId } = addTarget;
+    if (parentId) {
+      setPhases(mapPhaseSteps(phases, s => insertNode(s, parentId, node)));
+      return;
+    }
+    const targetId = phaseId || phases[phases.length - 1].id;
+    setPhases(phases.map(p => (p.id === targetId ? { ...p, steps: [...p.steps, node] } : p)));
+  };
+
+  const addStep = (techniqueId) => insertIntoProcedure(createDefaultStep(techniqueId));
+
+  const addRepeat = () => insertIntoProcedure(createRepeatBlock());
+
+  const stepActions = {
+    // `field` groups rapid edits of one input into a single undo entry
+    update: (id, node, field) => setPhases(mapPhaseSteps(phases, s => updateNode(s, id, () => node)), field ? `${id}.${field}` : null),
+    remove: (id) => setPhases(mapPhaseSteps(phases, s => removeNode(s, id))),
+    move: (id, direction) => setPhases(moveStepInPhases(phases, id, direction)),
+    wrap: (id) => setPhases(mapPhaseSteps(phases, s => wrapInRepeat(s, id))),
+    unwrap: (id) => setPhases(mapPhaseSteps(phases, s => unwrapRepeat(s, id))),
+    sweep: (id) => setSweepStepId(id),
+    fix: (fix) => setPhases(applyFix(phases, fix)),
+    openAdd: openAddMenu,
+  };
+
+  const phaseActions = {
+    add: () => setPhases([...phases, createPhase(`Phase ${phases.length + 1}`)]),
+    rename: (id, name) => setPhases(phases.map(p => (p.id === id ? { ...p, name } : p)), `${id}.name`),
+    setRole: (id, role) => setPhases(setPhaseRole(phases, id, role)),
+    move: (id, direction) => setPhases(movePhase(phases, id, direction)),
+    remove: (id) => {
+      const phase = phases.find(p => p.id === id);
+      if (phases.length === 1) return;
+      if (phase.steps.length > 0 && !window.confirm(`Remove phase "${phase.name}" and its steps?`)) return;
+      setPhases(phases.filter(p => p.id !== id));
+    },
   };
 
-  const updateStep = (index, newStep) => {
-    const newSteps = [...steps];
-    newSteps[index] = newStep;
-    setSteps(newSteps);
+  // Reference electrode: offer to rescale step potentials to the new scale
+  const changeReference = (reference) => {
+    const from = pendingRescale?.from ?? metadata.reference;
+    setMetadata({ ...metadata, reference });
+    const hasPotentials = collectSteps(steps).some(step => potentialParams(step).some(key => {
+      const value = step.params[key];
+      return value !== null && value !== '' && !isNaN(value);
+    }));
+    setPendingRescale(hasPotentials && from !== reference ? { from, to: reference } : null);
   };
 
-  const removeStep = (index) => {
-    setSteps(steps.filter((_, i) => i !== index));
+  // Electrode type: fill in its typical area when none is set yet
+  const changeElectrodeType = (electrode_type) => {
+    const typical = ELECTRODE_TYPES[electrode_type]?.area_cm2 ?? null;
+    setMetadata({ ...metadata, electrode_type, electrode_area_cm2: metadata.electrode_area_cm2 ?? typical });
   };
 
-  const moveStep = (index, direction) => {
-    const newIndex = index + direction;
-    if (newIndex < 0 || newIndex >= steps.length) return;
-    const newSteps = [...steps];
-    [newSteps[index], newSteps[newIndex]] = [newSteps[newIndex], newSteps[index]];
-    setSteps(newSteps);
+  const applyRescale = () => {
+    const rescaled = rescalePotentials(phases, pendingRescale.from, pendingRescale.to, referenceConditions(metadata));
+    if (rescaled) setPhases(rescaled);
+    setPendingRescale(null);
   };
 
+  const conditions = referenceConditions(metadata);
+  const rheOffset = offsetToRHE(metadata.reference, conditions);
+  const canRescale = pendingRescale !== null &&
+    convertPotential(0, pendingRescale.from, pendingRescale.to, conditions) !== null;
+
   // Validation summary
-  const allStepIssues = steps.flatMap(validateStep);
-  const procIssues = validateProcedure(steps, metadata);
+  const allStepIssues = collectSteps(steps).flatMap(step => validateStep(step, metadata, labLimits, policies.policy)
+    .map(issue => ({ ...issue, step })));
+  const procIssues = validateProcedure(phases, metadata, policies.policy);
   const allIssues = [...allStepIssues, ...procIssues];
-  const { errors, warnings } = summarizeIssues(allIssues);
 
   // File handlers
-  const reconstructSteps = (rawSteps) => {
-    return rawSteps.map((raw) => {
-      const techId = raw.technique;
-      const tech = TECHNIQUES[techId];
-      if (!tech) return null;
-      const step = createDefaultStep(techId);
-      // Map cleaned param keys back to full keys with unit suffixes
-      const paramKeyMap = {};
-      Object.keys(tech.params).forEach((fullKey) => {
-        const cleanKey = fullKey.replace(/_[A-Za-z_]+$/, '');
-        paramKeyMap[cleanKey] = fullKey;
-        paramKeyMap[fullKey] = fullKey;
-      });
-      const params = raw.params || raw;
-      Object.entries(params).forEach(([key, value]) => {
-        const fullKey = paramKeyMap[key] || key;
-        if (fullKey in tech.params && value !== null && value !== undefined) {
-          step.params[fullKey] = value;
-        }
-      });
-      if (raw.tag) step.tag = raw.tag;
-      return step;
-    }).filter(Boolean);
+  // One undo entry for the whole import. Imported steps replace the procedure,
+  // so the fields their file leaves out are cleared rather than kept
+  const applyImport = (result) => {
+    history.update(state => ({
+      metadata: { ...state.metadata, ...(result.phases ? IMPORT_CLEARED_FIELDS : {}), ...result.metadata },
+      phases: result.phases ?? state.phases,
+    }));
+    setPendingRescale(null);
+  };
+
+  // A template opens as a new procedure next to the current one
+  const openTemplate = (template) => {
+    const { metadata: templateMetadata, phases: templatePhases } = instantiateTemplate(template);
+    workspace.add([createEntry(templateMetadata, templatePhases)]);
+    setShowTemplates(false);
+  };
+
+  // Share links (#procedure=…) open through the import dialog, also when
+  // pasted into the address bar of an open editor
+  useEffect(() => {
+    const openShared = async () => {
+      const result = await decodeShareFragment(window.location.hash);
+      if (!result || result.mode !== 'edit') return;
+      window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+      setImportReport({ ...result, fileName: 'Shared link', shared: true });
+    };
+    openShared();
+    window.addEventListener('hashchange', openShared);
+    return () => window.removeEventListener('hashchange', openShared);
+  }, []);
+
+  // A rescale offer belongs to the procedure it was made for
+  useEffect(() => setPendingRescale(null), [workspace.activeId]);
+
+  // Undoing can change the reference, so a pending rescale offer no longer applies
+  const { undo: undoChange, redo: redoChange } = history;
+  const undo = () => {
+    undoChange();
+    setPendingRescale(null);
   };
+  const redo = () => {
+    redoChange();
+    setPendingRescale(null);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (⌘ on macOS), also while typing: inputs are
+  // controlled, so the browser's own per-field undo would fight the history
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      const action = key === 'z' ? (e.shiftKey ? redoChange : undoChange) : key === 'y' ? redoChange : null;
+      if (!action) return;
+      e.preventDefault();
+      action();
+      setPendingRescale(null);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [undoChange, redoChange]);
 
   const handleImport = (e) => {
     const file = e.target.files?.[0];
@@ -454,84 +2555,27 @@ export default function App() {
 
     const reader = new FileReader();
     reader.onload = (event) => {
-      try {
-        const content = event.target?.result;
-        const name = file.name.toLowerCase();
-
-        if (name.endsWith('.ecproc') || name.endsWith('.yaml') || name.endsWith('.yml')) {
-          const data = yaml.load(content);
-          if (data && typeof data === 'object') {
-            if (data.metadata || data.system) {
-              setMetadata((prev) => ({
-                ...prev,
-                name: data.metadata?.protocol || prev.name,
-                author: data.metadata?.author || prev.author,
-                description: data.metadata?.description || prev.description,
-                electrodes: data.system?.electrodes ?? prev.electrodes,
-                reference: data.system?.reference || prev.reference,
-                electrolyte: data.system?.electrolyte || prev.electrolyte,
-                temperature: data.system?.temperature ?? prev.temperature,
-                working_electrode: data.system?.working_electrode || prev.working_electrode,
-                counter_electrode: data.system?.counter_electrode || prev.counter_electrode,
-              }));
-            }
-            // Extract steps from procedure
-            const procSteps = data.procedure?.[0]?.steps;
-            if (Array.isArray(procSteps)) {
-              const imported = procSteps.map((entry) => {
-                const techId = Object.keys(entry).find((k) => k !== 'tag' && TECHNIQUES[k]);
-                if (!techId) return null;
-                const step = createDefaultStep(techId);
-                const paramKeyMap = {};
-                Object.keys(TECHNIQUES[techId].params).forEach((fullKey) => {
-                  const cleanKey = fullKey.replace(/_[A-Za-z_]+$/, '');
-                  paramKeyMap[cleanKey] = fullKey;
-                  paramKeyMap[fullKey] = fullKey;
-                });
-                const rawParams = entry[techId] || {};
-                Object.entries(rawParams).forEach(([key, value]) => {
-                  if (key === 'tag') { step.tag = String(value); return; }
-                  const parsed = typeof value === 'string' ? parseFloat(value) : value;
-                  const fullKey = paramKeyMap[key] || key;
-                  if (fullKey in TECHNIQUES[techId].params) {
-                    step.params[fullKey] = isNaN(parsed) ? value : parsed;
-                  }
-                });
-                if (entry.tag) step.tag = String(entry.tag);
-                return step;
-              }).filter(Boolean);
-              if (imported.length > 0) setSteps(imported);
-            }
-          }
-        } else if (name.endsWith('.json')) {
-          const data = JSON.parse(content);
-          if (data._procedure) {
-            const proc = data._procedure;
-            setMetadata((prev) => ({
-              ...prev,
-              name: proc.name || prev.name,
-              electrodes: proc.system?.electrodes ?? prev.electrodes,
-              reference: proc.system?.reference || prev.reference,
-              electrolyte: proc.system?.electrolyte || prev.electrolyte,
-              temperature: proc.system?.temperature_C ?? proc.system?.temperature ?? prev.temperature,
-              working_electrode: proc.system?.working_electrode || prev.working_electrode,
-              counter_electrode: proc.system?.counter_electrode || prev.counter_electrode,
-            }));
-            if (Array.isArray(proc.steps)) {
-              const imported = reconstructSteps(proc.steps);
-              if (imported.length > 0) setSteps(imported);
-            }
-          }
-        }
-      } catch (err) {
-        console.error('Import failed:', err);
+      const result = importProcedure(file.name, String(event.target?.result ?? ''));
+      if (result.diagnostics.length === 0) {
+        applyImport(result);
+      } else {
+        setImportReport({ ...result, fileName: file.name });
       }
     };
+    reader.onerror = () => {
+      setImportReport({
+        fileName: file.name,
+        metadata: {},
+        phases: null,
+        diagnostics: [{ level: LEVEL.ERROR, code: IMPORT_CODES.SYNTAX, message: 'The file could not be read', location: null }],
+      });
+    };
     reader.readAsText(file);
     e.target.value = '';
   };
 
   return (
+    <EditorContext.Provider value={{ metadata, limits: labLimits, policy: policies.policy, tags: [...stepTags(steps).keys()], procIssues }}>
     <div className="h-screen flex flex-col bg-slate-900 text-slate-100">
       {/* Header */}
       <header className="shrink-0 border-b border-slate-700 bg-slate-800">
@@ -549,20 +2593,63 @@ export default function App() {
           <div className="flex items-center gap-2">
             {/* Validation status */}
             <div className="hidden sm:flex items-center gap-2 mr-2">
-              {errors.length > 0 ? (
-                <Badge level="error">{errors.length} error{errors.length > 1 ? 's' : ''}</Badge>
-              ) : warnings.length > 0 ? (
-                <Badge level="warning">{warnings.length} warning{warnings.length > 1 ? 's' : ''}</Badge>
-              ) : (
-                <Badge level="success">Valid</Badge>
+              {policies.policy !== DEFAULT_POLICY && (
+                <span className="text-xs text-slate-500" title="Validation policy (Experiment Setup)">
+                  {policies.policy.name}
+                </span>
               )}
+              <IssuesMenu
+                issues={allIssues}
+                onFix={stepActions.fix}
+                onFixAll={() => setFixPreview(fixWarnings(phases, metadata, labLimits, policies.policy))}
+              />
             </div>
             
+            {/* Workspace */}
+            <button
+              onClick={() => setShowWorkspace(!showWorkspace)}
+              title="Saved procedures"
+              className={`flex items-center gap-1 px-3 py-1.5 text-sm border border-slate-600 rounded hover:bg-slate-700 ${
+                showWorkspace ? 'text-cyan-400 bg-slate-700' : 'text-slate-300 hover:text-slate-100'
+              }`}
+            >
+              <FolderOpen className="w-4 h-4" />
+              <span className="hidden sm:inline">Procedures</span>
+            </button>
+            <button
+              onClick={() => setShowTemplates(true)}
+              title="Start from a template"
+              className="flex items-center gap-1 px-3 py-1.5 text-sm text-slate-300 hover:text-slate-100 border border-slate-600 rounded hover:bg-slate-700"
+            >
+              <LayoutTemplate className="w-4 h-4" />
+              <span className="hidden sm:inline">Templates</span>
+            </button>
+
+            {/* History */}
+            <button
+              onClick={undo}
+              disabled={!history.canUndo}
+              title="Undo (Ctrl+Z)"
+              className="p-1.5 text-slate-400 hover:text-slate-200 border border-slate-600 rounded hover:bg-slate-700 disabled:opacity-40 disabled:pointer-events-none"
+            >
+              <Undo2 className="w-4 h-4" />
+            </button>
+            <button
+              onClick={redo}
+              disabled={!history.canRedo}
+              title="Redo (Ctrl+Shift+Z)"
+              className="p-1.5 text-slate-400 hover:text-slate-200 border border-slate-600 rounded hover:bg-slate-700 disabled:opacity-40 disabled:pointer-events-none"
+            >
+              <Redo2 className="w-4 h-4" />
+            </button>
+
+            <ShareMenu metadata={metadata} phases={phases} />
+
             {/* File actions */}
             <input
               ref={fileInputRef}
               type="file"
-              accept=".ecproc,.yaml,.yml,.json"
+              accept=".ecproc,.yaml,.yml,.py,.json"
               onChange={handleImport}
               className="hidden"
             />
@@ -587,8 +2674,10 @@ export default function App() {
 
       {/* Main content */}
       <div className="flex-1 flex overflow-hidden">
+        {showWorkspace && <WorkspaceSidebar workspace={workspace} limits={labLimits} policy={policies.policy} />}
+
         {/* Left panel - Editor */}
-        <div className={`${showMobileMenu ? 'hidden' : 'flex'} sm:flex w-full sm:w-1/2 flex-col border-r border-slate-700`}>
+        <div className={`${showMobileMenu ? 'hidden' : 'flex'} sm:flex w-full sm:w-auto sm:flex-1 sm:min-w-0 flex-col border-r border-slate-700`}>
           {/* Metadata */}
           <div className="shrink-0 p-4 border-b border-slate-700 overflow-auto max-h-64">
             <h2 className="text-xs font-medium text-slate-500 uppercase tracking-wider mb-3">
@@ -600,7 +2689,7 @@ export default function App() {
                 <input
                   type="text"
                   value={metadata.name}
-                  onChange={(e) => setMetadata({ ...metadata, name: e.target.value })}
+                  onChange={(e) => setMetadata({ ...metadata, name: e.target.value }, 'metadata.name')}
                   className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
                 />
               </div>
@@ -609,7 +2698,7 @@ export default function App() {
                 <input
                   type="text"
                   value={metadata.electrolyte}
-                  onChange={(e) => setMetadata({ ...metadata, electrolyte: e.target.value })}
+                  onChange={(e) => setMetadata({ ...metadata, electrolyte: e.target.value }, 'metadata.electrolyte')}
                   className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
                   placeholder="e.g., 0.1 M HClO4"
                 />
@@ -619,7 +2708,7 @@ export default function App() {
                 <input
                   type="number"
                   value={metadata.temperature}
-                  onChange={(e) => setMetadata({ ...metadata, temperature: parseFloat(e.target.value) || 25 })}
+                  onChange={(e) => setMetadata({ ...metadata, temperature: parseFloat(e.target.value) || 25 }, 'metadata.temperature')}
                   className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
                 />
               </div>
@@ -627,14 +2716,20 @@ export default function App() {
                 <label className="text-xs text-slate-400 block mb-1">Reference Electrode</label>
                 <select
                   value={metadata.reference}
-                  onChange={(e) => setMetadata({ ...metadata, reference: e.target.value })}
+                  onChange={(e) => changeReference(e.target.value)}
                   className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
                 >
-                  <option value="RHE">RHE</option>
-                  <option value="Ag/AgCl">Ag/AgCl</option>
-                  <option value="SCE">SCE</option>
-                  <option value="Hg/HgO">Hg/HgO</option>
+                  {Object.entries(REFERENCE_ELECTRODES).map(([id, ref]) => (
+                    <option key={id} value={id} title={ref.description}>{ref.label}</option>
+                  ))}
                 </select>
+                {metadata.reference !== 'RHE' && (
+                  <p className="mt-1 text-xs text-slate-500 font-mono">
+                    {rheOffset === null
+                      ? 'RHE scale needs a known pH'
+                      : `E(RHE) = E + ${rheOffset.toFixed(3)} V`}
+                  </p>
+                )}
               </div>
               <div>
                 <label className="text-xs text-slate-400 block mb-1">Electrodes</label>
@@ -647,54 +2742,152 @@ export default function App() {
                   <option value={2}>2-electrode</option>
                 </select>
               </div>
+              <div>
+                <label className="text-xs text-slate-400 block mb-1">Working Electrode Type</label>
+                <select
+                  value={metadata.electrode_type ?? ''}
+                  onChange={(e) => changeElectrodeType(e.target.value)}
+                  className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+                >
+                  <option value="">Not specified</option>
+                  {Object.entries(ELECTRODE_TYPES).map(([id, type]) => (
+                    <option key={id} value={id}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="text-xs text-slate-400 block mb-1">Area (cm²)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={metadata.electrode_area_cm2 ?? ''}
+                    onChange={(e) => setMetadata({ ...metadata, electrode_area_cm2: optionalNumber(e.target.value) }, 'metadata.electrode_area_cm2')}
+                    placeholder="geometric"
+                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+                  />
+                </div>
+                <div>
+                  <label className="text-xs text-slate-400 block mb-1">Loading (mg/cm²)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={metadata.catalyst_loading_mg_cm2 ?? ''}
+                    onChange={(e) => setMetadata({ ...metadata, catalyst_loading_mg_cm2: optionalNumber(e.target.value) }, 'metadata.catalyst_loading_mg_cm2')}
+                    placeholder="catalyst"
+                    className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+                  />
+                </div>
+              </div>
+            </div>
+
+            <ElectrolyteEditor
+              text={metadata.electrolyte}
+              onChange={(electrolyte, field) => setMetadata({ ...metadata, electrolyte }, field)}
+            />
+
+            <div className="mt-3">
+              <label className="text-xs text-slate-400 block mb-1">Instrument</label>
+              <select
+                value={metadata.instrument ?? ''}
+                onChange={(e) => setMetadata({ ...metadata, instrument: e.target.value })}
+                className="w-full bg-slate-700 border border-slate-600 rounded px-2 py-1.5 text-sm focus:outline-none focus:ring-1 focus:ring-cyan-500/50"
+              >
+                <option value="">Any (generic instrument limits)</option>
+                {Object.values(INSTRUMENTS).map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+              </select>
+              {instrumentProfile(metadata) && (
+                <p className="mt-1 text-xs text-slate-500 font-mono">{describeInstrument(instrumentProfile(metadata))}</p>
+              )}
             </div>
+
+            <VariablesEditor
+              variables={metadata.variables ?? []}
+              onChange={(variables, field) => setMetadata({ ...metadata, variables }, field)}
+            />
+
+            <LabLimitsEditor
+              limits={labLimits}
+              onChange={setLabLimits}
+              envelope={safetyEnvelope(resolvedPhases, metadata)}
+              reference={metadata.reference}
+            />
+
+            <PolicyEditor
+              policies={policies.policies}
+              policy={policies.policy}
+              onSelect={policies.select}
+              onAdd={policies.add}
+              onRemove={policies.remove}
+            />
+
+            {/* Rescale offer after a reference change */}
+            {pendingRescale && (
+              <div className="mt-3 flex items-center gap-2 px-3 py-2 text-xs rounded border border-cyan-500/30 bg-cyan-500/10 text-cyan-300">
+                <AlertCircle className="w-3 h-3 shrink-0" />
+                <span className="flex-1">
+                  Reference changed from {pendingRescale.from} to {pendingRescale.to}.{' '}
+                  {canRescale
+                    ? 'Rescale step potentials so they describe the same physical potential?'
+                    : 'Step potentials cannot be rescaled without a known electrolyte pH.'}
+                </span>
+                {canRescale && (
+                  <button onClick={applyRescale} className="px-2 py-0.5 rounded bg-cyan-500/20 hover:bg-cyan-500/30">
+                    Rescale
+                  </button>
+                )}
+                <button onClick={() => setPendingRescale(null)} className="px-2 py-0.5 rounded text-slate-300 hover:text-slate-100">
+                  Keep values
+                </button>
+              </div>
+            )}
           </div>
 
           {/* Steps */}
           <div className="flex-1 overflow-auto p-4">
             <div className="flex items-center justify-between mb-3">
               <h2 className="text-xs font-medium text-slate-500 uppercase tracking-wider">
-                Steps ({steps.length})
+                Steps ({collectSteps(steps).length})
               </h2>
-              <button
-                onClick={() => setShowAddMenu(true)}
-                className="flex items-center gap-1 px-2 py-1 text-xs bg-cyan-500/10 text-cyan-400 border border-cyan-500/30 rounded hover:bg-cyan-500/20"
-              >
-                <Plus className="w-3 h-3" />
-                Add Step
-              </button>
+              <div className="flex gap-2">
+                <button
+                  onClick={phaseActions.add}
+                  className="flex items-center gap-1 px-2 py-1 text-xs text-slate-300 border border-slate-600 rounded hover:bg-slate-700"
+                >
+                  <Plus className="w-3 h-3" />
+                  Add Phase
+                </button>
+                <button
+                  onClick={() => openAddMenu()}
+                  className="flex items-center gap-1 px-2 py-1 text-xs bg-cyan-500/10 text-cyan-400 border border-cyan-500/30 rounded hover:bg-cyan-500/20"
+                >
+                  <Plus className="w-3 h-3" />
+                  Add Step
+                </button>
+              </div>
             </div>
 
-            <div className="space-y-3">
-              {steps.map((step, i) => (
-                <StepEditor
-                  key={step.id}
-                  step={step}
+            <div className="space-y-4">
+              {phases.map((phase, i) => (
+                <PhaseEditor
+                  key={phase.id}
+                  phase={phase}
                   index={i}
-                  total={steps.length}
-                  onUpdate={(s) => updateStep(i, s)}
-                  onRemove={() => removeStep(i)}
-                  onMove={(dir) => moveStep(i, dir)}
+                  total={phases.length}
+                  actions={stepActions}
+                  phaseActions={phaseActions}
                 />
               ))}
             </div>
-
-            {steps.length === 0 && (
-              <div className="text-center py-12 text-slate-500">
-                <p>No steps added yet</p>
-                <button
-                  onClick={() => setShowAddMenu(true)}
-                  className="mt-2 text-cyan-400 hover:underline"
-                >
-                  Add your first step
-                </button>
-              </div>
-            )}
           </div>
         </div>
 
         {/* Right panel - Output */}
-        <div className={`${showMobileMenu ? 'flex' : 'hidden'} sm:flex w-full sm:w-1/2 flex-col`}>
+        <div className={`${showMobileMenu ? 'flex' : 'hidden'} sm:flex w-full sm:w-auto sm:flex-1 sm:min-w-0 flex-col`}>
           {/* Format tabs */}
           <div className="shrink-0 flex border-b border-slate-700">
             {[
@@ -702,6 +2895,10 @@ export default function App() {
               { id: 'python', label: 'Python', icon: Code, desc: 'SDK code' },
               { id: 'ecdl', label: 'ECDL', icon: Database, desc: 'ML-ready' },
               { id: 'ir', label: 'IR', icon: FileJson, desc: 'Intermediate' },
+              { id: 'vendor', label: 'Vendor', icon: Cpu, desc: 'Instrument method' },
+              { id: 'manual', label: 'Manual', icon: BookOpen, desc: 'Printable SOP' },
+              { id: 'waveform', label: 'Waveform', icon: Activity, desc: 'E(t) / I(t)' },
+              { id: 'timeline', label: 'Timeline', icon: Clock, desc: 'Run time' },
             ].map(tab => (
               <button
                 key={tab.id}
@@ -720,7 +2917,13 @@ export default function App() {
           </div>
 
           {/* Code output */}
-          <CodeOutput format={activeFormat} metadata={metadata} steps={steps} />
+          {activeFormat === 'waveform' ? (
+            <ProcedureWaveform phases={resolvedPhases} />
+          ) : activeFormat === 'timeline' ? (
+            <ProcedureTimeline phases={resolvedPhases} />
+          ) : (
+            <CodeOutput format={activeFormat} metadata={metadata} phases={phases} limits={labLimits} />
+          )}
 
           {/* Help footer */}
           <div className="shrink-0 px-4 py-3 border-t border-slate-700 bg-slate-800/50">
@@ -737,15 +2940,94 @@ export default function App() {
               {activeFormat === 'ir' && (
                 <>Faraday Intermediate Representation • SI units • Machine-parseable • Internal format for compilation</>
               )}
+              {activeFormat === 'vendor' && (
+                <>Method for the instrument&apos;s own software • Values resolved, currents converted • Listed items were left out or need doing by hand</>
+              )}
+              {activeFormat === 'manual' && (
+                <>Lab manual for the bench • Numbered instructions, materials, times, safety envelope and sign-off • Print opens a page ready to print or save as PDF</>
+              )}
+              {activeFormat === 'waveform' && (
+                <>Applied signal computed from step parameters • Repeat blocks unrolled • Grey spans apply no signal (OCP, purge)</>
+              )}
+              {activeFormat === 'timeline' && (
+                <>Estimated from step parameters • Repeat blocks show the first iteration inside a bar spanning all of them • Amber bars rest on an assumption</>
+              )}
             </p>
           </div>
         </div>
       </div>
 
+      {/* Import report */}
+      {importReport && (
+        <ImportReportDialog
+          report={importReport}
+          onAccept={() => { applyImport(importReport); setImportReport(null); }}
+          onCancel={() => setImportReport(null)}
+          {...(importReport.shared && {
+            title: 'Open shared procedure',
+            acceptLabel: 'Replace current procedure',
+            onAcceptNew: () => {
+              workspace.add([createEntry(importReport.metadata, importReport.phases)]);
+              setImportReport(null);
+            },
+          })}
+        />
+      )}
+
+      {fixPreview && (
+        <FixPreviewDialog
+          before={phases}
+          preview={fixPreview}
+          onApply={() => { setPhases(fixPreview.phases); setFixPreview(null); }}
+          onCancel={() => setFixPreview(null)}
+        />
+      )}
+
+      {/* Parameter sweep */}
+      {sweepStep && (
+        <SweepDialog
+          step={sweepStep}
+          metadata={metadata}
+          phases={phases}
+          onExpand={(param, values) => {
+            setPhases(expandSweep(phases, sweepStep.id, param, values));
+            setSweepStepId(null);
+          }}
+          onBatch={(runs) => {
+            workspace.add(runs.map(run => createEntry(run.metadata, run.phases)));
+            setSweepStepId(null);
+          }}
+          onClose={() => setSweepStepId(null)}
+        />
+      )}
+
+      {/* Template gallery */}
+      {showTemplates && (
+        <TemplateGallery
+          metadata={metadata}
+          phases={phases}
+          onUse={openTemplate}
+          onClose={() => setShowTemplates(false)}
+        />
+      )}
+
       {/* Add step modal */}
       {showAddMenu && (
-        <AddStepMenu onAdd={addStep} onClose={() => setShowAddMenu(false)} />
+        <AddStepMenu onAdd={addStep} onAddRepeat={addRepeat} onClose={() => setShowAddMenu(false)} />
       )}
     </div>
+    </EditorContext.Provider>
   );
 }
+
+export default function App() {
+  // #view=… links show the read-only viewer instead of the editor
+  const [hash, setHash] = useState(window.location.hash);
+  useEffect(() => {
+    const onHashChange = () => setHash(window.location.hash);
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  return readShareFragment(hash)?.mode === 'view' ? <SharedViewer hash={hash} /> : <Editor />;
+}
@@ -0,0 +1,175 @@
+import React from 'react';
+import { formatDuration } from '../lib/duration';
+
+// Plot area in SVG user units; the SVG stretches to its container
+const WIDTH = 600;
+const HEIGHT = 100;
+
+const TRACKS = {
+  E: { unit: 'V', stroke: '#22d3ee', fill: 'rgba(34, 211, 238, 0.15)' },
+  I: { unit: 'mA', stroke: '#fbbf24', fill: 'rgba(251, 191, 36, 0.15)' },
+};
+
+function segmentSpan(segment) {
+  return segment.duration_s ?? segment.waveform.duration_s;
+}
+
+function valueRange(segments, quantity) {
+  const values = segments
+    .filter(s => s.waveform.quantity === quantity)
+    .flatMap(s => {
+      const { points, band } = s.waveform;
+      return points.flatMap(([, v]) => (band ? [v - band, v + band] : [v]));
+    });
+  if (values.length === 0) return null;
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    const pad = Math.abs(min) * 0.1 || 0.1;
+    min -= pad;
+    max += pad;
+  }
+  const pad = (max - min) * 0.08;
+  return { min: min - pad, max: max + pad };
+}
+
+const Track = ({ quantity, segments, collapsed, total, range, showMarks }) => {
+  const { unit, stroke, fill } = TRACKS[quantity];
+  const x = (t) => (t / total) * WIDTH;
+  const y = (v) => HEIGHT - ((v - range.min) / (range.max - range.min)) * HEIGHT;
+
+  return (
+    <div className="flex items-stretch gap-2">
+      <div className="w-14 shrink-0 flex flex-col justify-between text-right text-[10px] font-mono text-slate-500">
+        <span>{+range.max.toPrecision(3)}</span>
+        <span className="text-slate-400">{quantity} / {unit}</span>
+        <span>{+range.min.toPrecision(3)}</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        className="flex-1 h-20 bg-slate-900/60 rounded border border-slate-700"
+      >
+        {range.min < 0 && range.max > 0 && (
+          <line x1={0} x2={WIDTH} y1={y(0)} y2={y(0)} stroke="#334155" strokeDasharray="4 4" vectorEffect="non-scaling-stroke" />
+        )}
+        {segments.map((segment, i) => {
+          const w = segment.waveform;
+          const span = segmentSpan(segment);
+          if (!w.applied || w.quantity !== quantity) {
+            return (
+              <rect key={i} x={x(segment.t0)} width={x(span)} y={0} height={HEIGHT} fill="rgba(100, 116, 139, 0.12)" />
+            );
+          }
+          const last = w.points.length > 0 ? w.points[w.points.length - 1][0] : 0;
+          const px = (t) => x(segment.t0 + t);
+          const values = w.points.map(([, v]) => v);
+          return (
+            <g key={i}>
+              {w.band && (
+                <rect
+                  x={px(0)} width={px(last) - px(0)}
+                  y={y(values[0] + w.band)} height={y(values[0] - w.band) - y(values[0] + w.band)}
+                  fill={fill}
+                />
+              )}
+              {w.truncatedAt !== null && values.length > 0 && (
+                <rect
+                  x={px(w.truncatedAt)} width={x(segment.t0 + span) - px(w.truncatedAt)}
+                  y={y(Math.max(...values))} height={y(Math.min(...values)) - y(Math.max(...values))}
+                  fill={fill}
+                />
+              )}
+              <polyline
+                points={w.points.map(([t, v]) => `${px(t)},${y(v)}`).join(' ')}
+                fill="none"
+                stroke={stroke}
+                strokeWidth={1.5}
+                vectorEffect="non-scaling-stroke"
+              />
+              {showMarks && w.marks.map(mark => (
+                <line
+                  key={mark.label}
+                  x1={px(mark.t)} x2={px(mark.t)} y1={0} y2={HEIGHT}
+                  stroke="#64748b" strokeDasharray="2 3" vectorEffect="non-scaling-stroke"
+                />
+              ))}
+            </g>
+          );
+        })}
+        {collapsed.map((c, i) => (
+          <rect key={`c${i}`} x={x(c.t0)} width={x(c.duration_s)} y={0} height={HEIGHT} fill="rgba(100, 116, 139, 0.25)" />
+        ))}
+        {segments.length > 1 && segments.map((segment, i) => i > 0 && (
+          <line
+            key={`b${i}`}
+            x1={x(segment.t0)} x2={x(segment.t0)} y1={0} y2={HEIGHT}
+            stroke="#475569" vectorEffect="non-scaling-stroke"
+          />
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+/**
+ * Applied potential/current vs time. Each quantity gets its own track;
+ * spans with no applied signal (OCP, purge) are shaded grey, and periodic
+ * signals too long to draw are shown as a filled envelope.
+ * @param {Array} segments - [{ t0, duration_s, label?, waveform }]
+ * @param {Array} collapsed - [{ t0, duration_s, label }] spans drawn as blocks only
+ */
+export default function WaveformPlot({ segments, collapsed = [], total_s }) {
+  const total = Math.max(total_s ?? segments.reduce((t, s) => Math.max(t, s.t0 + segmentSpan(s)), 0), 1e-9);
+  const quantities = ['E', 'I']
+    .map(q => ({ quantity: q, range: valueRange(segments, q) }))
+    .filter(q => q.range);
+  const single = segments.length === 1 ? segments[0].waveform : null;
+  const labelled = segments.filter(s => s.label && segmentSpan(s) / total > 0.06);
+
+  return (
+    <div className="space-y-1">
+      {quantities.length === 0 && (
+        <div className="h-10 flex items-center justify-center rounded border border-dashed border-slate-700 text-xs text-slate-500">
+          {single?.note || 'No applied signal'}
+        </div>
+      )}
+      {quantities.map(({ quantity, range }) => (
+        <Track
+          key={quantity}
+          quantity={quantity}
+          segments={segments}
+          collapsed={collapsed}
+          total={total}
+          range={range}
+          showMarks={Boolean(single)}
+        />
+      ))}
+      {labelled.length > 0 && (
+        <div className="relative h-4 ml-16 text-[10px] font-mono text-slate-500 overflow-hidden">
+          {labelled.map((s, i) => (
+            <span key={i} className="absolute truncate" style={{ left: `${(s.t0 / total) * 100}%` }}>
+              {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+      {single?.marks.length > 0 && (
+        <div className="relative h-4 ml-16 text-[10px] text-slate-500">
+          {single.marks.map(mark => (
+            <span key={mark.label} className="absolute" style={{ left: `${(mark.t / total) * 100}%` }}>
+              {mark.label}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="flex justify-between ml-16 text-[10px] font-mono text-slate-500">
+        <span>0</span>
+        <span className="text-slate-400 truncate px-2">
+          {single && quantities.length > 0 ? single.note : ''}
+        </span>
+        <span>{formatDuration(total)}</span>
+      </div>
+    </div>
+  );
+}
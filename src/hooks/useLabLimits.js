@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { normalizeLabLimits } from '../lib/safety';
+
+const LIMITS_KEY = 'ecproc-ide-lab-limits';
+
+function loadSaved() {
+  try {
+    return normalizeLabLimits(JSON.parse(localStorage.getItem(LIMITS_KEY)));
+  } catch {
+    // Corrupted data — start without limits
+    return normalizeLabLimits(null);
+  }
+}
+
+/**
+ * Lab-wide safety limits, kept in localStorage and shared by every procedure
+ * @returns {Array} [limits, setLimits] — limits has every field of LAB_LIMIT_FIELDS, null when unset
+ */
+export function useLabLimits() {
+  const [limits, setLimits] = useState(loadSaved);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(LIMITS_KEY, JSON.stringify(limits));
+    } catch {
+      // Storage full or unavailable — silently ignore
+    }
+  }, [limits]);
+
+  return [limits, (next) => setLimits(normalizeLabLimits(next))];
+}
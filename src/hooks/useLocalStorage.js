@@ -1,37 +1,112 @@
-import { useState, useEffect, useRef } from 'react';
-
-const STORAGE_KEY = 'ecproc-ide-state';
-
-export function useLocalStorage(defaultMetadata, defaultSteps) {
-  const [metadata, setMetadata] = useState(() => {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        if (parsed && parsed.metadata && typeof parsed.metadata === 'object') {
-          return { ...defaultMetadata, ...parsed.metadata };
-        }
-      }
-    } catch {
-      // Corrupted data — fall through to default
-    }
-    return defaultMetadata;
-  });
-
-  const [steps, setSteps] = useState(() => {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        if (parsed && Array.isArray(parsed.steps) && parsed.steps.length > 0) {
-          return parsed.steps;
-        }
-      }
-    } catch {
-      // Corrupted data — fall through to default
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createPhase, isPhase } from '../lib/procedure';
+import { createHistory, recordHistory, undoHistory, redoHistory } from '../lib/history';
+import {
+  createEntry, createWorkspace, activeEntry, saveActive, addEntries, duplicateEntry, renameEntry, removeEntry
+} from '../lib/workspace';
+
+const STORAGE_KEY = 'ecproc-ide-state'; // Single procedure, saved before workspaces existed
+const WORKSPACE_KEY = 'ecproc-ide-workspace';
+
+function loadSaved(key) {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : null;
+  } catch {
+    // Corrupted data — fall through to defaults
+    return null;
+  }
+}
+
+const validPhases = (phases) => Array.isArray(phases) && phases.length > 0 && phases.every(isPhase);
+
+function legacyState(defaultMetadata, defaultPhases) {
+  const parsed = loadSaved(STORAGE_KEY);
+  const metadata = parsed && parsed.metadata && typeof parsed.metadata === 'object'
+    ? { ...defaultMetadata, ...parsed.metadata }
+    : defaultMetadata;
+
+  let phases = defaultPhases;
+  if (parsed && validPhases(parsed.phases)) {
+    phases = parsed.phases;
+  } else if (parsed && Array.isArray(parsed.steps) && parsed.steps.length > 0) {
+    // Saved before phases existed — keep the flat step list as one phase
+    phases = [createPhase('Main', parsed.steps)];
+  }
+  return { metadata, phases };
+}
+
+function initialWorkspace(defaultMetadata, defaultPhases) {
+  const saved = loadSaved(WORKSPACE_KEY);
+  if (saved && Array.isArray(saved.procedures)) {
+    const procedures = saved.procedures
+      .filter(p => p && p.id && p.metadata && typeof p.metadata === 'object' && validPhases(p.phases))
+      .map(p => ({ ...p, metadata: { ...defaultMetadata, ...p.metadata } }));
+    if (procedures.length > 0) {
+      return {
+        activeId: procedures.some(p => p.id === saved.activeId) ? saved.activeId : procedures[0].id,
+        procedures,
+      };
     }
-    return defaultSteps;
-  });
+  }
+  // First load with workspaces: the single saved procedure becomes the first entry
+  const { metadata, phases } = legacyState(defaultMetadata, defaultPhases);
+  return createWorkspace([createEntry(metadata, phases)]);
+}
+
+const editorState = (entry) => ({ metadata: entry.metadata, phases: entry.phases });
+
+const resolve = (value, previous) => (typeof value === 'function' ? value(previous) : value);
+
+/**
+ * Saved procedures (the workspace) and the one open in the editor, persisted
+ * to localStorage. The open procedure's metadata and phases are kept in an
+ * undo history; setters take an optional group key so rapid changes with the
+ * same key (typing into one field) become a single undo entry. Opening
+ * another procedure starts a fresh history.
+ * @returns {Array} [metadata, setMetadata, phases, setPhases, history, workspace] where
+ *   history is { update, undo, redo, canUndo, canRedo } — update(fn, group)
+ *   changes metadata and phases together as one entry — and workspace is
+ *   { procedures, activeId, create, open, duplicate, rename, remove, add }
+ */
+export function useLocalStorage(defaultMetadata, defaultPhases) {
+  const [workspace, setWorkspace] = useState(() => initialWorkspace(defaultMetadata, defaultPhases));
+  const [history, setHistory] = useState(() => createHistory(editorState(activeEntry(workspace))));
+  const { metadata, phases } = history.present;
+
+  const update = useCallback((change, group = null) => {
+    const now = Date.now();
+    setHistory(h => recordHistory(h, change(h.present), { group, now }));
+  }, []);
+
+  const setMetadata = useCallback((value, group) => {
+    update(state => ({ ...state, metadata: resolve(value, state.metadata) }), group);
+  }, [update]);
+
+  const setPhases = useCallback((value, group) => {
+    update(state => ({ ...state, phases: resolve(value, state.phases) }), group);
+  }, [update]);
+
+  const undo = useCallback(() => setHistory(undoHistory), []);
+  const redo = useCallback(() => setHistory(redoHistory), []);
+
+  // Keep the open entry in step with the editor
+  useEffect(() => {
+    setWorkspace(ws => saveActive(ws, metadata, phases));
+  }, [metadata, phases]);
+
+  // Apply a workspace change, loading the editor when another procedure opens
+  const changeWorkspace = (transform) => {
+    const next = transform(workspace);
+    setWorkspace(next);
+    if (next.activeId !== workspace.activeId) setHistory(createHistory(editorState(activeEntry(next))));
+  };
+
+  const rename = (id, name) => {
+    // The open procedure's name is part of its (undoable) metadata
+    if (id === workspace.activeId) setMetadata(m => ({ ...m, name }), 'metadata.name');
+    else changeWorkspace(ws => renameEntry(ws, id, name));
+  };
 
   const timerRef = useRef(null);
 
@@ -39,7 +114,7 @@ export function useLocalStorage(defaultMetadata, defaultSteps) {
     if (timerRef.current) clearTimeout(timerRef.current);
     timerRef.current = setTimeout(() => {
       try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify({ metadata, steps }));
+        localStorage.setItem(WORKSPACE_KEY, JSON.stringify(workspace));
       } catch {
         // Storage full or unavailable — silently ignore
       }
@@ -47,7 +122,27 @@ export function useLocalStorage(defaultMetadata, defaultSteps) {
     return () => {
       if (timerRef.current) clearTimeout(timerRef.current);
     };
-  }, [metadata, steps]);
+  }, [workspace]);
 
-  return [metadata, setMetadata, steps, setSteps];
+  return [metadata, setMetadata, phases, setPhases, {
+    update,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  }, {
+    procedures: workspace.procedures,
+    activeId: workspace.activeId,
+    create: () => changeWorkspace(ws => addEntries(ws, [
+      createEntry({ ...defaultMetadata, name: 'Untitled procedure' }, [createPhase('Main')]),
+    ])),
+    open: (id) => changeWorkspace(ws => ({ ...ws, activeId: id })),
+    duplicate: (id) => changeWorkspace(ws => duplicateEntry(ws, id)),
+    rename,
+    remove: (id) => changeWorkspace(ws => removeEntry(ws, id)),
+    add: (entries) => changeWorkspace(ws => addEntries(ws, entries.map(e => ({
+      ...e,
+      metadata: { ...defaultMetadata, ...e.metadata },
+    })))),
+  }];
 }
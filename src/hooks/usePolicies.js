@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+import { DEFAULT_POLICY, parsePolicy } from '../lib/policy';
+
+const POLICIES_KEY = 'ecproc-ide-policies';
+
+function loadSaved() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(POLICIES_KEY));
+    const profiles = (Array.isArray(saved?.profiles) ? saved.profiles : [])
+      .map(profile => parsePolicy(profile).policy)
+      .filter(Boolean);
+    return { profiles, active: typeof saved?.active === 'string' ? saved.active : DEFAULT_POLICY.name };
+  } catch {
+    // Corrupted data — start with the default profile only
+    return { profiles: [], active: DEFAULT_POLICY.name };
+  }
+}
+
+/**
+ * Validation policy profiles, kept in localStorage and shared by every procedure
+ * @returns {Object} { policies, policy, select, add, remove } — policies starts with
+ *   the built-in default, policy is the active one; add(policy) stores a parsed
+ *   profile (replacing one of the same name) and makes it active
+ */
+export function usePolicies() {
+  const [saved, setSaved] = useState(loadSaved);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(POLICIES_KEY, JSON.stringify(saved));
+    } catch {
+      // Storage full or unavailable — silently ignore
+    }
+  }, [saved]);
+
+  const policies = [DEFAULT_POLICY, ...saved.profiles];
+
+  return {
+    policies,
+    policy: policies.find(p => p.name === saved.active) ?? DEFAULT_POLICY,
+    select: (name) => setSaved(s => ({ ...s, active: name })),
+    add: (policy) => {
+      // The built-in name stays with the built-in profile
+      const name = policy.name === DEFAULT_POLICY.name ? `${policy.name} (custom)` : policy.name;
+      setSaved(s => ({
+        profiles: [...s.profiles.filter(p => p.name !== name), { ...policy, name }],
+        active: name,
+      }));
+    },
+    remove: (name) => setSaved(s => ({
+      profiles: s.profiles.filter(p => p.name !== name),
+      active: s.active === name ? DEFAULT_POLICY.name : s.active,
+    })),
+  };
+}
@@ -0,0 +1,41 @@
+import { useState, useEffect, useMemo } from 'react';
+import { createTeamTemplate, teamTemplateEntry, loadTeamTemplate, sortTemplates } from '../lib/templates';
+
+const TEMPLATES_KEY = 'ecproc-ide-templates';
+
+function loadSaved() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TEMPLATES_KEY));
+    return Array.isArray(saved) ? saved.filter(t => t && t.id && typeof t.content === 'string') : [];
+  } catch {
+    // Corrupted data — start without team templates
+    return [];
+  }
+}
+
+/**
+ * Team templates, kept in localStorage as .ecproc text
+ * @returns {Object} { templates, save, add, remove } — templates are loaded
+ *   like built-in ones; save(metadata, phases, { category, rationale }) stores
+ *   a procedure, add(content) stores a template file as is
+ */
+export function useTeamTemplates() {
+  const [saved, setSaved] = useState(loadSaved);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(TEMPLATES_KEY, JSON.stringify(saved));
+    } catch {
+      // Storage full or unavailable — silently ignore
+    }
+  }, [saved]);
+
+  const templates = useMemo(() => sortTemplates(saved.map(loadTeamTemplate)), [saved]);
+
+  return {
+    templates,
+    save: (metadata, phases, template) => setSaved(list => [...list, createTeamTemplate(metadata, phases, template)]),
+    add: (content) => setSaved(list => [...list, teamTemplateEntry(content)]),
+    remove: (id) => setSaved(list => list.filter(t => t.id !== id)),
+  };
+}
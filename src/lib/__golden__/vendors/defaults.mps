@@ -0,0 +1,98 @@
+EC-LAB SETTING FILE
+
+Number of linked techniques : 12
+
+Filename : vendor_golden.mps
+Comments : Vendor Golden - potentials vs Ag/AgCl, currents in mA; written by ecproc IDE
+
+Technique : 1
+Open Circuit Voltage
+tR (h:m:s)          0:01:00.0000
+dER/dt (mV/h)       60.0
+record              <Ewe>
+dtR (s)             1.0000
+
+Technique : 2
+Cyclic Voltammetry
+Ei (V)              0.050
+vs.                 Ref
+dE/dt (mV/s)        50.000
+E1 (V)              1.200
+E2 (V)              0.050
+nc cycles           2
+Ef (V)              0.050
+
+Technique : 3
+Linear Sweep Voltammetry
+Ei (V)              1.000
+vs.                 Ref
+dE/dt (mV/s)        5.000
+EL (V)              0.200
+
+Technique : 4
+Differential Pulse Voltammetry
+Ei (V)              0.000
+vs.                 Ref
+Ef (V)              1.000
+PH (mV)             50.0
+PW (ms)             50.0
+SH (mV)             5.0
+
+Technique : 5
+Square Wave Voltammetry
+Ei (V)              0.000
+vs.                 Ref
+Ef (V)              1.000
+PH (mV)             25.0
+SH (mV)             5.0
+f (Hz)              25.000
+
+Technique : 6
+Chronoamperometry / Chronocoulometry
+Ei (V)              -0.800
+vs.                 Ref
+ti (h:m:s)          0:02:10.0000
+
+Technique : 7
+Linear Sweep Voltammetry
+Ei (V)              -0.800
+vs.                 Ref
+dE/dt (mV/s)        50.000
+EL (V)              0.300
+
+Technique : 8
+Potentio Electrochemical Impedance Spectroscopy
+E (V)               0.000
+vs.                 Eoc
+fi (Hz)             100000
+ff (Hz)             0.1
+Nd                  10
+Points              per decade
+Va (mV)             10.0
+
+Technique : 9
+Chronoamperometry / Chronocoulometry
+Ei (V)              1.500
+vs.                 Ref
+ti (h:m:s)          1:00:00.0000
+dtR (s)             1.0000
+
+Technique : 10
+Chronopotentiometry
+Is (mA)             10.000
+ts (h:m:s)          1:00:00.0000
+Limit Ewe > (V)     2.000
+Limit Ewe < (V)     -0.500
+
+Technique : 11
+Galvanostatic Cycling with Potential Limitation
+Is (mA)             10.000
+EM (V)              1.000
+E min (V)           0.000
+nc cycles           4
+
+Technique : 12
+Chronoamperometry / Chronocoulometry
+Ei (V)              1.000
+vs.                 Ref
+ti (h:m:s)          0:10:00.0000
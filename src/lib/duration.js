@@ -0,0 +1,199 @@
+/**
+ * Duration Model
+ * Estimates the wall-clock time of each technique from its params, and lays
+ * the procedure out as a timeline. Estimates exclude instrument overhead
+ * (cell switching, autoranging), so real runs take somewhat longer.
+ *
+ * GCD time depends on the cell's capacity. When `capacity_mAh` is not set a
+ * 1C rate is assumed (one hour per half-cycle) and the estimate is flagged.
+ */
+
+import { TECHNIQUES } from './techniques';
+import { isRepeatBlock, repeatCount, toPhases, flattenPhases, sumOverSteps } from './procedure';
+import { stopTime } from './stops';
+
+// DPV has no pulse-period param: assume the common 0.5 s interval,
+// or twice the pulse width for long pulses
+const DPV_MIN_INTERVAL_S = 0.5;
+
+// EIS: each frequency is measured for at least this many periods / seconds
+const EIS_CYCLES_PER_POINT = 2;
+const EIS_MIN_POINT_S = 0.5;
+
+// Assumed GCD C-rate when no capacity is given
+const GCD_ASSUMED_C_RATE = 1;
+
+// Parse a param value; unlike `value || fallback`, 0 is kept
+export function num(value, fallback = null) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const nonNegative = (value) => Math.max(0, num(value, 0));
+
+// Time to sweep distanceV at the given rate; 0 if the rate is not positive
+function sweepSeconds(distanceV, rate_mV_s) {
+  const rate = num(rate_mV_s, 0) / 1000;
+  return rate > 0 ? distanceV / rate : 0;
+}
+
+export function cvCycleSeconds(p) {
+  const v1 = num(p.vertex1_V, 0);
+  const v2 = num(p.vertex2_V, 0);
+  const E0 = num(p.start_potential_V, v1);
+  return sweepSeconds(Math.abs(v2 - E0) + Math.abs(v1 - v2) + Math.abs(E0 - v1), p.scan_rate_mV_s);
+}
+
+// Number of potential steps in a DPV/SWV staircase
+export function staircaseSteps(p) {
+  const stepV = num(p.step_height_mV, 0) / 1000;
+  if (stepV <= 0) return 0;
+  const span = Math.abs(num(p.end_V, 0) - num(p.start_V, 0));
+  return Math.max(1, Math.ceil(span / stepV - 1e-9));
+}
+
+export function dpvInterval(p) {
+  return Math.max(DPV_MIN_INTERVAL_S, 2 * num(p.pulse_width_ms, 0) / 1000);
+}
+
+// Log-spaced EIS frequencies from f_start to f_end
+export function eisFrequencies(p) {
+  const fStart = num(p.f_start_Hz, 0);
+  const fEnd = num(p.f_end_Hz, 0);
+  const perDecade = Math.max(1, Math.floor(num(p.points_per_decade, 1)));
+  if (fStart <= 0 || fEnd <= 0) return [];
+  const decades = Math.abs(Math.log10(fStart / fEnd));
+  const count = Math.max(1, Math.round(decades * perDecade)) + 1;
+  return Array.from({ length: count }, (_, i) => fStart * Math.pow(fEnd / fStart, i / (count - 1)));
+}
+
+export function eisSweepSeconds(p) {
+  return eisFrequencies(p).reduce((t, f) => t + Math.max(EIS_CYCLES_PER_POINT / f, EIS_MIN_POINT_S), 0);
+}
+
+/**
+ * GCD half-cycle time from capacity and current
+ * @returns {Object} { seconds, assumed } — assumed is true when no capacity was given
+ */
+export function gcdHalfCycle(p) {
+  const current = Math.abs(num(p.current_mA, 0));
+  const capacity = num(p.capacity_mAh);
+  if (capacity === null || capacity <= 0) return { seconds: 3600 / GCD_ASSUMED_C_RATE, assumed: true };
+  return { seconds: current > 0 ? (capacity / current) * 3600 : 0, assumed: false };
+}
+
+/**
+ * Estimated duration of a single step
+ * @param {Object} step - Step object with technique and params
+ * @returns {Object} { seconds, assumed, note } — assumed marks estimates resting on an assumption
+ */
+export function stepDuration(step) {
+  // A time stop condition ends the step early; other conditions depend on the measurement
+  const estimate = techniqueDuration(step);
+  const limit = stopTime(step);
+  if (limit === null || limit >= estimate.seconds) return estimate;
+  return { seconds: limit, assumed: estimate.assumed, note: [estimate.note, `time stop after ${limit} s`].filter(Boolean).join('; ') };
+}
+
+function techniqueDuration(step) {
+  const p = step.params;
+  const exact = (seconds) => ({ seconds, assumed: false, note: '' });
+
+  switch (step.technique) {
+    case 'cv':
+      return exact(cvCycleSeconds(p) * Math.floor(nonNegative(p.cycles)));
+    case 'lsv':
+      return exact(sweepSeconds(Math.abs(num(p.end_V, 0) - num(p.start_V, 0)), p.scan_rate_mV_s));
+    case 'dpv':
+      return exact(staircaseSteps(p) * dpvInterval(p));
+    case 'swv': {
+      const f = num(p.frequency_Hz, 0);
+      return exact(f > 0 ? staircaseSteps(p) / f : 0);
+    }
+    case 'stripping':
+      return exact(nonNegative(p.deposition_time_s) + nonNegative(p.equilibration_s) +
+        sweepSeconds(Math.abs(num(p.strip_end_V, 0) - num(p.strip_start_V, 0)), p.scan_rate_mV_s));
+    case 'eis':
+      return exact(eisSweepSeconds(p));
+    case 'gcd': {
+      const half = gcdHalfCycle(p);
+      return {
+        seconds: 2 * half.seconds * Math.floor(nonNegative(p.cycles)),
+        assumed: half.assumed,
+        note: half.assumed ? `assumes ${GCD_ASSUMED_C_RATE}C (no capacity set)` : '',
+      };
+    }
+    case 'cc': {
+      // A galvanostatic charge cutoff ends the step early
+      const duration = nonNegative(p.duration_s);
+      const current = Math.abs(num(p.setpoint, 0)) / 1000;
+      const cutoff = num(p.cutoff_C);
+      if (p.mode === 'galvanostatic' && cutoff !== null && current > 0) {
+        return exact(Math.min(duration, cutoff / current));
+      }
+      return exact(duration);
+    }
+    case 'ocp':
+    case 'ca':
+    case 'cp':
+      return exact(nonNegative(p.duration_s));
+    case 'purge':
+      return exact(nonNegative(p.duration_min) * 60);
+    default:
+      return { seconds: 0, assumed: true, note: `unknown technique: ${step.technique}` };
+  }
+}
+
+export function stepSeconds(step) {
+  return stepDuration(step).seconds;
+}
+
+// Total procedure time in seconds, with repeat blocks multiplied out
+export function procedureSeconds(procedure) {
+  return sumOverSteps(flattenPhases(procedure), stepSeconds);
+}
+
+/**
+ * Procedure timeline for a Gantt view. Steps inside a repeat block are placed
+ * within the block's first iteration; the block's own row spans all of them.
+ * Labels are numbered per phase, as in the editor.
+ * @param {Array} procedure - Phases, or an array of steps and repeat blocks
+ * @returns {Object} { rows: [{ node, label, name, depth, phase, start_s, duration_s, end_s, iterations, assumed, note }], total_s }
+ */
+export function procedureTimeline(procedure) {
+  const rows = [];
+
+  const place = (nodes, t0, depth, prefix, phase) => nodes.reduce((t, node, i) => {
+    const label = `${prefix}${i + 1}`;
+    if (isRepeatBlock(node)) {
+      const row = { node, label, name: `Repeat ×${repeatCount(node)}`, depth, phase, start_s: t, iterations: repeatCount(node), assumed: false, note: node.tag || '' };
+      rows.push(row);
+      const first = rows.length;
+      const iteration = place(node.steps, t, depth + 1, `${label}.`, phase) - t;
+      row.duration_s = iteration * repeatCount(node);
+      row.end_s = t + row.duration_s;
+      row.assumed = rows.slice(first).some(r => r.assumed);
+      return row.end_s;
+    }
+    const { seconds, assumed, note } = stepDuration(node);
+    const tech = TECHNIQUES[node.technique];
+    rows.push({ node, label, name: tech?.abbrev ?? node.technique, depth, phase, start_s: t, duration_s: seconds, end_s: t + seconds, iterations: 1, assumed, note });
+    return t + seconds;
+  }, t0);
+
+  const total = toPhases(procedure).reduce((t, phase) => place(phase.steps, t, 0, '', phase.name), 0);
+  return { rows, total_s: total };
+}
+
+/**
+ * Human-readable duration
+ * @param {number} seconds
+ * @returns {string} e.g. "45 s", "12.5 min", "3.2 h"
+ */
+export function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) return '?';
+  if (seconds < 120) return `${+seconds.toFixed(seconds < 10 ? 2 : 1)} s`;
+  if (seconds < 7200) return `${+(seconds / 60).toFixed(1)} min`;
+  return `${+(seconds / 3600).toFixed(1)} h`;
+}
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+  num, stepDuration, stepSeconds, procedureSeconds, procedureTimeline, formatDuration,
+  eisFrequencies, eisSweepSeconds, dpvInterval, staircaseSteps, gcdHalfCycle,
+} from './duration';
+import { createDefaultStep } from './techniques';
+import { createPhase, createRepeatBlock } from './procedure';
+
+const step = (technique, params = {}) => {
+  const s = createDefaultStep(technique);
+  return { ...s, params: { ...s.params, ...params } };
+};
+
+describe('num', () => {
+  it('keeps zero instead of falling back', () => {
+    expect(num(0, 5)).toBe(0);
+    expect(num('0', 5)).toBe(0);
+  });
+
+  it('falls back for empty and non-numeric values', () => {
+    expect(num('', 5)).toBe(5);
+    expect(num(null, 5)).toBe(5);
+    expect(num('OCP', 5)).toBe(5);
+  });
+});
+
+describe('stepDuration', () => {
+  it('CV uses the actual vertices, including 0 V', () => {
+    expect(stepSeconds(step('cv', { vertex1_V: 0, vertex2_V: 1, scan_rate_mV_s: 100, cycles: 3 }))).toBeCloseTo(60);
+  });
+
+  it('CV includes the legs from and back to the start potential', () => {
+    expect(stepSeconds(step('cv', { vertex1_V: 0, vertex2_V: 1, start_potential_V: 0.5, scan_rate_mV_s: 100, cycles: 1 }))).toBeCloseTo(20);
+  });
+
+  it('LSV uses the actual range, including 0 V', () => {
+    expect(stepSeconds(step('lsv', { start_V: 0, end_V: 1, scan_rate_mV_s: 10 }))).toBeCloseTo(100);
+  });
+
+  it('a zero scan rate gives zero rather than Infinity', () => {
+    expect(stepSeconds(step('lsv', { scan_rate_mV_s: 0 }))).toBe(0);
+  });
+
+  it('DPV counts steps at the pulse interval', () => {
+    const params = { start_V: 0, end_V: 1, step_height_mV: 5, pulse_width_ms: 50 };
+    expect(staircaseSteps(params)).toBe(200);
+    expect(dpvInterval(params)).toBe(0.5);
+    expect(stepSeconds(step('dpv', params))).toBeCloseTo(100);
+    expect(dpvInterval({ pulse_width_ms: 400 })).toBeCloseTo(0.8);
+  });
+
+  it('SWV takes one period per step', () => {
+    expect(stepSeconds(step('swv', { start_V: 0, end_V: 1, step_height_mV: 5, frequency_Hz: 25 }))).toBeCloseTo(8);
+  });
+
+  it('stripping sums deposition, equilibration and the strip sweep', () => {
+    expect(stepSeconds(step('stripping', {
+      deposition_time_s: 120, equilibration_s: 10, strip_start_V: -0.8, strip_end_V: 0.2, scan_rate_mV_s: 50,
+    }))).toBeCloseTo(150);
+  });
+
+  it('EIS depends on the lowest frequency and point density', () => {
+    const base = stepSeconds(step('eis', { f_start_Hz: 100000, f_end_Hz: 0.1, points_per_decade: 10 }));
+    expect(base).toBeGreaterThan(90);
+    expect(base).toBeLessThan(300);
+    expect(stepSeconds(step('eis', { f_start_Hz: 100000, f_end_Hz: 0.01, points_per_decade: 10 }))).toBeGreaterThan(5 * base);
+    expect(stepSeconds(step('eis', { f_start_Hz: 100000, f_end_Hz: 0.1, points_per_decade: 5 }))).toBeLessThan(base);
+  });
+
+  it('GCD uses the expected capacity', () => {
+    expect(gcdHalfCycle({ current_mA: 10, capacity_mAh: 5 })).toEqual({ seconds: 1800, assumed: false });
+    expect(stepDuration(step('gcd', { current_mA: 10, capacity_mAh: 5, cycles: 2 }))).toMatchObject({ seconds: 7200, assumed: false });
+  });
+
+  it('GCD without a capacity assumes 1C and says so', () => {
+    const d = stepDuration(step('gcd', { cycles: 2 }));
+    expect(d.seconds).toBe(4 * 3600);
+    expect(d.assumed).toBe(true);
+    expect(d.note).toMatch(/1C/);
+  });
+
+  it('galvanostatic CC stops at the charge cutoff', () => {
+    expect(stepSeconds(step('cc', { mode: 'galvanostatic', setpoint: 2, duration_s: 600, cutoff_C: 0.5 }))).toBeCloseTo(250);
+    expect(stepSeconds(step('cc', { mode: 'potentiostatic', duration_s: 600, cutoff_C: 0.5 }))).toBe(600);
+  });
+
+  it('holds and purge use their durations', () => {
+    expect(stepSeconds(step('ca', { duration_s: 0 }))).toBe(0);
+    expect(stepSeconds(step('ocp', { duration_s: 60 }))).toBe(60);
+    expect(stepSeconds(step('purge', { duration_min: 20 }))).toBe(1200);
+  });
+
+  it('a time stop condition ends the step early', () => {
+    const ca = step('ca', { duration_s: 600 });
+    ca.stop_conditions = [{ when: 'time', value: 120, action: 'next', target: '' }, { when: 'charge', value: 1, action: 'abort', target: '' }];
+    expect(stepDuration(ca)).toEqual({ seconds: 120, assumed: false, note: 'time stop after 120 s' });
+    ca.stop_conditions = [{ when: 'time', value: 900, action: 'next', target: '' }];
+    expect(stepSeconds(ca)).toBe(600);
+  });
+});
+
+describe('EIS frequencies', () => {
+  it('log-spaces frequencies per decade', () => {
+    const f = eisFrequencies({ f_start_Hz: 1000, f_end_Hz: 1, points_per_decade: 2 });
+    expect(f).toHaveLength(7);
+    expect(f[0]).toBeCloseTo(1000);
+    expect(f[6]).toBeCloseTo(1);
+    expect(eisSweepSeconds({ f_start_Hz: 0, f_end_Hz: 1 })).toBe(0);
+  });
+});
+
+describe('procedureSeconds', () => {
+  it('multiplies repeat blocks and sums phases', () => {
+    const phases = [
+      createPhase('Setup', [step('purge', { duration_min: 1 })]),
+      createPhase('Main', [createRepeatBlock(3, [step('ca', { duration_s: 10 })])]),
+    ];
+    expect(procedureSeconds(phases)).toBe(90);
+  });
+});
+
+describe('procedureTimeline', () => {
+  it('gives per-step and cumulative times across phases', () => {
+    const phases = [
+      createPhase('Setup', [step('ocp', { duration_s: 30 })]),
+      createPhase('Main', [step('ca', { duration_s: 60 }), step('ocp', { duration_s: 10 })]),
+    ];
+    const { rows, total_s } = procedureTimeline(phases);
+    expect(rows.map(r => [r.phase, r.label, r.name, r.start_s, r.end_s])).toEqual([
+      ['Setup', '1', 'OCP', 0, 30],
+      ['Main', '1', 'CA', 30, 90],
+      ['Main', '2', 'OCP', 90, 100],
+    ]);
+    expect(total_s).toBe(100);
+  });
+
+  it('spans repeat blocks over all iterations', () => {
+    const block = createRepeatBlock(4, [step('ca', { duration_s: 10 }), step('gcd')]);
+    const { rows, total_s } = procedureTimeline([step('ocp', { duration_s: 5 }), block]);
+    const [, blockRow, ca, gcd] = rows;
+    expect(blockRow).toMatchObject({ label: '2', name: 'Repeat ×4', depth: 0, start_s: 5, iterations: 4, assumed: true });
+    expect(blockRow.duration_s).toBe(4 * (10 + 5 * 7200));
+    expect(ca).toMatchObject({ label: '2.1', depth: 1, start_s: 5, end_s: 15 });
+    expect(gcd).toMatchObject({ label: '2.2', start_s: 15, assumed: true });
+    expect(total_s).toBe(5 + blockRow.duration_s);
+  });
+});
+
+describe('formatDuration', () => {
+  it('picks a readable unit', () => {
+    expect(formatDuration(45)).toBe('45 s');
+    expect(formatDuration(750)).toBe('12.5 min');
+    expect(formatDuration(3 * 3600)).toBe('3 h');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Working Electrode Geometry
+ * Type, geometric area and catalyst loading of the working electrode, and
+ * the currents that depend on them. Current params (CP and GCD current, CC
+ * setpoint in galvanostatic mode) can be entered per step as a current (mA),
+ * a current density (mA/cm²) or a specific current (A/g of catalyst);
+ * exports, checks and previews work on the resulting current in mA.
+ */
+
+import { TECHNIQUES } from './techniques';
+import { mapSteps, mapPhaseSteps } from './procedure';
+import { resolvePhases } from './variables';
+
+// Typical geometric area of each type, and the current density above which
+// DR009 warns (bubbles, film detachment, or Li plating in coin cells)
+export const ELECTRODE_TYPES = {
+  rde: { label: 'RDE (rotating disk)', area_cm2: 0.196, maxDensity_mA_cm2: 50 },
+  gc: { label: 'Glassy carbon', area_cm2: 0.0707, maxDensity_mA_cm2: 50 },
+  foam: { label: 'Foam (Ni, Cu, …)', area_cm2: 1, maxDensity_mA_cm2: 1000 },
+  coin_cell: { label: 'Coin cell', area_cm2: 1.54, maxDensity_mA_cm2: 10 },
+};
+
+// DR009 threshold when no electrode type is set
+export const DEFAULT_MAX_DENSITY = 100;
+
+// Without an area, currents above this still get a DR009 reminder
+export const HIGH_CURRENT_mA = 100;
+
+// Values of a step's current_basis param
+export const CURRENT_BASES = {
+  mA: 'Current',
+  'mA/cm²': 'Current density',
+  'A/g': 'Specific current',
+};
+
+// Current params of a step — CC's setpoint only in galvanostatic mode
+export function currentParams(step) {
+  const tech = TECHNIQUES[step.technique];
+  if (!tech) return [];
+  const keys = Object.entries(tech.params)
+    .filter(([, config]) => config.current)
+    .map(([key]) => key);
+  if (step.technique === 'cc' && step.params.mode === 'galvanostatic') keys.push('setpoint');
+  return keys;
+}
+
+// Unit the step's currents are entered in
+export function currentUnit(step) {
+  return step.params.current_basis in CURRENT_BASES ? step.params.current_basis : 'mA';
+}
+
+const positive = (value) => {
+  const n = typeof value === 'number' ? value : Number(value);
+  return value !== null && value !== '' && Number.isFinite(n) && n > 0 ? n : null;
+};
+
+// Geometric area in cm², or null when not set
+export function electrodeArea(metadata) {
+  return positive(metadata?.electrode_area_cm2);
+}
+
+// Catalyst mass on the electrode in mg, or null without area and loading
+export function catalystMass(metadata) {
+  const area = electrodeArea(metadata);
+  const loading = positive(metadata?.catalyst_loading_mg_cm2);
+  return area === null || loading === null ? null : area * loading;
+}
+
+// Current density above which DR009 warns, in mA/cm²
+export function maxCurrentDensity(metadata) {
+  return ELECTRODE_TYPES[metadata?.electrode_type]?.maxDensity_mA_cm2 ?? DEFAULT_MAX_DENSITY;
+}
+
+// Round away float noise (0.196 * 10 → 1.96)
+function tidy(value) {
+  return Number(value.toPrecision(10));
+}
+
+/**
+ * A current entered in some basis, in mA
+ * @returns {Object} { value } or { error }
+ */
+export function toMilliamps(value, basis, metadata) {
+  if (basis === 'mA/cm²') {
+    const area = electrodeArea(metadata);
+    if (area === null) return { error: 'A current density needs the electrode area (Experiment Setup)' };
+    return { value: tidy(value * area) };
+  }
+  if (basis === 'A/g') {
+    const mass = catalystMass(metadata);
+    if (mass === null) return { error: 'A specific current needs the electrode area and catalyst loading (Experiment Setup)' };
+    // A/g × mg = mA
+    return { value: tidy(value * mass) };
+  }
+  return { value };
+}
+
+/**
+ * Current density of a current, or null without an area
+ * @param {number} current - mA
+ * @returns {number|null} mA/cm²
+ */
+export function currentDensity(current, metadata) {
+  const area = electrodeArea(metadata);
+  return area === null ? null : tidy(current / area);
+}
+
+/**
+ * A step with its current params in mA. Expressions must be resolved first.
+ * @returns {Object} { step, errors } — errors maps param keys to messages; those steps are left as entered
+ */
+export function absoluteCurrents(step, metadata) {
+  const basis = currentUnit(step);
+  if (basis === 'mA') return { step, errors: {} };
+  const errors = {};
+  const params = { ...step.params };
+  currentParams(step).forEach(key => {
+    const value = params[key];
+    if (value === null || value === '' || !Number.isFinite(Number(value))) return;
+    const result = toMilliamps(Number(value), basis, metadata);
+    if (result.error) errors[key] = result.error;
+    else params[key] = result.value;
+  });
+  if (Object.keys(errors).length > 0) return { step, errors };
+  return { step: { ...step, params: { ...params, current_basis: 'mA' } }, errors };
+}
+
+/**
+ * Phases as they will run: expressions evaluated and currents in mA
+ * @param {Array} procedure - Phases, or a flat step list (treated as one "Main" phase)
+ */
+export function resolveProcedure(procedure, metadata) {
+  return mapPhaseSteps(resolvePhases(procedure, metadata?.variables), nodes =>
+    mapSteps(nodes, step => absoluteCurrents(step, metadata).step));
+}
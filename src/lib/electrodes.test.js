@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ELECTRODE_TYPES, currentParams, currentUnit, catalystMass, maxCurrentDensity, toMilliamps, currentDensity,
+  absoluteCurrents, resolveProcedure
+} from './electrodes';
+import { createDefaultStep } from './techniques';
+import { createPhase, createRepeatBlock } from './procedure';
+
+const metadata = { electrode_type: 'rde', electrode_area_cm2: 0.196, catalyst_loading_mg_cm2: 0.25 };
+
+describe('current params', () => {
+  it('lists the currents of galvanostatic steps only', () => {
+    expect(currentParams(createDefaultStep('cp'))).toEqual(['current_mA']);
+    expect(currentParams(createDefaultStep('gcd'))).toEqual(['current_mA']);
+    const cc = createDefaultStep('cc');
+    expect(currentParams(cc)).toEqual([]);
+    cc.params.mode = 'galvanostatic';
+    expect(currentParams(cc)).toEqual(['setpoint']);
+    expect(currentParams(createDefaultStep('ca'))).toEqual([]);
+  });
+
+  it('reads the basis of a step, mA by default', () => {
+    const cp = createDefaultStep('cp');
+    expect(currentUnit(cp)).toBe('mA');
+    cp.params.current_basis = 'A/g';
+    expect(currentUnit(cp)).toBe('A/g');
+    expect(currentUnit(createDefaultStep('ocp'))).toBe('mA');
+  });
+});
+
+describe('electrode geometry', () => {
+  it('gives the catalyst mass only with area and loading', () => {
+    expect(catalystMass(metadata)).toBeCloseTo(0.049);
+    expect(catalystMass({ electrode_area_cm2: 0.196 })).toBeNull();
+    expect(catalystMass({ electrode_area_cm2: 0, catalyst_loading_mg_cm2: 1 })).toBeNull();
+  });
+
+  it('uses the density limit of the electrode type', () => {
+    expect(maxCurrentDensity(metadata)).toBe(ELECTRODE_TYPES.rde.maxDensity_mA_cm2);
+    expect(maxCurrentDensity({ electrode_type: 'coin_cell' })).toBeLessThan(maxCurrentDensity({}));
+  });
+});
+
+describe('converting currents', () => {
+  it('turns densities and specific currents into mA', () => {
+    expect(toMilliamps(10, 'mA/cm²', metadata)).toEqual({ value: 1.96 });
+    expect(toMilliamps(10, 'A/g', metadata)).toEqual({ value: 0.49 });
+    expect(toMilliamps(-5, 'mA', {})).toEqual({ value: -5 });
+    expect(toMilliamps(10, 'mA/cm²', {}).error).toMatch(/electrode area/);
+    expect(toMilliamps(10, 'A/g', { electrode_area_cm2: 1 }).error).toMatch(/catalyst loading/);
+  });
+
+  it('gives the density of a current', () => {
+    expect(currentDensity(1.96, metadata)).toBe(10);
+    expect(currentDensity(1, {})).toBeNull();
+  });
+
+  it('rewrites a step to mA', () => {
+    const cp = createDefaultStep('cp');
+    cp.params.current_basis = 'mA/cm²';
+    cp.params.current_mA = -10;
+    const { step, errors } = absoluteCurrents(cp, metadata);
+    expect(errors).toEqual({});
+    expect(step.params).toMatchObject({ current_mA: -1.96, current_basis: 'mA' });
+    expect(cp.params.current_mA).toBe(-10);
+  });
+
+  it('leaves steps it cannot convert as entered', () => {
+    const gcd = createDefaultStep('gcd');
+    gcd.params.current_basis = 'A/g';
+    const { step, errors } = absoluteCurrents(gcd, {});
+    expect(step).toBe(gcd);
+    expect(Object.keys(errors)).toEqual(['current_mA']);
+  });
+
+  it('resolves variables and currents across a procedure', () => {
+    const cp = createDefaultStep('cp');
+    cp.params.current_basis = 'mA/cm²';
+    cp.params.current_mA = '2 * j';
+    const phases = [createPhase('Main', [createRepeatBlock(2, [cp])])];
+    const resolved = resolveProcedure(phases, { ...metadata, variables: [{ name: 'j', value: 5 }] });
+    expect(resolved[0].steps[0].steps[0].params.current_mA).toBe(1.96);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Electrolyte Model
+ * The free-text electrolyte field (e.g. "0.5 M H2SO4 + 10 mM CuSO4") read
+ * as components, additives, solvent and measured pH, and written back from
+ * them. The text stays what procedures store; parseElectrolyte builds the
+ * model every export and conversion works from.
+ *
+ * Notations read:
+ * - "0.1 M HClO4", "50 mM KOH", "1M KOH", "KOH (1 M)", "0.1 mol/L KCl", "5 wt% Nafion"
+ * - mixtures joined by "+", "," or "and": "1 M KOH + 0.5 M KCl"
+ * - additives after "with", or species at a tenth or less of the most
+ *   concentrated one: "0.5 M H2SO4 + 10 mM CuSO4" has CuSO4 as additive
+ * - the solvent after "in": "0.1 M TBAPF6 in MeCN"; water when none is stated
+ * - a supporting electrolyte after "in": "5 mM K3Fe(CN)6 in 0.1 M KCl",
+ *   "1 mM ferrocene in 0.1 M TBAPF6/MeCN"
+ * - a measured pH anywhere: "0.1 M PBS, pH 7.2", "acetate buffer (pH 4.5)"
+ */
+
+// Known solutes by formula: strong acids and bases (protons or hydroxides per
+// formula unit) set the estimated pH, buffers have a nominal pH, neutral salts
+// a neutral regime; nonaqueous salts imply an organic solvent
+export const SOLUTES = {
+  H2SO4: { name: 'Sulfuric acid', acid: 2 },
+  HClO4: { name: 'Perchloric acid', acid: 1 },
+  HCl: { name: 'Hydrochloric acid', acid: 1 },
+  HNO3: { name: 'Nitric acid', acid: 1 },
+  KOH: { name: 'Potassium hydroxide', base: 1 },
+  NaOH: { name: 'Sodium hydroxide', base: 1 },
+  LiOH: { name: 'Lithium hydroxide', base: 1 },
+  PBS: { name: 'Phosphate-buffered saline', buffer_pH: 7.4, aliases: ['phosphate buffer', 'phosphate-buffered saline'] },
+  KCl: { name: 'Potassium chloride', neutral: true },
+  NaCl: { name: 'Sodium chloride', neutral: true },
+  KNO3: { name: 'Potassium nitrate', neutral: true },
+  Na2SO4: { name: 'Sodium sulfate', neutral: true },
+  K2SO4: { name: 'Potassium sulfate', neutral: true },
+  NaClO4: { name: 'Sodium perchlorate', neutral: true },
+  LiClO4: { name: 'Lithium perchlorate', neutral: true },
+  KHCO3: { name: 'Potassium bicarbonate', neutral: true },
+  NaHCO3: { name: 'Sodium bicarbonate', neutral: true },
+  TBAPF6: { name: 'Tetrabutylammonium hexafluorophosphate', nonaqueous: true, aliases: ['Bu4NPF6', 'NBu4PF6'] },
+  TBAP: { name: 'Tetrabutylammonium perchlorate', nonaqueous: true, aliases: ['TBAClO4', 'Bu4NClO4'] },
+  LiPF6: { name: 'Lithium hexafluorophosphate', nonaqueous: true },
+  LiTFSI: { name: 'Lithium bis(trifluoromethanesulfonyl)imide', nonaqueous: true },
+  Nafion: { name: 'Nafion' },
+};
+
+// Solvents by canonical name with the spellings read for them
+export const SOLVENTS = {
+  water: ['H2O', 'aqueous', 'aq', 'aq.'],
+  acetonitrile: ['MeCN', 'ACN', 'CH3CN'],
+  DMSO: ['dimethyl sulfoxide'],
+  DMF: ['dimethylformamide', 'N,N-dimethylformamide'],
+  'propylene carbonate': ['PC'],
+  dichloromethane: ['DCM', 'CH2Cl2'],
+  THF: ['tetrahydrofuran'],
+  methanol: ['MeOH'],
+  ethanol: ['EtOH'],
+};
+
+// Approximate potential windows of nonaqueous solvents in V vs SCE, as usually
+// tabulated (Pt electrode, 0.1 M tetraalkylammonium salt); they shift with the
+// electrode material and supporting salt. Water's window follows the pH instead.
+export const SOLVENT_WINDOWS = {
+  acetonitrile: { lower_V_SCE: -2.5, upper_V_SCE: 2.5 },
+  DMSO: { lower_V_SCE: -2.8, upper_V_SCE: 1.3 },
+  DMF: { lower_V_SCE: -2.8, upper_V_SCE: 1.5 },
+  'propylene carbonate': { lower_V_SCE: -2.5, upper_V_SCE: 2.5 },
+  dichloromethane: { lower_V_SCE: -1.7, upper_V_SCE: 1.8 },
+  THF: { lower_V_SCE: -3.2, upper_V_SCE: 1.4 },
+  methanol: { lower_V_SCE: -1.0, upper_V_SCE: 1.3 },
+  ethanol: { lower_V_SCE: -1.0, upper_V_SCE: 1.3 },
+};
+
+// Concentration units with their factor to mol/L (null: not a molarity)
+export const CONCENTRATION_UNITS = {
+  M: 1,
+  mM: 1e-3,
+  'µM': 1e-6,
+  nM: 1e-9,
+  'wt%': null,
+  'vol%': null,
+};
+
+// Other spellings of the units (M, mM and nM are read as written)
+const UNIT_SPELLINGS = [
+  [/^mmol\s*(\/\s*[lL]|dm-3)$/, 'mM'],
+  [/^mol\s*(\/\s*[lL]|dm-3)$/, 'M'],
+  [/^[µμu]M$/, 'µM'],
+  [/^(wt\s*\.?\s*)?%$/, 'wt%'],
+  [/^vol\s*\.?\s*%$/, 'vol%'],
+];
+// Longest spellings first so "mol/L" is not read as "M"
+const UNIT = '(?:m?mol\\s*(?:\\/\\s*[lL]|dm-3)|[µμu]M|mM|nM|M|wt\\s*\\.?\\s*%|vol\\s*\\.?\\s*%|%)';
+const NUMBER = '(\\d*\\.?\\d+(?:[eE]-?\\d+)?)';
+const LEADING = new RegExp(`^${NUMBER}\\s*(${UNIT})(?:\\s+|$)(.*)$`);
+const TRAILING = new RegExp(`^(.+?)\\s*\\(?\\s*${NUMBER}\\s*(${UNIT})\\s*\\)?$`);
+
+const unitOf = (text) => UNIT_SPELLINGS.find(([pattern]) => pattern.test(text))?.[1] ?? text;
+
+const lookup = (table, text) => {
+  const key = text.toLowerCase();
+  return Object.keys(table).find(name => name.toLowerCase() === key ||
+    (Array.isArray(table[name]) ? table[name] : table[name].aliases ?? []).some(alias => alias.toLowerCase() === key));
+};
+
+// Canonical formula of a known solute ("perchloric acid" → HClO4, "PBS buffer" → PBS), else the text
+export function canonicalSolute(text) {
+  const bySpelling = lookup(SOLUTES, text) ??
+    Object.keys(SOLUTES).find(formula => SOLUTES[formula].name.toLowerCase() === text.toLowerCase());
+  if (bySpelling) return bySpelling;
+  const firstWord = text.split(/\s+/)[0];
+  return (firstWord !== text && lookup(SOLUTES, firstWord)) || text;
+}
+
+// Canonical name of a known solvent ("MeCN" → acetonitrile), else the text
+export function canonicalSolvent(text) {
+  return lookup(SOLVENTS, text) ?? text;
+}
+
+// One species: "0.1 M HClO4" → { solute, concentration, unit }
+function readSpecies(text) {
+  const leading = text.match(LEADING);
+  if (leading && leading[3].trim()) {
+    return { solute: canonicalSolute(leading[3].trim()), concentration: Number(leading[1]), unit: unitOf(leading[2]) };
+  }
+  const trailing = text.match(TRAILING);
+  if (trailing) return { solute: canonicalSolute(trailing[1].trim()), concentration: Number(trailing[2]), unit: unitOf(trailing[3]) };
+  return { solute: canonicalSolute(text), concentration: null, unit: 'M' };
+}
+
+// Concentration in mol/L, or null when none is given or the unit is not a molarity
+export function molarity({ concentration, unit }) {
+  const factor = CONCENTRATION_UNITS[unit];
+  return concentration === null || concentration === undefined || !factor ? null : Number((concentration * factor).toPrecision(12));
+}
+
+/**
+ * Read the free-text electrolyte field
+ * @param {string} text - e.g. "0.5 M H2SO4 + 10 mM CuSO4"
+ * @returns {Object} { components, additives, solvent, ph } — species are
+ *   { solute, concentration, unit }; solvent is null when it cannot be told
+ *   (a nonaqueous salt with no solvent named); ph is the measured pH or null
+ */
+export function parseElectrolyte(text) {
+  let rest = String(text ?? '').trim();
+  if (!rest) return { components: [], additives: [], solvent: null, ph: null };
+
+  let ph = null;
+  rest = rest.replace(/[(,;]?\s*\bpH\s*[=:]?\s*(\d*\.?\d+)\s*\)?/, (_, value) => {
+    ph = Number(value);
+    return '';
+  });
+
+  // "in" names the solvent, or the supporting electrolyte the rest is dissolved
+  // in ("5 mM K3Fe(CN)6 in 0.1 M KCl", "1 mM ferrocene in 0.1 M TBAPF6/MeCN")
+  let solvent = null;
+  let supporting = null;
+  rest = rest.replace(/\s+(?:dissolved\s+)?in\s+(.+)$/i, (_, tail) => {
+    const name = tail.trim().replace(/[,;.]$/, '');
+    const [, salt, after] = name.match(/^(.*\S)\s*\/\s*([^/]+)$/) ?? [];
+    if (lookup(SOLVENTS, name)) solvent = lookup(SOLVENTS, name);
+    else if (after && lookup(SOLVENTS, after)) [solvent, supporting] = [lookup(SOLVENTS, after), salt];
+    else if (LEADING.test(name) || TRAILING.test(name)) supporting = name;
+    else solvent = name;
+    return '';
+  });
+  if (supporting) rest = `${supporting} + ${rest}`;
+  // "(aq)", "aqueous" name water without "in"
+  rest = rest.replace(/\s*\(aq\.?\)|\s+aq\.?$|^aqueous\s+|\s+aqueous$/gi, () => {
+    solvent = solvent ?? 'water';
+    return '';
+  });
+
+  const [main, extra = ''] = rest.split(/\s+with\s+/i);
+  const species = (part) => part
+    .split(/\s*\+\s*(?=[\d.])|\s+\+\s+|\s*[,;]\s*|\s+and\s+/i)
+    .map(piece => piece.trim().replace(/^\(\s*\)$/, '').replace(/\s*\(\s*\)$/, ''))
+    .filter(Boolean)
+    .map(readSpecies);
+
+  // Species at a tenth or less of the most concentrated one are additives
+  const listed = species(main);
+  const strongest = Math.max(...listed.map(molarity).filter(m => m !== null), 0);
+  const minor = (s) => molarity(s) !== null && strongest > 0 && molarity(s) <= strongest / 10;
+  const components = listed.filter(s => !minor(s));
+  const additives = [...listed.filter(minor), ...species(extra)];
+
+  if (!solvent) {
+    const known = [...components, ...additives].map(s => SOLUTES[s.solute]).filter(Boolean);
+    solvent = known.length > 0 && known.every(s => s.nonaqueous) ? null : 'water';
+  }
+  return { components, additives, solvent, ph };
+}
+
+/**
+ * Write a model back as text that parseElectrolyte reads to the same model
+ * @returns {string} e.g. "0.5 M H2SO4 with 10 mM CuSO4, pH 0.3"
+ */
+export function formatElectrolyte({ components = [], additives = [], solvent = null, ph = null }) {
+  const species = (list) => list
+    .filter(s => s.solute && s.solute.trim())
+    .map(s => (s.concentration === null || s.concentration === undefined || s.concentration === ''
+      ? s.solute.trim()
+      : `${s.concentration} ${s.unit || 'M'} ${s.solute.trim()}`))
+    .join(' + ');
+  const main = species(components);
+  const extra = species(additives);
+  return [
+    main,
+    extra && (main ? ` with ${extra}` : extra),
+    solvent && solvent !== 'water' ? ` in ${solvent}` : '',
+    ph !== null && ph !== undefined && ph !== '' ? `${main || extra ? ', ' : ''}pH ${ph}` : '',
+  ].join('');
+}
+
+// Main solute: the first component (or additive when there is none)
+export function mainSpecies(model) {
+  return model.components[0] ?? model.additives[0] ?? null;
+}
+
+/**
+ * pH estimated from strong acids, bases and buffers, clamped to 0–14
+ * @returns {number|null} null without an aqueous solvent or a solute that sets the pH
+ */
+export function estimatedPH(model) {
+  if (model.solvent !== 'water') return null;
+  const species = [...model.components, ...model.additives];
+  const buffer = species.find(s => SOLUTES[s.solute]?.buffer_pH !== undefined);
+  if (buffer) return SOLUTES[buffer.solute].buffer_pH;
+  // Net strong acid (positive) or base (negative) in mol/L; 0.1 M when no concentration is given
+  let net = 0;
+  let any = false;
+  species.forEach(s => {
+    const { acid = 0, base = 0 } = SOLUTES[s.solute] ?? {};
+    if (!acid && !base) return;
+    any = true;
+    net += (acid - base) * (molarity(s) ?? 0.1);
+  });
+  if (!any || net === 0) return null;
+  return net > 0 ? Math.max(0, -Math.log10(net)) : Math.min(14, 14 + Math.log10(-net));
+}
+
+// pH for conversions and exports: the measured one, else the estimate
+export function electrolytePH(model) {
+  return model.ph ?? estimatedPH(model);
+}
+
+/**
+ * @returns {string} 'acidic', 'neutral', 'alkaline', 'non-aqueous' or 'unknown'
+ */
+export function electrolyteRegime(model) {
+  // No solvent is known for an empty model or a nonaqueous salt on its own
+  if (model.solvent === null) return model.components.length > 0 ? 'non-aqueous' : 'unknown';
+  if (model.solvent !== 'water') return 'non-aqueous';
+  const ph = electrolytePH(model);
+  if (ph === null) {
+    const known = model.components.map(s => SOLUTES[s.solute]);
+    return known.length > 0 && known.every(s => s?.neutral) ? 'neutral' : 'unknown';
+  }
+  if (ph < 4) return 'acidic';
+  if (ph > 10) return 'alkaline';
+  return 'neutral';
+}
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseElectrolyte, formatElectrolyte, molarity, mainSpecies, estimatedPH, electrolytePH, electrolyteRegime
+} from './electrolyte';
+
+const model = (text) => parseElectrolyte(text);
+
+describe('parseElectrolyte', () => {
+  it('reads single electrolytes', () => {
+    expect(model('0.1 M HClO4')).toEqual({
+      components: [{ solute: 'HClO4', concentration: 0.1, unit: 'M' }],
+      additives: [],
+      solvent: 'water',
+      ph: null,
+    });
+    expect(mainSpecies(model('1M KOH'))).toEqual({ solute: 'KOH', concentration: 1, unit: 'M' });
+    expect(mainSpecies(model('PBS buffer'))).toEqual({ solute: 'PBS', concentration: null, unit: 'M' });
+  });
+
+  it('reads concentration units', () => {
+    expect(mainSpecies(model('50 mM KOH'))).toMatchObject({ concentration: 50, unit: 'mM' });
+    expect(molarity(mainSpecies(model('50 mM KOH')))).toBe(0.05);
+    expect(molarity(mainSpecies(model('0.1 mol/L KCl')))).toBe(0.1);
+    expect(molarity(mainSpecies(model('200 µM dopamine')))).toBe(0.0002);
+    expect(mainSpecies(model('KOH (1 M)'))).toMatchObject({ solute: 'KOH', concentration: 1 });
+    expect(mainSpecies(model('5 wt% Nafion'))).toMatchObject({ solute: 'Nafion', unit: 'wt%' });
+    expect(molarity(mainSpecies(model('5 wt% Nafion')))).toBeNull();
+  });
+
+  it('names known solutes by formula', () => {
+    expect(mainSpecies(model('0.5 M sulfuric acid')).solute).toBe('H2SO4');
+    expect(mainSpecies(model('0.1 M Bu4NPF6 in MeCN')).solute).toBe('TBAPF6');
+    expect(mainSpecies(model('seawater')).solute).toBe('seawater');
+  });
+
+  it('splits mixtures into components and additives', () => {
+    const mixed = model('0.5 M H2SO4 + 10 mM CuSO4');
+    expect(mixed.components.map(s => s.solute)).toEqual(['H2SO4']);
+    expect(mixed.additives).toEqual([{ solute: 'CuSO4', concentration: 10, unit: 'mM' }]);
+
+    expect(model('1 M KOH + 0.5 M KCl').components.map(s => s.solute)).toEqual(['KOH', 'KCl']);
+    expect(model('0.1 M KCl with 0.1 M K3[Fe(CN)6]').additives.map(s => s.solute)).toEqual(['K3[Fe(CN)6]']);
+  });
+
+  it('reads the solvent', () => {
+    expect(model('0.1 M TBAPF6 in MeCN').solvent).toBe('acetonitrile');
+    expect(model('1 M LiPF6 in EC/DMC (1:1)').solvent).toBe('EC/DMC (1:1)');
+    expect(model('0.5 M NaCl (aq)')).toMatchObject({ solvent: 'water', components: [{ solute: 'NaCl' }] });
+    // A supporting electrolyte after "in" is a species, not the solvent
+    expect(model('5 mM K3Fe(CN)6 in 0.1 M KCl')).toEqual({
+      components: [{ solute: 'KCl', concentration: 0.1, unit: 'M' }],
+      additives: [{ solute: 'K3Fe(CN)6', concentration: 5, unit: 'mM' }],
+      solvent: 'water',
+      ph: null,
+    });
+    expect(model('1 mM ferrocene in 0.1 M TBAPF6/MeCN')).toEqual({
+      components: [{ solute: 'TBAPF6', concentration: 0.1, unit: 'M' }],
+      additives: [{ solute: 'ferrocene', concentration: 1, unit: 'mM' }],
+      solvent: 'acetonitrile',
+      ph: null,
+    });
+    // A nonaqueous salt without a solvent named
+    expect(model('1 M LiPF6').solvent).toBeNull();
+  });
+
+  it('reads a measured pH', () => {
+    expect(model('0.1 M acetate buffer (pH 4.5)')).toMatchObject({
+      components: [{ solute: 'acetate buffer', concentration: 0.1 }],
+      ph: 4.5,
+    });
+    expect(model('0.1 M PBS, pH 7.2').ph).toBe(7.2);
+  });
+
+  it('returns an empty model for no text', () => {
+    expect(model('')).toEqual({ components: [], additives: [], solvent: null, ph: null });
+  });
+});
+
+describe('formatElectrolyte', () => {
+  it('writes text that reads back to the same model', () => {
+    const texts = [
+      '0.5 M H2SO4 + 10 mM CuSO4', '0.1 M TBAPF6 in MeCN', '0.1 M PBS, pH 7.2', '1 M KOH + 0.5 M KCl',
+      '5 mM K3Fe(CN)6 in 0.1 M KCl', '1 mM ferrocene in 0.1 M TBAPF6/MeCN',
+    ];
+    texts.forEach(text => expect(model(formatElectrolyte(model(text)))).toEqual(model(text)));
+    expect(formatElectrolyte(model('0.5 M H2SO4 + 10 mM CuSO4'))).toBe('0.5 M H2SO4 with 10 mM CuSO4');
+    expect(formatElectrolyte(model('0.1 M TBAPF6 in MeCN, pH 7'))).toBe('0.1 M TBAPF6 in acetonitrile, pH 7');
+  });
+
+  it('leaves out species without a solute', () => {
+    expect(formatElectrolyte({ components: [{ solute: 'KOH', concentration: 1, unit: 'M' }, { solute: '', concentration: 2, unit: 'M' }] }))
+      .toBe('1 M KOH');
+  });
+});
+
+describe('pH and regime', () => {
+  it('estimates acidic and alkaline pH', () => {
+    expect(estimatedPH(model('0.1 M HClO4'))).toBeCloseTo(1);
+    expect(estimatedPH(model('0.5 M H2SO4'))).toBeCloseTo(0);
+    expect(estimatedPH(model('1 M KOH'))).toBeCloseTo(14);
+    expect(estimatedPH(model('50 mM KOH'))).toBeCloseTo(12.7);
+    expect(estimatedPH(model('0.5 M H2SO4 + 10 mM CuSO4'))).toBeCloseTo(0);
+    expect(estimatedPH(model('PBS'))).toBe(7.4);
+  });
+
+  it('has no pH estimate for salts and nonaqueous electrolytes', () => {
+    expect(estimatedPH(model('0.1 M KCl'))).toBeNull();
+    expect(estimatedPH(model('0.1 M HClO4 in MeCN'))).toBeNull();
+  });
+
+  it('prefers the measured pH', () => {
+    expect(electrolytePH(model('0.1 M KHCO3, pH 6.8'))).toBe(6.8);
+    expect(electrolytePH(model('0.1 M HClO4, pH 1.2'))).toBe(1.2);
+  });
+
+  it('classifies regimes', () => {
+    expect(electrolyteRegime(model('0.1 M HClO4'))).toBe('acidic');
+    expect(electrolyteRegime(model('PBS'))).toBe('neutral');
+    expect(electrolyteRegime(model('1 M Na2SO4'))).toBe('neutral');
+    expect(electrolyteRegime(model('0.1 M KOH'))).toBe('alkaline');
+    expect(electrolyteRegime(model('0.1 M TBAPF6 in MeCN'))).toBe('non-aqueous');
+    expect(electrolyteRegime(model('1 M LiPF6'))).toBe('non-aqueous');
+    expect(electrolyteRegime(model('5 mM K3Fe(CN)6 in 0.1 M KCl'))).toBe('neutral');
+    expect(electrolyteRegime(model('seawater'))).toBe('unknown');
+    expect(electrolyteRegime(model(''))).toBe('unknown');
+  });
+});
@@ -4,19 +4,33 @@
  * - Python SDK
  * - ECDL JSON
  * - Faraday IR JSON
+ * - Lab manual (Markdown, printable HTML)
+ * - Share link payload
  */
 
 import { TECHNIQUES } from './techniques';
+import { parseElectrolyte, molarity, mainSpecies, electrolytePH, electrolyteRegime } from './electrolyte';
+import { referenceConditions, offsetToRHE, potentialParams, stepPotentialsRHE } from './potentials';
+import { isRepeatBlock, collectSteps, sumOverSteps, repeatCount, toPhases, flattenPhases } from './procedure';
+import { procedureSeconds, stepDuration, formatDuration } from './duration';
+import { isExpression, parseExpression, resolveVariables, resolveStep, toPythonExpression } from './variables';
+import { ELECTRODE_TYPES, absoluteCurrents, currentParams, currentUnit, electrodeArea, resolveProcedure } from './electrodes';
+import { normalizeLabLimits, safetyEnvelope, stepCutoffs } from './safety';
+import { STOP_WHEN, stopConditions, stopConditionError, describeStopCondition } from './stops';
+import { instrumentProfile, irInstrument, describeInstrument, formatFrequency } from './instruments';
 
 // Strip only known unit suffixes from param keys (longest first to avoid partial matches)
-function cleanParamKey(key) {
+export function cleanParamKey(key) {
   return key.replace(/_(mV_s|mL_min|mV_min|mV|ms|mA|Hz|min|V|s|C)$/, '');
 }
 
 /**
  * Generate .ecproc YAML format
+ * @param {Object} metadata - Procedure metadata
+ * @param {Array} procedure - Phases, or a flat step list (treated as one "Main" phase)
+ * @param {Object} [template] - { category, rationale } to write the procedure as a template
  */
-export function generateYAML(metadata, steps) {
+export function generateYAML(metadata, procedure, template = null) {
   const m = {
     ...metadata,
     name: sanitizeString(metadata.name),
@@ -24,6 +38,8 @@ export function generateYAML(metadata, steps) {
     description: sanitizeString(metadata.description),
     electrolyte: sanitizeString(metadata.electrolyte),
   };
+  const scale = potentialScale(metadata);
+  const { scope } = resolveVariables(metadata.variables);
   const lines = [];
 
   // Header comment
@@ -39,54 +55,125 @@ export function generateYAML(metadata, steps) {
   if (m.description) lines.push(`  description: "${escapeYaml(m.description)}"`);
   lines.push('');
 
+  // Template section (gallery category and why the procedure is set up this way)
+  if (template) {
+    lines.push('template:');
+    lines.push(`  category: "${escapeYaml(sanitizeString(template.category))}"`);
+    lines.push(`  rationale: "${escapeYaml(sanitizeString(template.rationale, 2000))}"`);
+    lines.push('');
+  }
+
   // System section
   lines.push('system:');
   lines.push(`  electrodes: ${m.electrodes}`);
   lines.push(`  reference: ${m.reference}`);
+  lines.push(`  potential_scale: "V vs ${m.reference}"`);
+  if (m.reference !== 'RHE' && scale.offsetRHE !== null) {
+    lines.push(`  rhe_offset_V: ${scale.offsetRHE}  # E vs RHE = E vs ${m.reference} + offset (${describeConditions(scale)})`);
+  }
   if (m.electrolyte) lines.push(`  electrolyte: "${escapeYaml(m.electrolyte)}"`);
   if (m.temperature) lines.push(`  temperature: ${m.temperature} °C`);
   if (m.working_electrode) lines.push(`  working_electrode: "${escapeYaml(m.working_electrode)}"`);
   if (m.counter_electrode) lines.push(`  counter_electrode: "${escapeYaml(m.counter_electrode)}"`);
+  if (m.electrode_type) lines.push(`  electrode_type: ${m.electrode_type}`);
+  if (m.electrode_area_cm2) lines.push(`  electrode_area_cm2: ${m.electrode_area_cm2}`);
+  if (m.catalyst_loading_mg_cm2) lines.push(`  catalyst_loading_mg_cm2: ${m.catalyst_loading_mg_cm2}`);
+  const instrument = instrumentProfile(m);
+  if (instrument) lines.push(`  instrument: ${instrument.id}  # ${instrument.name}`);
   lines.push('');
+
+  // Variables section (params below may be expressions over these)
+  if (Object.keys(scope).length > 0) {
+    lines.push('variables:');
+    Object.entries(scope).forEach(([name, value]) => lines.push(`  ${name}: ${value}`));
+    lines.push('');
+  }
   
   // Procedure section
   lines.push('procedure:');
-  lines.push('  - name: Main');
-  lines.push('    steps:');
+  toPhases(procedure).forEach(phase => {
+    lines.push(`  - name: "${escapeYaml(sanitizeString(phase.name) || 'Main')}"`);
+    if (phase.role) lines.push(`    role: ${phase.role}`);
+    if (phase.steps.length === 0) {
+      lines.push('    steps: []');
+      return;
+    }
+    lines.push('    steps:');
+    emitYAMLSteps(lines, phase.steps, '      ', '', scale, scope, metadata);
+  });
   
-  steps.forEach((step, index) => {
-    const tech = TECHNIQUES[step.technique];
-    lines.push(`      # Step ${index + 1}: ${tech.name}`);
-    lines.push(`      - ${step.technique}:`);
+  return lines.join('\n');
+}
+
+function emitYAMLSteps(lines, nodes, indent, numberPrefix, scale, scope, metadata) {
+  nodes.forEach((node, index) => {
+    const number = `${numberPrefix}${index + 1}`;
+
+    if (isRepeatBlock(node)) {
+      lines.push(`${indent}# Step ${number}: Repeat ×${repeatCount(node)}`);
+      lines.push(`${indent}- repeat: ${repeatCount(node)}`);
+      lines.push(`${indent}  steps:`);
+      emitYAMLSteps(lines, node.steps, `${indent}    `, `${number}.`, scale, scope, metadata);
+      if (node.tag) {
+        lines.push(`${indent}  tag: "${escapeYaml(node.tag)}"`);
+      }
+      return;
+    }
+
+    const tech = TECHNIQUES[node.technique];
+    lines.push(`${indent}# Step ${number}: ${tech.name}`);
+    lines.push(`${indent}- ${node.technique}:`);
+
+    const potentialKeys = potentialParams(node);
+    const resolved = resolveStep(node, scope).step;
+    const rhe = stepPotentialsRHE(resolved, scale.reference, scale.conditions);
+    const currentText = currentNotes(resolved, metadata);
     
-    Object.entries(step.params).forEach(([key, value]) => {
+    Object.entries(node.params).forEach(([key, value]) => {
       if (value !== null && value !== '' && value !== undefined) {
         const paramDef = tech.params[key];
         const cleanKey = cleanParamKey(key);
         const unit = paramDef?.unit && !key.includes('_') ? ` ${paramDef.unit}` : '';
+        const note = potentialKeys.includes(key) && !isNaN(value) ? `  # ${scaleNote(key, rhe, scale)}`
+          : key in currentText && !isNaN(value) ? `  # ${currentText[key]}` : '';
         
-        if (typeof value === 'boolean') {
-          lines.push(`          ${cleanKey}: ${value}`);
+        if (isExpression(paramDef, value)) {
+          const result = resolved.params[key];
+          const scaleText = potentialKeys.includes(key) ? ` ${scaleNote(key, rhe, scale)}`
+            : key in currentText ? ` ${currentText[key]}` : '';
+          lines.push(`${indent}    ${cleanKey}: "${escapeYaml(value)}"${result === null ? '' : `  # = ${result}${scaleText}`}`);
+        } else if (typeof value === 'boolean') {
+          lines.push(`${indent}    ${cleanKey}: ${value}`);
         } else if (typeof value === 'string' && isNaN(value)) {
-          lines.push(`          ${cleanKey}: "${value}"`);
+          lines.push(`${indent}    ${cleanKey}: "${escapeYaml(value)}"`);
         } else {
-          lines.push(`          ${cleanKey}: ${value}${unit}`);
+          lines.push(`${indent}    ${cleanKey}: ${value}${unit}${note}`);
         }
       }
     });
+
+    if (stopConditions(node).length > 0) {
+      lines.push(`${indent}  stop_conditions:`);
+      stopConditions(node).forEach(condition => {
+        const target = condition.action === 'goto' ? `, target: "${escapeYaml(condition.target)}"` : '';
+        const spec = STOP_WHEN[condition.when];
+        const unit = !spec ? '' : spec.quantity === 'potential_V' ? `  # V vs ${scale.reference}` : `  # ${spec.unit}`;
+        lines.push(`${indent}    - { when: ${condition.when}, value: ${condition.value ?? null}, action: ${condition.action}${target} }${unit}`);
+      });
+    }
     
-    if (step.tag) {
-      lines.push(`        tag: "${escapeYaml(step.tag)}"`);
+    if (node.tag) {
+      lines.push(`${indent}  tag: "${escapeYaml(node.tag)}"`);
     }
   });
-  
-  return lines.join('\n');
 }
 
 /**
  * Generate Python SDK code
+ * @param {Object} metadata - Procedure metadata
+ * @param {Array} procedure - Phases, or a flat step list (treated as one "Main" phase)
  */
-export function generatePython(metadata, steps) {
+export function generatePython(metadata, procedure) {
   const m = {
     ...metadata,
     name: sanitizeString(metadata.name),
@@ -122,36 +209,118 @@ export function generatePython(metadata, steps) {
   lines.push('    raise SystemExit(0)');
   lines.push('');
 
+  // Variables (step params below may be expressions over these)
+  const { scope } = resolveVariables(metadata.variables);
+  if (Object.keys(scope).length > 0) {
+    lines.push('# Variables');
+    Object.entries(scope).forEach(([name, value]) => lines.push(`${name} = ${value}`));
+    lines.push('');
+  }
+
   // Create procedure
   lines.push('# Initialize procedure');
   lines.push(`proc = Procedure("${escapePython(m.name)}", version="1.0")`);
   lines.push('');
 
   // System configuration
+  const scale = potentialScale(metadata);
   lines.push('# System configuration');
+  lines.push(`# All potentials are in V vs ${m.reference}`);
+  if (m.reference !== 'RHE' && scale.offsetRHE !== null) {
+    lines.push(`# E vs RHE = E vs ${m.reference} + ${scale.offsetRHE} V (${describeConditions(scale)})`);
+  }
   lines.push('proc.system(');
   lines.push(`    electrodes=${m.electrodes},`);
   lines.push(`    reference="${m.reference}",`);
   if (m.electrolyte) lines.push(`    electrolyte="${escapePython(m.electrolyte)}",`);
   if (m.temperature) lines.push(`    temperature=${m.temperature},`);
   if (m.working_electrode) lines.push(`    working_electrode="${escapePython(m.working_electrode)}",`);
+  if (m.electrode_type) lines.push(`    electrode_type="${m.electrode_type}",`);
+  if (m.electrode_area_cm2) lines.push(`    electrode_area_cm2=${m.electrode_area_cm2},`);
+  if (m.catalyst_loading_mg_cm2) lines.push(`    catalyst_loading_mg_cm2=${m.catalyst_loading_mg_cm2},`);
+  if (instrumentProfile(m)) lines.push(`    instrument="${m.instrument}",`);
   lines.push(')');
   lines.push('');
   
-  // Main phase
+  // Phases
   lines.push('# Procedure steps');
-  lines.push('with proc.phase("Main") as p:');
+  toPhases(procedure).forEach(phase => {
+    const name = escapePython(sanitizeString(phase.name) || 'Main');
+    const role = phase.role ? `, role="${phase.role}"` : '';
+    lines.push(`with proc.phase("${name}"${role}) as p:`);
+    if (phase.steps.length === 0) {
+      lines.push('    pass');
+      lines.push('');
+    }
+    emitPythonSteps(lines, phase.steps, '    ', '', scale, scope, metadata);
+  });
+  
+  // Validation and compilation
+  lines.push('# Validate procedure');
+  lines.push('result = proc.validate()');
+  lines.push('if not result.passed:');
+  lines.push('    for issue in result.issues:');
+  lines.push('        print(f"[{issue.code}] {issue.message}")');
+  lines.push('    raise ValueError("Procedure validation failed")');
+  lines.push('');
+  lines.push('# Compile to target');
+  lines.push('# proc.compile(target="python")  # Generate executable');
+  lines.push('# proc.compile(target="manual")  # Generate lab manual PDF');
+  lines.push('');
+  lines.push('print(f"Procedure \'{proc.name}\' ready with {sum(len(ph.steps) for ph in proc.phases)} steps in {len(proc.phases)} phase(s)")');
   
-  steps.forEach((step, index) => {
-    const tech = TECHNIQUES[step.technique];
-    lines.push(`    # Step ${index + 1}: ${tech.name}`);
+  return lines.join('\n');
+}
+
+function emitPythonSteps(lines, nodes, indent, numberPrefix, scale, scope, metadata) {
+  nodes.forEach((node, index) => {
+    const number = `${numberPrefix}${index + 1}`;
+
+    if (isRepeatBlock(node)) {
+      const tagNote = node.tag ? ` [${sanitizeString(node.tag, 100).replace(/\s+/g, ' ')}]` : '';
+      lines.push(`${indent}# Step ${number}: Repeat ×${repeatCount(node)}${tagNote}`);
+      lines.push(`${indent}for _ in range(${repeatCount(node)}):`);
+      if (node.steps.length === 0) {
+        lines.push(`${indent}    pass`);
+        lines.push('');
+      }
+      emitPythonSteps(lines, node.steps, `${indent}    `, `${number}.`, scale, scope, metadata);
+      return;
+    }
+
+    const tech = TECHNIQUES[node.technique];
+    lines.push(`${indent}# Step ${number}: ${tech.name}`);
+
+    // State the potential scale for steps that apply potentials
+    const resolved = resolveStep(node, scope).step;
+    const potentialKeys = potentialParams(resolved).filter(key => resolved.params[key] !== null && resolved.params[key] !== '' && !isNaN(resolved.params[key]));
+    if (potentialKeys.length > 0) {
+      const rhe = stepPotentialsRHE(resolved, scale.reference, scale.conditions);
+      const rheList = potentialKeys.filter(key => key in rhe).map(key => `${cleanParamKey(key)}=${rhe[key]}`);
+      const rheNote = scale.reference !== 'RHE' && rheList.length > 0 ? `; vs RHE: ${rheList.join(', ')}` : '';
+      lines.push(`${indent}# Potentials in V vs ${scale.reference}${rheNote}`);
+    }
+
+    // State the current of steps whose currents are entered per area or per mass
+    const basis = currentUnit(resolved);
+    if (basis !== 'mA') {
+      const absolute = absoluteCurrents(resolved, metadata);
+      currentParams(resolved).forEach(key => {
+        const value = absolute.step.params[key];
+        const known = !absolute.errors[key] && value !== null && !isNaN(value);
+        lines.push(`${indent}# ${cleanParamKey(key)} entered as ${resolved.params[key]} ${basis}${known ? ` (= ${value} mA)` : ''}`);
+      });
+    }
     
     // Build parameter string
     const paramPairs = [];
-    Object.entries(step.params).forEach(([key, value]) => {
+    Object.entries(node.params).forEach(([key, value]) => {
       if (value !== null && value !== '' && value !== undefined) {
         const cleanKey = cleanParamKey(key);
-        if (typeof value === 'boolean') {
+        // Only expressions the evaluator accepts are written as code; anything else stays a string
+        if (isExpression(tech.params[key], value) && !parseExpression(value).error) {
+          paramPairs.push(`${cleanKey}=${toPythonExpression(value.trim())}`);
+        } else if (typeof value === 'boolean') {
           paramPairs.push(`${cleanKey}=${value ? 'True' : 'False'}`);
         } else if (typeof value === 'string' && isNaN(value)) {
           paramPairs.push(`${cleanKey}="${escapePython(value)}"`);
@@ -161,37 +330,34 @@ export function generatePython(metadata, steps) {
       }
     });
     
-    if (step.tag) {
-      paramPairs.push(`tag="${escapePython(step.tag)}"`);
+    if (node.tag) {
+      paramPairs.push(`tag="${escapePython(node.tag)}"`);
     }
     
     const paramsStr = paramPairs.join(', ');
-    lines.push(`    p.${step.technique}(${paramsStr})`);
+    lines.push(`${indent}p.${node.technique}(${paramsStr})`);
+    // Stop conditions apply to the step above
+    stopConditions(node).forEach(condition => {
+      const target = condition.action === 'goto' ? `, target="${escapePython(condition.target)}"` : '';
+      lines.push(`${indent}p.stop_when("${condition.when}", ${condition.value ?? 'None'}, action="${condition.action}"${target})`);
+    });
     lines.push('');
   });
-  
-  // Validation and compilation
-  lines.push('# Validate procedure');
-  lines.push('result = proc.validate()');
-  lines.push('if not result.passed:');
-  lines.push('    for issue in result.issues:');
-  lines.push('        print(f"[{issue.code}] {issue.message}")');
-  lines.push('    raise ValueError("Procedure validation failed")');
-  lines.push('');
-  lines.push('# Compile to target');
-  lines.push('# proc.compile(target="python")  # Generate executable');
-  lines.push('# proc.compile(target="manual")  # Generate lab manual PDF');
-  lines.push('');
-  lines.push('print(f"Procedure \'{proc.name}\' ready with {len(proc.phases[0].steps)} steps")');
-  
-  return lines.join('\n');
 }
 
 /**
  * Generate ECDL JSON format
+ * @param {Object} metadata - Procedure metadata
+ * @param {Array} procedure - Phases, or a flat step list (treated as one "Main" phase)
  */
-export function generateECDL(metadata, steps) {
+export function generateECDL(metadata, procedure) {
   const now = new Date().toISOString();
+  const phases = resolveProcedure(procedure, metadata);
+  const steps = flattenPhases(phases);
+  const scale = potentialScale(metadata);
+  const electrolyte = parseElectrolyte(metadata.electrolyte);
+  const main = mainSpecies(electrolyte);
+  const species = (list) => list.map(s => ({ solute: s.solute, concentration_M: molarity(s) }));
   
   const ecdl = {
     ecdl_version: "1.0.0",
@@ -208,12 +374,16 @@ export function generateECDL(metadata, steps) {
     
     protocol: {
       electrolyte: metadata.electrolyte ? {
-        type: inferElectrolyteType(metadata.electrolyte),
+        type: main ? main.solute : 'UNKNOWN',
         formula: metadata.electrolyte,
-        concentration_M: inferConcentration(metadata.electrolyte),
+        concentration_M: main ? molarity(main) : null,
+        solvent: electrolyte.solvent,
+        components: species(electrolyte.components),
+        additives: species(electrolyte.additives),
       } : null,
-      ph: inferPH(metadata.electrolyte),
-      regime: inferRegime(metadata.electrolyte),
+      ph: electrolytePH(electrolyte),
+      ph_measured: electrolyte.ph !== null,
+      regime: electrolyteRegime(electrolyte),
       temperature_C: metadata.temperature || null,
       test_format: "THREE_ELECTRODE",
       reference_electrode_type: metadata.reference,
@@ -256,18 +426,19 @@ export function generateECDL(metadata, steps) {
       system: {
         electrodes: metadata.electrodes,
         reference: metadata.reference,
+        potential_scale: `V vs ${metadata.reference}`,
+        rhe_offset_V: scale.offsetRHE,
         electrolyte: metadata.electrolyte,
         temperature_C: metadata.temperature,
         working_electrode: metadata.working_electrode,
         counter_electrode: metadata.counter_electrode,
+        electrode_type: metadata.electrode_type || null,
+        electrode_area_cm2: metadata.electrode_area_cm2 ?? null,
+        catalyst_loading_mg_cm2: metadata.catalyst_loading_mg_cm2 ?? null,
+        instrument: instrumentProfile(metadata)?.id ?? null,
       },
-      steps: steps.map((step, index) => ({
-        order: index + 1,
-        technique: step.technique,
-        technique_name: TECHNIQUES[step.technique]?.name,
-        params: step.params,
-        tag: step.tag || null,
-      })),
+      phases: phases.map(phase => ({ name: phase.name, role: phase.role || null })),
+      steps: phases.flatMap(phase => convertStepsToECDL(phase.steps, scale, phase.name)),
     },
     
     metadata: {
@@ -283,9 +454,23 @@ export function generateECDL(metadata, steps) {
 
 /**
  * Generate Faraday IR JSON format
+ * Each phase becomes one IR procedure block. A phase with a role contributes
+ * its steps as that block's setup, stabilize or teardown sequence.
+ * @param {Object} metadata - Procedure metadata
+ * @param {Array} procedure - Phases, or a flat step list (treated as one "Main" phase)
+ * @param {Object} [limits] - Lab safety limits, written as procedure-wide stop conditions
  */
-export function generateIR(metadata, steps) {
+export function generateIR(metadata, procedure, limits = null) {
   const now = new Date().toISOString();
+  const scale = potentialScale(metadata);
+  const phases = toPhases(procedure);
+  const resolved = resolveProcedure(phases, metadata);
+  const { scope } = resolveVariables(metadata.variables);
+  const envelope = safetyEnvelope(resolved, metadata);
+  const stopConditions = [
+    ...labStopConditions(limits),
+    ...resolved.flatMap((phase, i) => irStopConditions(phase.steps, `procedure[${i}].${phase.role || 'steps'}`)),
+  ];
   
   const ir = {
     faraday_version: "1.0",
@@ -295,58 +480,477 @@ export function generateIR(metadata, steps) {
       version: "1.0",
       created: now,
       ecproc_version: "1.0.0",
-      source_hash: generateHash(metadata, steps),
+      source_hash: null, // Set below, once the document is complete
       author: metadata.author || null,
     },
     
     system: {
       electrodes: metadata.electrodes,
       reference: metadata.reference,
-      working: metadata.working_electrode ? {
-        material: metadata.working_electrode,
-        area_m2: null, // Would need to be specified
-        loading_kg_m2: null,
-      } : null,
-      electrolyte: metadata.electrolyte ? {
-        solute: inferElectrolyteType(metadata.electrolyte),
-        concentration_mol_m3: (inferConcentration(metadata.electrolyte) || 0) * 1000, // M to mol/m³
-      } : null,
+      potential_scale: {
+        reference: metadata.reference,
+        offset_to_RHE_V: scale.offsetRHE,
+        ph: scale.conditions.pH,
+        temperature_C: scale.conditions.temperatureC,
+      },
+      working: irWorkingElectrode(metadata),
+      electrolyte: metadata.electrolyte ? irElectrolyte(parseElectrolyte(metadata.electrolyte)) : null,
       counter: metadata.counter_electrode || null,
+      // Target the procedure was checked against, in SI units
+      instrument: irInstrument(instrumentProfile(metadata)),
     },
     
-    procedure: [
-      {
-        name: "Main",
-        setup: null,
-        stabilize: null,
-        steps: steps.map(step => convertStepToIR(step)),
-        teardown: null,
-      }
-    ],
+    procedure: resolved.map(phase => convertPhaseToIR(phase, scale)),
     
+    // Envelope of the procedure: potentials in V vs the reference, currents in A
     safety: {
-      max_current_A: null,
-      voltage_window_V: null,
+      max_current_A: envelope.maxCurrent === null ? null : roundSI(envelope.maxCurrent / 1000),
+      voltage_window_V: envelope.window,
       temperature_limits_C: metadata.temperature ? [metadata.temperature - 5, metadata.temperature + 5] : null,
-      stop_conditions: null,
+      stop_conditions: stopConditions.length > 0 ? stopConditions : null,
     },
     
     state_recovery: null,
-    variables: null,
+    // Params hold resolved values; bindings keep the expressions they came from,
+    // in the units of the editor's param key (and the step's current_basis for currents)
+    variables: Object.keys(scope).length > 0 ? {
+      definitions: scope,
+      bindings: phases.flatMap((phase, i) => irBindings(phase.steps, `procedure[${i}].${phase.role || 'steps'}`)),
+    } : null,
     output: null,
     
     provenance: {
       source_file: null,
-      source_hash: generateHash(metadata, steps),
+      source_hash: null,
       parser_version: "ecproc-ide-1.0.0",
     },
   };
-  
+
+  const hash = irContentHash(ir);
+  ir.metadata.source_hash = hash;
+  ir.provenance.source_hash = hash;
   return JSON.stringify(ir, null, 2);
 }
 
+// === Lab Manual ===
+
+/**
+ * Generate a printable lab manual (SOP) in Markdown: setup, materials and
+ * gases, a numbered instruction for every step with its settings and time,
+ * the safety envelope and sign-off boxes
+ * @param {Object} metadata - Procedure metadata
+ * @param {Array} procedure - Phases, or a flat step list (treated as one "Main" phase)
+ * @param {Object} [limits] - Lab safety limits, listed with the envelope
+ */
+export function generateManualMarkdown(metadata, procedure, limits = null) {
+  const manual = manualContent(metadata, procedure, limits);
+  const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const table = (head, rows) => [
+    `| ${head.join(' | ')} |`,
+    `| ${head.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`),
+  ];
+  const lines = [];
+
+  lines.push(`# ${manual.title} — Lab Manual`);
+  lines.push('');
+  lines.push(...manual.header.map(([label, value]) => `**${label}:** ${value}  `));
+  if (manual.description) lines.push('', manual.description);
+  lines.push('');
+
+  lines.push('## Setup and Materials', '');
+  lines.push(...table(['Item', 'Details'], manual.materials), '');
+  if (manual.gases.length > 0) {
+    lines.push('### Gases', '');
+    lines.push(...table(['Gas', 'Purge time', 'Volume at set flow'], manual.gases.map(g => [g.gas, g.time, g.volume])), '');
+  }
+
+  lines.push('## Procedure', '');
+  const emit = (nodes, depth) => nodes.forEach(node => {
+    const heading = '#'.repeat(Math.min(3 + depth, 6));
+    if (node.repeat) {
+      lines.push(`${heading} ${node.number}. Repeat ${node.count} times (${node.time})`, '');
+      lines.push(`Carry out steps ${node.number}.1–${node.number}.${node.nodes.length} in order, ${node.count} times.`, '');
+      emit(node.nodes, depth + 1);
+      return;
+    }
+    lines.push(`${heading} ${node.number}. ${node.title}`, '');
+    lines.push(node.instruction, '');
+    lines.push(`*${node.description}*`, '');
+    lines.push(...table(['Setting', 'Value', 'Notes'], node.settings.map(s => [s.label, s.value, s.help])), '');
+    if (node.stops.length > 0) lines.push(...node.stops.map(s => `- Stop when: ${s}`), '');
+    lines.push(`Estimated time: ${node.time}`, '');
+    lines.push('- [ ] Done — initials: ______  time: ______', '');
+  });
+  manual.phases.forEach(phase => {
+    if (manual.phases.length > 1) lines.push(`### Phase: ${phase.name}${phase.role ? ` (${phase.role})` : ''}`, '');
+    emit(phase.nodes, manual.phases.length > 1 ? 1 : 0);
+  });
+
+  lines.push('## Safety Envelope', '');
+  lines.push(...table(['Limit', 'Value'], manual.safety), '');
+
+  lines.push('## Sign-off', '');
+  lines.push(...table(['Role', 'Name', 'Signature', 'Date'], SIGN_OFF_ROLES.map(role => [role, ' ', ' ', ' '])), '');
+  lines.push('Notes:', '', '', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate the lab manual as a standalone HTML page with a print stylesheet,
+ * ready to print to PDF from the browser
+ * @param {Object} metadata - Procedure metadata
+ * @param {Array} procedure - Phases, or a flat step list (treated as one "Main" phase)
+ * @param {Object} [limits] - Lab safety limits, listed with the envelope
+ */
+export function generateManualHTML(metadata, procedure, limits = null) {
+  const manual = manualContent(metadata, procedure, limits);
+  const table = (head, rows, className = '') => [
+    `<table${className ? ` class="${className}"` : ''}>`,
+    `<tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>`,
+    ...rows.map(row => `<tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`),
+    '</table>',
+  ];
+  const lines = [];
+
+  const emit = (nodes) => nodes.forEach(node => {
+    if (node.repeat) {
+      lines.push('<section class="repeat">');
+      lines.push(`<h3>${escapeHtml(`${node.number}. Repeat ${node.count} times`)} <span class="time">${escapeHtml(node.time)}</span></h3>`);
+      lines.push(`<p>Carry out steps ${node.number}.1–${node.number}.${node.nodes.length} in order, ${node.count} times.</p>`);
+      emit(node.nodes);
+      lines.push('</section>');
+      return;
+    }
+    lines.push('<section class="step">');
+    lines.push(`<h3>${escapeHtml(`${node.number}. ${node.title}`)} <span class="time">${escapeHtml(node.time)}</span></h3>`);
+    lines.push(`<p class="instruction">${escapeHtml(node.instruction)}</p>`);
+    lines.push(`<p class="help">${escapeHtml(node.description)}</p>`);
+    lines.push(...table(['Setting', 'Value', 'Notes'], node.settings.map(s => [s.label, s.value, s.help])));
+    if (node.stops.length > 0) {
+      lines.push('<ul class="stops">', ...node.stops.map(s => `<li>Stop when: ${escapeHtml(s)}</li>`), '</ul>');
+    }
+    lines.push('<p class="check"><span class="box"></span> Done &nbsp; Initials ________ &nbsp; Time ________</p>');
+    lines.push('</section>');
+  });
+
+  lines.push('<!DOCTYPE html>');
+  lines.push('<html lang="en">');
+  lines.push('<head>');
+  lines.push('<meta charset="utf-8">');
+  lines.push(`<title>${escapeHtml(manual.title)} — Lab Manual</title>`);
+  lines.push(`<style>\n${MANUAL_CSS}\n</style>`);
+  lines.push('</head>');
+  lines.push('<body>');
+  lines.push(`<h1>${escapeHtml(manual.title)} — Lab Manual</h1>`);
+  lines.push('<p class="meta">', ...manual.header.map(([label, value]) => `<b>${escapeHtml(label)}:</b> ${escapeHtml(value)}<br>`), '</p>');
+  if (manual.description) lines.push(`<p>${escapeHtml(manual.description)}</p>`);
+
+  lines.push('<h2>Setup and Materials</h2>');
+  lines.push(...table(['Item', 'Details'], manual.materials));
+  if (manual.gases.length > 0) {
+    lines.push('<h3>Gases</h3>');
+    lines.push(...table(['Gas', 'Purge time', 'Volume at set flow'], manual.gases.map(g => [g.gas, g.time, g.volume])));
+  }
+
+  lines.push('<h2>Procedure</h2>');
+  manual.phases.forEach(phase => {
+    if (manual.phases.length > 1) lines.push(`<h2 class="phase">${escapeHtml(`Phase: ${phase.name}${phase.role ? ` (${phase.role})` : ''}`)}</h2>`);
+    emit(phase.nodes);
+  });
+
+  lines.push('<h2>Safety Envelope</h2>');
+  lines.push(...table(['Limit', 'Value'], manual.safety));
+
+  lines.push('<h2>Sign-off</h2>');
+  lines.push(...table(['Role', 'Name', 'Signature', 'Date'], SIGN_OFF_ROLES.map(role => [role, '', '', '']), 'signoff'));
+  lines.push('<p class="notes">Notes:</p>');
+  lines.push('</body>');
+  lines.push('</html>');
+
+  return lines.join('\n');
+}
+
+const SIGN_OFF_ROLES = ['Prepared by', 'Reviewed by', 'Performed by'];
+
+// Screen layout plus print rules: no page breaks inside a step or table row,
+// headings kept with what follows
+const MANUAL_CSS = `body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1e293b; line-height: 1.45; max-width: 52rem; margin: 2rem auto; padding: 0 1rem; }
+h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+h2 { font-size: 1.2rem; border-bottom: 2px solid #334155; padding-bottom: 0.2rem; margin-top: 1.75rem; }
+h3 { font-size: 1rem; margin: 0 0 0.4rem; }
+table { border-collapse: collapse; width: 100%; margin: 0.4rem 0; font-size: 0.9rem; }
+th, td { border: 1px solid #cbd5e1; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+th { background: #f1f5f9; }
+.meta { color: #475569; }
+.step { border: 1px solid #cbd5e1; border-radius: 4px; padding: 0.6rem 0.8rem; margin: 0.75rem 0; }
+.repeat { border-left: 3px solid #64748b; padding-left: 0.8rem; margin: 0.75rem 0; }
+.time { float: right; font-weight: normal; color: #475569; }
+.instruction { font-weight: 600; }
+.help { color: #64748b; font-size: 0.85rem; }
+.stops { margin: 0.3rem 0; }
+.check { margin: 0.5rem 0 0; }
+.box { display: inline-block; width: 0.9em; height: 0.9em; border: 1px solid #1e293b; vertical-align: middle; }
+.signoff td { height: 2.2rem; }
+.notes { min-height: 6rem; }
+@page { size: A4; margin: 15mm; }
+@media print {
+  body { margin: 0; max-width: none; font-size: 10pt; }
+  h2, h3 { break-after: avoid; page-break-after: avoid; }
+  .step, tr, .signoff { break-inside: avoid; page-break-inside: avoid; }
+  th { background: none; }
+}`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * What the manual says, in either format
+ * @returns {Object} { title, header, description, materials, gases, phases, safety }
+ */
+function manualContent(metadata, procedure, limits) {
+  const m = {
+    ...metadata,
+    name: sanitizeString(metadata.name) || 'Untitled procedure',
+    author: sanitizeString(metadata.author),
+    description: sanitizeString(metadata.description, 2000),
+    electrolyte: sanitizeString(metadata.electrolyte),
+  };
+  const phases = toPhases(procedure);
+  const resolved = resolveProcedure(phases, metadata);
+  const instrument = instrumentProfile(metadata);
+  const total = procedureSeconds(resolved);
+
+  const materials = [
+    ['Working electrode', [
+      sanitizeString(m.working_electrode) || 'not specified',
+      ELECTRODE_TYPES[m.electrode_type]?.label,
+      electrodeArea(m) !== null && `${electrodeArea(m)} cm²`,
+      Number(m.catalyst_loading_mg_cm2) > 0 && `${m.catalyst_loading_mg_cm2} mg/cm² loading`,
+    ].filter(Boolean).join(', ')],
+    ['Reference electrode', m.reference],
+    ['Counter electrode', sanitizeString(m.counter_electrode) || (m.electrodes === 2 ? 'none (two-electrode cell)' : 'not specified')],
+    ['Cell', `${m.electrodes}-electrode`],
+    ['Electrolyte', m.electrolyte || 'not specified'],
+    ['Temperature', m.temperature ? `${m.temperature} °C` : 'room temperature'],
+    ['Potentiostat', instrument ? `${instrument.name} (${describeInstrument(instrument)})` : 'any'],
+  ];
+
+  // Gas use over the whole run, repeat blocks multiplied out
+  const gasUse = new Map();
+  const countGas = (nodes, times) => nodes.forEach(node => {
+    if (isRepeatBlock(node)) return countGas(node.steps, times * repeatCount(node));
+    if (node.technique !== 'purge') return;
+    const minutes = (Number(node.params.duration_min) || 0) * times;
+    const litres = minutes * (Number(node.params.flow_rate_mL_min) || 0) / 1000;
+    const use = gasUse.get(node.params.gas) ?? { minutes: 0, litres: 0 };
+    gasUse.set(node.params.gas, { minutes: use.minutes + minutes, litres: use.litres + litres });
+  });
+  resolved.forEach(phase => countGas(phase.steps, 1));
+  const gases = [...gasUse].map(([gas, use]) => ({
+    gas,
+    time: formatDuration(use.minutes * 60),
+    volume: `${roundSI(use.litres)} L`,
+  }));
+
+  const envelope = safetyEnvelope(resolved, metadata);
+  const lab = normalizeLabLimits(limits);
+  const range = (min, max, unit) => `${min ?? '—'} to ${max ?? '—'} ${unit}`;
+  const safety = [
+    ['Potential window of the procedure', envelope.window ? `${range(...envelope.window, 'V')} vs ${m.reference}` : 'no applied potentials'],
+    ['Largest applied current', envelope.maxCurrent === null ? 'no applied currents' : `${envelope.maxCurrent} mA`],
+    ...(lab.min_potential_V !== null || lab.max_potential_V !== null
+      ? [['Lab potential limits', `${range(lab.min_potential_V, lab.max_potential_V, 'V')} vs ${m.reference}`]] : []),
+    ...(lab.max_current_mA !== null ? [['Lab current limit', `${lab.max_current_mA} mA`]] : []),
+    ...(instrument ? [['Instrument limits', `±${instrument.potential_range_V} V, ${instrument.current_compliance_mA} mA`]] : []),
+    ['Temperature', m.temperature ? `${m.temperature} °C` : 'room temperature'],
+  ];
+
+  const describeNodes = (nodes, sources, prefix) => nodes.map((node, i) => {
+    const number = `${prefix}${i + 1}`;
+    if (isRepeatBlock(node)) {
+      return {
+        repeat: true,
+        number,
+        count: repeatCount(node),
+        time: formatDuration(procedureSeconds([node])),
+        nodes: describeNodes(node.steps, sources[i].steps, `${number}.`),
+      };
+    }
+    return describeStep(node, sources[i], number, m.reference);
+  });
+
+  return {
+    title: m.name,
+    header: [
+      ...(m.author ? [['Author', m.author]] : []),
+      ['Prepared', new Date().toISOString().split('T')[0]],
+      ['Estimated run time', `${formatDuration(total)}${collectSteps(flattenPhases(resolved)).some(s => stepDuration(s).assumed) ? ' (includes assumptions)' : ''}`],
+      ['Potentials', `V vs ${m.reference}`],
+    ],
+    description: m.description,
+    materials,
+    gases,
+    phases: resolved.map((phase, i) => ({
+      name: sanitizeString(phase.name) || 'Main',
+      role: phase.role,
+      nodes: describeNodes(phase.steps, phases[i].steps, ''),
+    })),
+    safety,
+  };
+}
+
+// One step of the manual: instruction, settings with their help, stop conditions and time
+function describeStep(step, source, number, reference) {
+  const tech = TECHNIQUES[step.technique];
+  const { seconds, assumed, note } = stepDuration(step);
+  const title = tech ? `${tech.name} (${tech.abbrev})` : step.technique;
+  const settings = Object.entries(tech?.params ?? {})
+    .filter(([key]) => key !== 'current_basis')
+    .map(([key, config]) => {
+      const value = step.params[key];
+      const expression = isExpression(config, source.params[key]) ? ` (= ${source.params[key]})` : '';
+      const unit = currentParams(step).includes(key) ? currentUnit(step)
+        : potentialParams(step).includes(key) ? `V vs ${reference}`
+          : config.unit;
+      const shown = value === null || value === undefined || value === '' ? '—'
+        : config.type === 'boolean' ? (value ? 'on' : 'off')
+          : `${value}${unit ? ` ${unit}` : ''}`;
+      return { label: config.label, value: `${shown}${expression}`, help: config.help ?? '' };
+    });
+  return {
+    number,
+    title: step.tag ? `${title} [${step.tag}]` : title,
+    instruction: stepInstruction(step, reference),
+    description: tech?.description ?? '',
+    settings,
+    stops: stopConditions(step).map(describeStopCondition),
+    time: `${formatDuration(seconds)}${assumed ? ` — ${note}` : ''}`,
+  };
+}
+
+// Imperative sentence telling the bench chemist what the step does
+function stepInstruction(step, reference) {
+  const p = step.params;
+  const v = (value) => (value === null || value === undefined || value === '' ? '?' : value);
+  const vs = `V vs ${reference}`;
+  const current = (value) => `${v(value)} ${currentUnit(step)}`;
+  switch (step.technique) {
+    case 'ocp':
+      return `Record the open-circuit potential for ${v(p.duration_s)} s at ${v(p.sample_rate_Hz)} Hz` +
+        `${p.stability_mV_min ? `, ending early once it drifts less than ${p.stability_mV_min} mV/min` : ''}.`;
+    case 'cv':
+      return `Cycle the potential between ${v(p.vertex1_V)} and ${v(p.vertex2_V)} ${vs} at ${v(p.scan_rate_mV_s)} mV/s for ${v(p.cycles)} cycles` +
+        `${p.start_potential_V !== null && p.start_potential_V !== undefined && p.start_potential_V !== '' ? `, starting at ${p.start_potential_V} ${vs}` : ''}` +
+        `${p.ir_compensation ? ', with iR compensation on' : ''}.`;
+    case 'lsv':
+      return `Sweep the potential from ${v(p.start_V)} to ${v(p.end_V)} ${vs} at ${v(p.scan_rate_mV_s)} mV/s${p.ir_compensation ? ', with iR compensation on' : ''}.`;
+    case 'dpv':
+      return `Scan from ${v(p.start_V)} to ${v(p.end_V)} ${vs} in ${v(p.step_height_mV)} mV steps with ${v(p.pulse_height_mV)} mV pulses of ${v(p.pulse_width_ms)} ms, sampling the current ${v(p.sample_period_ms)} ms into each pulse.`;
+    case 'swv':
+      return `Scan from ${v(p.start_V)} to ${v(p.end_V)} ${vs} in ${v(p.step_height_mV)} mV steps with a ${v(p.amplitude_mV)} mV square wave at ${v(p.frequency_Hz)} Hz.`;
+    case 'stripping':
+      return `Deposit at ${v(p.deposition_V)} ${vs} for ${v(p.deposition_time_s)} s, rest for ${v(p.equilibration_s)} s, then strip from ${v(p.strip_start_V)} to ${v(p.strip_end_V)} ${vs} at ${v(p.scan_rate_mV_s)} mV/s.`;
+    case 'eis': {
+      const at = String(p.dc_potential_V ?? '').trim().toUpperCase() === 'OCP' ? 'the open-circuit potential' : `${v(p.dc_potential_V)} ${vs}`;
+      const f = (value) => (Number(value) > 0 ? formatFrequency(Number(value)) : '?');
+      return `Measure the impedance from ${f(p.f_start_Hz)} to ${f(p.f_end_Hz)} at ${at} with a ${v(p.amplitude_mV)} mV amplitude, ${v(p.points_per_decade)} points per decade.`;
+    }
+    case 'ca':
+      return `Hold the potential at ${v(p.potential_V)} ${vs} for ${v(p.duration_s)} s, recording the current at ${v(p.sample_rate_Hz)} Hz.`;
+    case 'cp':
+      return `Apply ${current(p.current_mA)} for ${v(p.duration_s)} s${p.voltage_limits_V ? `, stopping if the potential leaves ${p.voltage_limits_V} V` : ''}.`;
+    case 'gcd':
+      return `Charge and discharge at ${current(p.current_mA)} between ${v(p.lower_V)} and ${v(p.upper_V)} V for ${v(p.cycles)} cycles.`;
+    case 'cc': {
+      const hold = p.mode === 'galvanostatic' ? `Apply ${current(p.setpoint)}` : `Hold the potential at ${v(p.setpoint)} ${vs}`;
+      const cutoff = p.cutoff_C !== null && p.cutoff_C !== undefined && p.cutoff_C !== '' ? `, stopping at ${p.cutoff_C} C` : '';
+      return `${hold} for ${v(p.duration_s)} s and record the charge passed${cutoff}.`;
+    }
+    case 'purge':
+      return `Purge the electrolyte with ${v(p.gas)} at ${v(p.flow_rate_mL_min)} mL/min for ${v(p.duration_min)} min.`;
+    default:
+      return `Run ${step.technique} (not a known technique).`;
+  }
+}
+
 // === Helper Functions ===
 
+// Reference scale of the procedure's potentials, with its offset to RHE
+function potentialScale(metadata) {
+  const conditions = referenceConditions(metadata);
+  const offset = offsetToRHE(metadata.reference, conditions);
+  return {
+    reference: metadata.reference,
+    conditions,
+    offsetRHE: offset === null ? null : Math.round(offset * 10000) / 10000,
+  };
+}
+
+function describeConditions(scale) {
+  const { pH, temperatureC } = scale.conditions;
+  const phText = pH === null ? 'pH n/a' : `pH ${Math.round(pH * 100) / 100}`;
+  return `${phText}, ${temperatureC} °C`;
+}
+
+// Inline comment naming the scale of one potential param
+function scaleNote(key, rhe, scale) {
+  if (scale.reference === 'RHE' || !(key in rhe)) return `V vs ${scale.reference}`;
+  return `V vs ${scale.reference} (${rhe[key]} V vs RHE)`;
+}
+
+// Comments for currents entered per area or per mass: { paramKey: 'mA/cm² (1.96 mA)' }
+function currentNotes(step, metadata) {
+  const basis = currentUnit(step);
+  if (basis === 'mA') return {};
+  const absolute = absoluteCurrents(step, metadata);
+  return Object.fromEntries(currentParams(step).map(key => {
+    const value = absolute.step.params[key];
+    const known = !absolute.errors[key] && value !== null && !isNaN(value);
+    return [key, known ? `${basis} (${value} mA)` : basis];
+  }));
+}
+
+// Round away float noise left by a unit conversion
+function roundSI(value) {
+  return Number(value.toPrecision(12));
+}
+
+// IR working electrode, with its geometry in SI units
+function irWorkingElectrode(metadata) {
+  const area = electrodeArea(metadata);
+  const loading = Number(metadata.catalyst_loading_mg_cm2) > 0 ? Number(metadata.catalyst_loading_mg_cm2) : null;
+  if (!metadata.working_electrode && !metadata.electrode_type && area === null && loading === null) return null;
+  return {
+    material: metadata.working_electrode || null,
+    type: metadata.electrode_type || null,
+    area_m2: area === null ? null : roundSI(area * 1e-4), // cm² to m²
+    loading_kg_m2: loading === null ? null : roundSI(loading * 0.01), // mg/cm² to kg/m²
+  };
+}
+
+// IR electrolyte: main solute, every species in mol/m³ (null when not given
+// as a molarity), solvent and measured pH
+function irElectrolyte(electrolyte) {
+  const main = mainSpecies(electrolyte);
+  const concentration = (s) => (molarity(s) === null ? null : roundSI(molarity(s) * 1000)); // M to mol/m³
+  const species = (list) => list.map(s => ({ solute: s.solute, concentration_mol_m3: concentration(s) }));
+  return {
+    solute: main ? main.solute : 'UNKNOWN',
+    concentration_mol_m3: main ? concentration(main) : null,
+    components: species(electrolyte.components),
+    additives: species(electrolyte.additives),
+    solvent: electrolyte.solvent,
+    measured_ph: electrolyte.ph,
+  };
+}
+
 export function sanitizeString(str, maxLength = 500) {
   if (!str) return '';
   // eslint-disable-next-line no-control-regex
@@ -363,79 +967,13 @@ export function escapePython(str) {
   return str.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
 }
 
-function inferElectrolyteType(electrolyte) {
-  if (!electrolyte) return 'UNKNOWN';
-  const e = electrolyte.toUpperCase();
-  if (e.includes('H2SO4')) return 'H2SO4';
-  if (e.includes('HCLO4')) return 'HClO4';
-  if (e.includes('HCL')) return 'HCl';
-  if (e.includes('KOH')) return 'KOH';
-  if (e.includes('NAOH')) return 'NaOH';
-  if (e.includes('PBS')) return 'PBS';
-  if (e.includes('NAFION')) return 'NAFION';
-  return 'OTHER';
-}
-
-function inferConcentration(electrolyte) {
-  if (!electrolyte) return null;
-  const match = electrolyte.match(/(\d+\.?\d*)\s*M/i);
-  return match ? parseFloat(match[1]) : null;
-}
-
-function inferPH(electrolyte) {
-  if (!electrolyte) return null;
-  const type = inferElectrolyteType(electrolyte);
-  const conc = inferConcentration(electrolyte) || 0.1;
-  
-  // Rough pH estimates
-  if (['H2SO4', 'HClO4', 'HCl'].includes(type)) {
-    return Math.max(0, -Math.log10(conc * (type === 'H2SO4' ? 2 : 1)));
-  }
-  if (['KOH', 'NaOH'].includes(type)) {
-    return Math.min(14, 14 + Math.log10(conc));
-  }
-  if (type === 'PBS') return 7.4;
-  return null;
-}
-
-function inferRegime(electrolyte) {
-  const ph = inferPH(electrolyte);
-  if (ph === null) return 'unknown';
-  if (ph < 4) return 'acidic';
-  if (ph > 10) return 'alkaline';
-  return 'neutral';
-}
-
 function estimateDuration(steps) {
-  let seconds = 0;
-  steps.forEach(step => {
-    if (step.params.duration_s) seconds += parseFloat(step.params.duration_s) || 0;
-    if (step.params.duration_min) seconds += (parseFloat(step.params.duration_min) || 0) * 60;
-    // Estimate CV/LSV time
-    if (step.technique === 'cv') {
-      const range = Math.abs((step.params.vertex2_V || 1.2) - (step.params.vertex1_V || 0.05));
-      const rate = (step.params.scan_rate_mV_s || 50) / 1000; // V/s
-      const cycles = step.params.cycles || 3;
-      seconds += (2 * range / rate) * cycles;
-    }
-    if (step.technique === 'lsv') {
-      const range = Math.abs((step.params.end_V || 0.2) - (step.params.start_V || 1.0));
-      const rate = (step.params.scan_rate_mV_s || 5) / 1000;
-      seconds += range / rate;
-    }
-    if (step.technique === 'eis') {
-      // Rough EIS time estimate: ~2-5 min typical
-      seconds += 180;
-    }
-  });
+  const seconds = procedureSeconds(steps);
   return Math.round(seconds / 3600 * 100) / 100; // Hours with 2 decimals
 }
 
 function estimateCycles(steps) {
-  let total = 0;
-  steps.forEach(step => {
-    if (step.params.cycles) total += parseInt(step.params.cycles) || 0;
-  });
+  const total = sumOverSteps(steps, step => parseInt(step.params.cycles) || 0);
   return total || null;
 }
 
@@ -443,11 +981,13 @@ function extractTags(metadata, steps) {
   const tags = [];
   
   // From electrolyte
-  const regime = inferRegime(metadata.electrolyte);
+  const regime = electrolyteRegime(parseElectrolyte(metadata.electrolyte));
   if (regime !== 'unknown') tags.push(regime);
   
+  const leafSteps = collectSteps(steps);
+
   // From techniques
-  const techniques = [...new Set(steps.map(s => s.technique))];
+  const techniques = [...new Set(leafSteps.map(s => s.technique))];
   techniques.forEach(t => {
     if (t === 'lsv') tags.push('polarization');
     if (t === 'cv') tags.push('voltammetry');
@@ -456,38 +996,164 @@ function extractTags(metadata, steps) {
   });
   
   // From step tags
-  steps.forEach(s => {
+  leafSteps.forEach(s => {
     if (s.tag) tags.push(s.tag);
   });
   
   return [...new Set(tags)];
 }
 
-function convertStepToIR(step) {
+function convertStepsToECDL(nodes, scale, phaseName) {
+  return nodes.map((node, index) => {
+    const phase = phaseName !== undefined ? { phase: phaseName } : {};
+    if (isRepeatBlock(node)) {
+      return {
+        order: index + 1,
+        ...phase,
+        type: 'repeat',
+        count: repeatCount(node),
+        steps: convertStepsToECDL(node.steps, scale),
+        tag: node.tag || null,
+      };
+    }
+    return {
+      order: index + 1,
+      ...phase,
+      technique: node.technique,
+      technique_name: TECHNIQUES[node.technique]?.name,
+      params: node.params,
+      ...(potentialParams(node).length > 0 ? {
+        potential_scale: `V vs ${scale.reference}`,
+        potentials_vs_RHE: stepPotentialsRHE(node, scale.reference, scale.conditions),
+      } : {}),
+      ...(stopConditions(node).length > 0 ? { stop_conditions: stopConditions(node) } : {}),
+      tag: node.tag || null,
+    };
+  });
+}
+
+function convertPhaseToIR(phase, scale) {
+  const irSteps = phase.steps.map(node => convertStepToIR(node, scale));
+  const block = {
+    name: phase.name,
+    setup: null,
+    stabilize: null,
+    steps: [],
+    teardown: null,
+  };
+  block[phase.role || 'steps'] = irSteps;
+  return block;
+}
+
+// Param unit suffix → IR (SI) suffix, most specific suffix first
+export const IR_UNIT_CONVERSIONS = [
+  { suffix: '_mV_s', si: '_V_s', multiply: 1, divide: 1000 },
+  { suffix: '_mV_min', si: '_V_s', multiply: 1, divide: 60000 },
+  { suffix: '_mL_min', si: '_mL_s', multiply: 1, divide: 60 },
+  { suffix: '_mAh', si: '_C', multiply: 3.6, divide: 1 },
+  { suffix: '_mV', si: '_V', multiply: 1, divide: 1000 },
+  { suffix: '_min', si: '_s', multiply: 60, divide: 1 },
+  { suffix: '_mA', si: '_A', multiply: 1, divide: 1000 },
+];
+
+/**
+ * IR key and factor for a param key, or null if it is emitted unchanged
+ * @returns {Object|null} { key, multiply, divide }
+ */
+export function irConversion(key) {
+  const rule = IR_UNIT_CONVERSIONS.find(r => key.endsWith(r.suffix));
+  if (!rule) return null;
+  return { key: key.slice(0, -rule.suffix.length) + rule.si, multiply: rule.multiply, divide: rule.divide };
+}
+
+// Lab limits as stop conditions that abort the whole procedure (step: null)
+function labStopConditions(limits) {
+  const lab = normalizeLabLimits(limits);
+  const abort = { action: 'abort', target: null, source: 'lab_limits' };
+  const conditions = [];
+  if (lab.min_potential_V !== null || lab.max_potential_V !== null) {
+    conditions.push({ step: null, quantity: 'potential_V', min: lab.min_potential_V, max: lab.max_potential_V, ...abort });
+  }
+  if (lab.max_current_mA !== null) {
+    conditions.push({ step: null, quantity: 'current_A', min: null, max: roundSI(lab.max_current_mA / 1000), ...abort });
+  }
+  return conditions;
+}
+
+// Potential cutoffs and stop conditions of IR steps, addressed by their path
+// in the document. A condition is the range its quantity must stay in.
+function irStopConditions(nodes, path) {
+  return nodes.flatMap((node, index) => {
+    const at = `${path}[${index}]`;
+    if (isRepeatBlock(node)) return irStopConditions(node.steps, `${at}.steps`);
+    const cutoffs = stepCutoffs(node);
+    const conditions = stopConditions(node)
+      .filter(condition => stopConditionError(condition) === null)
+      .map(condition => {
+        const { quantity, bound, toSI } = STOP_WHEN[condition.when];
+        const value = roundSI(Number(condition.value) * toSI);
+        return {
+          step: at,
+          quantity,
+          min: bound === 'min' ? value : null,
+          max: bound === 'max' ? value : null,
+          action: condition.action,
+          target: condition.action === 'goto' ? condition.target : null,
+          source: 'stop_conditions',
+        };
+      });
+    return [
+      ...(cutoffs ? [{ step: at, quantity: 'potential_V', min: cutoffs.min, max: cutoffs.max, action: 'next', target: null, source: cutoffs.param }] : []),
+      ...conditions,
+    ];
+  });
+}
+
+// Expression params of IR steps, addressed by their path in the document
+function irBindings(nodes, path) {
+  return nodes.flatMap((node, index) => {
+    const at = `${path}[${index}]`;
+    if (isRepeatBlock(node)) return irBindings(node.steps, `${at}.steps`);
+    const tech = TECHNIQUES[node.technique];
+    const basis = currentUnit(node);
+    return Object.entries(node.params)
+      .filter(([key, value]) => isExpression(tech?.params[key], value))
+      .map(([key, value]) => ({
+        step: at,
+        param: key,
+        ir_param: irConversion(key)?.key ?? key,
+        expression: value,
+        ...(basis !== 'mA' && currentParams(node).includes(key) ? { current_basis: basis } : {}),
+      }));
+  });
+}
+
+function convertStepToIR(step, scale) {
+  if (isRepeatBlock(step)) {
+    return {
+      type: 'repeat',
+      count: repeatCount(step),
+      tag: step.tag || null,
+      steps: step.steps.map(node => convertStepToIR(node, scale)),
+    };
+  }
+
   const irStep = {
     technique: step.technique,
     tag: step.tag || null,
     extract: null,
     vendor_flags: null,
   };
+  if (scale && potentialParams(step).length > 0) {
+    irStep.potential_reference = scale.reference;
+  }
   
   // Convert params to SI units for IR
   Object.entries(step.params).forEach(([key, value]) => {
     if (value === null || value === undefined || value === '') return;
-    
-    // Convert to SI base units
-    if (key.endsWith('_mV_s')) {
-      // mV/s to V/s
-      irStep[key.replace('_mV_s', '_V_s')] = parseFloat(value) / 1000;
-    } else if (key.endsWith('_mV')) {
-      // mV to V
-      irStep[key.replace('_mV', '_V')] = parseFloat(value) / 1000;
-    } else if (key.endsWith('_min')) {
-      // min to s
-      irStep[key.replace('_min', '_s')] = parseFloat(value) * 60;
-    } else if (key.endsWith('_mA')) {
-      // mA to A
-      irStep[key.replace('_mA', '_A')] = parseFloat(value) / 1000;
+    const conversion = irConversion(key);
+    if (conversion) {
+      irStep[conversion.key] = parseFloat(value) * conversion.multiply / conversion.divide;
     } else {
       irStep[key] = value;
     }
@@ -496,9 +1162,53 @@ function convertStepToIR(step) {
   return irStep;
 }
 
-function generateHash(metadata, steps) {
-  // Simple hash for demo - in production use crypto
-  const content = JSON.stringify({ metadata, steps });
+// Bump when the payload structure changes; parseShare must keep reading older versions
+export const SHARE_VERSION = 1;
+
+/**
+ * Generate the payload of a share link: the editor's own structure without
+ * ids. Every param is written out, so a link keeps its meaning when
+ * technique defaults change.
+ * @param {Object} metadata - Procedure metadata
+ * @param {Array} procedure - Phases, or a flat step list (treated as one "Main" phase)
+ * @returns {string} JSON text
+ */
+export function generateShare(metadata, procedure) {
+  const node = (n) => {
+    const tag = n.tag ? { tag: n.tag } : {};
+    if (isRepeatBlock(n)) return { repeat: repeatCount(n), steps: n.steps.map(node), ...tag };
+    const stops = stopConditions(n).length > 0 ? { stop_conditions: stopConditions(n) } : {};
+    return { technique: n.technique, params: n.params, ...stops, ...tag };
+  };
+  const fields = Object.fromEntries(
+    Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined && value !== '' &&
+      !(Array.isArray(value) && value.length === 0))
+  );
+  return JSON.stringify({
+    v: SHARE_VERSION,
+    metadata: fields,
+    phases: toPhases(procedure).map(phase => ({
+      name: phase.name,
+      ...(phase.role ? { role: phase.role } : {}),
+      steps: phase.steps.map(node),
+    })),
+  });
+}
+
+// JSON with object keys sorted, so equal content always serializes the same
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// 32-bit non-cryptographic checksum in the style of Java's String.hashCode: it catches
+// accidental edits, not deliberate tampering
+function hashString(content) {
   let hash = 0;
   for (let i = 0; i < content.length; i++) {
     const char = content.charCodeAt(i);
@@ -507,3 +1217,22 @@ function generateHash(metadata, steps) {
   }
   return Math.abs(hash).toString(16).padStart(8, '0');
 }
+
+/**
+ * Hash of an IR document's content. The hash fields themselves and the
+ * creation time are left out, so re-hashing an imported file tells whether
+ * it was edited after export. The hash is a 32-bit non-cryptographic
+ * checksum: it detects accidental edits, but anyone changing the file on
+ * purpose can recompute it, so it is no proof of origin.
+ * @param {Object} ir - Parsed IR document
+ * @returns {string} 8-digit hex hash
+ */
+export function irContentHash(ir) {
+  const content = JSON.parse(JSON.stringify(ir));
+  if (content.metadata) {
+    delete content.metadata.created;
+    delete content.metadata.source_hash;
+  }
+  if (content.provenance) delete content.provenance.source_hash;
+  return hashString(canonicalJSON(content));
+}
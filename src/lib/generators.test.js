@@ -1,6 +1,8 @@
 import { describe, it, expect } from 'vitest';
-import { generateYAML, generatePython, generateECDL, generateIR, escapeYaml, escapePython, sanitizeString } from './generators';
-import { createDefaultStep } from './techniques';
+import { generateYAML, generatePython, generateECDL, generateIR, generateManualMarkdown, generateManualHTML, escapeYaml, escapePython, sanitizeString } from './generators';
+import { TECHNIQUES, createDefaultStep } from './techniques';
+import { createRepeatBlock, createPhase } from './procedure';
+import yaml from 'js-yaml';
 
 const defaultMeta = {
   name: 'Test Procedure',
@@ -149,6 +151,90 @@ describe('generatePython', () => {
   });
 });
 
+describe('variables', () => {
+  const meta = { ...defaultMeta, variables: [{ name: 'E_upper', value: 1.6 }, { name: 'rate', value: 10 }] };
+  const steps = () => {
+    const cv = createDefaultStep('cv');
+    cv.params.vertex2_V = 'E_upper - 0.05';
+    cv.params.scan_rate_mV_s = 'rate^2';
+    return [cv];
+  };
+
+  it('YAML defines the variables and notes each expression\'s value', () => {
+    const output = generateYAML(meta, steps());
+    expect(yaml.load(output).variables).toEqual({ E_upper: 1.6, rate: 10 });
+    expect(output).toContain('vertex2: "E_upper - 0.05"  # = 1.55 V vs RHE');
+    expect(output).toContain('scan_rate: "rate^2"  # = 100');
+  });
+
+  it('Python assigns the variables and writes expressions as code', () => {
+    const output = generatePython(meta, steps());
+    expect(output).toContain('# Variables\nE_upper = 1.6\nrate = 10');
+    expect(output).toContain('vertex2=E_upper - 0.05');
+    expect(output).toContain('scan_rate=rate**2');
+  });
+
+  it('Python quotes text that is not a valid expression', () => {
+    const [cv] = steps();
+    cv.params.scan_rate_mV_s = '__import__("os")';
+    expect(generatePython(meta, [cv])).toContain('scan_rate="__import__(\\"os\\")"');
+  });
+
+  it('omits the variables section when there are none', () => {
+    expect(generateYAML(defaultMeta, defaultSteps)).not.toContain('variables:');
+    expect(generatePython(defaultMeta, defaultSteps)).not.toContain('# Variables');
+  });
+});
+
+describe('electrode geometry', () => {
+  const meta = { ...defaultMeta, working_electrode: 'Pt/C', electrode_type: 'rde', electrode_area_cm2: 0.196, catalyst_loading_mg_cm2: 0.25 };
+  const steps = () => {
+    const cp = createDefaultStep('cp');
+    cp.params.current_basis = 'mA/cm²';
+    cp.params.current_mA = 10;
+    return [cp];
+  };
+
+  it('YAML keeps the entered density and notes the current', () => {
+    const output = generateYAML(meta, steps());
+    expect(yaml.load(output).system).toMatchObject({ electrode_type: 'rde', electrode_area_cm2: 0.196, catalyst_loading_mg_cm2: 0.25 });
+    expect(output).toContain('current: 10  # mA/cm² (1.96 mA)');
+  });
+
+  it('Python states the current of density steps', () => {
+    const output = generatePython(meta, steps());
+    expect(output).toContain('electrode_area_cm2=0.196,');
+    expect(output).toContain('# current entered as 10 mA/cm² (= 1.96 mA)');
+    expect(output).toContain('current=10, current_basis="mA/cm²"');
+  });
+
+  it('IR holds the geometry and the current in SI units', () => {
+    const ir = JSON.parse(generateIR(meta, steps()));
+    expect(ir.system.working).toEqual({ material: 'Pt/C', type: 'rde', area_m2: 0.0000196, loading_kg_m2: 0.0025 });
+    expect(ir.procedure[0].steps[0]).toMatchObject({ current_A: 0.00196, current_basis: 'mA' });
+  });
+
+  it('IR leaves the working electrode out when nothing is known about it', () => {
+    expect(JSON.parse(generateIR({ ...defaultMeta, working_electrode: '' }, steps())).system.working).toBeNull();
+  });
+});
+
+describe('target instrument', () => {
+  const meta = { ...defaultMeta, instrument: 'gamry_1010e' };
+
+  it('YAML and Python name the instrument', () => {
+    expect(generateYAML(meta, defaultSteps)).toContain('  instrument: gamry_1010e  # Gamry Interface 1010E');
+    expect(generatePython(meta, defaultSteps)).toContain('    instrument="gamry_1010e",');
+    expect(generateYAML(defaultMeta, defaultSteps)).not.toContain('instrument:');
+  });
+
+  it('IR records the instrument profile', () => {
+    const ir = JSON.parse(generateIR(meta, defaultSteps));
+    expect(ir.system.instrument).toMatchObject({ id: 'gamry_1010e', max_current_A: 1, sampling_rate_Hz: 100000 });
+    expect(JSON.parse(generateIR(defaultMeta, defaultSteps)).system.instrument).toBeNull();
+  });
+});
+
 describe('generateECDL', () => {
   it('produces valid JSON', () => {
     const output = generateECDL(defaultMeta, defaultSteps);
@@ -176,9 +262,40 @@ describe('generateECDL', () => {
     expect(ecdl.protocol.electrolyte.concentration_M).toBe(0.1);
     expect(ecdl.protocol.regime).toBe('acidic');
   });
+
+  it('describes mixtures, solvents and a measured pH', () => {
+    const ecdl = JSON.parse(generateECDL({ ...defaultMeta, electrolyte: '0.5 M H2SO4 + 10 mM CuSO4' }, defaultSteps));
+    expect(ecdl.protocol.electrolyte).toMatchObject({
+      type: 'H2SO4',
+      concentration_M: 0.5,
+      solvent: 'water',
+      components: [{ solute: 'H2SO4', concentration_M: 0.5 }],
+      additives: [{ solute: 'CuSO4', concentration_M: 0.01 }],
+    });
+    expect(ecdl.protocol.ph).toBeCloseTo(0);
+
+    const organic = JSON.parse(generateECDL({ ...defaultMeta, electrolyte: '0.1 M TBAPF6 in MeCN' }, defaultSteps));
+    expect(organic.protocol).toMatchObject({ electrolyte: { type: 'TBAPF6', solvent: 'acetonitrile' }, ph: null, regime: 'non-aqueous' });
+
+    const measured = JSON.parse(generateECDL({ ...defaultMeta, electrolyte: '0.1 M KHCO3, pH 6.8' }, defaultSteps));
+    expect(measured.protocol).toMatchObject({ ph: 6.8, ph_measured: true, regime: 'neutral' });
+  });
 });
 
 describe('generateIR', () => {
+  it('writes the electrolyte model in SI units', () => {
+    const ir = JSON.parse(generateIR({ ...defaultMeta, electrolyte: '50 mM KOH with 1 mM K3[Fe(CN)6], pH 12.6' }, defaultSteps));
+    expect(ir.system.electrolyte).toEqual({
+      solute: 'KOH',
+      concentration_mol_m3: 50,
+      components: [{ solute: 'KOH', concentration_mol_m3: 50 }],
+      additives: [{ solute: 'K3[Fe(CN)6]', concentration_mol_m3: 1 }],
+      solvent: 'water',
+      measured_ph: 12.6,
+    });
+    expect(ir.system.potential_scale.ph).toBe(12.6);
+  });
+
   it('produces valid JSON', () => {
     const output = generateIR(defaultMeta, defaultSteps);
     expect(() => JSON.parse(output)).not.toThrow();
@@ -217,6 +334,31 @@ describe('generateIR', () => {
     expect(irStep.duration_s).toBe(1200);
   });
 
+  it('writes the safety envelope of the procedure', () => {
+    const cv = createDefaultStep('cv');
+    const cp = createDefaultStep('cp');
+    cp.params.current_mA = -20;
+    const ir = JSON.parse(generateIR(defaultMeta, [createPhase('Main', [cv]), createPhase('Hold', [createRepeatBlock(2, [cp])])]));
+    expect(ir.safety).toMatchObject({
+      max_current_A: 0.02,
+      voltage_window_V: [-0.5, 2],
+      stop_conditions: [{
+        step: 'procedure[1].steps[0].steps[0]', quantity: 'potential_V', min: -0.5, max: 2, action: 'next', target: null, source: 'voltage_limits_V',
+      }],
+    });
+  });
+
+  it('adds lab limits as procedure-wide stop conditions', () => {
+    const ir = JSON.parse(generateIR(defaultMeta, [createDefaultStep('cv')], { max_potential_V: 1.8, max_current_mA: 100 }));
+    expect(ir.safety.stop_conditions).toEqual([
+      { step: null, quantity: 'potential_V', min: null, max: 1.8, action: 'abort', target: null, source: 'lab_limits' },
+      { step: null, quantity: 'current_A', min: null, max: 0.1, action: 'abort', target: null, source: 'lab_limits' },
+    ]);
+    expect(JSON.parse(generateIR(defaultMeta, [createDefaultStep('ocp')])).safety).toMatchObject({
+      max_current_A: null, voltage_window_V: null, stop_conditions: null,
+    });
+  });
+
   it('converts mA to A in IR steps', () => {
     const cpStep = createDefaultStep('cp');
     cpStep.params.current_mA = 50;
@@ -263,3 +405,241 @@ describe('YAML/Python param key cleaning', () => {
     expect(py).toContain('scan_rate=');
   });
 });
+
+// === Repeat blocks ===
+
+describe('repeat blocks', () => {
+  const loopSteps = () => [
+    createDefaultStep('purge'),
+    createRepeatBlock(50, [createDefaultStep('cv'), createDefaultStep('eis')]),
+  ];
+
+  it('YAML: emits a parseable repeat entry with nested steps', () => {
+    const data = yaml.load(generateYAML(defaultMeta, loopSteps()));
+    const entries = data.procedure[0].steps;
+    expect(entries).toHaveLength(2);
+    expect(entries[1].repeat).toBe(50);
+    expect(Object.keys(entries[1].steps[0])).toContain('cv');
+    expect(Object.keys(entries[1].steps[1])).toContain('eis');
+  });
+
+  it('YAML: numbers nested steps hierarchically', () => {
+    const output = generateYAML(defaultMeta, loopSteps());
+    expect(output).toContain('# Step 2: Repeat ×50');
+    expect(output).toContain('# Step 2.1: Cyclic Voltammetry');
+  });
+
+  it('Python: emits a for loop with indented step calls', () => {
+    const output = generatePython(defaultMeta, loopSteps());
+    expect(output).toContain('    for _ in range(50):');
+    expect(output).toContain('        p.cv(');
+    expect(output).toContain('        p.eis(');
+  });
+
+  it('Python: empty repeat block emits pass', () => {
+    const output = generatePython(defaultMeta, [createRepeatBlock(2)]);
+    expect(output).toContain('    for _ in range(2):\n        pass');
+  });
+
+  it('ECDL: nests repeat blocks in _procedure and multiplies cycles', () => {
+    const ecdl = JSON.parse(generateECDL(defaultMeta, loopSteps()));
+    const block = ecdl._procedure.steps[1];
+    expect(block.type).toBe('repeat');
+    expect(block.count).toBe(50);
+    expect(block.steps[0].technique).toBe('cv');
+    expect(ecdl.protocol.cycle_count).toBe(150);
+  });
+
+  it('ECDL: duration scales with repeat count', () => {
+    const single = JSON.parse(generateECDL(defaultMeta, [createDefaultStep('ca')]));
+    const repeated = JSON.parse(generateECDL(defaultMeta, [createRepeatBlock(4, [createDefaultStep('ca')])]));
+    expect(repeated.protocol.duration_hours).toBeCloseTo(single.protocol.duration_hours * 4);
+  });
+
+  it('ECDL: duration uses the per-technique model', () => {
+    const cv = { ...createDefaultStep('cv'), params: { ...createDefaultStep('cv').params, vertex1_V: 0, vertex2_V: 1.8, scan_rate_mV_s: 1, cycles: 1 } };
+    const ecdl = JSON.parse(generateECDL(defaultMeta, [cv]));
+    expect(ecdl.protocol.duration_hours).toBe(1);
+  });
+
+  it('IR: GCD capacity is converted to coulombs', () => {
+    const gcd = { ...createDefaultStep('gcd'), params: { ...createDefaultStep('gcd').params, capacity_mAh: 10 } };
+    const ir = JSON.parse(generateIR(defaultMeta, [gcd]));
+    expect(ir.procedure[0].steps[0].capacity_C).toBeCloseTo(36);
+  });
+
+  it('IR: emits repeat node with SI-converted children', () => {
+    const ir = JSON.parse(generateIR(defaultMeta, loopSteps()));
+    const block = ir.procedure[0].steps[1];
+    expect(block.type).toBe('repeat');
+    expect(block.count).toBe(50);
+    expect(block.steps[0].scan_rate_V_s).toBeCloseTo(0.05);
+  });
+});
+
+// === Phases ===
+
+describe('phases', () => {
+  const phases = () => [
+    createPhase('Conditioning', [createDefaultStep('purge'), createDefaultStep('ocp')], 'setup'),
+    createPhase('Activity', [createDefaultStep('cv'), createDefaultStep('eis')]),
+    createPhase('Post-mortem', []),
+  ];
+
+  it('flat step lists still emit a single Main phase', () => {
+    const data = yaml.load(generateYAML(defaultMeta, defaultSteps));
+    expect(data.procedure).toHaveLength(1);
+    expect(data.procedure[0].name).toBe('Main');
+  });
+
+  it('YAML: emits every phase with name, role and steps', () => {
+    const data = yaml.load(generateYAML(defaultMeta, phases()));
+    expect(data.procedure.map(p => p.name)).toEqual(['Conditioning', 'Activity', 'Post-mortem']);
+    expect(data.procedure[0].role).toBe('setup');
+    expect(data.procedure[1].role).toBeUndefined();
+    expect(data.procedure[1].steps).toHaveLength(2);
+    expect(data.procedure[2].steps).toEqual([]);
+  });
+
+  it('Python: opens one phase block per phase', () => {
+    const output = generatePython(defaultMeta, phases());
+    expect(output).toContain('with proc.phase("Conditioning", role="setup") as p:');
+    expect(output).toContain('with proc.phase("Activity") as p:');
+    expect(output).toContain('with proc.phase("Post-mortem") as p:\n    pass');
+    expect(output).not.toContain('proc.phase("Main")');
+  });
+
+  it('ECDL: records phases and tags each step with its phase', () => {
+    const ecdl = JSON.parse(generateECDL(defaultMeta, phases()));
+    expect(ecdl._procedure.phases).toEqual([
+      { name: 'Conditioning', role: 'setup' },
+      { name: 'Activity', role: null },
+      { name: 'Post-mortem', role: null },
+    ]);
+    expect(ecdl._procedure.steps.map(s => s.phase)).toEqual(['Conditioning', 'Conditioning', 'Activity', 'Activity']);
+  });
+
+  it('IR: one procedure block per phase, roles fill setup/stabilize/teardown', () => {
+    const ir = JSON.parse(generateIR(defaultMeta, phases()));
+    expect(ir.procedure.map(p => p.name)).toEqual(['Conditioning', 'Activity', 'Post-mortem']);
+    expect(ir.procedure[0].setup).toHaveLength(2);
+    expect(ir.procedure[0].steps).toEqual([]);
+    expect(ir.procedure[1].setup).toBeNull();
+    expect(ir.procedure[1].steps).toHaveLength(2);
+  });
+});
+
+// === Potential scale ===
+
+describe('potential scale annotations', () => {
+  const agMeta = { ...defaultMeta, reference: 'Ag/AgCl' };
+
+  it('YAML: states the scale and RHE offset in system', () => {
+    const output = generateYAML(agMeta, [createDefaultStep('cv')]);
+    expect(output).toContain('potential_scale: "V vs Ag/AgCl"');
+    expect(output).toMatch(/rhe_offset_V: 0\.256\d*/);
+  });
+
+  it('YAML: annotates each potential with its scale and RHE value', () => {
+    const output = generateYAML(agMeta, [createDefaultStep('cv')]);
+    expect(output).toMatch(/vertex1: 0\.05 {2}# V vs Ag\/AgCl \(0\.306\d* V vs RHE\)/);
+    const data = yaml.load(output);
+    expect(data.procedure[0].steps[0].cv.vertex1).toBe(0.05);
+  });
+
+  it('YAML: RHE procedures are labelled without an offset', () => {
+    const output = generateYAML(defaultMeta, [createDefaultStep('ca')]);
+    expect(output).toContain('potential: 1.5  # V vs RHE');
+    expect(output).not.toContain('rhe_offset_V');
+  });
+
+  it('Python: comments the scale of step potentials', () => {
+    const output = generatePython(agMeta, [createDefaultStep('lsv')]);
+    expect(output).toContain('# All potentials are in V vs Ag/AgCl');
+    expect(output).toMatch(/# Potentials in V vs Ag\/AgCl; vs RHE: start=1\.256\d*, end=0\.456\d*/);
+  });
+
+  it('ECDL: records potential scale and RHE equivalents per step', () => {
+    const ecdl = JSON.parse(generateECDL(agMeta, [createDefaultStep('ca'), createDefaultStep('purge')]));
+    expect(ecdl._procedure.system.potential_scale).toBe('V vs Ag/AgCl');
+    expect(ecdl._procedure.steps[0].potentials_vs_RHE.potential_V).toBeCloseTo(1.7562, 3);
+    expect(ecdl._procedure.steps[1]).not.toHaveProperty('potentials_vs_RHE');
+  });
+
+  it('IR: records the potential reference on steps that apply potentials', () => {
+    const ir = JSON.parse(generateIR(agMeta, [createDefaultStep('ca'), createDefaultStep('purge')]));
+    expect(ir.system.potential_scale.reference).toBe('Ag/AgCl');
+    expect(ir.system.potential_scale.offset_to_RHE_V).toBeCloseTo(0.2562, 3);
+    expect(ir.procedure[0].steps[0].potential_reference).toBe('Ag/AgCl');
+    expect(ir.procedure[0].steps[1].potential_reference).toBeUndefined();
+  });
+});
+
+// === Lab Manual ===
+
+describe('lab manual', () => {
+  const cv = () => ({ ...createDefaultStep('cv'), stop_conditions: [{ when: 'current_above', value: 5, action: 'abort', target: '' }] });
+  const phases = [
+    createPhase('Conditioning', [createDefaultStep('purge'), createRepeatBlock(2, [createDefaultStep('purge'), cv()])]),
+    createPhase('Test', [createDefaultStep('eis'), createDefaultStep('gcd')]),
+  ];
+
+  it('numbers an instruction for every step, with each setting and its help', () => {
+    const md = generateManualMarkdown(defaultMeta, phases);
+    expect(md).toContain('### Phase: Conditioning');
+    expect(md).toContain('#### 1. Gas Purge (Purge)');
+    expect(md).toContain('##### 2.2. Cyclic Voltammetry (CV)');
+    expect(md).toContain('Cycle the potential between 0.05 and 1.2 V vs RHE at 50 mV/s for 3 cycles.');
+    expect(md).toContain(TECHNIQUES.cv.description);
+    expect(md).toContain(`| Scan rate | 50 mV/s | ${TECHNIQUES.cv.params.scan_rate_mV_s.help} |`);
+    expect(md).toContain('- Stop when: Current above 5 mA → abort procedure');
+    expect(md).toContain('Measure the impedance from 100 kHz to 100 mHz at the open-circuit potential');
+  });
+
+  it('lists materials and the gas used over all repeats', () => {
+    const md = generateManualMarkdown(defaultMeta, phases);
+    expect(md).toContain('| Working electrode | GCE |');
+    expect(md).toContain('| Electrolyte | 0.1 M HClO4 |');
+    expect(md).toContain('| N2 | 60 min | 3 L |');
+  });
+
+  it('gives estimated times per step, per repeat block and in total', () => {
+    const md = generateManualMarkdown(defaultMeta, phases);
+    expect(md).toContain('#### 2. Repeat 2 times (44.6 min)');
+    expect(md).toContain('Estimated time: 10 h — assumes 1C (no capacity set)');
+    expect(md).toMatch(/\*\*Estimated run time:\*\* [\d.]+ h \(includes assumptions\)/);
+  });
+
+  it('states the safety envelope with lab and instrument limits', () => {
+    const md = generateManualMarkdown({ ...defaultMeta, instrument: 'palmsens4' }, phases, { min_potential_V: -0.2, max_current_mA: 20 });
+    expect(md).toContain('| Potential window of the procedure | 0 to 1.2 V vs RHE |');
+    expect(md).toContain('| Largest applied current | 10 mA |');
+    expect(md).toContain('| Lab potential limits | -0.2 to — V vs RHE |');
+    expect(md).toContain('| Lab current limit | 20 mA |');
+    expect(md).toContain('| Instrument limits | ±5 V, 30 mA |');
+  });
+
+  it('ends with sign-off boxes and a checkbox per step', () => {
+    const md = generateManualMarkdown(defaultMeta, phases);
+    expect(md).toContain('| Reviewed by |   |   |   |');
+    expect(md.match(/- \[ \] Done/g)).toHaveLength(5);
+  });
+
+  it('shows resolved values with the expression they came from', () => {
+    const withVariables = { ...defaultMeta, variables: [{ name: 'rate', value: 20 }] };
+    const step = { ...createDefaultStep('lsv'), params: { ...createDefaultStep('lsv').params, scan_rate_mV_s: 'rate / 2' } };
+    const md = generateManualMarkdown(withVariables, [step]);
+    expect(md).toContain('at 10 mV/s.');
+    expect(md).toContain('| Scan rate | 10 mV/s (= rate / 2) |');
+  });
+
+  it('writes a standalone HTML page with a print stylesheet', () => {
+    const html = generateManualHTML({ ...defaultMeta, name: 'ORR <draft> & notes' }, phases);
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>ORR &lt;draft&gt; &amp; notes — Lab Manual</title>');
+    expect(html).toContain('@media print');
+    expect(html).toContain('break-inside: avoid');
+    expect(html.match(/<section class="step">/g)).toHaveLength(5);
+    expect(html).toContain('<table class="signoff">');
+  });
+});
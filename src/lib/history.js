@@ -0,0 +1,53 @@
+/**
+ * Undo/Redo History
+ * Snapshots of editor state. Consecutive changes tagged with the same group
+ * (typing into one field) merge into a single entry while they keep
+ * arriving within GROUP_WINDOW_MS of each other.
+ */
+
+export const HISTORY_LIMIT = 100;
+export const GROUP_WINDOW_MS = 1000;
+
+export function createHistory(present) {
+  return { past: [], present, future: [], group: null, time: 0 };
+}
+
+/**
+ * Record a change; the previous state becomes undoable
+ * @param {Object} history
+ * @param {*} next - New present state
+ * @param {Object} options - { group, now } — group is null for changes that always get their own entry
+ */
+export function recordHistory(history, next, { group = null, now = Date.now() } = {}) {
+  if (next === history.present) return history;
+  const merge = group !== null && group === history.group && now - history.time < GROUP_WINDOW_MS;
+  return {
+    past: merge ? history.past : [...history.past, history.present].slice(-HISTORY_LIMIT),
+    present: next,
+    future: [],
+    group,
+    time: now,
+  };
+}
+
+export function undoHistory(history) {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    group: null,
+    time: 0,
+  };
+}
+
+export function redoHistory(history) {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    group: null,
+    time: 0,
+  };
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { createHistory, recordHistory, undoHistory, redoHistory, HISTORY_LIMIT, GROUP_WINDOW_MS } from './history';
+
+const record = (history, next, group = null, now = 0) => recordHistory(history, next, { group, now });
+
+describe('history', () => {
+  it('undoes and redoes changes in order', () => {
+    let h = createHistory('a');
+    h = record(h, 'b');
+    h = record(h, 'c');
+    h = undoHistory(h);
+    expect(h.present).toBe('b');
+    h = undoHistory(h);
+    expect(h.present).toBe('a');
+    expect(undoHistory(h)).toBe(h);
+    h = redoHistory(redoHistory(h));
+    expect(h.present).toBe('c');
+    expect(redoHistory(h)).toBe(h);
+  });
+
+  it('drops the redo branch on a new change', () => {
+    let h = record(record(createHistory('a'), 'b'), 'c');
+    h = record(undoHistory(h), 'd');
+    expect(h.future).toEqual([]);
+    expect(h.past).toEqual(['a', 'b']);
+  });
+
+  it('ignores changes that keep the same state', () => {
+    const h = createHistory({ x: 1 });
+    expect(record(h, h.present)).toBe(h);
+  });
+
+  it('groups rapid changes to the same field into one entry', () => {
+    let h = createHistory('');
+    h = record(h, 'C', 'name', 0);
+    h = record(h, 'CV', 'name', 400);
+    h = record(h, 'CV scan', 'name', 1200);
+    expect(h.past).toEqual(['']);
+    expect(undoHistory(h).present).toBe('');
+  });
+
+  it('starts a new entry after a pause, a different field or an ungrouped change', () => {
+    let h = record(createHistory(''), 'a', 'name', 0);
+    h = record(h, 'ab', 'name', GROUP_WINDOW_MS + 1);
+    expect(h.past).toEqual(['', 'a']);
+    h = record(h, 'ab!', 'tag', GROUP_WINDOW_MS + 2);
+    expect(h.past).toHaveLength(3);
+    h = record(h, 'x', null, GROUP_WINDOW_MS + 3);
+    h = record(h, 'y', null, GROUP_WINDOW_MS + 4);
+    expect(h.past).toHaveLength(5);
+  });
+
+  it('does not merge into an entry restored by undo', () => {
+    let h = record(record(createHistory(''), 'a', 'name', 0), 'b', null, 1);
+    h = record(undoHistory(h), 'ax', 'name', 2);
+    expect(h.past).toEqual(['', 'a']);
+  });
+
+  it('keeps at most HISTORY_LIMIT undo steps', () => {
+    let h = createHistory(0);
+    for (let i = 1; i <= HISTORY_LIMIT + 10; i++) h = record(h, i);
+    expect(h.past).toHaveLength(HISTORY_LIMIT);
+    expect(h.past[0]).toBe(10);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Instrument Profiles
+ * What a potentiostat can execute: applied potential range and current
+ * compliance, current ranges, EIS frequency range, scan rate, sampling rate
+ * and the techniques its software offers. Profiles are JSON files in
+ * src/instruments/ named by their id; a procedure targets one through
+ * metadata.instrument, and validation then holds its steps to that
+ * instrument instead of the generic limits.
+ */
+
+import { TECHNIQUES } from './techniques';
+
+const PROFILE_FILES = import.meta.glob('../instruments/*.json', { import: 'default', eager: true });
+
+// Nominal figures of each profile, in the units of its JSON keys
+export const INSTRUMENT_FIELDS = {
+  potential_range_V: { label: 'Potential range', unit: 'V' },
+  compliance_V: { label: 'Compliance voltage', unit: 'V' },
+  current_compliance_mA: { label: 'Max current', unit: 'mA' },
+  eis_min_frequency_Hz: { label: 'EIS min frequency', unit: 'Hz' },
+  eis_max_frequency_Hz: { label: 'EIS max frequency', unit: 'Hz' },
+  max_scan_rate_mV_s: { label: 'Max scan rate', unit: 'mV/s' },
+  sampling_rate_Hz: { label: 'Sampling rate', unit: 'Hz' },
+};
+
+// Profiles by id, sorted by name
+export const INSTRUMENTS = Object.fromEntries(
+  Object.values(PROFILE_FILES)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(profile => [profile.id, profile])
+);
+
+// Profile the procedure targets, or null for the generic limits
+export function instrumentProfile(metadata) {
+  return INSTRUMENTS[metadata?.instrument] ?? null;
+}
+
+// Whether the instrument runs a technique; auxiliary steps (gas purge) need no potentiostat
+export function supportsTechnique(profile, technique) {
+  return TECHNIQUES[technique]?.category === 'auxiliary' || profile.techniques.includes(technique);
+}
+
+// "10 MHz", "1 µHz"
+export function formatFrequency(f) {
+  const [scale, unit] = [[1e6, 'MHz'], [1e3, 'kHz'], [1, 'Hz'], [1e-3, 'mHz']].find(([s]) => f >= s) ?? [1e-6, 'µHz'];
+  return `${Number((f / scale).toPrecision(6))} ${unit}`;
+}
+
+/**
+ * One line for a profile
+ * @returns {string} e.g. "±12 V, 1000 mA, EIS 10 µHz–2 MHz, ≤1000 V/s, 100 kHz sampling"
+ */
+export function describeInstrument(profile) {
+  const eis = profile.eis_max_frequency_Hz
+    ? `EIS ${formatFrequency(profile.eis_min_frequency_Hz)}–${formatFrequency(profile.eis_max_frequency_Hz)}`
+    : 'no EIS';
+  return [
+    `±${profile.potential_range_V} V`,
+    `${profile.current_compliance_mA} mA`,
+    eis,
+    `≤${profile.max_scan_rate_mV_s / 1000} V/s`,
+    `${formatFrequency(profile.sampling_rate_Hz)} sampling`,
+  ].join(', ');
+}
+
+/**
+ * Profile as written to the IR, in SI units
+ * @returns {Object|null}
+ */
+export function irInstrument(profile) {
+  if (!profile) return null;
+  const si = (value, factor) => (value === null || value === undefined ? null : Number((value * factor).toPrecision(12)));
+  return {
+    id: profile.id,
+    name: profile.name,
+    vendor: profile.vendor,
+    potential_range_V: profile.potential_range_V,
+    compliance_V: profile.compliance_V,
+    max_current_A: si(profile.current_compliance_mA, 1e-3),
+    current_ranges_A: profile.current_ranges_mA.map(range => si(range, 1e-3)),
+    eis_frequency_range_Hz: profile.eis_max_frequency_Hz ? [profile.eis_min_frequency_Hz, profile.eis_max_frequency_Hz] : null,
+    max_scan_rate_V_s: si(profile.max_scan_rate_mV_s, 1e-3),
+    sampling_rate_Hz: profile.sampling_rate_Hz,
+    techniques: profile.techniques,
+  };
+}
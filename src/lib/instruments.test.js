@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+  INSTRUMENTS, INSTRUMENT_FIELDS, instrumentProfile, supportsTechnique, formatFrequency, describeInstrument, irInstrument
+} from './instruments';
+import { TECHNIQUES } from './techniques';
+
+describe('instrument profiles', () => {
+  it('loads every profile file under its id', () => {
+    expect(Object.keys(INSTRUMENTS)).toContain('gamry_1010e');
+    Object.entries(INSTRUMENTS).forEach(([id, profile]) => {
+      expect(profile.id).toBe(id);
+      expect(profile.name).toBeTruthy();
+      Object.keys(INSTRUMENT_FIELDS).forEach(key => expect(profile).toHaveProperty(key));
+      expect(profile.current_ranges_mA.length).toBeGreaterThan(0);
+      profile.techniques.forEach(technique => expect(TECHNIQUES).toHaveProperty(technique));
+    });
+  });
+
+  it('finds the profile a procedure targets', () => {
+    expect(instrumentProfile({ instrument: 'palmsens4' }).name).toBe('PalmSens4');
+    expect(instrumentProfile({ instrument: '' })).toBeNull();
+    expect(instrumentProfile({ instrument: 'unknown' })).toBeNull();
+  });
+
+  it('needs no instrument technique for auxiliary steps', () => {
+    const cycler = INSTRUMENTS.biologic_bcs805;
+    expect(supportsTechnique(cycler, 'gcd')).toBe(true);
+    expect(supportsTechnique(cycler, 'eis')).toBe(false);
+    expect(supportsTechnique(cycler, 'purge')).toBe(true);
+  });
+});
+
+describe('describing instruments', () => {
+  it('formats frequencies', () => {
+    expect(formatFrequency(10000000)).toBe('10 MHz');
+    expect(formatFrequency(0.000001)).toBe('1 µHz');
+    expect(formatFrequency(150000)).toBe('150 kHz');
+  });
+
+  it('sums up a profile in one line', () => {
+    expect(describeInstrument(INSTRUMENTS.gamry_1010e)).toBe('±12 V, 1000 mA, EIS 10 µHz–2 MHz, ≤1000 V/s, 100 kHz sampling');
+    expect(describeInstrument(INSTRUMENTS.biologic_bcs805)).toContain('no EIS');
+  });
+
+  it('writes the IR profile in SI units', () => {
+    const ir = irInstrument(INSTRUMENTS.palmsens4);
+    expect(ir).toMatchObject({ id: 'palmsens4', max_current_A: 0.03, max_scan_rate_V_s: 5, eis_frequency_range_Hz: [0.00001, 1000000] });
+    expect(ir.current_ranges_A.at(-1)).toBe(0.01);
+    expect(irInstrument(INSTRUMENTS.biologic_bcs805).eis_frequency_range_Hz).toBeNull();
+    expect(irInstrument(null)).toBeNull();
+  });
+});
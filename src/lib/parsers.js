@@ -0,0 +1,1039 @@
+/**
+ * Parsers for ecproc formats — the inverse of generators.js
+ * - YAML (.ecproc)
+ * - Python SDK
+ * - ECDL JSON
+ * - Faraday IR JSON
+ * - Share link payload
+ * - Stored phases of workspace archives
+ *
+ * Each parser reads a file back into metadata and phases, collecting
+ * diagnostics for everything that could not be carried over so the user
+ * can review them before accepting a partial import.
+ */
+
+import yaml from 'js-yaml';
+import { TECHNIQUES, createDefaultStep } from './techniques';
+import { LEVEL } from './validation';
+import { cleanParamKey, irConversion, irContentHash, SHARE_VERSION } from './generators';
+import { REFERENCE_ELECTRODES } from './potentials';
+import { ELECTRODE_TYPES } from './electrodes';
+import { INSTRUMENTS } from './instruments';
+import { PHASE_ROLES, createPhase, createRepeatBlock, collectSteps, isRepeatBlock } from './procedure';
+import { VARIABLE_NAME, expressionNames, isExpression } from './variables';
+import { STOP_WHEN, STOP_ACTIONS } from './stops';
+import { formatElectrolyte } from './electrolyte';
+
+// Diagnostic codes
+export const IMPORT_CODES = {
+  SYNTAX: 'IM001', // File could not be parsed
+  FORMAT: 'IM002', // Parsed, but not a recognised procedure document
+  TECHNIQUE: 'IM003', // Unknown technique — step dropped
+  PARAM: 'IM004', // Unknown param key — ignored
+  VALUE: 'IM005', // Value could not be parsed — default kept
+  METADATA: 'IM006', // Metadata field not used by the IDE — ignored
+  EMPTY: 'IM007', // No steps — current procedure kept
+  INTEGRITY: 'IM008', // IR source_hash missing or does not match the content
+};
+
+// Fields the generators emit that are derived on export, not user data
+const DERIVED_YAML = {
+  metadata: ['version'],
+  system: ['potential_scale', 'rhe_offset_V'],
+};
+const DERIVED_ECDL_SYSTEM = ['potential_scale', 'rhe_offset_V'];
+const ECDL_STEP_KEYS = ['order', 'phase', 'technique', 'technique_name', 'params', 'potential_scale', 'potentials_vs_RHE', 'stop_conditions', 'tag'];
+const IR_TOP_LEVEL = ['faraday_version', 'metadata', 'system', 'procedure', 'safety', 'state_recovery', 'variables', 'output', 'provenance'];
+const DERIVED_IR_SAFETY = ['max_current_A', 'voltage_window_V', 'stop_conditions'];
+const IR_SYSTEM_KEYS = ['electrodes', 'reference', 'potential_scale', 'working', 'electrolyte', 'counter', 'instrument'];
+// stop_conditions is not written on IR steps: applyIRStops moves safety.stop_conditions there
+const IR_STEP_KEYS = ['technique', 'tag', 'extract', 'vendor_flags', 'potential_reference', 'stop_conditions'];
+const IR_BLOCK_FIELDS = [['setup', 'setup'], ['stabilize', 'stabilize'], ['steps', null], ['teardown', 'teardown']];
+
+// Collects diagnostics while a file is read, and the variable names the
+// file defines so far (params may only refer to those)
+function createReport() {
+  const diagnostics = [];
+  const add = (level, code, message, location = null, extra = {}) => {
+    diagnostics.push({ level, code, message, location, ...extra });
+  };
+  return { diagnostics, add, variables: [] };
+}
+
+// Param key as written in a file (full or cleaned) → technique param key
+function paramKeyMap(tech) {
+  const map = {};
+  Object.keys(tech.params).forEach(fullKey => {
+    map[cleanParamKey(fullKey)] = fullKey;
+    map[fullKey] = fullKey;
+  });
+  return map;
+}
+
+/**
+ * Convert a raw file value to the param's type
+ * @param {Array} variables - Variable names numeric params may refer to in expressions
+ * @returns {Object} { value } on success, { error } otherwise
+ */
+export function coerceParam(config, raw, variables = []) {
+  if (raw === null || raw === undefined || raw === '') return { value: null };
+  switch (config.type) {
+    case 'number':
+    case 'integer': {
+      // Expressions may only use the variables the file defines
+      const names = isExpression(config, raw) ? expressionNames(raw) : null;
+      if (names && names.every(name => variables.includes(name))) return { value: raw.trim() };
+      if (names) return { error: `"${raw}" is not a number or an expression over the procedure variables` };
+      const n = typeof raw === 'number' ? raw : parseFloat(raw);
+      if (!Number.isFinite(n)) return { error: `"${raw}" is not a number` };
+      return { value: config.type === 'integer' ? Math.round(n) : n };
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+      return { error: `"${raw}" is not true or false` };
+    case 'select':
+      if (config.options.includes(raw)) return { value: raw };
+      return { error: `"${raw}" is not one of ${config.options.join(', ')}` };
+    default:
+      return { value: String(raw) };
+  }
+}
+
+/**
+ * Read a step's stop conditions, dropping those that cannot be represented
+ * @param {Array} raw - [{ when, value, action, target }]; a missing action means "next"
+ */
+function readStopConditions(raw, location, report) {
+  if (!Array.isArray(raw)) {
+    report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, 'stop_conditions must be a list — ignored', location);
+    return [];
+  }
+  return raw.flatMap((entry, i) => {
+    const drop = (message) => {
+      report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `Stop condition ${i + 1}: ${message} — dropped`, location);
+      return [];
+    };
+    if (!entry || typeof entry !== 'object') return drop('not a mapping');
+    const { when, value = null, action = 'next', target = '' } = entry;
+    if (!(when in STOP_WHEN)) return drop(`unknown condition "${when}"`);
+    if (!(action in STOP_ACTIONS)) return drop(`unknown action "${action}"`);
+    const n = typeof value === 'number' ? value : parseFloat(value);
+    if (value !== null && !Number.isFinite(n)) return drop(`"${value}" is not a number`);
+    return [{ when, value: value === null ? null : n, action, target: target === null ? '' : String(target) }];
+  });
+}
+
+// Build a step from a technique id and its raw params, reporting what is dropped
+function buildStep(techId, rawParams, tag, location, report, stops = undefined) {
+  const tech = TECHNIQUES[techId];
+  const step = createDefaultStep(techId);
+  const keys = paramKeyMap(tech);
+  Object.entries(rawParams || {}).forEach(([key, raw]) => {
+    const fullKey = keys[key];
+    if (!fullKey) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.PARAM, `Unknown ${tech.abbrev} parameter "${key}" ignored`, location);
+      return;
+    }
+    const result = coerceParam(tech.params[fullKey], raw, report.variables);
+    if (result.error) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `${tech.abbrev} ${tech.params[fullKey].label}: ${result.error} — default kept`, location);
+      return;
+    }
+    step.params[fullKey] = result.value;
+  });
+  if (tag) step.tag = String(tag);
+  if (stops !== undefined && stops !== null) {
+    const conditions = readStopConditions(stops, location, report);
+    if (conditions.length > 0) step.stop_conditions = conditions;
+  }
+  return step;
+}
+
+function buildRepeat(rawCount, children, tag, location, report) {
+  const count = parseInt(rawCount, 10);
+  if (!Number.isFinite(count)) {
+    report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `Repeat count "${rawCount}" is not a number — set to 1`, location);
+  }
+  const block = createRepeatBlock(Number.isFinite(count) ? count : 1, children);
+  if (tag) block.tag = String(tag);
+  return block;
+}
+
+function describeUnknown(value) {
+  return typeof value === 'object' && value !== null ? 'section' : `"${value}"`;
+}
+
+// Copy known metadata fields; report the rest
+function readFields(source, fields, derived, section, report) {
+  const result = {};
+  if (!source || typeof source !== 'object') return result;
+  Object.entries(source).forEach(([key, value]) => {
+    if (derived.includes(key)) return;
+    const read = fields[key];
+    if (!read) {
+      report.add(LEVEL.INFO, IMPORT_CODES.METADATA, `${section}.${key} (${describeUnknown(value)}) is not used and was ignored`);
+      return;
+    }
+    if (value === null || value === undefined || value === '') return;
+    Object.assign(result, read(value, `${section}.${key}`));
+  });
+  return result;
+}
+
+const text = (field) => (value) => ({ [field]: String(value) });
+
+const number = (field, report) => (value, where) => {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  if (Number.isFinite(n)) return { [field]: n };
+  report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `${where}: "${value}" is not a number — current value kept`);
+  return {};
+};
+
+/**
+ * Read procedure variables and make their names available to expressions
+ * @param {Object|Array} source - { name: value } mapping, or [{ name, value }]
+ * @returns {Array} [{ name, value }] — entries without a numeric value are reported and dropped
+ */
+function readVariables(source, section, report) {
+  if (!source || typeof source !== 'object') {
+    report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, `${section} must map variable names to numbers — ignored`);
+    return [];
+  }
+  const entries = Array.isArray(source) ? source.map(entry => [entry?.name, entry?.value]) : Object.entries(source);
+  const variables = [];
+  entries.forEach(([name, value]) => {
+    const n = typeof value === 'number' ? value : Number(value);
+    if (!VARIABLE_NAME.test(name ?? '')) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `${section}: "${name ?? ''}" is not a variable name — dropped`);
+    } else if (value === null || value === '' || !Number.isFinite(n)) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `${section}.${name}: "${value}" is not a number — variable dropped`);
+    } else {
+      variables.push({ name, value: n });
+    }
+  });
+  report.variables = variables.map(v => v.name);
+  return variables;
+}
+
+const reference = (report) => (value, where) => {
+  if (value in REFERENCE_ELECTRODES) return { reference: value };
+  report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `${where}: unknown reference electrode "${value}" — current reference kept`);
+  return {};
+};
+
+const electrodeType = (report) => (value, where) => {
+  if (value in ELECTRODE_TYPES) return { electrode_type: value };
+  report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `${where}: unknown electrode type "${value}" — not imported`);
+  return {};
+};
+
+const instrument = (report) => (value, where) => {
+  if (value in INSTRUMENTS) return { instrument: value };
+  report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `${where}: unknown instrument "${value}" — not imported`);
+  return {};
+};
+
+function systemFields(report, temperatureKeys) {
+  return {
+    electrodes: number('electrodes', report),
+    reference: reference(report),
+    electrolyte: text('electrolyte'),
+    ...Object.fromEntries(temperatureKeys.map(key => [key, number('temperature', report)])),
+    working_electrode: text('working_electrode'),
+    counter_electrode: text('counter_electrode'),
+    electrode_type: electrodeType(report),
+    electrode_area_cm2: number('electrode_area_cm2', report),
+    catalyst_loading_mg_cm2: number('catalyst_loading_mg_cm2', report),
+    instrument: instrument(report),
+  };
+}
+
+function finish(format, metadata, phases, report, extra = {}) {
+  const hasSteps = phases && collectSteps(phases.flatMap(p => p.steps)).length > 0;
+  if (phases && !hasSteps) {
+    report.add(LEVEL.WARNING, IMPORT_CODES.EMPTY, 'No importable steps found — the current procedure is kept');
+  }
+  return { format, metadata, phases: hasSteps ? phases : null, diagnostics: report.diagnostics, ...extra };
+}
+
+// Per-procedure fields an imported procedure replaces even when it leaves them
+// out, so the area, loading, instrument or variables of the open procedure
+// cannot carry over
+export const IMPORT_CLEARED_FIELDS = {
+  author: '', description: '', electrolyte: '', working_electrode: '', counter_electrode: '',
+  electrode_type: '', electrode_area_cm2: null, catalyst_loading_mg_cm2: null, instrument: '', variables: [],
+};
+
+// Result for a file nothing could be read from
+function failed(format, report) {
+  return { format, metadata: {}, phases: null, diagnostics: report.diagnostics };
+}
+
+function parseJSON(content, report) {
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    report.add(LEVEL.ERROR, IMPORT_CODES.SYNTAX, `JSON syntax error: ${err.message}`);
+    return undefined;
+  }
+}
+
+// === .ecproc (YAML) ===
+
+function yamlStepLocation(phaseName, label, technique) {
+  return `Phase "${phaseName}", step ${label}${technique ? ` (${technique})` : ''}`;
+}
+
+function readYAMLSteps(entries, phaseName, prefix, report) {
+  return entries.map((entry, i) => {
+    const label = `${prefix}${i + 1}`;
+    if (!entry || typeof entry !== 'object') {
+      report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, `Step entry is not a mapping — skipped`, yamlStepLocation(phaseName, label));
+      return null;
+    }
+    if ('repeat' in entry) {
+      const children = Array.isArray(entry.steps) ? readYAMLSteps(entry.steps, phaseName, `${label}.`, report) : [];
+      return buildRepeat(entry.repeat, children, entry.tag, yamlStepLocation(phaseName, label, 'repeat'), report);
+    }
+    const keys = Object.keys(entry).filter(k => k !== 'tag' && k !== 'stop_conditions');
+    const techId = keys.find(k => TECHNIQUES[k]);
+    if (!techId) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.TECHNIQUE, `Unknown technique "${keys[0] ?? '(none)'}" — step dropped`, yamlStepLocation(phaseName, label));
+      return null;
+    }
+    const location = yamlStepLocation(phaseName, label, techId);
+    keys.filter(k => k !== techId).forEach(k => {
+      report.add(LEVEL.WARNING, IMPORT_CODES.PARAM, `Unexpected key "${k}" next to ${techId} ignored`, location);
+    });
+    return buildStep(techId, entry[techId], entry.tag, location, report, entry.stop_conditions);
+  }).filter(Boolean);
+}
+
+/**
+ * Read a .ecproc YAML document
+ * @param {string} content - File text
+ * @returns {Object} { format, metadata, phases, diagnostics } — phases is null when nothing can be imported;
+ *   documents with a template section also return template: { category, rationale }
+ */
+export function parseYAML(content) {
+  const report = createReport();
+  let data;
+  try {
+    data = yaml.load(content);
+  } catch (err) {
+    const mark = err.mark ?? {};
+    report.add(LEVEL.ERROR, IMPORT_CODES.SYNTAX, `YAML syntax error: ${err.reason || err.message}`, null, {
+      line: Number.isInteger(mark.line) ? mark.line + 1 : null,
+      column: Number.isInteger(mark.column) ? mark.column + 1 : null,
+    });
+    return failed('yaml', report);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    report.add(LEVEL.ERROR, IMPORT_CODES.FORMAT, 'File is not an .ecproc document (expected metadata, system and procedure sections)');
+    return failed('yaml', report);
+  }
+
+  Object.keys(data)
+    .filter(key => !['metadata', 'template', 'system', 'variables', 'procedure'].includes(key))
+    .forEach(key => report.add(LEVEL.INFO, IMPORT_CODES.METADATA, `Top-level "${key}" section is not used and was ignored`));
+
+  const metadata = {
+    ...readFields(data.metadata, {
+      protocol: text('name'),
+      author: text('author'),
+      description: text('description'),
+    }, DERIVED_YAML.metadata, 'metadata', report),
+    ...readFields(data.system, systemFields(report, ['temperature']), DERIVED_YAML.system, 'system', report),
+    ...(data.variables === undefined ? {} : { variables: readVariables(data.variables, 'variables', report) }),
+  };
+  const template = data.template === undefined ? null : {
+    category: '',
+    rationale: '',
+    ...readFields(data.template, { category: text('category'), rationale: text('rationale') }, [], 'template', report),
+  };
+
+  let phases = null;
+  if (data.procedure !== undefined && !Array.isArray(data.procedure)) {
+    report.add(LEVEL.ERROR, IMPORT_CODES.FORMAT, 'procedure must be a list of phases');
+  } else if (Array.isArray(data.procedure)) {
+    phases = data.procedure.map((raw, i) => {
+      if (!raw || typeof raw !== 'object') {
+        report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, `Phase ${i + 1} is not a mapping — skipped`);
+        return null;
+      }
+      const name = String(raw.name ?? 'Main');
+      if (raw.role && !PHASE_ROLES.includes(raw.role)) {
+        report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `Unknown phase role "${raw.role}" — imported as ordinary steps`, `Phase "${name}"`);
+      }
+      Object.keys(raw)
+        .filter(key => !['name', 'role', 'steps'].includes(key))
+        .forEach(key => report.add(LEVEL.INFO, IMPORT_CODES.METADATA, `Phase key "${key}" is not used and was ignored`, `Phase "${name}"`));
+      const steps = Array.isArray(raw.steps) ? readYAMLSteps(raw.steps, name, '', report) : [];
+      return createPhase(name, steps, PHASE_ROLES.includes(raw.role) ? raw.role : null);
+    }).filter(Boolean);
+  }
+
+  return finish('yaml', metadata, phases, report, template ? { template } : {});
+}
+
+// === Python SDK ===
+
+const PYTHON_ESCAPES = { n: '\n', r: '\r', t: '\t' };
+
+// A Python literal as written by generatePython → JS value
+function pythonLiteral(source) {
+  const s = source.trim();
+  const quoted = s.match(/^(["'])((?:\\.|(?!\1)[^\\])*)\1$/);
+  if (quoted) return { value: quoted[2].replace(/\\(.)/g, (_, c) => PYTHON_ESCAPES[c] ?? c) };
+  if (s === 'True' || s === 'False') return { value: s === 'True' };
+  if (s === 'None') return { value: null };
+  const n = Number(s);
+  if (s !== '' && Number.isFinite(n)) return { value: n };
+  return { error: `"${s}" is not a Python literal` };
+}
+
+// Split `a, b=1, c="x, y"` into [keyword | null, literal source] pairs
+function pythonArgs(source) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (quote) {
+      current += c;
+      if (c === '\\') current += source[++i] ?? '';
+      else if (c === quote) quote = null;
+    } else if (c === ',') {
+      args.push(current);
+      current = '';
+    } else {
+      if (c === '"' || c === "'") quote = c;
+      current += c;
+    }
+  }
+  if (current.trim()) args.push(current);
+  return args.map(arg => {
+    const match = arg.match(/^\s*(\w+)\s*=(?!=)([\s\S]*)$/);
+    return match ? [match[1], match[2]] : [null, arg];
+  });
+}
+
+// Expressions over the script's variables are kept as source text
+function pythonValue(source, report) {
+  const result = pythonLiteral(source);
+  if (!result.error) return result;
+  const names = expressionNames(source);
+  return names && names.every(name => report.variables.includes(name)) ? { value: source.trim() } : result;
+}
+
+// Evaluate call arguments, reporting anything that is not a plain literal
+function readPythonArgs(source, location, line, report) {
+  const positional = [];
+  const keywords = {};
+  pythonArgs(source).forEach(([key, literal]) => {
+    const result = pythonValue(literal, report);
+    if (result.error) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `${key ? `${key}: ` : ''}${result.error} — ignored`, location, { line });
+      return;
+    }
+    if (key) keywords[key] = result.value;
+    else positional.push(result.value);
+  });
+  return { positional, keywords };
+}
+
+const PYTHON_STATEMENTS = {
+  procedure: /^proc\s*=\s*Procedure\((.*)\)$/,
+  system: /^proc\.system\((.*)$/,
+  phase: /^with\s+proc\.phase\((.*)\)\s+as\s+p\s*:$/,
+  repeat: /^for\s+_\s+in\s+range\((.*)\)\s*:$/,
+  // Stop conditions of the step written just above
+  stopWhen: /^p\.stop_when\((.*)\)$/,
+  step: /^p\.(\w+)\((.*)\)$/,
+  // Only number assignments: other top-level assignments are generated boilerplate
+  variable: /^([A-Za-z_]\w*)\s*=\s*([-+]?\.?\d[\w.+-]*)$/,
+  // generatePython writes a repeat block's tag into the comment above its loop
+  repeatComment: /^#\s*Step [\d.]+: Repeat ×\d+(?: \[(.*)\])?$/,
+};
+
+/**
+ * Read a Python SDK script written by generatePython. Only the statements
+ * the generator emits are understood; the script is never executed.
+ * @param {string} content - File text
+ * @returns {Object} { format, metadata, phases, diagnostics }
+ */
+export function parsePython(content) {
+  const report = createReport();
+  const lines = content.split(/\r?\n/);
+  const metadata = {};
+  const phases = [];
+  // Open bodies (phase, then nested loops) with the indent of their header line
+  let bodies = [];
+  let pendingTag = null;
+  let recognised = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+    const line = raw.trim();
+    const lineNo = i + 1;
+    if (!line) continue;
+    const indent = raw.length - raw.trimStart().length;
+    while (bodies.length > 0 && indent <= bodies[bodies.length - 1].indent) bodies.pop();
+    const phase = phases[phases.length - 1];
+    const where = (technique) => `Phase "${phase?.name}"${technique ? ` (${technique})` : ''}`;
+
+    if (line.startsWith('#')) {
+      const comment = line.match(PYTHON_STATEMENTS.repeatComment);
+      if (comment) pendingTag = comment[1] ?? null;
+      continue;
+    }
+    const tag = pendingTag;
+    pendingTag = null;
+
+    let match;
+    if ((match = line.match(PYTHON_STATEMENTS.phase)) && indent === 0) {
+      recognised = true;
+      const { positional, keywords } = readPythonArgs(match[1], null, lineNo, report);
+      const name = String(positional[0] ?? 'Main');
+      if (keywords.role && !PHASE_ROLES.includes(keywords.role)) {
+        report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `Unknown phase role "${keywords.role}" — imported as ordinary steps`, `Phase "${name}"`, { line: lineNo });
+      }
+      const created = createPhase(name, [], PHASE_ROLES.includes(keywords.role) ? keywords.role : null);
+      phases.push(created);
+      bodies = [{ indent, steps: created.steps }];
+    } else if (bodies.length > 0) {
+      const body = bodies[bodies.length - 1];
+      if ((match = line.match(PYTHON_STATEMENTS.repeat))) {
+        const block = buildRepeat(match[1].trim(), [], tag, where('repeat'), report);
+        body.steps.push(block);
+        bodies.push({ indent, steps: block.steps });
+      } else if ((match = line.match(PYTHON_STATEMENTS.stopWhen))) {
+        const step = body.steps[body.steps.length - 1];
+        if (!step || isRepeatBlock(step)) {
+          report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, 'p.stop_when() does not follow a step — skipped', where(), { line: lineNo });
+          continue;
+        }
+        const { positional: [when, value], keywords } = readPythonArgs(match[1], where(step.technique), lineNo, report);
+        const conditions = readStopConditions([{ when, value, ...keywords }], where(step.technique), report);
+        if (conditions.length > 0) step.stop_conditions = [...(step.stop_conditions ?? []), ...conditions];
+      } else if ((match = line.match(PYTHON_STATEMENTS.step))) {
+        const [, techId, args] = match;
+        if (!TECHNIQUES[techId]) {
+          report.add(LEVEL.WARNING, IMPORT_CODES.TECHNIQUE, `Unknown technique "${techId}" — step dropped`, where(), { line: lineNo });
+          continue;
+        }
+        const { positional, keywords } = readPythonArgs(args, where(techId), lineNo, report);
+        if (positional.length > 0) {
+          report.add(LEVEL.WARNING, IMPORT_CODES.PARAM, 'Positional arguments ignored — use keyword arguments', where(techId), { line: lineNo });
+        }
+        const { tag: stepTag, ...params } = keywords;
+        body.steps.push(buildStep(techId, params, stepTag, where(techId), report));
+      } else if (line !== 'pass') {
+        report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, `Statement not understood — skipped: ${line}`, where(), { line: lineNo });
+      }
+    } else if ((match = line.match(PYTHON_STATEMENTS.procedure))) {
+      recognised = true;
+      const { positional } = readPythonArgs(match[1], null, lineNo, report);
+      if (positional[0]) metadata.name = String(positional[0]);
+    } else if ((match = line.match(PYTHON_STATEMENTS.system))) {
+      recognised = true;
+      // The call spans lines until the closing parenthesis
+      let args = match[1];
+      while (!args.trimEnd().endsWith(')') && i + 1 < lines.length) args += ` ${lines[++i].trim()}`;
+      const { keywords } = readPythonArgs(args.trimEnd().replace(/\)$/, ''), null, lineNo, report);
+      Object.assign(metadata, readFields(keywords, systemFields(report, ['temperature']), [], 'system', report));
+    } else if ((match = line.match(PYTHON_STATEMENTS.variable)) && indent === 0) {
+      const result = pythonLiteral(match[2]);
+      if (typeof result.value !== 'number') {
+        report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `Variable ${match[1]}: "${match[2]}" is not a number — ignored`, null, { line: lineNo });
+        continue;
+      }
+      metadata.variables = [...(metadata.variables ?? []), { name: match[1], value: result.value }];
+      report.variables = [...report.variables, match[1]];
+    }
+    // Anything else outside a phase is generated boilerplate (imports, validation, printing)
+  }
+
+  if (!recognised) {
+    report.add(LEVEL.ERROR, IMPORT_CODES.FORMAT, 'File is not an ecproc Python script (no Procedure or proc.phase found)');
+    return failed('python', report);
+  }
+  return finish('python', metadata, phases, report);
+}
+
+// === ECDL (JSON) ===
+
+function readECDLSteps(rawSteps, prefix, report, phaseName = null) {
+  return rawSteps.map((raw, i) => {
+    const label = `${prefix}${i + 1}`;
+    const where = (technique) => `${phaseName ? `Phase "${phaseName}", step` : 'Step'} ${label}${technique ? ` (${technique})` : ''}`;
+    if (!raw || typeof raw !== 'object') {
+      report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, 'Step entry is not an object — skipped', where());
+      return null;
+    }
+    if (raw.type === 'repeat') {
+      const children = readECDLSteps(Array.isArray(raw.steps) ? raw.steps : [], `${label}.`, report, phaseName);
+      return buildRepeat(raw.count, children, raw.tag, where('repeat'), report);
+    }
+    if (!TECHNIQUES[raw.technique]) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.TECHNIQUE, `Unknown technique "${raw.technique ?? '(none)'}" — step dropped`, where());
+      return null;
+    }
+    Object.keys(raw)
+      .filter(key => !ECDL_STEP_KEYS.includes(key))
+      .forEach(key => report.add(LEVEL.WARNING, IMPORT_CODES.PARAM, `Unexpected step field "${key}" ignored`, where(raw.technique)));
+    return buildStep(raw.technique, raw.params, raw.tag, where(raw.technique), report, raw.stop_conditions);
+  }).filter(Boolean);
+}
+
+// ECDL steps carry their phase name; `phases` lists names and roles in order
+function readECDLPhases(proc, report) {
+  const rawSteps = Array.isArray(proc.steps) ? proc.steps : [];
+  if (!Array.isArray(proc.phases) || proc.phases.length === 0) {
+    return [createPhase('Main', readECDLSteps(rawSteps, '', report))];
+  }
+  let cursor = 0;
+  const rebuilt = proc.phases.map((raw) => {
+    const own = [];
+    while (cursor < rawSteps.length && rawSteps[cursor]?.phase === raw.name) own.push(rawSteps[cursor++]);
+    const name = String(raw.name ?? 'Main');
+    return createPhase(name, readECDLSteps(own, '', report, name), PHASE_ROLES.includes(raw.role) ? raw.role : null);
+  });
+  // Steps whose phase name matched nothing stay with the last phase
+  if (cursor < rawSteps.length) {
+    const last = rebuilt[rebuilt.length - 1];
+    report.add(LEVEL.INFO, IMPORT_CODES.FORMAT, `${rawSteps.length - cursor} step(s) with an unlisted phase were added to "${last.name}"`);
+    last.steps = [...last.steps, ...readECDLSteps(rawSteps.slice(cursor), '', report)];
+  }
+  return rebuilt;
+}
+
+function readECDL(data, report) {
+  const proc = data._procedure;
+  const metadata = {
+    ...(proc.name ? { name: String(proc.name) } : {}),
+    ...readFields(proc.system, systemFields(report, ['temperature_C', 'temperature']), DERIVED_ECDL_SYSTEM, 'system', report),
+  };
+  const phases = Array.isArray(proc.steps) ? readECDLPhases(proc, report) : [];
+  return finish('ecdl', metadata, phases, report);
+}
+
+/**
+ * Read an ECDL JSON document exported by the IDE (its `_procedure` section)
+ * @param {string} content - File text
+ * @returns {Object} { format, metadata, phases, diagnostics }
+ */
+export function parseECDL(content) {
+  const report = createReport();
+  const data = parseJSON(content, report);
+  if (data === undefined) return failed('ecdl', report);
+  if (!data?._procedure || typeof data._procedure !== 'object') {
+    report.add(LEVEL.ERROR, IMPORT_CODES.FORMAT, 'JSON file has no _procedure section — only ECDL files exported by the IDE can be imported');
+    return failed('ecdl', report);
+  }
+  return readECDL(data, report);
+}
+
+// === Faraday IR (JSON) ===
+
+// Round away float noise left by undoing a unit conversion
+function roundConverted(value) {
+  return Number(value.toPrecision(12));
+}
+
+// IR step params → technique params, undoing convertStepToIR's SI conversions.
+// Keys with no matching param are passed through for buildStep to report.
+function fromIRParams(techId, irStep) {
+  const byIRKey = {};
+  Object.keys(TECHNIQUES[techId].params).forEach(key => {
+    byIRKey[irConversion(key)?.key ?? key] = key;
+  });
+  const params = {};
+  Object.entries(irStep)
+    .filter(([key]) => !IR_STEP_KEYS.includes(key))
+    .forEach(([irKey, value]) => {
+      const key = byIRKey[irKey];
+      const conversion = key && irConversion(key);
+      const n = typeof value === 'number' ? value : parseFloat(value);
+      params[key ?? irKey] = conversion && Number.isFinite(n) && !isExpression(TECHNIQUES[techId].params[key], value)
+        ? roundConverted(n * conversion.divide / conversion.multiply)
+        : value;
+    });
+  return params;
+}
+
+function readIRSteps(irSteps, prefix, phaseName, reference, report) {
+  return irSteps.map((raw, i) => {
+    const label = `${prefix}${i + 1}`;
+    const where = (technique) => `Phase "${phaseName}", step ${label}${technique ? ` (${technique})` : ''}`;
+    if (!raw || typeof raw !== 'object') {
+      report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, 'Step entry is not an object — skipped', where());
+      return null;
+    }
+    if (raw.type === 'repeat') {
+      const children = readIRSteps(Array.isArray(raw.steps) ? raw.steps : [], `${label}.`, phaseName, reference, report);
+      return buildRepeat(raw.count, children, raw.tag, where('repeat'), report);
+    }
+    if (!TECHNIQUES[raw.technique]) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.TECHNIQUE, `Unknown technique "${raw.technique ?? '(none)'}" — step dropped`, where());
+      return null;
+    }
+    ['extract', 'vendor_flags']
+      .filter(key => raw[key] !== null && raw[key] !== undefined)
+      .forEach(key => report.add(LEVEL.INFO, IMPORT_CODES.METADATA, `Step ${key} is not supported by the editor and was ignored`, where(raw.technique)));
+    if (raw.potential_reference && reference && raw.potential_reference !== reference) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.VALUE,
+        `Potentials are vs ${raw.potential_reference} but the procedure reference is ${reference} — values imported unchanged`, where(raw.technique));
+    }
+    return buildStep(raw.technique, fromIRParams(raw.technique, raw), raw.tag, where(raw.technique), report, raw.stop_conditions);
+  }).filter(Boolean);
+}
+
+// Each IR block becomes one phase per filled field: setup/stabilize/teardown
+// become role phases, `steps` an ordinary phase
+function readIRPhases(blocks, reference, report) {
+  const usedRoles = new Set();
+  return blocks.flatMap((block, i) => {
+    if (!block || typeof block !== 'object') {
+      report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, `Procedure block ${i + 1} is not an object — skipped`);
+      return [];
+    }
+    const name = String(block.name ?? 'Main');
+    const filled = IR_BLOCK_FIELDS.filter(([field]) => Array.isArray(block[field]) && block[field].length > 0);
+    if (filled.length === 0) return [createPhase(name)];
+    return filled.map(([field, role]) => {
+      let phaseRole = role;
+      if (role && usedRoles.has(role)) {
+        report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, `Only one phase can be the IR ${role} block — imported as ordinary steps`, `Phase "${name}"`);
+        phaseRole = null;
+      }
+      if (phaseRole) usedRoles.add(phaseRole);
+      return createPhase(name, readIRSteps(block[field], '', name, reference, report), phaseRole);
+    });
+  });
+}
+
+// Working electrode, with its geometry back from SI units to cm² and mg/cm²
+function readIRWorking(working, report) {
+  if (!working || typeof working !== 'object') return {};
+  const fromSI = (key, field, factor) => {
+    const value = working[key];
+    if (value === null || value === undefined) return {};
+    const n = Number(value);
+    if (Number.isFinite(n) && n > 0) return { [field]: roundConverted(n * factor) };
+    report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `system.working.${key}: "${value}" is not a positive number — not imported`);
+    return {};
+  };
+  return {
+    ...(working.material ? { working_electrode: String(working.material) } : {}),
+    ...(working.type ? electrodeType(report)(working.type, 'system.working.type') : {}),
+    ...fromSI('area_m2', 'electrode_area_cm2', 1e4),
+    ...fromSI('loading_kg_m2', 'catalyst_loading_mg_cm2', 100),
+  };
+}
+
+// Electrolyte text from the IR's species (mol/m³), solvent and measured pH;
+// files without species lists carry only the main solute and its concentration
+function readIRElectrolyte(electrolyte, report) {
+  if (!electrolyte || typeof electrolyte !== 'object') return {};
+  const { solute, concentration_mol_m3: concentration } = electrolyte;
+  if (!solute || solute === 'OTHER' || solute === 'UNKNOWN') {
+    report.add(LEVEL.WARNING, IMPORT_CODES.METADATA, 'system.electrolyte names no known solute — electrolyte not imported');
+    return {};
+  }
+  const species = (list) => (Array.isArray(list) ? list : [])
+    .filter(s => s && s.solute)
+    .map(s => {
+      const molar = Number(s.concentration_mol_m3) / 1000;
+      return { solute: String(s.solute), concentration: molar > 0 ? roundConverted(molar) : null, unit: 'M' };
+    });
+  const listed = Array.isArray(electrolyte.components) ? electrolyte.components : [{ solute, concentration_mol_m3: concentration }];
+  const ph = Number.isFinite(electrolyte.measured_ph) ? electrolyte.measured_ph : null;
+  return {
+    electrolyte: formatElectrolyte({
+      components: species(listed),
+      additives: species(electrolyte.additives),
+      solvent: typeof electrolyte.solvent === 'string' ? electrolyte.solvent : null,
+      ph,
+    }),
+  };
+}
+
+// Report IR sections holding data the editor does not model
+function reportUnusedIR(data, report) {
+  Object.keys(data)
+    .filter(key => !IR_TOP_LEVEL.includes(key))
+    .forEach(key => report.add(LEVEL.INFO, IMPORT_CODES.METADATA, `Top-level "${key}" section is not used and was ignored`));
+  ['state_recovery', 'output']
+    .filter(key => data[key] !== null && data[key] !== undefined)
+    .forEach(key => report.add(LEVEL.INFO, IMPORT_CODES.METADATA, `${key} is not supported by the editor and was ignored`));
+  Object.keys(data.variables ?? {})
+    .filter(key => !['definitions', 'bindings'].includes(key))
+    .forEach(key => report.add(LEVEL.INFO, IMPORT_CODES.METADATA, `variables.${key} is not used and was ignored`));
+  // The envelope, cutoffs and lab limits are derived on export; the steps' own
+  // stop conditions are read back by applyIRStops
+  Object.entries(data.safety ?? {})
+    .filter(([key, value]) => ![...DERIVED_IR_SAFETY, 'temperature_limits_C'].includes(key) && value !== null)
+    .forEach(([key]) => report.add(LEVEL.INFO, IMPORT_CODES.METADATA, `safety.${key} is not used and was ignored`));
+  Object.keys(data.system ?? {})
+    .filter(key => !IR_SYSTEM_KEYS.includes(key))
+    .forEach(key => report.add(LEVEL.INFO, IMPORT_CODES.METADATA, `system.${key} is not used and was ignored`));
+}
+
+// The IR step a binding path such as procedure[0].steps[1].steps[0] points to
+function irStepAt(data, path) {
+  let node = data;
+  for (const [, key, index] of String(path).matchAll(/\.?([A-Za-z_]\w*)\[(\d+)\]/g)) {
+    node = node?.[key]?.[Number(index)];
+  }
+  return node && typeof node === 'object' && node !== data ? node : null;
+}
+
+// IR procedure blocks with bound params set back to their expressions
+// (fromIRParams passes expressions through under the editor's param key)
+function applyIRBindings(data, report) {
+  const bindings = data.variables?.bindings;
+  if (!Array.isArray(bindings) || bindings.length === 0) return data.procedure;
+  const copy = JSON.parse(JSON.stringify({ procedure: data.procedure }));
+  bindings.forEach((binding, i) => {
+    const step = irStepAt(copy, binding?.step);
+    const names = typeof binding?.expression === 'string' ? expressionNames(binding.expression) : null;
+    if (!step || !binding.param || !names || !names.every(name => report.variables.includes(name))) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `variables.bindings[${i}] cannot be applied — resolved value kept`);
+      return;
+    }
+    delete step[binding.ir_param];
+    step[binding.param] = binding.expression;
+    if (binding.current_basis) step.current_basis = binding.current_basis;
+  });
+  return copy.procedure;
+}
+
+// IR procedure blocks with the steps' own stop conditions (source
+// "stop_conditions" in safety.stop_conditions) set back on the steps
+function applyIRStops(procedure, entries, report) {
+  if (!Array.isArray(entries) || !entries.some(entry => entry?.source === 'stop_conditions')) return procedure;
+  const copy = JSON.parse(JSON.stringify({ procedure }));
+  entries.forEach((entry, i) => {
+    if (entry?.source !== 'stop_conditions') return;
+    const step = irStepAt(copy, entry.step);
+    const when = Object.keys(STOP_WHEN).find(key =>
+      STOP_WHEN[key].quantity === entry.quantity && typeof entry[STOP_WHEN[key].bound] === 'number');
+    if (!step || !when) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.VALUE, `safety.stop_conditions[${i}] cannot be applied — ignored`);
+      return;
+    }
+    const { bound, toSI } = STOP_WHEN[when];
+    step.stop_conditions = [...(step.stop_conditions ?? []), {
+      when,
+      value: roundConverted(entry[bound] / toSI),
+      action: entry.action ?? 'next',
+      target: entry.target ?? '',
+    }];
+  });
+  return copy.procedure;
+}
+
+/**
+ * Compare the IR's source_hash with a hash of its content
+ * @returns {string} 'verified', 'modified' or 'unknown' (no hash present)
+ */
+export function checkIRIntegrity(data) {
+  const hashes = [data.metadata?.source_hash, data.provenance?.source_hash].filter(Boolean);
+  if (hashes.length === 0) return 'unknown';
+  const actual = irContentHash(data);
+  return hashes.every(hash => hash === actual) ? 'verified' : 'modified';
+}
+
+function readIR(data, report) {
+  const integrity = checkIRIntegrity(data);
+  if (integrity === 'modified') {
+    report.add(LEVEL.WARNING, IMPORT_CODES.INTEGRITY, 'source_hash does not match the content — the file was edited after export');
+  } else if (integrity === 'unknown') {
+    report.add(LEVEL.INFO, IMPORT_CODES.INTEGRITY, 'No source_hash — cannot tell whether the file was edited after export');
+  }
+  reportUnusedIR(data, report);
+
+  const system = data.system ?? {};
+  const metadata = {
+    ...readFields(data.metadata, {
+      protocol: text('name'),
+      author: text('author'),
+    }, ['version', 'created', 'ecproc_version', 'source_hash'], 'metadata', report),
+    ...readFields(
+      {
+        electrodes: system.electrodes,
+        reference: system.reference,
+        // potential_scale always carries a temperature (25 °C by default);
+        // temperature limits are only exported when one was set
+        temperature: data.safety?.temperature_limits_C ? system.potential_scale?.temperature_C : null,
+      },
+      systemFields(report, ['temperature']), [], 'system', report,
+    ),
+    ...readIRWorking(system.working, report),
+    ...(system.counter ? { counter_electrode: String(system.counter) } : {}),
+    ...(system.instrument?.id ? instrument(report)(system.instrument.id, 'system.instrument.id') : {}),
+    ...readIRElectrolyte(system.electrolyte, report),
+    ...(data.variables?.definitions ? { variables: readVariables(data.variables.definitions, 'variables.definitions', report) } : {}),
+  };
+
+  const reference = metadata.reference ?? system.reference;
+  const procedure = Array.isArray(data.procedure)
+    ? applyIRStops(applyIRBindings(data, report), data.safety?.stop_conditions, report)
+    : null;
+  const phases = procedure ? readIRPhases(procedure, reference, report) : [];
+  return finish('ir', metadata, phases, report, { integrity });
+}
+
+/**
+ * Read a Faraday IR JSON document, undoing its SI unit conversions
+ * @param {string} content - File text
+ * @returns {Object} { format, metadata, phases, diagnostics, integrity }
+ */
+export function parseIR(content) {
+  const report = createReport();
+  const data = parseJSON(content, report);
+  if (data === undefined) return failed('ir', report);
+  if (!data || typeof data !== 'object' || !Array.isArray(data.procedure)) {
+    report.add(LEVEL.ERROR, IMPORT_CODES.FORMAT, 'JSON file is not a Faraday IR document (no procedure list)');
+    return failed('ir', report);
+  }
+  return readIR(data, report);
+}
+
+// === Share link payload ===
+
+const SHARE_METADATA_FIELDS = (report) => ({
+  name: text('name'),
+  author: text('author'),
+  description: text('description'),
+  ...systemFields(report, ['temperature']),
+  variables: (value, where) => ({ variables: readVariables(value, where, report) }),
+});
+
+function readShareSteps(entries, phaseName, prefix, report) {
+  return entries.map((entry, i) => {
+    const label = `${prefix}${i + 1}`;
+    const where = (technique) => `Phase "${phaseName}", step ${label}${technique ? ` (${technique})` : ''}`;
+    if (!entry || typeof entry !== 'object') {
+      report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, 'Step entry is not an object — skipped', where());
+      return null;
+    }
+    if ('repeat' in entry) {
+      const children = readShareSteps(Array.isArray(entry.steps) ? entry.steps : [], phaseName, `${label}.`, report);
+      return buildRepeat(entry.repeat, children, entry.tag, where('repeat'), report);
+    }
+    if (!TECHNIQUES[entry.technique]) {
+      report.add(LEVEL.WARNING, IMPORT_CODES.TECHNIQUE, `Unknown technique "${entry.technique ?? '(none)'}" — step dropped`, where());
+      return null;
+    }
+    return buildStep(entry.technique, entry.params, entry.tag, where(entry.technique), report, entry.stop_conditions);
+  }).filter(Boolean);
+}
+
+/**
+ * Read the payload of a share link (see generateShare)
+ * @param {string} content - Payload JSON text
+ * @returns {Object} { format, metadata, phases, diagnostics }
+ */
+export function parseShare(content) {
+  const report = createReport();
+  const data = parseJSON(content, report);
+  if (data === undefined) return failed('share', report);
+  if (!data || typeof data !== 'object' || !Array.isArray(data.phases)) {
+    report.add(LEVEL.ERROR, IMPORT_CODES.FORMAT, 'Share link holds no procedure');
+    return failed('share', report);
+  }
+  if (!(data.v <= SHARE_VERSION)) {
+    report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT,
+      `Link was made by a newer IDE (format ${data.v}, this one reads up to ${SHARE_VERSION}) — some settings may be missing`);
+  }
+  // Links leave out empty fields; they must still clear the editor's values
+  const metadata = {
+    ...IMPORT_CLEARED_FIELDS,
+    ...readFields(data.metadata, SHARE_METADATA_FIELDS(report), [], 'metadata', report),
+  };
+  const phases = data.phases.map((raw, i) => {
+    if (!raw || typeof raw !== 'object') {
+      report.add(LEVEL.WARNING, IMPORT_CODES.FORMAT, `Phase ${i + 1} is not an object — skipped`);
+      return null;
+    }
+    const name = String(raw.name ?? 'Main');
+    const steps = readShareSteps(Array.isArray(raw.steps) ? raw.steps : [], name, '', report);
+    return createPhase(name, steps, PHASE_ROLES.includes(raw.role) ? raw.role : null);
+  }).filter(Boolean);
+  return finish('share', metadata, phases, report);
+}
+
+// === Stored phases (workspace archives) ===
+
+const keepId = (node, id) => (typeof id === 'string' && id ? { ...node, id } : node);
+
+/**
+ * Rebuild phases kept in the editor's own shape, as workspace archives store
+ * them. Steps are built like imported ones: technique defaults merged in,
+ * values coerced, stored ids kept and missing ones given.
+ * @param {Array} phases - Stored phases
+ * @param {Array} variables - Procedure variables the params may use
+ * @param {Function} add - (level, code, message, location) to report to
+ * @param {string} location - Where the phases come from, for diagnostics
+ * @returns {Array|null} Phases, or null after reporting a step that cannot be rebuilt
+ */
+export function readStoredPhases(phases, variables, add, location) {
+  const report = { add, variables: Array.isArray(variables) ? variables : [] };
+  let broken = false;
+  const skip = (code, message) => {
+    if (!broken) add(LEVEL.WARNING, code, `${message} — procedure skipped`, location);
+    broken = true;
+    return null;
+  };
+  const readNodes = (nodes) => (Array.isArray(nodes) ? nodes : []).map(node => {
+    if (broken) return null;
+    if (!node || typeof node !== 'object') return skip(IMPORT_CODES.FORMAT, 'Step entry is not an object');
+    if (isRepeatBlock(node)) return keepId(buildRepeat(node.count, readNodes(node.steps), node.tag, location, report), node.id);
+    const tech = TECHNIQUES[node.technique];
+    if (!tech) return skip(IMPORT_CODES.TECHNIQUE, `Unknown technique "${node.technique}"`);
+    if (!node.params || typeof node.params !== 'object' || Array.isArray(node.params)) {
+      return skip(IMPORT_CODES.FORMAT, `${tech.abbrev} step has no params`);
+    }
+    return keepId(buildStep(node.technique, node.params, node.tag, location, report, node.stop_conditions), node.id);
+  });
+  const rebuilt = phases.map(phase => keepId(
+    createPhase(String(phase.name ?? 'Main'), readNodes(phase.steps), PHASE_ROLES.includes(phase.role) ? phase.role : null),
+    phase.id,
+  ));
+  return broken ? null : rebuilt;
+}
+
+// JSON may be ECDL (with an IDE `_procedure` section) or Faraday IR
+function parseJSONDocument(content) {
+  const report = createReport();
+  const data = parseJSON(content, report);
+  if (data === undefined) return failed(null, report);
+  if (data?._procedure && typeof data._procedure === 'object') return readECDL(data, report);
+  if (data && typeof data === 'object' && (data.faraday_version || Array.isArray(data.procedure))) return readIR(data, report);
+  report.add(LEVEL.ERROR, IMPORT_CODES.FORMAT, 'JSON file is neither an IDE ECDL export (_procedure) nor Faraday IR');
+  return failed(null, report);
+}
+
+/**
+ * Import a procedure file, choosing the reader by extension
+ * @param {string} fileName
+ * @param {string} content - File text
+ * @returns {Object} { format, metadata, phases, diagnostics }
+ */
+export function importProcedure(fileName, content) {
+  const name = fileName.toLowerCase();
+  if (/\.(ecproc|ya?ml)$/.test(name)) return parseYAML(content);
+  if (name.endsWith('.py')) return parsePython(content);
+  if (name.endsWith('.json')) return parseJSONDocument(content);
+  const report = createReport();
+  report.add(LEVEL.ERROR, IMPORT_CODES.FORMAT, `Unsupported file type: ${fileName} (expected .ecproc, .yaml, .py or .json)`);
+  return { format: null, metadata: {}, phases: null, diagnostics: report.diagnostics };
+}
+
+// True when the report leaves nothing to import
+export function isImportEmpty(result) {
+  return result.phases === null && Object.keys(result.metadata).length === 0;
+}
@@ -0,0 +1,585 @@
+import { describe, it, expect } from 'vitest';
+import { parseYAML, parsePython, parseECDL, parseIR, parseShare, importProcedure, isImportEmpty, coerceParam, checkIRIntegrity, IMPORT_CODES } from './parsers';
+import { generateYAML, generatePython, generateECDL, generateIR, generateShare, cleanParamKey } from './generators';
+import { TECHNIQUES, createDefaultStep } from './techniques';
+import { createPhase, createRepeatBlock, collectSteps, flattenPhases } from './procedure';
+
+const meta = {
+  name: 'Import Test',
+  author: 'Tester',
+  description: '',
+  electrodes: 3,
+  reference: 'Ag/AgCl',
+  electrolyte: '0.1 M KOH',
+  temperature: 25,
+  working_electrode: 'GCE',
+  counter_electrode: 'Pt wire',
+};
+
+const allTechniques = () => Object.keys(TECHNIQUES).map(createDefaultStep);
+const codes = (result) => result.diagnostics.map(d => d.code);
+
+describe('coerceParam', () => {
+  it('parses numbers, keeping leading numbers with units', () => {
+    expect(coerceParam({ type: 'number' }, '0.5')).toEqual({ value: 0.5 });
+    expect(coerceParam({ type: 'number' }, '1 V or mA')).toEqual({ value: 1 });
+    expect(coerceParam({ type: 'integer' }, 3)).toEqual({ value: 3 });
+  });
+
+  it('reports values that are not numbers', () => {
+    expect(coerceParam({ type: 'number' }, 'fast').error).toMatch(/not a number/);
+  });
+
+  it('checks booleans and select options', () => {
+    expect(coerceParam({ type: 'boolean' }, 'true')).toEqual({ value: true });
+    expect(coerceParam({ type: 'boolean' }, 'yes').error).toBeDefined();
+    expect(coerceParam({ type: 'select', options: ['N2', 'Ar'] }, 'He').error).toMatch(/N2, Ar/);
+  });
+});
+
+describe('parseYAML', () => {
+  it('imports generated files without diagnostics', () => {
+    const phases = [
+      createPhase('Setup', [createDefaultStep('purge')], 'setup'),
+      createPhase('Main', [createRepeatBlock(3, allTechniques())]),
+    ];
+    const result = parseYAML(generateYAML(meta, phases));
+    expect(result.diagnostics).toEqual([]);
+    expect(result.phases.map(p => [p.name, p.role])).toEqual([['Setup', 'setup'], ['Main', null]]);
+    expect(collectSteps(flattenPhases(result.phases))).toHaveLength(1 + Object.keys(TECHNIQUES).length);
+    expect(result.metadata).toMatchObject({ name: 'Import Test', reference: 'Ag/AgCl', temperature: 25, electrodes: 3 });
+  });
+
+  it('reports syntax errors with line and column', () => {
+    const result = parseYAML('metadata:\n  protocol: "x"\nprocedure:\n  - name: [unclosed\n');
+    expect(result.diagnostics).toHaveLength(1);
+    const [d] = result.diagnostics;
+    expect(d.code).toBe(IMPORT_CODES.SYNTAX);
+    expect(d.level).toBe('error');
+    expect(d.line).toBeGreaterThan(0);
+    expect(d.column).toBeGreaterThan(0);
+    expect(isImportEmpty(result)).toBe(true);
+  });
+
+  it('drops unknown techniques and reports them', () => {
+    const result = parseYAML(`
+procedure:
+  - name: Main
+    steps:
+      - cv:
+          cycles: 2
+      - teleport:
+          distance: 3
+`);
+    expect(codes(result)).toEqual([IMPORT_CODES.TECHNIQUE]);
+    expect(result.diagnostics[0].message).toMatch(/teleport/);
+    expect(result.diagnostics[0].location).toBe('Phase "Main", step 2');
+    expect(result.phases[0].steps).toHaveLength(1);
+  });
+
+  it('reports unmapped params and unparseable numbers, keeping defaults', () => {
+    const result = parseYAML(`
+procedure:
+  - name: Main
+    steps:
+      - cv:
+          scan_rate: fast
+          wobble: 3
+          vertex1: 0
+`);
+    expect(codes(result).sort()).toEqual([IMPORT_CODES.PARAM, IMPORT_CODES.VALUE]);
+    const step = result.phases[0].steps[0];
+    expect(step.params.scan_rate_mV_s).toBe(TECHNIQUES.cv.params.scan_rate_mV_s.default);
+    expect(step.params.vertex1_V).toBe(0);
+  });
+
+  it('reports ignored metadata and invalid metadata values', () => {
+    const result = parseYAML(`
+metadata:
+  protocol: Test
+  lab: B12
+system:
+  reference: Pd/H
+  temperature: warm
+procedure:
+  - name: Main
+    steps:
+      - ocp:
+          duration: 60
+`);
+    expect(codes(result).sort()).toEqual([IMPORT_CODES.VALUE, IMPORT_CODES.VALUE, IMPORT_CODES.METADATA].sort());
+    expect(result.metadata).toEqual({ name: 'Test' });
+  });
+
+  it('keeps the current procedure when no steps survive', () => {
+    const result = parseYAML('metadata:\n  protocol: Only metadata\nprocedure:\n  - name: Main\n    steps: []\n');
+    expect(codes(result)).toEqual([IMPORT_CODES.EMPTY]);
+    expect(result.phases).toBeNull();
+    expect(isImportEmpty(result)).toBe(false);
+  });
+
+  it('rejects documents that are not mappings', () => {
+    expect(codes(parseYAML('- just\n- a list\n'))).toEqual([IMPORT_CODES.FORMAT]);
+  });
+});
+
+describe('parsePython', () => {
+  it('imports generated scripts without diagnostics', () => {
+    const phases = [
+      createPhase('Setup', [createDefaultStep('purge')], 'setup'),
+      createPhase('Main', [createRepeatBlock(3, allTechniques())]),
+    ];
+    const result = parsePython(generatePython(meta, phases));
+    expect(result.diagnostics).toEqual([]);
+    expect(result.phases.map(p => [p.name, p.role])).toEqual([['Setup', 'setup'], ['Main', null]]);
+    expect(result.phases[1].steps[0].count).toBe(3);
+    expect(result.metadata).toEqual({
+      name: 'Import Test',
+      electrodes: 3,
+      reference: 'Ag/AgCl',
+      electrolyte: '0.1 M KOH',
+      temperature: 25,
+      working_electrode: 'GCE',
+    });
+  });
+
+  it('reads hand-written calls and reports what it cannot use', () => {
+    const result = parsePython([
+      'proc = Procedure("Hand written")',
+      'with proc.phase("Main") as p:',
+      '    p.cv(scan_rate=20, cycles=2, tag=\'it\\\'s "quoted", ok\')',
+      '    p.teleport(distance=3)',
+      '    p.ocp(duration=E_hold)',
+      '    print("hello")',
+    ].join('\n'));
+    expect(codes(result)).toEqual([IMPORT_CODES.TECHNIQUE, IMPORT_CODES.VALUE, IMPORT_CODES.FORMAT]);
+    expect(result.diagnostics.map(d => d.line)).toEqual([4, 5, 6]);
+    const [cv, ocp] = result.phases[0].steps;
+    expect(cv.params).toMatchObject({ scan_rate_mV_s: 20, cycles: 2 });
+    expect(cv.tag).toBe('it\'s "quoted", ok');
+    expect(ocp.params.duration_s).toBe(TECHNIQUES.ocp.params.duration_s.default);
+  });
+
+  it('rejects scripts that do not build a procedure', () => {
+    expect(codes(parsePython('print("hello")\n'))).toEqual([IMPORT_CODES.FORMAT]);
+  });
+});
+
+describe('parseECDL', () => {
+  it('imports generated ECDL without diagnostics', () => {
+    const phases = [
+      createPhase('Activity', allTechniques()),
+      createPhase('Stability', [createRepeatBlock(5, [createDefaultStep('cv')])]),
+    ];
+    const result = parseECDL(generateECDL(meta, phases));
+    expect(result.diagnostics).toEqual([]);
+    expect(result.phases.map(p => p.name)).toEqual(['Activity', 'Stability']);
+    expect(result.phases[1].steps[0].count).toBe(5);
+    expect(result.metadata).toMatchObject({ name: 'Import Test', reference: 'Ag/AgCl', temperature: 25 });
+  });
+
+  it('reports JSON syntax errors', () => {
+    expect(codes(parseECDL('{ "_procedure": '))).toEqual([IMPORT_CODES.SYNTAX]);
+  });
+
+  it('reports JSON without a _procedure section', () => {
+    expect(codes(parseECDL('{ "ecdl_version": "1.0.0" }'))).toEqual([IMPORT_CODES.FORMAT]);
+  });
+
+  it('reports unknown techniques and params', () => {
+    const result = parseECDL(JSON.stringify({
+      _procedure: {
+        steps: [
+          { technique: 'cv', params: { cycles: 4, sparkle: true } },
+          { technique: 'xrd', params: {} },
+        ],
+      },
+    }));
+    expect(codes(result)).toEqual([IMPORT_CODES.PARAM, IMPORT_CODES.TECHNIQUE]);
+    expect(result.phases[0].steps[0].params.cycles).toBe(4);
+  });
+});
+
+describe('parseIR', () => {
+  const phases = () => [
+    createPhase('Conditioning', [createDefaultStep('purge')], 'setup'),
+    createPhase('Activity', [createRepeatBlock(2, allTechniques())]),
+  ];
+
+  it('imports generated IR without diagnostics and verifies the hash', () => {
+    const result = parseIR(generateIR(meta, phases()));
+    expect(result.diagnostics).toEqual([]);
+    expect(result.integrity).toBe('verified');
+    expect(result.phases.map(p => [p.name, p.role])).toEqual([['Conditioning', 'setup'], ['Activity', null]]);
+  });
+
+  it('reverses the SI conversions for every technique param', () => {
+    const source = allTechniques();
+    const result = parseIR(generateIR(meta, [createRepeatBlock(2, source)]));
+    const imported = result.phases[0].steps[0].steps;
+    imported.forEach((step, i) => {
+      Object.entries(source[i].params).forEach(([key, value]) => {
+        const expected = TECHNIQUES[step.technique].params[key].type === 'string' && value !== null ? String(value) : value;
+        expect([step.technique, key, step.params[key]]).toEqual([step.technique, key, expected]);
+      });
+    });
+  });
+
+  it('converts purge duration and flow rate back to per-minute units', () => {
+    const purge = createDefaultStep('purge');
+    purge.params = { ...purge.params, duration_min: 20, flow_rate_mL_min: 30 };
+    const ir = JSON.parse(generateIR(meta, [purge]));
+    expect(ir.procedure[0].steps[0]).toMatchObject({ duration_s: 1200, flow_rate_mL_s: 0.5 });
+    const step = parseIR(JSON.stringify(ir)).phases[0].steps[0];
+    expect(step.params).toMatchObject({ duration_min: 20, flow_rate_mL_min: 30 });
+  });
+
+  it('rebuilds system metadata', () => {
+    const { metadata } = parseIR(generateIR(meta, phases()));
+    expect(metadata).toEqual({
+      name: 'Import Test',
+      author: 'Tester',
+      electrodes: 3,
+      reference: 'Ag/AgCl',
+      temperature: 25,
+      working_electrode: 'GCE',
+      counter_electrode: 'Pt wire',
+      electrolyte: '0.1 M KOH',
+    });
+  });
+
+  it('rebuilds the electrolyte from its species', () => {
+    const electrolyte = '0.5 M H2SO4 with 0.01 M CuSO4 in DMSO, pH 0.4';
+    expect(parseIR(generateIR({ ...meta, electrolyte }, phases())).metadata.electrolyte).toBe(electrolyte);
+
+    // Files without species lists
+    const ir = JSON.parse(generateIR(meta, phases()));
+    ir.system.electrolyte = { solute: 'KOH', concentration_mol_m3: 100 };
+    expect(parseIR(JSON.stringify(ir)).metadata.electrolyte).toBe('0.1 M KOH');
+  });
+
+  it('detects content edited after export', () => {
+    const ir = JSON.parse(generateIR(meta, phases()));
+    ir.procedure[1].steps[0].count = 5;
+    const result = parseIR(JSON.stringify(ir));
+    expect(result.integrity).toBe('modified');
+    expect(codes(result)).toEqual([IMPORT_CODES.INTEGRITY]);
+    expect(result.phases[1].steps[0].count).toBe(5);
+  });
+
+  it('ignores key order and the creation time when checking the hash', () => {
+    const ir = JSON.parse(generateIR(meta, phases()));
+    const { metadata, ...rest } = ir;
+    const reordered = { ...rest, metadata: { ...metadata, created: '2000-01-01T00:00:00Z' } };
+    expect(checkIRIntegrity(reordered)).toBe('verified');
+  });
+
+  it('produces the same hash for the same procedure', () => {
+    const hash = (text) => JSON.parse(text).metadata.source_hash;
+    expect(hash(generateIR(meta, phases()))).toBe(hash(generateIR(meta, phases())));
+  });
+
+  it('reports a missing hash and unsupported sections', () => {
+    const ir = JSON.parse(generateIR(meta, phases()));
+    delete ir.metadata.source_hash;
+    delete ir.provenance.source_hash;
+    ir.variables = { E_hold: 0.9 };
+    const result = parseIR(JSON.stringify(ir));
+    expect(result.integrity).toBe('unknown');
+    expect(codes(result)).toEqual([IMPORT_CODES.INTEGRITY, IMPORT_CODES.METADATA]);
+  });
+
+  it('rejects JSON without a procedure list', () => {
+    expect(codes(parseIR('{ "faraday_version": "1.0" }'))).toEqual([IMPORT_CODES.FORMAT]);
+  });
+});
+
+// A value other than the default for every param, exercising unit
+// conversions, fractional numbers and strings that need escaping
+function nonDefault(config, variant) {
+  switch (config.type) {
+    case 'boolean':
+      return !config.default;
+    case 'select':
+      return config.options[config.options.length - 1];
+    case 'string':
+      return variant === 'numeric' ? '0.85' : 'x "quoted", \\ and \'single\'';
+    default: {
+      const lo = config.min ?? 0;
+      const hi = config.max ?? lo + 10;
+      const value = lo + (hi - lo) / 3;
+      return config.type === 'integer' ? Math.max(Math.round(value), 1) : Number(value.toPrecision(4));
+    }
+  }
+}
+
+function everyParamProcedure(variant) {
+  const steps = Object.entries(TECHNIQUES).map(([id, tech]) => {
+    const step = createDefaultStep(id);
+    Object.entries(tech.params).forEach(([key, config]) => {
+      step.params[key] = nonDefault(config, variant);
+    });
+    step.tag = `${id} "tag"`;
+    return step;
+  });
+  const block = createRepeatBlock(4, [createDefaultStep('cv'), createDefaultStep('eis')]);
+  block.tag = 'durability';
+  return [
+    createPhase('Conditioning', [createDefaultStep('purge')], 'setup'),
+    createPhase('All techniques', steps),
+    createPhase('Stability', [block]),
+  ];
+}
+
+// Phases reduced to what a file can carry (ids are regenerated on import)
+function shape(phases) {
+  const node = (n) => (n.type === 'repeat'
+    ? { count: n.count, tag: n.tag ?? null, steps: n.steps.map(node) }
+    : { technique: n.technique, params: n.params, tag: n.tag ?? null });
+  return phases.map(p => ({ name: p.name, role: p.role, steps: p.steps.map(node) }));
+}
+
+describe('round trip', () => {
+  const formats = {
+    yaml: [generateYAML, parseYAML],
+    python: [generatePython, parsePython],
+    ecdl: [generateECDL, parseECDL],
+    ir: [generateIR, parseIR],
+  };
+
+  Object.entries(formats).forEach(([format, [generate, parse]]) => {
+    ['text', 'numeric'].forEach(variant => {
+      it(`${format} preserves every technique and param (${variant} strings)`, () => {
+        const phases = everyParamProcedure(variant);
+        const result = parse(generate(meta, phases));
+        expect(result.diagnostics).toEqual([]);
+        expect(shape(result.phases)).toEqual(shape(phases));
+      });
+    });
+  });
+
+  it('every param key survives cleanParamKey without collisions', () => {
+    Object.values(TECHNIQUES).forEach(tech => {
+      const cleaned = Object.keys(tech.params).map(cleanParamKey);
+      expect([tech.id, new Set(cleaned).size]).toEqual([tech.id, cleaned.length]);
+    });
+  });
+});
+
+describe('variables', () => {
+  const variables = [{ name: 'E_upper', value: 1.6 }, { name: 'rate', value: 10 }];
+  const withVariables = { ...meta, variables };
+  const phases = () => {
+    const cv = createDefaultStep('cv');
+    cv.params.vertex2_V = 'E_upper - 0.05';
+    cv.params.scan_rate_mV_s = '2*rate';
+    const ca = createDefaultStep('ca');
+    ca.params.potential_V = 'E_upper^2';
+    return [createPhase('Main', [createRepeatBlock(2, [cv]), ca])];
+  };
+  const params = (result) => {
+    const [block, ca] = result.phases[0].steps;
+    return [block.steps[0].params.vertex2_V, block.steps[0].params.scan_rate_mV_s, ca.params.potential_V];
+  };
+
+  it('coerceParam keeps expressions over known variables', () => {
+    expect(coerceParam({ type: 'number' }, ' 2*rate ', ['rate'])).toEqual({ value: '2*rate' });
+    expect(coerceParam({ type: 'number' }, '2*rate').error).toMatch(/not a number/);
+  });
+
+  it.each([
+    ['yaml', generateYAML, parseYAML, 'E_upper^2'],
+    ['python', generatePython, parsePython, 'E_upper**2'],
+    ['share', generateShare, parseShare, 'E_upper^2'],
+    ['ir', generateIR, parseIR, 'E_upper^2'],
+  ])('%s keeps variables and expressions', (_, generate, parse, power) => {
+    const result = parse(generate(withVariables, phases()));
+    expect(result.diagnostics.filter(d => d.code !== IMPORT_CODES.INTEGRITY)).toEqual([]);
+    expect(result.metadata.variables).toEqual(variables);
+    expect(params(result)).toEqual(['E_upper - 0.05', '2*rate', power]);
+  });
+
+  it('IR params hold SI values with bindings to the expressions', () => {
+    const ir = JSON.parse(generateIR(withVariables, phases()));
+    expect(ir.procedure[0].steps[0].steps[0].scan_rate_V_s).toBeCloseTo(0.02);
+    expect(ir.variables.definitions).toEqual({ E_upper: 1.6, rate: 10 });
+    expect(ir.variables.bindings).toContainEqual({
+      step: 'procedure[0].steps[0].steps[0]', param: 'scan_rate_mV_s', ir_param: 'scan_rate_V_s', expression: '2*rate',
+    });
+  });
+
+  it('ECDL and resolved exports carry plain values', () => {
+    const ecdl = parseECDL(generateECDL(withVariables, phases()));
+    expect(ecdl.metadata.variables).toBeUndefined();
+    expect(params(ecdl)[1]).toBe(20);
+  });
+
+  it('reports variables that are not numbers and expressions over unknown names', () => {
+    const result = parseYAML([
+      'variables:',
+      '  rate: fast',
+      'procedure:',
+      '  - name: Main',
+      '    steps:',
+      '      - cv: { scan_rate: "2*rate" }',
+    ].join('\n'));
+    expect(codes(result)).toEqual([IMPORT_CODES.VALUE, IMPORT_CODES.VALUE]);
+    expect(result.metadata.variables).toEqual([]);
+    expect(result.phases[0].steps[0].params.scan_rate_mV_s).toBe(TECHNIQUES.cv.params.scan_rate_mV_s.default);
+  });
+
+  it('IR bindings that cannot be applied keep the resolved value', () => {
+    const ir = JSON.parse(generateIR(withVariables, phases()));
+    ir.variables.bindings[0].step = 'procedure[9].steps[0]';
+    const result = parseIR(JSON.stringify(ir));
+    expect(codes(result)).toContain(IMPORT_CODES.VALUE);
+    expect(params(result)[0]).toBeCloseTo(1.55);
+  });
+});
+
+describe('electrode geometry', () => {
+  const geometry = { electrode_type: 'foam', electrode_area_cm2: 1.5, catalyst_loading_mg_cm2: 2 };
+  const phases = () => {
+    const gcd = createDefaultStep('gcd');
+    gcd.params.current_basis = 'A/g';
+    gcd.params.current_mA = 5;
+    return [createPhase('Main', [gcd])];
+  };
+
+  it.each([
+    ['yaml', generateYAML, parseYAML],
+    ['python', generatePython, parsePython],
+    ['ecdl', generateECDL, parseECDL],
+    ['ir', generateIR, parseIR],
+    ['share', generateShare, parseShare],
+  ])('%s keeps type, area and loading', (_, generate, parse) => {
+    const result = parse(generate({ ...meta, ...geometry }, phases()));
+    expect(result.diagnostics.filter(d => d.code !== IMPORT_CODES.INTEGRITY)).toEqual([]);
+    expect(result.metadata).toMatchObject(geometry);
+  });
+
+  it.each([
+    ['yaml', generateYAML, parseYAML, { current_mA: 5, current_basis: 'A/g' }],
+    ['share', generateShare, parseShare, { current_mA: 5, current_basis: 'A/g' }],
+    ['ir', generateIR, parseIR, { current_mA: 15, current_basis: 'mA' }],
+  ])('%s carries the current as it runs', (_, generate, parse, params) => {
+    const result = parse(generate({ ...meta, ...geometry }, phases()));
+    expect(result.phases[0].steps[0].params).toMatchObject(params);
+  });
+
+  it('IR bindings restore the basis of expression currents', () => {
+    const [phase] = phases();
+    phase.steps[0].params.current_mA = '2*rate';
+    const withRate = { ...meta, ...geometry, variables: [{ name: 'rate', value: 2.5 }] };
+    const ir = JSON.parse(generateIR(withRate, [phase]));
+    expect(ir.procedure[0].steps[0].current_A).toBeCloseTo(0.015);
+    const step = parseIR(JSON.stringify(ir)).phases[0].steps[0];
+    expect(step.params).toMatchObject({ current_mA: '2*rate', current_basis: 'A/g' });
+  });
+
+  it('reports unknown electrode types', () => {
+    const result = parseYAML('system:\n  electrode_type: wire\n  electrode_area_cm2: 0.5\n');
+    expect(codes(result)).toEqual([IMPORT_CODES.VALUE]);
+    expect(result.metadata).toEqual({ electrode_area_cm2: 0.5 });
+  });
+});
+
+describe('instrument', () => {
+  it.each([
+    ['yaml', generateYAML, parseYAML],
+    ['python', generatePython, parsePython],
+    ['ecdl', generateECDL, parseECDL],
+    ['ir', generateIR, parseIR],
+    ['share', generateShare, parseShare],
+  ])('%s keeps the target instrument', (_, generate, parse) => {
+    const result = parse(generate({ ...meta, instrument: 'biologic_sp300' }, [createPhase('Main', [createDefaultStep('cv')])]));
+    expect(result.diagnostics.filter(d => d.code !== IMPORT_CODES.INTEGRITY)).toEqual([]);
+    expect(result.metadata.instrument).toBe('biologic_sp300');
+  });
+
+  it('reports unknown instruments', () => {
+    const result = parseYAML('system:\n  instrument: potentiostat_9000\n');
+    expect(codes(result)).toEqual([IMPORT_CODES.VALUE]);
+    expect(result.metadata).toEqual({});
+  });
+});
+
+describe('stop conditions', () => {
+  const conditions = [
+    { when: 'potential_above', value: 1.8, action: 'next', target: '' },
+    { when: 'current_below', value: 0.05, action: 'goto', target: 'base "line"' },
+    { when: 'dEdt_below', value: 0.1, action: 'abort', target: '' },
+    { when: 'time', value: 300, action: 'next', target: '' },
+  ];
+  const phases = () => {
+    const ocp = createDefaultStep('ocp');
+    ocp.tag = 'base "line"';
+    const ca = createDefaultStep('ca');
+    ca.stop_conditions = conditions;
+    return [createPhase('Main', [ocp, createRepeatBlock(2, [ca])])];
+  };
+
+  it.each([
+    ['yaml', generateYAML, parseYAML],
+    ['python', generatePython, parsePython],
+    ['ecdl', generateECDL, parseECDL],
+    ['ir', generateIR, parseIR],
+    ['share', generateShare, parseShare],
+  ])('%s keeps every condition', (_, generate, parse) => {
+    const result = parse(generate(meta, phases()));
+    expect(result.diagnostics.filter(d => d.code !== IMPORT_CODES.INTEGRITY)).toEqual([]);
+    expect(result.phases[0].steps[1].steps[0].stop_conditions).toEqual(conditions);
+    expect(result.phases[0].steps[0].stop_conditions).toBeUndefined();
+  });
+
+  it('IR carries conditions as ranges in SI units', () => {
+    const ir = JSON.parse(generateIR(meta, phases()));
+    expect(ir.safety.stop_conditions).toContainEqual({
+      step: 'procedure[0].steps[1].steps[0]', quantity: 'current_A', min: 0.00005, max: null,
+      action: 'goto', target: 'base "line"', source: 'stop_conditions',
+    });
+  });
+
+  it('drops conditions it cannot represent', () => {
+    const result = parseYAML([
+      'procedure:',
+      '  - name: Main',
+      '    steps:',
+      '      - ocp: {}',
+      '        stop_conditions:',
+      '          - { when: humidity_above, value: 80 }',
+      '          - { when: time, value: soon }',
+      '          - { when: time, value: 60, action: pause }',
+      '          - { when: charge, value: 2 }',
+      '      - ca: {}',
+      '        stop_conditions: { when: time, value: 1 }',
+    ].join('\n'));
+    expect(codes(result)).toEqual([IMPORT_CODES.VALUE, IMPORT_CODES.VALUE, IMPORT_CODES.VALUE, IMPORT_CODES.FORMAT]);
+    expect(result.phases[0].steps[0].stop_conditions).toEqual([{ when: 'charge', value: 2, action: 'next', target: '' }]);
+    expect(result.phases[0].steps[1].stop_conditions).toBeUndefined();
+  });
+
+  it('reports p.stop_when() without a step above it', () => {
+    const result = parsePython('with proc.phase("Main") as p:\n    p.stop_when("time", 5)\n    p.ocp()\n');
+    expect(codes(result)).toEqual([IMPORT_CODES.FORMAT]);
+    expect(result.diagnostics[0].line).toBe(2);
+  });
+});
+
+describe('importProcedure', () => {
+  it('chooses the reader by extension', () => {
+    expect(importProcedure('a.ecproc', 'procedure: []').format).toBe('yaml');
+    expect(importProcedure('a.yml', 'procedure: []').format).toBe('yaml');
+    expect(importProcedure('a.ecdl.json', '{ "_procedure": {} }').format).toBe('ecdl');
+    expect(importProcedure('a.py', 'proc = Procedure("x")').format).toBe('python');
+    expect(importProcedure('a.ir.json', '{ "faraday_version": "1.0", "procedure": [] }').format).toBe('ir');
+  });
+
+  it('rejects unsupported file types', () => {
+    expect(codes(importProcedure('a.txt', ''))).toEqual([IMPORT_CODES.FORMAT]);
+  });
+
+  it('rejects JSON that is neither ECDL nor IR', () => {
+    expect(codes(importProcedure('a.json', '{ "hello": 1 }'))).toEqual([IMPORT_CODES.FORMAT]);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Policy Profiles
+ * A lab's take on the rule registry (see rules.js), shared as a JSON file:
+ *
+ *   {
+ *     "name": "Teaching lab",
+ *     "description": "Stricter equilibration, no cycle reminder",
+ *     "rules": {
+ *       "DR004": { "level": "error", "params": { "min_duration_s": 60 } },
+ *       "DR011": { "enabled": false }
+ *     }
+ *   }
+ *
+ * Rules a profile leaves out keep their defaults. Locked rules cannot be changed.
+ */
+
+import { LEVEL, RULES, RULE_CODES, defaultParams, ruleSettings } from './rules';
+import { IMPORT_CODES } from './parsers';
+
+export const DEFAULT_POLICY = {
+  name: 'Default',
+  description: 'Every rule at its built-in level and thresholds',
+  rules: {},
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Read a policy profile
+ * @param {string|Object} content - JSON text, or the parsed object (stored profiles)
+ * @returns {Object} { policy, diagnostics } — policy is null when the content is not a profile;
+ *   settings that cannot be used are dropped with a warning
+ */
+export function parsePolicy(content) {
+  const diagnostics = [];
+  const report = (level, code, message, location = null) => diagnostics.push({ level, code, message, location });
+
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch (err) {
+      report(LEVEL.ERROR, IMPORT_CODES.SYNTAX, `JSON syntax error: ${err.message}`);
+      return { policy: null, diagnostics };
+    }
+  }
+  if (!isObject(data) || !isObject(data.rules) || typeof data.name !== 'string' || !data.name.trim()) {
+    report(LEVEL.ERROR, IMPORT_CODES.FORMAT, 'File is not a policy profile (needs a "name" and a "rules" object)');
+    return { policy: null, diagnostics };
+  }
+
+  const rules = {};
+  Object.entries(data.rules).forEach(([code, raw]) => {
+    const location = `rules.${code}`;
+    const entries = RULES.filter(rule => rule.code === code);
+    if (entries.length === 0) {
+      report(LEVEL.WARNING, IMPORT_CODES.PARAM, `Unknown rule ${code} — ignored`, location);
+      return;
+    }
+    if (entries.some(rule => rule.locked)) {
+      report(LEVEL.WARNING, IMPORT_CODES.VALUE, `${code} cannot be changed by a profile — ignored`, location);
+      return;
+    }
+    if (!isObject(raw)) {
+      report(LEVEL.WARNING, IMPORT_CODES.VALUE, `Settings of ${code} are not an object — ignored`, location);
+      return;
+    }
+    const setting = {};
+    if (raw.enabled !== undefined) {
+      if (typeof raw.enabled === 'boolean') setting.enabled = raw.enabled;
+      else report(LEVEL.WARNING, IMPORT_CODES.VALUE, `"enabled" must be true or false — ignored`, location);
+    }
+    if (raw.level !== undefined) {
+      if (Object.values(LEVEL).includes(raw.level)) setting.level = raw.level;
+      else report(LEVEL.WARNING, IMPORT_CODES.VALUE, `Unknown level "${raw.level}" — ignored`, location);
+    }
+    if (raw.params !== undefined) {
+      const known = Object.assign({}, ...entries.map(defaultParams));
+      const params = {};
+      Object.entries(isObject(raw.params) ? raw.params : {}).forEach(([name, value]) => {
+        if (!(name in known)) {
+          report(LEVEL.WARNING, IMPORT_CODES.PARAM, `Unknown param "${name}" — ignored`, location);
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+          report(LEVEL.WARNING, IMPORT_CODES.VALUE, `Param "${name}" must be a number — ignored`, location);
+        } else {
+          params[name] = value;
+        }
+      });
+      if (Object.keys(params).length > 0) setting.params = params;
+    }
+    if (Object.keys(setting).length > 0) rules[code] = setting;
+  });
+
+  return {
+    policy: {
+      name: data.name.trim(),
+      description: typeof data.description === 'string' ? data.description : '',
+      rules,
+    },
+    diagnostics,
+  };
+}
+
+/**
+ * A profile with every rule it can change spelled out — a starting point
+ * for a lab's own profile
+ * @returns {string} JSON
+ */
+export function serializePolicy(policy = DEFAULT_POLICY) {
+  const rules = {};
+  RULE_CODES.forEach(code => {
+    const entries = RULES.filter(rule => rule.code === code);
+    if (entries.some(rule => rule.locked)) return;
+    const settings = entries.map(rule => ruleSettings(rule, policy));
+    rules[code] = {
+      enabled: settings[0].enabled,
+      level: settings[0].level,
+      ...(entries.some(rule => rule.params) && { params: Object.assign({}, ...settings.map(s => s.params)) }),
+    };
+  });
+  return JSON.stringify({ name: policy.name, description: policy.description, rules }, null, 2);
+}
+
+// Rules a profile changes from the defaults
+export function changedRules(policy) {
+  return Object.keys(policy?.rules ?? {});
+}
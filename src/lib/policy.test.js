@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_POLICY, parsePolicy, serializePolicy, changedRules } from './policy';
+import { RULES, RULE_CODES, ruleSettings } from './rules';
+import { IMPORT_CODES } from './parsers';
+import { LEVEL } from './validation';
+
+const profile = (rules, extra = {}) => JSON.stringify({ name: 'Teaching lab', rules, ...extra });
+
+describe('rule registry', () => {
+  it('describes every rule', () => {
+    RULES.forEach(rule => {
+      expect(rule.code).toMatch(/^(PV|DR)\d{3}$/);
+      expect(Object.values(LEVEL)).toContain(rule.level);
+      expect(['step', 'repeat', 'procedure', 'metadata']).toContain(rule.scope);
+      expect(rule.title).toBeTruthy();
+      Object.values(rule.params ?? {}).forEach(spec => expect(Number.isFinite(spec.default)).toBe(true));
+    });
+    expect(RULE_CODES).toContain('PV023');
+    expect(RULE_CODES).toContain('DR017');
+  });
+
+  it('runs the defaults without a policy', () => {
+    const dr004 = RULES.find(rule => rule.code === 'DR004');
+    expect(ruleSettings(dr004, null)).toEqual({ enabled: true, level: LEVEL.WARNING, params: { min_duration_s: 30 } });
+  });
+
+  it('keeps a policy limit stricter than the instrument', () => {
+    const rule = (code) => RULES.find(r => r.code === code);
+    const instrument = { max_scan_rate_mV_s: 5000, eis_min_frequency_Hz: 0.00001, eis_max_frequency_Hz: 1000000 };
+    const policy = { rules: {
+      PV001: { params: { max_scan_rate_mV_s: 1000 } },
+      PV006: { params: { max_frequency_Hz: 2000000 } },
+      PV007: { params: { min_frequency_Hz: 0.01 } },
+    } };
+    expect(ruleSettings(rule('PV001'), policy, instrument).params.max_scan_rate_mV_s).toBe(1000);
+    expect(ruleSettings(rule('PV007'), policy, instrument).params.min_frequency_Hz).toBe(0.01);
+    // A looser policy value gives way to the instrument
+    expect(ruleSettings(rule('PV006'), policy, instrument).params.max_frequency_Hz).toBe(1000000);
+    expect(ruleSettings(rule('PV001'), null, instrument).params.max_scan_rate_mV_s).toBe(5000);
+  });
+
+  it('ignores overrides of locked rules', () => {
+    const pv017 = RULES.find(rule => rule.code === 'PV017');
+    expect(ruleSettings(pv017, { rules: { PV017: { enabled: false } } }).enabled).toBe(true);
+  });
+});
+
+describe('parsePolicy', () => {
+  it('reads rule switches, levels and params', () => {
+    const { policy, diagnostics } = parsePolicy(profile({
+      DR004: { level: 'error', params: { min_duration_s: 60 } },
+      DR011: { enabled: false },
+    }, { description: 'Stricter equilibration' }));
+    expect(diagnostics).toEqual([]);
+    expect(policy).toEqual({
+      name: 'Teaching lab',
+      description: 'Stricter equilibration',
+      rules: { DR004: { level: 'error', params: { min_duration_s: 60 } }, DR011: { enabled: false } },
+    });
+    expect(changedRules(policy)).toEqual(['DR004', 'DR011']);
+  });
+
+  it('drops what it cannot use with a warning', () => {
+    const { policy, diagnostics } = parsePolicy(profile({
+      XX999: { enabled: false },
+      PV014: { enabled: false },
+      DR004: { level: 'fatal', enabled: 'no', params: { min_duration_s: '60', max_duration_s: 10 } },
+    }));
+    expect(policy.rules).toEqual({});
+    expect(diagnostics.map(d => d.code)).toEqual([
+      IMPORT_CODES.PARAM, IMPORT_CODES.VALUE, IMPORT_CODES.VALUE, IMPORT_CODES.VALUE, IMPORT_CODES.VALUE, IMPORT_CODES.PARAM,
+    ]);
+    expect(diagnostics.every(d => d.level === LEVEL.WARNING)).toBe(true);
+    expect(diagnostics[0]).toMatchObject({ message: 'Unknown rule XX999 — ignored', location: 'rules.XX999' });
+  });
+
+  it('rejects files that are not profiles', () => {
+    expect(parsePolicy('{').diagnostics[0].code).toBe(IMPORT_CODES.SYNTAX);
+    expect(parsePolicy('{"name": "x"}').policy).toBeNull();
+    expect(parsePolicy(JSON.stringify({ rules: {} })).diagnostics[0].code).toBe(IMPORT_CODES.FORMAT);
+  });
+
+  it('reads stored profiles as objects', () => {
+    expect(parsePolicy(DEFAULT_POLICY).policy).toEqual(DEFAULT_POLICY);
+  });
+});
+
+describe('serializePolicy', () => {
+  it('spells out every rule a profile can change and reads back', () => {
+    const { policy } = parsePolicy(profile({ DR011: { enabled: false }, PV001: { params: { max_scan_rate_mV_s: 5000 } } }));
+    const data = JSON.parse(serializePolicy(policy));
+    expect(data.rules.DR011).toEqual({ enabled: false, level: LEVEL.WARNING, params: { min_cycles: 3 } });
+    expect(data.rules.PV001.params).toEqual({ max_scan_rate_mV_s: 5000 });
+    expect(data.rules.DR006).toEqual({ enabled: true, level: LEVEL.WARNING });
+    expect(data.rules.PV017).toBeUndefined();
+    // Both DR007 checks share one entry
+    expect(data.rules.DR007.params).toEqual({ min_duration_min: 10 });
+
+    const reread = parsePolicy(JSON.stringify(data));
+    expect(reread.diagnostics).toEqual([]);
+    RULES.forEach(rule => expect(ruleSettings(rule, reread.policy)).toEqual(ruleSettings(rule, policy)));
+  });
+});
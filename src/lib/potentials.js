@@ -0,0 +1,187 @@
+/**
+ * Reference Electrode Conversion
+ * Step potentials are entered on the scale of the procedure's reference
+ * electrode. These helpers convert between reference scales, using the
+ * electrolyte pH for RHE and the temperature for the Nernst slope.
+ *
+ * Fixed-reference potentials are vs SHE at 25 °C with approximate linear
+ * temperature coefficients; treat converted values as ±5 mV estimates.
+ */
+
+import { TECHNIQUES } from './techniques';
+import { parseElectrolyte, electrolytePH, SOLUTES, SOLVENT_WINDOWS } from './electrolyte';
+import { mapSteps, mapPhaseSteps } from './procedure';
+import { STOP_WHEN, stopConditions } from './stops';
+
+// Faraday constant (C/mol) and gas constant (J/(mol·K))
+const F = 96485.332;
+const R = 8.314463;
+
+export const REFERENCE_ELECTRODES = {
+  RHE: { label: 'RHE', description: 'Reversible hydrogen electrode (pH-dependent)', E_SHE_V: null, dE_dT_V_K: 0 },
+  SHE: { label: 'SHE', description: 'Standard hydrogen electrode', E_SHE_V: 0, dE_dT_V_K: 0 },
+  'Ag/AgCl': { label: 'Ag/AgCl', description: 'Ag/AgCl, saturated KCl', E_SHE_V: 0.197, dE_dT_V_K: -0.00101 },
+  SCE: { label: 'SCE', description: 'Saturated calomel electrode', E_SHE_V: 0.241, dE_dT_V_K: -0.00066 },
+  'Hg/HgO': { label: 'Hg/HgO', description: 'Hg/HgO, 1 M KOH (temperature coefficient not applied)', E_SHE_V: 0.098, dE_dT_V_K: 0 },
+  'Li/Li+': { label: 'Li/Li⁺', description: 'Lithium metal, for non-aqueous Li cells (temperature coefficient not applied)', E_SHE_V: -3.04, dE_dT_V_K: 0 },
+};
+
+// Nernst slope (ln10·RT/F) in V per pH unit
+export function nernstSlope(temperatureC = 25) {
+  return Math.LN10 * R * (temperatureC + 273.15) / F;
+}
+
+/**
+ * Potential of a reference electrode vs SHE
+ * @param {string} reference - Key of REFERENCE_ELECTRODES
+ * @param {Object} conditions - { pH, temperatureC }
+ * @returns {number|null} Offset in V, or null if it cannot be determined
+ */
+export function referenceOffsetSHE(reference, { pH = null, temperatureC = 25 } = {}) {
+  const ref = REFERENCE_ELECTRODES[reference];
+  if (!ref) return null;
+  if (reference === 'RHE') {
+    if (pH === null || pH === undefined || !Number.isFinite(pH)) return null;
+    return -nernstSlope(temperatureC) * pH;
+  }
+  return ref.E_SHE_V + ref.dE_dT_V_K * (temperatureC - 25);
+}
+
+/**
+ * Convert a potential from one reference scale to another
+ * @returns {number|null} Converted potential in V, or null if not convertible
+ */
+export function convertPotential(value, from, to, conditions) {
+  if (value === null || value === undefined || value === '') return null;
+  const E = typeof value === 'number' ? value : Number(value);
+  if (!Number.isFinite(E)) return null;
+  if (from === to) return E;
+  const fromOffset = referenceOffsetSHE(from, conditions);
+  const toOffset = referenceOffsetSHE(to, conditions);
+  if (fromOffset === null || toOffset === null) return null;
+  return E + fromOffset - toOffset;
+}
+
+export function toRHE(value, reference, conditions) {
+  return convertPotential(value, reference, 'RHE', conditions);
+}
+
+// pH and temperature for conversions, taken from procedure metadata
+export function referenceConditions(metadata) {
+  const temperature = parseFloat(metadata.temperature);
+  return {
+    pH: electrolytePH(parseElectrolyte(metadata.electrolyte)),
+    temperatureC: Number.isFinite(temperature) ? temperature : 25,
+  };
+}
+
+// Offset to add to a potential on `reference` to get V vs RHE, or null
+export function offsetToRHE(reference, conditions) {
+  return convertPotential(0, reference, 'RHE', conditions);
+}
+
+// Thermodynamic water window vs RHE: hydrogen evolution below 0 V, oxygen evolution above 1.23 V
+export const WATER_WINDOW_RHE = { lower: 0, upper: 1.23 };
+
+// Known solutes, none of them a nonaqueous salt: an unlisted solvent is taken as water
+const aqueousSolutes = ({ components, additives }) => {
+  const known = [...components, ...additives].map(s => SOLUTES[s.solute]).filter(Boolean);
+  return known.length > 0 && !known.some(s => s.nonaqueous);
+};
+
+/**
+ * Stability window of the electrolyte's solvent on the procedure's reference
+ * scale. Water's window follows the pH on every scale but RHE; without a pH
+ * it spans the onsets at pH 14 (HER) and pH 0 (OER). Nonaqueous solvents use
+ * SOLVENT_WINDOWS; a solvent not listed there holding aqueous salts (acids,
+ * bases, buffers, KCl…) gets water's window.
+ * @returns {Object|null} { lower, upper, solvent } in V, or null when the
+ *   reference or solvent is unknown
+ */
+export function stabilityWindow(metadata) {
+  const { reference } = metadata;
+  if (!REFERENCE_ELECTRODES[reference]) return null;
+  const model = parseElectrolyte(metadata.electrolyte);
+  const solvent = model.solvent !== 'water' && !SOLVENT_WINDOWS[model.solvent] && aqueousSolutes(model) ? 'water' : model.solvent;
+  const conditions = referenceConditions(metadata);
+
+  if (solvent === 'water') {
+    const offset = offsetToRHE(reference, conditions);
+    if (offset !== null) {
+      return { lower: WATER_WINDOW_RHE.lower - offset, upper: WATER_WINDOW_RHE.upper - offset, solvent };
+    }
+    // Only RHE needs the pH, and RHE always converts to itself, so the reference is fixed here
+    const offsetSHE = referenceOffsetSHE(reference, conditions);
+    return {
+      lower: WATER_WINDOW_RHE.lower - nernstSlope(conditions.temperatureC) * 14 - offsetSHE,
+      upper: WATER_WINDOW_RHE.upper - offsetSHE,
+      solvent,
+    };
+  }
+
+  const window = SOLVENT_WINDOWS[solvent];
+  if (!window) return null;
+  const lower = convertPotential(window.lower_V_SCE, 'SCE', reference, conditions);
+  const upper = convertPotential(window.upper_V_SCE, 'SCE', reference, conditions);
+  return lower === null || upper === null ? null : { lower, upper, solvent };
+}
+
+/**
+ * Param keys of a step that hold electrode potentials.
+ * CC's setpoint is a potential only in potentiostatic mode.
+ */
+export function potentialParams(step) {
+  const tech = TECHNIQUES[step.technique];
+  if (!tech) return [];
+  const keys = Object.entries(tech.params)
+    .filter(([, config]) => config.potential)
+    .map(([key]) => key);
+  if (step.technique === 'cc' && step.params.mode === 'potentiostatic') keys.push('setpoint');
+  return keys;
+}
+
+// Round to 0.1 mV so converted values stay readable
+function roundPotential(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Equivalent RHE values of a step's potentials
+ * @returns {Object} { paramKey: V vs RHE } — params that cannot be converted are omitted
+ */
+export function stepPotentialsRHE(step, reference, conditions) {
+  const result = {};
+  potentialParams(step).forEach(key => {
+    const converted = toRHE(step.params[key], reference, conditions);
+    if (converted !== null) result[key] = roundPotential(converted);
+  });
+  return result;
+}
+
+/**
+ * Rescale all step potentials (and potential stop conditions) to a new
+ * reference so they describe the same physical potential. Non-numeric values
+ * (e.g. EIS "OCP") and expressions over procedure variables are left unchanged.
+ * @param {Array} phases - Procedure phases
+ * @returns {Array|null} Rescaled phases, or null if the scales cannot be related
+ */
+export function rescalePotentials(phases, from, to, conditions) {
+  if (convertPotential(0, from, to, conditions) === null) return null;
+  const rescaleStep = (step) => {
+    const params = { ...step.params };
+    potentialParams(step).forEach(key => {
+      const converted = convertPotential(params[key], from, to, conditions);
+      if (converted === null) return;
+      const rounded = roundPotential(converted);
+      params[key] = typeof params[key] === 'string' ? String(rounded) : rounded;
+    });
+    if (stopConditions(step).length === 0) return { ...step, params };
+    const stop_conditions = stopConditions(step).map(condition => {
+      if (STOP_WHEN[condition.when]?.quantity !== 'potential_V') return condition;
+      const converted = convertPotential(condition.value, from, to, conditions);
+      return converted === null ? condition : { ...condition, value: roundPotential(converted) };
+    });
+    return { ...step, params, stop_conditions };
+  };
+  return mapPhaseSteps(phases, nodes => mapSteps(nodes, rescaleStep));
+}
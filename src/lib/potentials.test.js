@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import {
+  REFERENCE_ELECTRODES, nernstSlope, referenceOffsetSHE, convertPotential, toRHE, referenceConditions,
+  offsetToRHE, stabilityWindow, potentialParams, stepPotentialsRHE, rescalePotentials,
+} from './potentials';
+import { createDefaultStep } from './techniques';
+import { createPhase, createRepeatBlock } from './procedure';
+
+const acid = { pH: 1, temperatureC: 25 };
+
+describe('nernstSlope', () => {
+  it('is ~59.16 mV/pH at 25 °C', () => {
+    expect(nernstSlope(25)).toBeCloseTo(0.05916, 5);
+  });
+
+  it('grows with temperature', () => {
+    expect(nernstSlope(60)).toBeGreaterThan(nernstSlope(25));
+  });
+});
+
+describe('referenceOffsetSHE', () => {
+  it('returns tabulated values at 25 °C', () => {
+    expect(referenceOffsetSHE('SHE', acid)).toBe(0);
+    expect(referenceOffsetSHE('Ag/AgCl', acid)).toBeCloseTo(0.197);
+    expect(referenceOffsetSHE('SCE', acid)).toBeCloseTo(0.241);
+    expect(referenceOffsetSHE('Hg/HgO', acid)).toBeCloseTo(0.098);
+  });
+
+  it('RHE shifts by the Nernst slope per pH unit', () => {
+    expect(referenceOffsetSHE('RHE', { pH: 13, temperatureC: 25 })).toBeCloseTo(-0.769, 3);
+  });
+
+  it('RHE is undefined without pH', () => {
+    expect(referenceOffsetSHE('RHE', { pH: null, temperatureC: 25 })).toBeNull();
+  });
+
+  it('applies temperature coefficients', () => {
+    expect(referenceOffsetSHE('Ag/AgCl', { temperatureC: 35 })).toBeCloseTo(0.197 - 0.0101, 4);
+  });
+
+  it('unknown references are null', () => {
+    expect(referenceOffsetSHE('Pt pseudo', acid)).toBeNull();
+  });
+
+  it('every listed reference electrode converts at known pH', () => {
+    Object.keys(REFERENCE_ELECTRODES).forEach(ref => {
+      expect(referenceOffsetSHE(ref, acid)).not.toBeNull();
+    });
+  });
+});
+
+describe('convertPotential', () => {
+  it('Ag/AgCl to RHE in 0.1 M HClO4 (pH 1)', () => {
+    expect(toRHE(0.5, 'Ag/AgCl', acid)).toBeCloseTo(0.5 + 0.197 + 0.05916, 4);
+  });
+
+  it('round-trips between scales', () => {
+    const there = convertPotential(1.23, 'RHE', 'SCE', acid);
+    expect(convertPotential(there, 'SCE', 'RHE', acid)).toBeCloseTo(1.23, 10);
+  });
+
+  it('parses numeric strings and rejects non-numeric values', () => {
+    expect(convertPotential('0.2', 'SHE', 'SHE', acid)).toBe(0.2);
+    expect(convertPotential('OCP', 'SHE', 'RHE', acid)).toBeNull();
+    expect(convertPotential(null, 'SHE', 'RHE', acid)).toBeNull();
+  });
+
+  it('cannot relate RHE to a fixed reference without pH', () => {
+    expect(convertPotential(1, 'RHE', 'Ag/AgCl', { pH: null, temperatureC: 25 })).toBeNull();
+  });
+});
+
+describe('referenceConditions', () => {
+  it('infers pH and temperature from metadata', () => {
+    const c = referenceConditions({ electrolyte: '0.1 M KOH', temperature: 40 });
+    expect(c.pH).toBeCloseTo(13);
+    expect(c.temperatureC).toBe(40);
+  });
+
+  it('defaults temperature to 25 °C', () => {
+    expect(referenceConditions({ electrolyte: '' }).temperatureC).toBe(25);
+  });
+
+  it('offsetToRHE is zero on the RHE scale', () => {
+    expect(offsetToRHE('RHE', acid)).toBe(0);
+  });
+});
+
+describe('stabilityWindow', () => {
+  const window = (reference, electrolyte, temperature = 25) => stabilityWindow({ reference, electrolyte, temperature });
+
+  it('places the water window at 0–1.23 V vs RHE', () => {
+    expect(window('RHE', '0.1 M HClO4')).toEqual({ lower: 0, upper: 1.23, solvent: 'water' });
+    // RHE needs no pH
+    expect(window('RHE', '0.1 M KHCO3')).toEqual({ lower: 0, upper: 1.23, solvent: 'water' });
+  });
+
+  it('shifts the water window with pH on fixed references', () => {
+    const alkaline = window('Ag/AgCl', '1 M KOH');
+    expect(alkaline.lower).toBeCloseTo(-1.025, 3);
+    expect(alkaline.upper).toBeCloseTo(0.205, 3);
+    expect(window('SHE', '0.1 M PBS, pH 7').lower).toBeCloseTo(-0.414, 3);
+    expect(window('SHE', '0.1 M PBS, pH 7', 60).lower).toBeCloseTo(-0.463, 3);
+  });
+
+  it('spans pH 0–14 when the pH is unknown', () => {
+    const salt = window('Ag/AgCl', '0.1 M KCl');
+    expect(salt.lower).toBeCloseTo(-1.025, 3);
+    expect(salt.upper).toBeCloseTo(1.033, 3);
+  });
+
+  it('takes water for aqueous salts in an unlisted solvent', () => {
+    expect(window('Ag/AgCl', '5 mM K3Fe(CN)6 in 0.1 M KCl')).toEqual(window('Ag/AgCl', '0.1 M KCl'));
+    expect(window('RHE', '0.5 M H2SO4 in D2O')).toEqual({ lower: 0, upper: 1.23, solvent: 'water' });
+  });
+
+  it('uses tabulated windows for nonaqueous solvents', () => {
+    expect(window('SCE', '0.1 M TBAPF6 in MeCN')).toEqual({ lower: -2.5, upper: 2.5, solvent: 'acetonitrile' });
+    expect(window('Ag/AgCl', '0.1 M TBAPF6 in MeCN').lower).toBeCloseTo(-2.456, 3);
+  });
+
+  it('is null without a reference or a known solvent', () => {
+    expect(window('', '0.1 M HClO4')).toBeNull();
+    expect(window('SCE', '')).toBeNull();
+    expect(window('Li/Li+', '1 M LiPF6 in EC/DMC (1:1)')).toBeNull();
+    expect(window('RHE', '0.1 M TBAPF6 in MeCN')).toBeNull();
+  });
+});
+
+describe('potentialParams', () => {
+  it('lists CV vertices and start potential', () => {
+    expect(potentialParams(createDefaultStep('cv'))).toEqual(['vertex1_V', 'vertex2_V', 'start_potential_V']);
+  });
+
+  it('excludes GCD cell voltages', () => {
+    expect(potentialParams(createDefaultStep('gcd'))).toEqual([]);
+  });
+
+  it('includes CC setpoint only in potentiostatic mode', () => {
+    const step = createDefaultStep('cc');
+    expect(potentialParams(step)).toContain('setpoint');
+    step.params.mode = 'galvanostatic';
+    expect(potentialParams(step)).not.toContain('setpoint');
+  });
+});
+
+describe('stepPotentialsRHE', () => {
+  it('converts numeric potentials and skips unset ones', () => {
+    const step = createDefaultStep('cv');
+    const rhe = stepPotentialsRHE(step, 'Ag/AgCl', acid);
+    expect(rhe.vertex1_V).toBeCloseTo(0.05 + 0.2562, 3);
+    expect(rhe).not.toHaveProperty('start_potential_V');
+  });
+});
+
+describe('rescalePotentials', () => {
+  it('rescales potentials inside phases and repeat blocks', () => {
+    const cv = createDefaultStep('cv');
+    const phases = [createPhase('Main', [createRepeatBlock(3, [cv])])];
+    const rescaled = rescalePotentials(phases, 'RHE', 'Ag/AgCl', acid);
+    const step = rescaled[0].steps[0].steps[0];
+    expect(step.params.vertex2_V).toBeCloseTo(1.2 - 0.2562, 3);
+    expect(step.params.scan_rate_mV_s).toBe(50);
+    expect(cv.params.vertex2_V).toBe(1.2);
+  });
+
+  it('keeps EIS "OCP" bias and rescales numeric string bias', () => {
+    const ocp = createDefaultStep('eis');
+    const biased = createDefaultStep('eis');
+    biased.params.dc_potential_V = '1.0';
+    const rescaled = rescalePotentials([createPhase('Main', [ocp, biased])], 'SHE', 'SCE', acid);
+    expect(rescaled[0].steps[0].params.dc_potential_V).toBe('OCP');
+    expect(rescaled[0].steps[1].params.dc_potential_V).toBe('0.759');
+  });
+
+  it('rescales potential stop conditions', () => {
+    const cp = createDefaultStep('cp');
+    const time = { when: 'time', value: 60, action: 'next', target: '' };
+    cp.stop_conditions = [{ when: 'potential_above', value: 1.0, action: 'next', target: '' }, time];
+    const [step] = rescalePotentials([createPhase('Main', [cp])], 'SHE', 'SCE', acid)[0].steps;
+    expect(step.stop_conditions).toEqual([{ when: 'potential_above', value: 0.759, action: 'next', target: '' }, time]);
+  });
+
+  it('returns null when the scales cannot be related', () => {
+    const phases = [createPhase('Main', [createDefaultStep('cv')])];
+    expect(rescalePotentials(phases, 'RHE', 'SCE', { pH: null, temperatureC: 25 })).toBeNull();
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Procedure Structure
+ * A procedure is an ordered list of named phases. Within a phase, steps and
+ * repeat blocks form a tree: a repeat block wraps a sub-sequence of steps
+ * (or further repeat blocks) with an iteration count.
+ *
+ * All helpers are immutable — they return new arrays and never modify input.
+ */
+
+// Create an empty repeat block
+export function createRepeatBlock(count = 2, steps = []) {
+  return {
+    id: `repeat-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: 'repeat',
+    count,
+    steps,
+    tag: '',
+  };
+}
+
+export function isRepeatBlock(node) {
+  return Boolean(node) && node.type === 'repeat';
+}
+
+/**
+ * Leaf steps in document order (repeat blocks are not expanded)
+ * @param {Array} nodes - Steps and repeat blocks
+ * @returns {Array} Flat array of technique steps
+ */
+export function collectSteps(nodes) {
+  return nodes.flatMap(node => (isRepeatBlock(node) ? collectSteps(node.steps) : [node]));
+}
+
+/**
+ * Repeat blocks in document order, with nesting depth and the product of
+ * all enclosing iteration counts (including the block's own)
+ * @param {Array} nodes - Steps and repeat blocks
+ * @returns {Array} [{ block, depth, iterations }]
+ */
+export function collectRepeatBlocks(nodes, depth = 1, outer = 1) {
+  return nodes.flatMap(node => {
+    if (!isRepeatBlock(node)) return [];
+    const iterations = outer * repeatCount(node);
+    return [
+      { block: node, depth, iterations },
+      ...collectRepeatBlocks(node.steps, depth + 1, iterations),
+    ];
+  });
+}
+
+// Iteration count of a repeat block as an integer (0 when unset or invalid)
+export function repeatCount(block) {
+  const count = parseInt(block.count, 10);
+  return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
+/**
+ * Sum a per-step quantity over the procedure, multiplying by repeat counts
+ * @param {Array} nodes - Steps and repeat blocks
+ * @param {Function} fn - (step) => number
+ * @returns {number}
+ */
+export function sumOverSteps(nodes, fn) {
+  return nodes.reduce((total, node) => {
+    if (isRepeatBlock(node)) return total + repeatCount(node) * sumOverSteps(node.steps, fn);
+    return total + fn(node);
+  }, 0);
+}
+
+// Apply fn to every technique step (inside repeat blocks too), keeping structure
+export function mapSteps(nodes, fn) {
+  return nodes.map(node => (isRepeatBlock(node) ? { ...node, steps: mapSteps(node.steps, fn) } : fn(node)));
+}
+
+// === Tree Editing ===
+
+// Index path from the root list to the node with `id`, or null
+export function findPath(nodes, id) {
+  for (let i = 0; i < nodes.length; i++) {
+    if (nodes[i].id === id) return [i];
+    if (isRepeatBlock(nodes[i])) {
+      const sub = findPath(nodes[i].steps, id);
+      if (sub) return [i, ...sub];
+    }
+  }
+  return null;
+}
+
+function listAt(nodes, parentPath) {
+  return parentPath.reduce((list, i) => list[i].steps, nodes);
+}
+
+function updateListAt(nodes, parentPath, fn) {
+  if (parentPath.length === 0) return fn(nodes);
+  const [head, ...rest] = parentPath;
+  return nodes.map((n, i) => (i === head ? { ...n, steps: updateListAt(n.steps, rest, fn) } : n));
+}
+
+function spliceAt(nodes, parentPath, index, deleteCount, ...items) {
+  return updateListAt(nodes, parentPath, list => {
+    const next = [...list];
+    next.splice(index, deleteCount, ...items);
+    return next;
+  });
+}
+
+// Replace the node with `id` by updater(node)
+export function updateNode(nodes, id, updater) {
+  return nodes.map(node => {
+    if (node.id === id) return updater(node);
+    if (isRepeatBlock(node)) return { ...node, steps: updateNode(node.steps, id, updater) };
+    return node;
+  });
+}
+
+export function removeNode(nodes, id) {
+  return nodes
+    .filter(node => node.id !== id)
+    .map(node => (isRepeatBlock(node) ? { ...node, steps: removeNode(node.steps, id) } : node));
+}
+
+// Append `node` to the root list (parentId null) or to a repeat block
+export function insertNode(nodes, parentId, node) {
+  if (!parentId) return [...nodes, node];
+  return updateNode(nodes, parentId, block => ({ ...block, steps: [...block.steps, node] }));
+}
+
+// Insert `node` in front of the node with `id`, in the same list
+export function insertBefore(nodes, id, node) {
+  const path = findPath(nodes, id);
+  if (!path) return nodes;
+  return spliceAt(nodes, path.slice(0, -1), path[path.length - 1], 0, node);
+}
+
+// Replace a node by a repeat block containing it
+export function wrapInRepeat(nodes, id, count = 2) {
+  const path = findPath(nodes, id);
+  if (!path) return nodes;
+  const parentPath = path.slice(0, -1);
+  const index = path[path.length - 1];
+  const node = listAt(nodes, parentPath)[index];
+  return spliceAt(nodes, parentPath, index, 1, createRepeatBlock(count, [node]));
+}
+
+// Replace a repeat block by its contents
+export function unwrapRepeat(nodes, id) {
+  const path = findPath(nodes, id);
+  if (!path) return nodes;
+  const parentPath = path.slice(0, -1);
+  const index = path[path.length - 1];
+  const block = listAt(nodes, parentPath)[index];
+  if (!isRepeatBlock(block)) return nodes;
+  return spliceAt(nodes, parentPath, index, 1, ...block.steps);
+}
+
+/**
+ * Move a node one position up (-1) or down (+1).
+ * Steps enter an adjacent repeat block and leave a block past its first/last
+ * child, so any sub-sequence can be gathered into a block. Blocks swap with
+ * their siblings.
+ */
+export function moveNode(nodes, id, direction) {
+  const path = findPath(nodes, id);
+  if (!path) return nodes;
+  const parentPath = path.slice(0, -1);
+  const index = path[path.length - 1];
+  const siblings = listAt(nodes, parentPath);
+  const node = siblings[index];
+  const target = index + direction;
+
+  if (target >= 0 && target < siblings.length) {
+    const neighbor = siblings[target];
+    if (isRepeatBlock(neighbor) && !isRepeatBlock(node)) {
+      const removed = spliceAt(nodes, parentPath, index, 1);
+      if (direction < 0) {
+        return spliceAt(removed, [...parentPath, target], neighbor.steps.length, 0, node);
+      }
+      return spliceAt(removed, [...parentPath, index], 0, 0, node);
+    }
+    return spliceAt(nodes, parentPath, Math.min(index, target), 2,
+      ...(direction < 0 ? [node, neighbor] : [neighbor, node]));
+  }
+
+  // Past the edge of a repeat block: move out next to it
+  if (parentPath.length > 0) {
+    const outerPath = parentPath.slice(0, -1);
+    const blockIndex = parentPath[parentPath.length - 1];
+    const removed = spliceAt(nodes, parentPath, index, 1);
+    return spliceAt(removed, outerPath, direction < 0 ? blockIndex : blockIndex + 1, 0, node);
+  }
+
+  return nodes;
+}
+
+// === Phases ===
+
+// IR blocks a phase can stand in for instead of contributing ordinary steps
+export const PHASE_ROLES = ['setup', 'stabilize', 'teardown'];
+
+export function createPhase(name = 'Main', steps = [], role = null) {
+  return {
+    id: `phase-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: 'phase',
+    name,
+    role,
+    steps,
+  };
+}
+
+export function isPhase(node) {
+  return Boolean(node) && node.type === 'phase';
+}
+
+/**
+ * Normalize generator/validator input to a phase list.
+ * A flat step list (the pre-phase format) becomes a single "Main" phase.
+ */
+export function toPhases(input) {
+  if (input.length > 0 && input.every(isPhase)) return input;
+  return [createPhase('Main', input)];
+}
+
+// Top-level steps and repeat blocks of all phases, in execution order
+export function flattenPhases(input) {
+  return toPhases(input).flatMap(phase => phase.steps);
+}
+
+// Apply a step-list transform to every phase
+export function mapPhaseSteps(phases, fn) {
+  return phases.map(phase => ({ ...phase, steps: fn(phase.steps) }));
+}
+
+export function movePhase(phases, id, direction) {
+  const index = phases.findIndex(p => p.id === id);
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= phases.length) return phases;
+  const next = [...phases];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+// Assign a role to one phase; any other phase holding that role loses it
+export function setPhaseRole(phases, id, role) {
+  return phases.map(phase => {
+    if (phase.id === id) return { ...phase, role: role || null };
+    if (role && phase.role === role) return { ...phase, role: null };
+    return phase;
+  });
+}
+
+/**
+ * Move a step within its phase like moveNode; a top-level step moved past
+ * the first/last position of its phase crosses into the neighbouring phase.
+ */
+export function moveStepInPhases(phases, id, direction) {
+  const phaseIndex = phases.findIndex(p => findPath(p.steps, id));
+  if (phaseIndex < 0) return phases;
+  const phase = phases[phaseIndex];
+  const path = findPath(phase.steps, id);
+  const target = phases[phaseIndex + direction];
+  const atEdge = path.length === 1 &&
+    (direction < 0 ? path[0] === 0 : path[0] === phase.steps.length - 1);
+
+  if (atEdge && target) {
+    const node = phase.steps[path[0]];
+    return phases.map(p => {
+      if (p.id === phase.id) return { ...p, steps: p.steps.filter(n => n.id !== id) };
+      if (p.id === target.id) return { ...p, steps: direction < 0 ? [...p.steps, node] : [node, ...p.steps] };
+      return p;
+    });
+  }
+
+  return phases.map(p => (p.id === phase.id ? { ...p, steps: moveNode(p.steps, id, direction) } : p));
+}
@@ -0,0 +1,198 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createRepeatBlock, isRepeatBlock, collectSteps, collectRepeatBlocks, repeatCount, sumOverSteps,
+  findPath, updateNode, removeNode, insertNode, insertBefore, wrapInRepeat, unwrapRepeat, moveNode,
+  createPhase, isPhase, toPhases, flattenPhases, mapPhaseSteps, movePhase, setPhaseRole, moveStepInPhases,
+} from './procedure';
+import { createDefaultStep } from './techniques';
+
+const ids = (nodes) => nodes.map(n => (isRepeatBlock(n) ? { [n.id]: ids(n.steps) } : n.id));
+
+function makeTree() {
+  const purge = { ...createDefaultStep('purge'), id: 'purge' };
+  const cv = { ...createDefaultStep('cv'), id: 'cv' };
+  const eis = { ...createDefaultStep('eis'), id: 'eis' };
+  const lsv = { ...createDefaultStep('lsv'), id: 'lsv' };
+  const block = { ...createRepeatBlock(50, [cv, eis]), id: 'loop' };
+  return [purge, block, lsv];
+}
+
+describe('createRepeatBlock', () => {
+  it('creates an empty repeat block with a count', () => {
+    const block = createRepeatBlock(3);
+    expect(isRepeatBlock(block)).toBe(true);
+    expect(block.count).toBe(3);
+    expect(block.steps).toEqual([]);
+    expect(block.id).toBeDefined();
+  });
+
+  it('technique steps are not repeat blocks', () => {
+    expect(isRepeatBlock(createDefaultStep('cv'))).toBe(false);
+  });
+});
+
+describe('tree queries', () => {
+  it('collectSteps returns leaf steps in order', () => {
+    expect(collectSteps(makeTree()).map(s => s.id)).toEqual(['purge', 'cv', 'eis', 'lsv']);
+  });
+
+  it('collectRepeatBlocks reports depth and cumulative iterations', () => {
+    const tree = makeTree();
+    tree[1].steps.push({ ...createRepeatBlock(3, [createDefaultStep('ocp')]), id: 'inner' });
+    const blocks = collectRepeatBlocks(tree);
+    expect(blocks.map(b => [b.block.id, b.depth, b.iterations])).toEqual([
+      ['loop', 1, 50],
+      ['inner', 2, 150],
+    ]);
+  });
+
+  it('repeatCount treats invalid counts as zero', () => {
+    expect(repeatCount({ count: '4' })).toBe(4);
+    expect(repeatCount({ count: null })).toBe(0);
+    expect(repeatCount({ count: -2 })).toBe(0);
+  });
+
+  it('sumOverSteps multiplies by repeat counts', () => {
+    expect(sumOverSteps(makeTree(), () => 1)).toBe(1 + 50 * 2 + 1);
+  });
+
+  it('findPath locates nested nodes', () => {
+    expect(findPath(makeTree(), 'eis')).toEqual([1, 1]);
+    expect(findPath(makeTree(), 'missing')).toBeNull();
+  });
+});
+
+describe('tree editing', () => {
+  it('updateNode replaces a nested node without mutating input', () => {
+    const tree = makeTree();
+    const next = updateNode(tree, 'cv', s => ({ ...s, tag: 'x' }));
+    expect(next[1].steps[0].tag).toBe('x');
+    expect(tree[1].steps[0].tag).toBe('');
+  });
+
+  it('removeNode removes nested nodes', () => {
+    expect(ids(removeNode(makeTree(), 'eis'))).toEqual(['purge', { loop: ['cv'] }, 'lsv']);
+  });
+
+  it('insertNode appends to root or to a block', () => {
+    const ocp = { ...createDefaultStep('ocp'), id: 'ocp' };
+    expect(ids(insertNode(makeTree(), null, ocp))).toEqual(['purge', { loop: ['cv', 'eis'] }, 'lsv', 'ocp']);
+    expect(ids(insertNode(makeTree(), 'loop', ocp))).toEqual(['purge', { loop: ['cv', 'eis', 'ocp'] }, 'lsv']);
+  });
+
+  it('insertBefore inserts next to a nested node', () => {
+    const ocp = { ...createDefaultStep('ocp'), id: 'ocp' };
+    expect(ids(insertBefore(makeTree(), 'eis', ocp))).toEqual(['purge', { loop: ['cv', 'ocp', 'eis'] }, 'lsv']);
+    expect(ids(insertBefore(makeTree(), 'purge', ocp))).toEqual(['ocp', 'purge', { loop: ['cv', 'eis'] }, 'lsv']);
+    expect(ids(insertBefore(makeTree(), 'missing', ocp))).toEqual(ids(makeTree()));
+  });
+
+  it('wrapInRepeat and unwrapRepeat are inverse', () => {
+    const wrapped = wrapInRepeat(makeTree(), 'lsv', 5);
+    expect(isRepeatBlock(wrapped[2])).toBe(true);
+    expect(wrapped[2].count).toBe(5);
+    expect(ids(unwrapRepeat(wrapped, wrapped[2].id))).toEqual(ids(makeTree()));
+  });
+
+  it('unwrapRepeat splices block contents in place', () => {
+    expect(ids(unwrapRepeat(makeTree(), 'loop'))).toEqual(['purge', 'cv', 'eis', 'lsv']);
+  });
+});
+
+describe('moveNode', () => {
+  it('swaps adjacent steps', () => {
+    const tree = makeTree();
+    expect(ids(moveNode(tree[1].steps, 'cv', 1))).toEqual(['eis', 'cv']);
+  });
+
+  it('moves a step down into the following block', () => {
+    expect(ids(moveNode(makeTree(), 'purge', 1))).toEqual([{ loop: ['purge', 'cv', 'eis'] }, 'lsv']);
+  });
+
+  it('moves a step up into the preceding block', () => {
+    expect(ids(moveNode(makeTree(), 'lsv', -1))).toEqual(['purge', { loop: ['cv', 'eis', 'lsv'] }]);
+  });
+
+  it('moves a step out past the edge of its block', () => {
+    expect(ids(moveNode(makeTree(), 'cv', -1))).toEqual(['purge', 'cv', { loop: ['eis'] }, 'lsv']);
+    expect(ids(moveNode(makeTree(), 'eis', 1))).toEqual(['purge', { loop: ['cv'] }, 'eis', 'lsv']);
+  });
+
+  it('swaps blocks with siblings instead of nesting them', () => {
+    expect(ids(moveNode(makeTree(), 'loop', -1))).toEqual([{ loop: ['cv', 'eis'] }, 'purge', 'lsv']);
+  });
+
+  it('is a no-op at the edges of the root list', () => {
+    const tree = makeTree();
+    expect(moveNode(tree, 'purge', -1)).toBe(tree);
+    expect(moveNode(tree, 'lsv', 1)).toBe(tree);
+  });
+});
+
+// === Phases ===
+
+function makePhases() {
+  return [
+    { ...createPhase('Conditioning', [{ ...createDefaultStep('purge'), id: 'purge' }], 'setup'), id: 'cond' },
+    { ...createPhase('Activity', [{ ...createDefaultStep('cv'), id: 'cv' }, { ...createDefaultStep('eis'), id: 'eis' }]), id: 'act' },
+    { ...createPhase('Stability', []), id: 'stab' },
+  ];
+}
+
+const phaseIds = (phases) => phases.map(p => ({ [p.id]: p.steps.map(s => s.id) }));
+
+describe('phases', () => {
+  it('createPhase builds a named phase', () => {
+    const phase = createPhase('Activity');
+    expect(isPhase(phase)).toBe(true);
+    expect(phase.name).toBe('Activity');
+    expect(phase.role).toBeNull();
+    expect(phase.steps).toEqual([]);
+  });
+
+  it('toPhases wraps a flat step list as one Main phase', () => {
+    const steps = [createDefaultStep('cv')];
+    const phases = toPhases(steps);
+    expect(phases).toHaveLength(1);
+    expect(phases[0].name).toBe('Main');
+    expect(phases[0].steps).toBe(steps);
+  });
+
+  it('toPhases passes phase lists through', () => {
+    const phases = makePhases();
+    expect(toPhases(phases)).toBe(phases);
+  });
+
+  it('flattenPhases concatenates phase steps in order', () => {
+    expect(flattenPhases(makePhases()).map(s => s.id)).toEqual(['purge', 'cv', 'eis']);
+  });
+
+  it('mapPhaseSteps applies a transform to each phase', () => {
+    const next = mapPhaseSteps(makePhases(), s => removeNode(s, 'cv'));
+    expect(phaseIds(next)).toEqual([{ cond: ['purge'] }, { act: ['eis'] }, { stab: [] }]);
+  });
+
+  it('movePhase reorders phases', () => {
+    expect(movePhase(makePhases(), 'stab', -1).map(p => p.id)).toEqual(['cond', 'stab', 'act']);
+    const phases = makePhases();
+    expect(movePhase(phases, 'cond', -1)).toBe(phases);
+  });
+
+  it('setPhaseRole keeps roles unique', () => {
+    const next = setPhaseRole(makePhases(), 'act', 'setup');
+    expect(next.map(p => p.role)).toEqual([null, 'setup', null]);
+    expect(setPhaseRole(next, 'act', '')[1].role).toBeNull();
+  });
+
+  it('moveStepInPhases crosses phase boundaries at the edges', () => {
+    expect(phaseIds(moveStepInPhases(makePhases(), 'cv', -1)))
+      .toEqual([{ cond: ['purge', 'cv'] }, { act: ['eis'] }, { stab: [] }]);
+    expect(phaseIds(moveStepInPhases(makePhases(), 'eis', 1)))
+      .toEqual([{ cond: ['purge'] }, { act: ['cv'] }, { stab: ['eis'] }]);
+  });
+
+  it('moveStepInPhases moves within a phase otherwise', () => {
+    expect(phaseIds(moveStepInPhases(makePhases(), 'cv', 1)))
+      .toEqual([{ cond: ['purge'] }, { act: ['eis', 'cv'] }, { stab: [] }]);
+  });
+});
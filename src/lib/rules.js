@@ -0,0 +1,967 @@
+/**
+ * Rule Registry
+ * Every validation rule as data: its code, default level, scope, the
+ * techniques it applies to and the thresholds a lab can tune. A policy
+ * profile (see policy.js) switches rules off, changes their level or
+ * overrides their params; validation.js runs the rules of each scope.
+ *
+ * Two categories:
+ * - PV (Parameter Validation): Hard errors that will fail execution
+ * - DR (Domain Rules): Warnings for best practices
+ *
+ * Scopes and the context their checks receive:
+ * - step: { source, step, tech, metadata, limits, currentErrors, expressionErrors }
+ *   — `step` has expressions evaluated and currents in mA, `source` is as entered
+ * - repeat: { block }
+ * - procedure: { nodes, steps, blocks, metadata } — resolved
+ * - metadata: { metadata }
+ * Every context also carries the active `policy` and the `instrument` profile
+ * the procedure targets (null for the generic limits). A param whose spec names
+ * an `instrument` field takes that field of the profile, or the policy's value
+ * where that is stricter (`bound` says whether the param is a max or a min
+ * limit), so picking an instrument only tightens a lab's checks. A check returns the
+ * issues it finds without level and code; the registry adds both.
+ *
+ * Issues with an obvious remedy carry a `fix` (see fix helpers below), which
+ * validation.js applies to the procedure.
+ */
+
+import { resolveVariables } from './variables';
+import { ELECTRODE_TYPES, DEFAULT_MAX_DENSITY, HIGH_CURRENT_mA, currentParams, currentDensity } from './electrodes';
+import { normalizeLabLimits, parseVoltageLimits, stepSafety } from './safety';
+import { STOP_WHEN, stopConditions, stopConditionError, stepTags } from './stops';
+import { formatFrequency, supportsTechnique } from './instruments';
+import { REFERENCE_ELECTRODES, potentialParams, stabilityWindow } from './potentials';
+
+// Validation result levels
+export const LEVEL = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info',
+};
+
+export const RULE_SCOPES = {
+  step: 'Step',
+  repeat: 'Repeat block',
+  procedure: 'Procedure',
+  metadata: 'Metadata',
+};
+
+// Set params that hold a number (expressions are resolved before the rules run)
+const isNumber = (...values) => values.every(v => v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v)));
+
+// === Quick Fixes ===
+// Plain data, so issues stay serializable: set a param (clamp, raise to the
+// recommended value), swap two params, or insert a default step before another.
+// Step fixes name no step; validateStep adds the id of the step it checked.
+
+const setFix = (param, value, label) => ({ kind: 'set', param, value, label });
+const swapFix = (params, label) => ({ kind: 'swap', params, label });
+const insertFix = (technique, before, label) => ({ kind: 'insert', technique, before, label });
+
+// Scan ends of the pulse and stripping techniques
+const SCAN_ENDS = { dpv: ['start_V', 'end_V'], swv: ['start_V', 'end_V'], stripping: ['strip_start_V', 'strip_end_V'] };
+
+// Stripping window: { anodic, wrongSide } or null while a potential is missing or the window is empty
+function strippingWindow({ deposition_V, strip_start_V, strip_end_V }) {
+  if (!isNumber(deposition_V, strip_start_V, strip_end_V) || Number(strip_start_V) === Number(strip_end_V)) return null;
+  const [deposition, start, end] = [deposition_V, strip_start_V, strip_end_V].map(Number);
+  // Anodic stripping deposits cathodic of the window, cathodic stripping anodic of it
+  const anodic = end > start;
+  return { anodic, wrongSide: anodic ? deposition > start : deposition < start, deposition, start };
+}
+
+// Tag words that mark a step as meant to run past the solvent window (DR001),
+// e.g. "HER polarisation", "CO2RR at -0.9 V", "OER activity", "window check"
+const WINDOW_TAGS = {
+  lower: ['her', 'hydrogen', 'h2', 'reduction', 'co2rr', 'nrr', 'deposition', 'plating', 'window', 'breakdown'],
+  upper: ['oer', 'oxygen', 'o2', 'oxidation', 'chlorine', 'window', 'breakdown'],
+};
+const taggedPast = (tag, side) => String(tag ?? '').toLowerCase().split(/[^a-z0-9]+/)
+  .some(word => WINDOW_TAGS[side].includes(word));
+const volts = (value) => Number(value.toFixed(2));
+
+/**
+ * The rules, in the order their issues are reported. Codes can repeat when
+ * one check runs in two scopes (DR007, PV018); a policy setting applies to both.
+ * `locked` rules report things no export can carry (or the lab safety limits,
+ * which are set separately) — profiles cannot disable or downgrade them.
+ */
+export const RULES = [
+  {
+    code: 'PV014',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: null,
+    title: 'Expressions evaluate',
+    locked: true,
+    check: ({ tech, expressionErrors }) => Object.entries(expressionErrors).map(([param, message]) => ({
+      message: `${tech.params[param].label}: ${message}`,
+      param,
+    })),
+  },
+  {
+    code: 'PV016',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['cp', 'gcd', 'cc'],
+    title: 'Currents per area or mass have the electrode geometry',
+    locked: true,
+    check: ({ tech, currentErrors }) => Object.entries(currentErrors).map(([param, message]) => ({
+      message: `${tech.params[param].label}: ${message}`,
+      param,
+    })),
+  },
+  {
+    code: 'PV001',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['cv', 'lsv', 'swv'],
+    title: 'Scan rate within the instrument limit',
+    params: { max_scan_rate_mV_s: { label: 'Max scan rate', unit: 'mV/s', default: 10000, instrument: 'max_scan_rate_mV_s', bound: 'max' } },
+    check: ({ step }, { max_scan_rate_mV_s: max }) => {
+      const limit = `${max / 1000} V/s`;
+      if (step.technique === 'swv') {
+        const { frequency_Hz, step_height_mV } = step.params;
+        if (!isNumber(frequency_Hz, step_height_mV)) return [];
+        const rate = Number((Number(frequency_Hz) * Number(step_height_mV)).toPrecision(6));
+        return rate > max
+          ? [{ message: `Effective scan rate ${rate} mV/s (frequency × step height) exceeds ${limit}`, param: 'frequency_Hz' }]
+          : [];
+      }
+      if (!(step.params.scan_rate_mV_s > max)) return [];
+      return [{
+        message: step.technique === 'cv' ? `Scan rate exceeds instrument limit (${limit})` : `Scan rate exceeds ${limit}`,
+        param: 'scan_rate_mV_s',
+        fix: setFix('scan_rate_mV_s', max, `Lower scan rate to ${max} mV/s`),
+      }];
+    },
+  },
+  {
+    code: 'PV002',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['cv', 'lsv'],
+    title: 'Scan rate not too slow',
+    params: { min_scan_rate_mV_s: { label: 'Min scan rate', unit: 'mV/s', default: 0.1 } },
+    check: ({ step }, { min_scan_rate_mV_s: min }) => {
+      const { scan_rate_mV_s } = step.params;
+      if (!(scan_rate_mV_s > 0 && scan_rate_mV_s < min)) return [];
+      return [{
+        message: step.technique === 'cv'
+          ? `Scan rate too slow (<${min} mV/s) — may cause drift artifacts`
+          : `Scan rate too slow (<${min} mV/s)`,
+        param: 'scan_rate_mV_s',
+        fix: setFix('scan_rate_mV_s', min, `Raise scan rate to ${min} mV/s`),
+      }];
+    },
+  },
+  {
+    code: 'PV003',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['cv'],
+    title: 'At least one cycle',
+    check: ({ step }) => (step.params.cycles < 1
+      ? [{ message: 'At least 1 cycle required', param: 'cycles', fix: setFix('cycles', 1, 'Set cycles to 1') }]
+      : []),
+  },
+  {
+    code: 'PV004',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['cv'],
+    title: 'Distinct vertices',
+    check: ({ step, tech }) => {
+      const { vertex1_V, vertex2_V } = step.params;
+      if (!(vertex1_V !== null && vertex2_V !== null && parseFloat(vertex1_V) === parseFloat(vertex2_V))) return [];
+      // Move one vertex back to its default, the upper one unless that is where both sit
+      const reset = ['vertex2_V', 'vertex1_V'].find(key => tech.params[key].default !== parseFloat(vertex1_V));
+      const { label, default: value } = tech.params[reset];
+      return [{
+        message: 'Vertex potentials must differ',
+        param: 'vertex1_V',
+        fix: setFix(reset, value, `Reset ${label.toLowerCase()} to ${value} V`),
+      }];
+    },
+  },
+  {
+    code: 'DR011',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: ['cv'],
+    title: 'Enough cycles for a steady state',
+    params: { min_cycles: { label: 'Min cycles', unit: '', default: 3 } },
+    check: ({ step }, { min_cycles: min }) => {
+      const { cycles } = step.params;
+      return cycles >= 1 && cycles < min
+        ? [{
+          message: `Consider ≥${min} cycles for reproducible steady-state response`,
+          param: 'cycles',
+          fix: setFix('cycles', min, `Raise cycles to ${min}`),
+        }]
+        : [];
+    },
+  },
+  {
+    code: 'PV005',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['eis'],
+    title: 'Frequencies sweep downwards',
+    check: ({ step }) => {
+      const { f_start_Hz, f_end_Hz } = step.params;
+      if (!(f_start_Hz !== null && f_end_Hz !== null && parseFloat(f_start_Hz) <= parseFloat(f_end_Hz))) return [];
+      // Equal frequencies have no order to swap
+      const fix = parseFloat(f_start_Hz) < parseFloat(f_end_Hz)
+        ? swapFix(['f_start_Hz', 'f_end_Hz'], 'Swap start and end frequency')
+        : undefined;
+      return [{ message: 'Start frequency must be greater than end frequency', param: 'f_start_Hz', ...(fix && { fix }) }];
+    },
+  },
+  {
+    code: 'PV006',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['eis'],
+    title: 'Start frequency within the instrument limit',
+    params: { max_frequency_Hz: { label: 'Max frequency', unit: 'Hz', default: 10000000, instrument: 'eis_max_frequency_Hz', bound: 'max' } },
+    check: ({ step }, { max_frequency_Hz: max }) => (step.params.f_start_Hz > max
+      ? [{
+        message: `Start frequency exceeds ${formatFrequency(max)} (instrument limit)`,
+        param: 'f_start_Hz',
+        fix: setFix('f_start_Hz', max, `Lower start frequency to ${formatFrequency(max)}`),
+      }]
+      : []),
+  },
+  {
+    code: 'PV007',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['eis'],
+    title: 'End frequency practical',
+    params: { min_frequency_Hz: { label: 'Min frequency', unit: 'Hz', default: 0.000001, instrument: 'eis_min_frequency_Hz', bound: 'min' } },
+    check: ({ step }, { min_frequency_Hz: min }) => (step.params.f_end_Hz < min
+      ? [{
+        message: `End frequency below ${formatFrequency(min)} (impractical)`,
+        param: 'f_end_Hz',
+        fix: setFix('f_end_Hz', min, `Raise end frequency to ${formatFrequency(min)}`),
+      }]
+      : []),
+  },
+  {
+    code: 'PV008',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['eis'],
+    title: 'Positive amplitude',
+    check: ({ step }) => (step.params.amplitude_mV <= 0 ? [{ message: 'Amplitude must be positive', param: 'amplitude_mV' }] : []),
+  },
+  {
+    code: 'PV009',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['eis'],
+    title: 'Amplitude within the linear regime',
+    params: { max_amplitude_mV: { label: 'Max amplitude', unit: 'mV', default: 100 } },
+    check: ({ step }, { max_amplitude_mV: max }) => (step.params.amplitude_mV > max
+      ? [{
+        message: `Amplitude exceeds ${max} mV — will violate linearity assumption`,
+        param: 'amplitude_mV',
+        fix: setFix('amplitude_mV', max, `Lower amplitude to ${max} mV`),
+      }]
+      : []),
+  },
+  {
+    code: 'DR005',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: ['eis'],
+    title: 'Small amplitude for linear response',
+    params: { max_amplitude_mV: { label: 'Recommended max amplitude', unit: 'mV', default: 10 } },
+    check: (context, { max_amplitude_mV: max }) => {
+      const { step } = context;
+      const { amplitude_mV } = step.params;
+      // Above the PV009 limit the error says it already
+      return amplitude_mV > max && amplitude_mV <= ruleParam(context, 'PV009', 'max_amplitude_mV', Infinity)
+        ? [{
+          message: `Amplitude >${max} mV may introduce nonlinear artifacts in impedance spectra`,
+          param: 'amplitude_mV',
+          fix: setFix('amplitude_mV', max, `Lower amplitude to ${max} mV`),
+        }]
+        : [];
+    },
+  },
+  {
+    code: 'PV011',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['ocp', 'ca', 'cp', 'purge'],
+    title: 'Positive duration',
+    params: { min_purge_min: { label: 'Min purge', unit: 'min', default: 1 } },
+    check: ({ step }, { min_purge_min: min }) => {
+      if (step.technique === 'purge') {
+        return step.params.duration_min < min
+          ? [{
+            message: `Purge duration must be at least ${min} minute${min === 1 ? '' : 's'}`,
+            param: 'duration_min',
+            fix: setFix('duration_min', min, `Raise purge to ${min} min`),
+          }]
+          : [];
+      }
+      return step.params.duration_s <= 0 ? [{ message: 'Duration must be positive', param: 'duration_s' }] : [];
+    },
+  },
+  {
+    code: 'DR004',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: ['ocp'],
+    title: 'OCP long enough to equilibrate',
+    params: { min_duration_s: { label: 'Min duration', unit: 's', default: 30 } },
+    check: ({ step }, { min_duration_s: min }) => {
+      const { duration_s } = step.params;
+      return duration_s > 0 && duration_s < min
+        ? [{
+          message: `OCP duration <${min}s may not allow electrode equilibration`,
+          param: 'duration_s',
+          fix: setFix('duration_s', min, `Raise duration to ${min} s`),
+        }]
+        : [];
+    },
+  },
+  {
+    code: 'PV010',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['ca', 'lsv'],
+    title: 'Potentials within the instrument range',
+    params: { max_abs_potential_V: { label: 'Max |potential|', unit: 'V', default: 10 } },
+    check: ({ step, instrument }, { max_abs_potential_V: max }) => {
+      // A chosen instrument's range covers every step (PV025)
+      if (instrument) return [];
+      const keys = step.technique === 'ca' ? ['potential_V'] : ['start_V', 'end_V'];
+      const param = keys.find(key => Math.abs(step.params[key]) > max);
+      return param ? [{ message: `Potential outside ±${max} V range`, param }] : [];
+    },
+  },
+  {
+    code: 'DR001',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: null,
+    title: 'Potentials within the solvent window',
+    params: {
+      margin_V: { label: 'Margin past the window', unit: 'V', default: 0.4 },
+      max_abs_potential_V: { label: 'Max |potential| without a known window', unit: 'V', default: 2.5 },
+    },
+    // Water's window is HER/OER onset on the procedure's reference scale at the
+    // electrolyte pH and temperature; a matching step tag marks an excursion as intended
+    check: ({ step, tech, metadata }, { margin_V: margin, max_abs_potential_V: max }) => {
+      const window = stabilityWindow(metadata);
+      const reference = REFERENCE_ELECTRODES[metadata.reference]?.label;
+      const keys = potentialParams(step).filter(key => isNumber(step.params[key]));
+      return keys.flatMap(key => {
+        const E = Number(step.params[key]);
+        const label = tech.params[key].label;
+        if (!window) {
+          return Math.abs(E) > max
+            ? [{ message: `${label} ${E} V may exceed the solvent stability window`, param: key }]
+            : [];
+        }
+        const side = E < window.lower - margin ? 'lower' : E > window.upper + margin ? 'upper' : null;
+        if (!side || taggedPast(step.tag, side)) return [];
+        const water = window.solvent === 'water';
+        const limit = water
+          ? `${side === 'lower' ? 'HER' : 'OER'} onset`
+          : `the ${window.solvent} ${side === 'lower' ? 'reduction' : 'oxidation'} limit`;
+        const hint = water ? (side === 'lower' ? 'HER' : 'OER') : 'breakdown';
+        return [{
+          message: `${label} ${E} V is ${volts(Math.abs(E - window[side]))} V past ${limit} ` +
+            `(${volts(window[side])} V vs ${reference}) — tag the step "${hint}" if this is intended`,
+          param: key,
+        }];
+      });
+    },
+  },
+  {
+    code: 'DR009',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: ['cp', 'gcd', 'cc'],
+    title: 'Current density the electrode can carry',
+    params: {
+      max_density_mA_cm2: { label: 'Max density without electrode type', unit: 'mA/cm²', default: DEFAULT_MAX_DENSITY },
+      high_current_mA: { label: 'High current without area', unit: 'mA', default: HIGH_CURRENT_mA },
+    },
+    check: ({ step, metadata, currentErrors }, { max_density_mA_cm2, high_current_mA }) => {
+      if (Object.keys(currentErrors).length > 0) return [];
+      const type = ELECTRODE_TYPES[metadata?.electrode_type];
+      const limit = type?.maxDensity_mA_cm2 ?? max_density_mA_cm2;
+      return currentParams(step).flatMap(param => {
+        const current = step.params[param];
+        if (!isNumber(current)) return [];
+        const density = currentDensity(Math.abs(Number(current)), metadata);
+        if (density !== null && density > limit) {
+          return [{
+            message: `Current density ${Number(density.toPrecision(3))} mA/cm² exceeds ${limit} mA/cm²${type ? ` (${type.label})` : ''} — check the electrode can carry it`,
+            param,
+          }];
+        }
+        if (density === null && Math.abs(Number(current)) > high_current_mA) {
+          return [{ message: 'High current — set the electrode area in Experiment Setup to check the current density', param }];
+        }
+        return [];
+      });
+    },
+  },
+  {
+    code: 'PV017',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: null,
+    title: 'Within the lab safety limits',
+    locked: true,
+    check: ({ step, tech, limits, currentErrors }) => {
+      const issues = [];
+      const lab = normalizeLabLimits(limits);
+      const outside = (value) => (lab.min_potential_V !== null && value < lab.min_potential_V) ||
+        (lab.max_potential_V !== null && value > lab.max_potential_V);
+      const labWindow = [
+        lab.min_potential_V === null ? null : `min ${lab.min_potential_V} V`,
+        lab.max_potential_V === null ? null : `max ${lab.max_potential_V} V`,
+      ].filter(Boolean).join(', ');
+      const { potentials, cutoffs, currents } = stepSafety(step);
+      potentials.filter(({ value }) => outside(value)).forEach(({ param, value }) => {
+        issues.push({ message: `${tech.params[param].label} ${value} V is outside the lab safety limits (${labWindow})`, param });
+      });
+      if (cutoffs && (outside(cutoffs.min) || outside(cutoffs.max))) {
+        issues.push({
+          message: `Cutoffs ${cutoffs.min} to ${cutoffs.max} V reach outside the lab safety limits (${labWindow})`,
+          param: cutoffs.param,
+        });
+      }
+      if (lab.max_current_mA !== null && Object.keys(currentErrors).length === 0) {
+        currents.filter(({ value }) => Math.abs(value) > lab.max_current_mA).forEach(({ param, value }) => {
+          issues.push({
+            message: `${tech.params[param].label} ${Math.abs(value)} mA exceeds the lab safety limit (max ${lab.max_current_mA} mA)`,
+            param,
+          });
+        });
+      }
+      return issues;
+    },
+  },
+  {
+    code: 'PV024',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: null,
+    title: 'Technique offered by the instrument',
+    check: ({ step, tech, instrument }) => (instrument && !supportsTechnique(instrument, step.technique)
+      ? [{ message: `The ${instrument.name} cannot run ${tech.name}` }]
+      : []),
+  },
+  {
+    code: 'PV025',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: null,
+    title: 'Within the instrument potential range and current compliance',
+    check: ({ step, tech, instrument, currentErrors }) => {
+      if (!instrument) return [];
+      const { name, potential_range_V: range, current_compliance_mA: compliance } = instrument;
+      const issues = [];
+      const { potentials, cutoffs, currents } = stepSafety(step);
+      potentials.filter(({ value }) => Math.abs(value) > range).forEach(({ param, value }) => {
+        issues.push({ message: `${tech.params[param].label} ${value} V is outside the ${name} range (±${range} V)`, param });
+      });
+      if (cutoffs && Math.max(Math.abs(cutoffs.min), Math.abs(cutoffs.max)) > range) {
+        issues.push({ message: `Cutoffs ${cutoffs.min} to ${cutoffs.max} V reach outside the ${name} range (±${range} V)`, param: cutoffs.param });
+      }
+      if (Object.keys(currentErrors).length === 0) {
+        currents.filter(({ value }) => Math.abs(value) > compliance).forEach(({ param, value }) => {
+          issues.push({ message: `${tech.params[param].label} ${Math.abs(value)} mA exceeds the ${name} maximum (${compliance} mA)`, param });
+        });
+      }
+      return issues;
+    },
+  },
+  {
+    code: 'PV026',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['dpv', 'swv'],
+    title: 'Pulses the instrument can sample',
+    check: ({ step, instrument }) => {
+      if (!instrument) return [];
+      const interval = Number((1000 / instrument.sampling_rate_Hz).toPrecision(3));
+      const where = `the ${instrument.name} sampling interval (${interval} ms)`;
+      if (step.technique === 'dpv') {
+        const param = ['pulse_width_ms', 'sample_period_ms']
+          .find(key => isNumber(step.params[key]) && Number(step.params[key]) < interval);
+        return param
+          ? [{ message: `${param === 'pulse_width_ms' ? 'Pulse width' : 'Sample period'} ${step.params[param]} ms is shorter than ${where}`, param }]
+          : [];
+      }
+      const { frequency_Hz } = step.params;
+      if (!isNumber(frequency_Hz) || Number(frequency_Hz) <= 0) return [];
+      const halfPeriod = Number((500 / Number(frequency_Hz)).toPrecision(3));
+      return halfPeriod < interval
+        ? [{ message: `Frequency ${frequency_Hz} Hz gives ${halfPeriod} ms half-periods, shorter than ${where}`, param: 'frequency_Hz' }]
+        : [];
+    },
+  },
+  {
+    code: 'DR018',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: null,
+    title: 'Currents the instrument can resolve',
+    check: ({ step, tech, instrument, currentErrors }) => {
+      if (!instrument || instrument.current_ranges_mA.length === 0) return [];
+      const lowest = Math.min(...instrument.current_ranges_mA);
+      const below = (value) => value !== 0 && Math.abs(value) < lowest;
+      const range = `the lowest ${instrument.name} current range (${lowest} mA)`;
+      const currents = Object.keys(currentErrors).length === 0 ? stepSafety(step).currents : [];
+      return [
+        ...currents.filter(({ value }) => below(value)).map(({ param, value }) => ({
+          message: `${tech.params[param].label} ${Math.abs(value)} mA is below ${range} — it cannot be controlled accurately`,
+          param,
+        })),
+        ...stopConditions(step).flatMap((condition, index) => (
+          STOP_WHEN[condition.when]?.quantity === 'current_A' && isNumber(condition.value) && below(Number(condition.value))
+            ? [{ message: `Stop condition ${index + 1}: ${Math.abs(condition.value)} mA is below ${range} — it cannot be resolved`, condition: index }]
+            : []
+        )),
+      ];
+    },
+  },
+  {
+    code: 'PV020',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: Object.keys(SCAN_ENDS),
+    title: 'Scan ends differ',
+    check: ({ step, tech }) => {
+      const [startKey, endKey] = SCAN_ENDS[step.technique];
+      const [start, end] = [step.params[startKey], step.params[endKey]];
+      return isNumber(start, end) && Number(start) === Number(end)
+        ? [{ message: `${tech.params[startKey].label} and ${tech.params[endKey].label.toLowerCase()} must differ`, param: endKey }]
+        : [];
+    },
+  },
+  {
+    code: 'PV019',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['dpv'],
+    title: 'Current sampled within the pulse',
+    check: ({ step }) => {
+      const { pulse_width_ms, sample_period_ms } = step.params;
+      return isNumber(sample_period_ms, pulse_width_ms) && Number(sample_period_ms) >= Number(pulse_width_ms)
+        ? [{
+          message: `Sample period (${sample_period_ms} ms) must be shorter than the pulse width (${pulse_width_ms} ms)`,
+          param: 'sample_period_ms',
+        }]
+        : [];
+    },
+  },
+  {
+    code: 'DR013',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: ['dpv'],
+    title: 'Pulse height between step height and peak broadening',
+    params: { max_pulse_height_mV: { label: 'Max pulse height', unit: 'mV', default: 100 } },
+    check: ({ step }, { max_pulse_height_mV: max }) => {
+      const { pulse_height_mV, step_height_mV } = step.params;
+      if (isNumber(pulse_height_mV, step_height_mV) && Number(pulse_height_mV) <= Number(step_height_mV)) {
+        return [{
+          message: 'Pulse height should exceed the step height — otherwise the differential signal is lost in the staircase',
+          param: 'pulse_height_mV',
+        }];
+      }
+      return isNumber(pulse_height_mV) && Number(pulse_height_mV) > max
+        ? [{ message: `Pulse height >${max} mV broadens peaks and merges neighbouring ones`, param: 'pulse_height_mV' }]
+        : [];
+    },
+  },
+  {
+    code: 'DR014',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: ['swv'],
+    title: 'SWV scan rate below charging-current domination',
+    params: { max_scan_rate_mV_s: { label: 'Max effective scan rate', unit: 'mV/s', default: 1000 } },
+    check: (context, { max_scan_rate_mV_s: max }) => {
+      const { frequency_Hz, step_height_mV } = context.step.params;
+      if (!isNumber(frequency_Hz, step_height_mV)) return [];
+      const rate = Number((Number(frequency_Hz) * Number(step_height_mV)).toPrecision(6));
+      // Above the PV001 limit the error says it already
+      return rate > max && rate <= ruleParam(context, 'PV001', 'max_scan_rate_mV_s', Infinity)
+        ? [{
+          message: `Effective scan rate ${rate} mV/s (frequency × step height) — above ${max / 1000} V/s charging current dominates`,
+          param: 'frequency_Hz',
+        }]
+        : [];
+    },
+  },
+  {
+    code: 'DR015',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: ['swv'],
+    title: 'Enough samples per SWV half-period',
+    // A typical potentiostat acquires at 1 kHz; forward and reverse currents
+    // need at least two samples per half-period
+    params: {
+      acquisition_rate_Hz: { label: 'Acquisition rate', unit: 'Hz', default: 1000, instrument: 'sampling_rate_Hz', bound: 'max' },
+      samples_per_half_period: { label: 'Samples per half-period', unit: '', default: 2 },
+    },
+    check: ({ step, instrument }, { acquisition_rate_Hz, samples_per_half_period }) => {
+      const maxFrequency = acquisition_rate_Hz / (2 * samples_per_half_period);
+      const { frequency_Hz } = step.params;
+      return isNumber(frequency_Hz) && Number(frequency_Hz) > maxFrequency
+        ? [{
+          message: `Frequency >${maxFrequency} Hz leaves fewer than ${samples_per_half_period} samples per half-period at ${instrument ? `the ${instrument.name}'s` : 'a typical'} ${formatFrequency(acquisition_rate_Hz)} acquisition rate`,
+          param: 'frequency_Hz',
+        }]
+        : [];
+    },
+  },
+  {
+    code: 'PV021',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['stripping'],
+    title: 'Deposition on the right side of the stripping window',
+    check: ({ step }) => {
+      const window = strippingWindow(step.params);
+      if (!window?.wrongSide) return [];
+      return [{
+        message: window.anodic
+          ? 'Deposition potential must be cathodic of (below) the anodic stripping window'
+          : 'Deposition potential must be anodic of (above) the cathodic stripping window',
+        param: 'deposition_V',
+      }];
+    },
+  },
+  {
+    code: 'DR016',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: ['stripping'],
+    title: 'Stripping starts at the deposition potential',
+    params: { tolerance_mV: { label: 'Tolerance', unit: 'mV', default: 1 } },
+    check: ({ step }, { tolerance_mV }) => {
+      const window = strippingWindow(step.params);
+      // A gap between deposition and strip start strips part of the deposit before the scan
+      if (!window || window.wrongSide || Math.abs(window.deposition - window.start) <= tolerance_mV / 1000) return [];
+      return [{
+        message: `Strip start (${window.start} V) differs from the deposition potential (${window.deposition} V) — the potential jumps before the scan`,
+        param: 'strip_start_V',
+      }];
+    },
+  },
+  {
+    code: 'PV022',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['gcd'],
+    title: 'GCD voltage window',
+    check: ({ step }) => {
+      const { upper_V, lower_V } = step.params;
+      return isNumber(upper_V, lower_V) && Number(upper_V) <= Number(lower_V)
+        ? [{ message: 'Upper voltage must be above the lower voltage', param: 'upper_V' }]
+        : [];
+    },
+  },
+  {
+    code: 'PV023',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: ['cc'],
+    title: 'Potentiostatic setpoint is a potential',
+    // Potential range of the potential-controlled techniques; a CC setpoint
+    // beyond it is most likely a current entered in the wrong mode
+    params: { max_abs_setpoint_V: { label: 'Max |setpoint|', unit: 'V', default: 3 } },
+    check: ({ step }, { max_abs_setpoint_V: max }) => {
+      const { mode, setpoint } = step.params;
+      return mode !== 'galvanostatic' && isNumber(setpoint) && Math.abs(Number(setpoint)) > max
+        ? [{
+          message: `Potentiostatic setpoint ${setpoint} V is outside ±${max} V — for a current in mA, use galvanostatic mode`,
+          param: 'setpoint',
+        }]
+        : [];
+    },
+  },
+  {
+    code: 'DR017',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: ['cc'],
+    title: 'No current basis on a potential setpoint',
+    check: ({ step, source }) => {
+      // The basis as entered (currents are already in mA in `step`)
+      const { current_basis } = source.params;
+      return step.params.mode !== 'galvanostatic' && current_basis && current_basis !== 'mA'
+        ? [{
+          message: `Current basis ${current_basis} only applies in galvanostatic mode — the setpoint is a potential in V`,
+          param: 'current_basis',
+        }]
+        : [];
+    },
+  },
+  {
+    code: 'DR007',
+    level: LEVEL.WARNING,
+    scope: 'step',
+    techniques: ['purge'],
+    title: 'Purge long enough to saturate',
+    params: { min_duration_min: { label: 'Min purge', unit: 'min', default: 10 } },
+    check: (context, { min_duration_min: min }) => {
+      const { duration_min } = context.step.params;
+      // Below the PV011 minimum the error says it already
+      return duration_min >= ruleParam(context, 'PV011', 'min_purge_min', 0) && duration_min < min
+        ? [{
+          message: `Purge <${min} min may not achieve full gas saturation`,
+          param: 'duration_min',
+          fix: setFix('duration_min', min, `Raise purge to ${min} min`),
+        }]
+        : [];
+    },
+  },
+  {
+    code: 'PV018',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: null,
+    title: 'Stop conditions and cutoffs are complete',
+    check: ({ step }) => {
+      const issues = stopConditions(step).flatMap((condition, index) => {
+        const message = stopConditionError(condition);
+        return message ? [{ message: `Stop condition ${index + 1}: ${message}`, condition: index }] : [];
+      });
+      // CP cutoffs must read as a potential range
+      const { voltage_limits_V } = step.params;
+      if (step.technique === 'cp' && voltage_limits_V && !parseVoltageLimits(voltage_limits_V)) {
+        issues.push({
+          message: `Voltage limits "${voltage_limits_V}" are not a range such as "-0.5 to 2.0"`,
+          param: 'voltage_limits_V',
+        });
+      }
+      return issues;
+    },
+  },
+  {
+    code: 'PV000',
+    level: LEVEL.ERROR,
+    scope: 'step',
+    techniques: null,
+    title: 'Params within their technique range',
+    locked: true,
+    check: ({ step, tech }) => Object.entries(step.params).flatMap(([key, value]) => {
+      const paramDef = tech.params[key];
+      // Optional params left empty have nothing to check
+      if (!paramDef || value === null || value === undefined || value === '') return [];
+      const issues = [];
+      if (paramDef.min !== undefined && value < paramDef.min) {
+        issues.push({
+          message: `${paramDef.label} below minimum (${paramDef.min})`,
+          param: key,
+          fix: setFix(key, paramDef.min, `Clamp to minimum (${paramDef.min})`),
+        });
+      }
+      if (paramDef.max !== undefined && value > paramDef.max) {
+        issues.push({
+          message: `${paramDef.label} above maximum (${paramDef.max})`,
+          param: key,
+          fix: setFix(key, paramDef.max, `Clamp to maximum (${paramDef.max})`),
+        });
+      }
+      return issues;
+    }),
+  },
+  {
+    code: 'PV012',
+    level: LEVEL.ERROR,
+    scope: 'repeat',
+    techniques: null,
+    title: 'Repeat count',
+    params: { max_count: { label: 'Max count', unit: '', default: 10000 } },
+    check: ({ block }, { max_count: max }) => {
+      const count = Number(block.count);
+      return !Number.isInteger(count) || count < 1 || count > max
+        ? [{ message: `Repeat count must be a whole number from 1 to ${max}`, stepId: block.id }]
+        : [];
+    },
+  },
+  {
+    code: 'DR012',
+    level: LEVEL.WARNING,
+    scope: 'repeat',
+    techniques: null,
+    title: 'Repeat block has steps',
+    check: ({ block }) => (block.steps.length === 0 ? [{ message: 'Repeat block contains no steps', stepId: block.id }] : []),
+  },
+  {
+    code: 'PV015',
+    level: LEVEL.ERROR,
+    scope: 'metadata',
+    techniques: null,
+    title: 'Variable definitions',
+    locked: true,
+    check: ({ metadata }) => resolveVariables(metadata?.variables).issues.map(({ index, message }) => ({
+      message: `Variable ${index + 1}: ${message}`,
+      variable: index,
+    })),
+  },
+  {
+    code: 'DR006',
+    level: LEVEL.WARNING,
+    scope: 'procedure',
+    techniques: ['lsv', 'cv', 'eis'],
+    title: 'Conditioning before the first measurement',
+    check: ({ steps }) => {
+      const measurementTechs = ['lsv', 'cv', 'eis'];
+      const conditioningTechs = ['cv', 'purge', 'ocp'];
+      const firstMeasurementIndex = steps.findIndex(s => measurementTechs.includes(s.technique));
+      const hasConditioningBefore = steps.slice(0, firstMeasurementIndex).some(s => conditioningTechs.includes(s.technique));
+      if (!(firstMeasurementIndex > 0 && !hasConditioningBefore)) return [];
+      const first = steps[firstMeasurementIndex];
+      return [{
+        message: 'Consider adding conditioning (OCP, CV, or purge) before first measurement',
+        stepIndex: firstMeasurementIndex,
+        fix: insertFix('ocp', first.id, `Insert OCP before ${first.technique.toUpperCase()}`),
+      }];
+    },
+  },
+  {
+    code: 'DR007',
+    level: LEVEL.WARNING,
+    scope: 'procedure',
+    techniques: ['lsv', 'purge'],
+    title: 'Gas purge before LSV',
+    check: ({ steps }) => {
+      const lsvIndex = steps.findIndex(s => s.technique === 'lsv');
+      const hasPurge = steps.some(s => s.technique === 'purge');
+      if (lsvIndex < 0 || hasPurge) return [];
+      // The purge goes ahead of the OCP steps that lead up to the LSV
+      let index = lsvIndex;
+      while (index > 0 && steps[index - 1].technique === 'ocp') index--;
+      return [{
+        message: 'Consider adding gas purge before LSV for defined atmosphere (O₂ for ORR, N₂ for background)',
+        fix: insertFix('purge', steps[index].id, index < lsvIndex ? 'Insert purge before OCP' : 'Insert purge before LSV'),
+      }];
+    },
+  },
+  {
+    code: 'DR008',
+    level: LEVEL.WARNING,
+    scope: 'procedure',
+    techniques: ['eis'],
+    title: 'EIS to determine Ru for iR compensation',
+    check: ({ steps }) => {
+      const hasIrComp = steps.some(s => s.params.ir_compensation === true);
+      const hasEIS = steps.some(s => s.technique === 'eis');
+      return hasIrComp && !hasEIS ? [{ message: 'iR compensation enabled but no EIS measurement to determine Ru' }] : [];
+    },
+  },
+  {
+    code: 'PV018',
+    level: LEVEL.ERROR,
+    scope: 'procedure',
+    techniques: null,
+    title: 'Jump targets tag exactly one step',
+    check: ({ nodes, steps }) => {
+      const tags = stepTags(nodes);
+      return steps.flatMap(step => stopConditions(step).flatMap((condition, index) => {
+        if (condition.action !== 'goto' || !condition.target) return [];
+        const uses = tags.get(condition.target) ?? 0;
+        if (uses === 1) return [];
+        return [{
+          message: uses === 0
+            ? `Stop condition ${index + 1}: no step is tagged "${condition.target}"`
+            : `Stop condition ${index + 1}: ${uses} steps are tagged "${condition.target}" — the jump is ambiguous`,
+          stepId: step.id,
+          condition: index,
+        }];
+      }));
+    },
+  },
+  {
+    code: 'PV013',
+    level: LEVEL.ERROR,
+    scope: 'procedure',
+    techniques: null,
+    title: 'Total iterations of nested repeats',
+    params: { max_total_iterations: { label: 'Max iterations', unit: '', default: 1000000 } },
+    check: ({ blocks }, { max_total_iterations: max }) => {
+      // Nested repeats multiply — report the outermost block that overflows
+      const overflowing = new Set(blocks.filter(b => b.iterations > max).map(b => b.block.id));
+      return blocks.flatMap(({ block, iterations }) => {
+        if (iterations <= max) return [];
+        const parent = blocks.find(b => b.block.steps.includes(block));
+        if (parent && overflowing.has(parent.block.id)) return [];
+        return [{
+          message: `Nested repeats expand to ${iterations.toLocaleString()} iterations (limit ${max.toLocaleString()})`,
+          stepId: block.id,
+        }];
+      });
+    },
+  },
+];
+
+// Rule codes in registry order, each once
+export const RULE_CODES = [...new Set(RULES.map(rule => rule.code))];
+
+// Defaults of a rule's params
+export function defaultParams(rule) {
+  return Object.fromEntries(Object.entries(rule.params ?? {}).map(([name, spec]) => [name, spec.default]));
+}
+
+/**
+ * How a policy and an instrument set a rule up
+ * @param {Object} rule - Entry of RULES
+ * @param {Object} [policy] - Policy profile (see policy.js); none runs the defaults
+ * @param {Object} [instrument] - Instrument profile; its figures replace the params that name them
+ *   unless the policy sets a stricter value
+ * @returns {Object} { enabled, level, params }
+ */
+export function ruleSettings(rule, policy, instrument = null) {
+  const override = (!rule.locked && policy?.rules?.[rule.code]) || {};
+  const params = defaultParams(rule);
+  Object.entries(rule.params ?? {}).forEach(([name, spec]) => {
+    const set = override.params?.[name];
+    if (set !== undefined) params[name] = set;
+    const figure = spec.instrument && instrument?.[spec.instrument];
+    if (figure === null || figure === undefined) return;
+    params[name] = set === undefined ? figure : (spec.bound === 'min' ? Math.max : Math.min)(set, figure);
+  });
+  return { enabled: override.enabled !== false, level: override.level ?? rule.level, params };
+}
+
+// A param of the first rule with this code, or `fallback` while the policy disables it
+function ruleParam({ policy, instrument }, code, name, fallback) {
+  const settings = ruleSettings(RULES.find(rule => rule.code === code), policy, instrument);
+  return settings.enabled ? settings.params[name] : fallback;
+}
+
+/**
+ * Run the rules of one scope
+ * @param {string} scope - Key of RULE_SCOPES
+ * @param {Object} context - What the scope's checks receive (see above)
+ * @param {Object} [policy] - Policy profile
+ * @param {string} [technique] - For step rules: skip rules of other techniques
+ * @returns {Array} Validation issues
+ */
+export function applyRules(scope, context, policy = null, technique = null) {
+  return RULES.flatMap(rule => {
+    if (rule.scope !== scope) return [];
+    if (scope === 'step' && rule.techniques && !rule.techniques.includes(technique)) return [];
+    const { enabled, level, params } = ruleSettings(rule, policy, context.instrument ?? null);
+    if (!enabled) return [];
+    return rule.check({ ...context, policy }, params).map(issue => ({ level, code: rule.code, ...issue }));
+  });
+}
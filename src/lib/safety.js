@@ -0,0 +1,103 @@
+/**
+ * Safety Envelope
+ * The potentials and currents a procedure can reach: applied potentials,
+ * potential cutoffs of galvanostatic steps (CP voltage limits, GCD limits)
+ * and applied currents. Lab-wide limits bound the envelope; validation
+ * reports steps outside them (PV017) and the IR export carries them as
+ * stop conditions.
+ */
+
+import { potentialParams } from './potentials';
+import { currentParams, resolveProcedure } from './electrodes';
+import { collectSteps, flattenPhases } from './procedure';
+
+// Lab-wide limits, kept per browser and applied to every procedure
+export const LAB_LIMIT_FIELDS = {
+  min_potential_V: { label: 'Min potential', unit: 'V' },
+  max_potential_V: { label: 'Max potential', unit: 'V' },
+  max_current_mA: { label: 'Max current', unit: 'mA' },
+};
+
+const finite = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Lab limits with every field a number or null
+ * @param {Object} limits - Stored limits (anything else counts as no limits)
+ */
+export function normalizeLabLimits(limits) {
+  const source = limits && typeof limits === 'object' && !Array.isArray(limits) ? limits : {};
+  return Object.fromEntries(Object.keys(LAB_LIMIT_FIELDS).map(key => [key, finite(source[key])]));
+}
+
+export function hasLabLimits(limits) {
+  return Object.values(normalizeLabLimits(limits)).some(value => value !== null);
+}
+
+/**
+ * Read a CP voltage_limits_V text such as "-0.5 to 2.0"
+ * @returns {Object|null} { min, max } or null if it names no two potentials
+ */
+export function parseVoltageLimits(text) {
+  if (typeof text !== 'string') return null;
+  const match = text.trim().match(/^([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)\s*(?:to|\.\.|,|…|–)\s*([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)$/);
+  if (!match) return null;
+  const [a, b] = [Number(match[1]), Number(match[2])];
+  return { min: Math.min(a, b), max: Math.max(a, b) };
+}
+
+/**
+ * Potential cutoffs of a step: the window a galvanostatic step stops at
+ * @returns {Object|null} { param, min, max }
+ */
+export function stepCutoffs(step) {
+  if (step.technique === 'cp') {
+    const limits = parseVoltageLimits(step.params.voltage_limits_V);
+    return limits && { param: 'voltage_limits_V', ...limits };
+  }
+  if (step.technique === 'gcd') {
+    const [upper, lower] = [finite(step.params.upper_V), finite(step.params.lower_V)];
+    if (upper === null || lower === null) return null;
+    return { param: 'upper_V', min: Math.min(upper, lower), max: Math.max(upper, lower) };
+  }
+  return null;
+}
+
+/**
+ * What one step can apply or reach. Expressions and current bases must be
+ * resolved first (see resolveProcedure).
+ * @returns {Object} { potentials: [{ param, value }], cutoffs, currents: [{ param, value }] } — currents in mA
+ */
+export function stepSafety(step) {
+  const numbers = (keys) => keys
+    .map(param => ({ param, value: finite(step.params[param]) }))
+    .filter(({ value }) => value !== null);
+  return {
+    potentials: numbers(potentialParams(step)),
+    cutoffs: stepCutoffs(step),
+    currents: numbers(currentParams(step)),
+  };
+}
+
+/**
+ * Envelope of a procedure
+ * @param {Array} procedure - Phases, or a flat step list
+ * @returns {Object} { window: [min, max] | null (V vs the procedure's reference), maxCurrent: mA | null }
+ */
+export function safetyEnvelope(procedure, metadata) {
+  const potentials = [];
+  const currents = [];
+  collectSteps(flattenPhases(resolveProcedure(procedure, metadata))).forEach(step => {
+    const { potentials: applied, cutoffs, currents: applied_mA } = stepSafety(step);
+    potentials.push(...applied.map(p => p.value));
+    if (cutoffs) potentials.push(cutoffs.min, cutoffs.max);
+    currents.push(...applied_mA.map(c => Math.abs(c.value)));
+  });
+  return {
+    window: potentials.length > 0 ? [Math.min(...potentials), Math.max(...potentials)] : null,
+    maxCurrent: currents.length > 0 ? Math.max(...currents) : null,
+  };
+}
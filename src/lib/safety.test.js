@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeLabLimits, hasLabLimits, parseVoltageLimits, stepCutoffs, stepSafety, safetyEnvelope } from './safety';
+import { createDefaultStep } from './techniques';
+import { createPhase, createRepeatBlock } from './procedure';
+
+describe('lab limits', () => {
+  it('keeps numbers and clears everything else', () => {
+    expect(normalizeLabLimits({ min_potential_V: '-0.5', max_potential_V: '', max_current_mA: 'x', other: 1 }))
+      .toEqual({ min_potential_V: -0.5, max_potential_V: null, max_current_mA: null });
+    expect(normalizeLabLimits([1, 2])).toEqual(normalizeLabLimits(null));
+    expect(hasLabLimits({ max_current_mA: 0 })).toBe(true);
+    expect(hasLabLimits(undefined)).toBe(false);
+  });
+});
+
+describe('cutoffs', () => {
+  it('reads CP voltage limits in either order', () => {
+    expect(parseVoltageLimits('-0.5 to 2.0')).toEqual({ min: -0.5, max: 2 });
+    expect(parseVoltageLimits('2, -1')).toEqual({ min: -1, max: 2 });
+    expect(parseVoltageLimits('up to 2 V')).toBeNull();
+    expect(parseVoltageLimits(null)).toBeNull();
+  });
+
+  it('uses the voltage limits of GCD', () => {
+    expect(stepCutoffs(createDefaultStep('gcd'))).toEqual({ param: 'upper_V', min: 0, max: 1 });
+    expect(stepCutoffs(createDefaultStep('ca'))).toBeNull();
+  });
+
+  it('lists what a step applies', () => {
+    const cc = createDefaultStep('cc');
+    expect(stepSafety(cc)).toEqual({ potentials: [{ param: 'setpoint', value: 1 }], cutoffs: null, currents: [] });
+    cc.params.mode = 'galvanostatic';
+    expect(stepSafety(cc)).toEqual({ potentials: [], cutoffs: null, currents: [{ param: 'setpoint', value: 1 }] });
+    expect(stepSafety(createDefaultStep('eis')).potentials).toEqual([]);
+  });
+});
+
+describe('safetyEnvelope', () => {
+  it('spans applied potentials, cutoffs and currents across the procedure', () => {
+    const cv = createDefaultStep('cv');
+    cv.params.vertex1_V = -0.2;
+    const cp = createDefaultStep('cp');
+    cp.params.current_mA = -25;
+    const phases = [createPhase('Main', [createRepeatBlock(3, [cv]), cp, createDefaultStep('gcd')])];
+    expect(safetyEnvelope(phases, {})).toEqual({ window: [-0.5, 2], maxCurrent: 25 });
+  });
+
+  it('uses the current a density gives', () => {
+    const cp = createDefaultStep('cp');
+    cp.params.current_basis = 'mA/cm²';
+    cp.params.current_mA = 'j';
+    const metadata = { electrode_area_cm2: 2, variables: [{ name: 'j', value: 5 }] };
+    expect(safetyEnvelope([cp], metadata).maxCurrent).toBe(10);
+  });
+
+  it('is empty for procedures that apply nothing', () => {
+    expect(safetyEnvelope([createDefaultStep('ocp')], {})).toEqual({ window: null, maxCurrent: null });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Share Links
+ * A procedure packed into the URL fragment, which browsers never send to a
+ * server: `#procedure=…` opens it in the editor, `#view=…` in the read-only
+ * viewer. The value is `<codec>.<base64url data>`; the payload inside
+ * carries its own format version (SHARE_VERSION).
+ */
+
+import { generateShare } from './generators';
+import { parseShare, IMPORT_CODES } from './parsers';
+import { LEVEL } from './validation';
+
+export const SHARE_MODES = { edit: 'procedure', view: 'view' };
+
+// z: deflate-raw compressed JSON; j: plain JSON, written where CompressionStream is unavailable
+const CODECS = ['z', 'j'];
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, transform) {
+  return new Uint8Array(await new Response(new Response(bytes).body.pipeThrough(transform)).arrayBuffer());
+}
+
+/**
+ * Share fragment for a procedure (without the leading #)
+ * @param {string} mode - 'edit' or 'view'
+ * @returns {Promise<string>}
+ */
+export async function encodeShareFragment(metadata, phases, mode = 'edit') {
+  const bytes = new TextEncoder().encode(generateShare(metadata, phases));
+  const compress = typeof CompressionStream === 'function';
+  const data = compress ? await pipeBytes(bytes, new CompressionStream('deflate-raw')) : bytes;
+  return `${SHARE_MODES[mode]}=${compress ? 'z' : 'j'}.${bytesToBase64Url(data)}`;
+}
+
+/**
+ * Recognise a share fragment without decoding it
+ * @param {string} hash - location.hash, with or without the leading #
+ * @returns {Object|null} { mode, codec, data }
+ */
+export function readShareFragment(hash) {
+  const match = String(hash ?? '').replace(/^#/, '').match(/^(procedure|view)=([a-z])\.([A-Za-z0-9_-]*)$/);
+  if (!match) return null;
+  const mode = match[1] === SHARE_MODES.view ? 'view' : 'edit';
+  return { mode, codec: match[2], data: match[3] };
+}
+
+function damaged(message) {
+  return {
+    format: 'share',
+    metadata: {},
+    phases: null,
+    diagnostics: [{ level: LEVEL.ERROR, code: IMPORT_CODES.SYNTAX, message, location: null }],
+  };
+}
+
+/**
+ * Decode a share fragment into an import result
+ * @returns {Promise<Object|null>} { format, metadata, phases, diagnostics, mode }, or null when
+ *   the hash is not a share link
+ */
+export async function decodeShareFragment(hash) {
+  const fragment = readShareFragment(hash);
+  if (!fragment) return null;
+  const { mode, codec, data } = fragment;
+  if (!CODECS.includes(codec)) {
+    return { ...damaged(`Share link uses an unknown encoding "${codec}" — it was made by a newer IDE`), mode };
+  }
+  let text;
+  try {
+    const bytes = base64UrlToBytes(data);
+    const raw = codec === 'z' ? await pipeBytes(bytes, new DecompressionStream('deflate-raw')) : bytes;
+    text = new TextDecoder().decode(raw);
+  } catch {
+    return { ...damaged('Share link is damaged or incomplete — check that the whole link was copied'), mode };
+  }
+  return { ...parseShare(text), mode };
+}
+
+// Full URL for a fragment, based on the current page without its fragment
+export function shareURL(fragment, location = window.location) {
+  return `${location.origin}${location.pathname}${location.search}#${fragment}`;
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { encodeShareFragment, decodeShareFragment, readShareFragment, shareURL } from './share';
+import { generateShare, SHARE_VERSION } from './generators';
+import { IMPORT_CODES } from './parsers';
+import { TECHNIQUES, createDefaultStep } from './techniques';
+import { createPhase, createRepeatBlock } from './procedure';
+
+const meta = {
+  name: 'Shared ORR',
+  author: 'Lab',
+  description: 'Benchmark',
+  electrodes: 3,
+  reference: 'Ag/AgCl',
+  electrolyte: '0.1 M KOH',
+  temperature: 30,
+  working_electrode: 'Pt/C',
+  counter_electrode: '',
+  instrument: '',
+  electrode_type: 'rde',
+  electrode_area_cm2: 0.196,
+  catalyst_loading_mg_cm2: 0.1,
+};
+
+const phases = () => {
+  const cv = createDefaultStep('cv');
+  cv.params.scan_rate_mV_s = 20;
+  cv.tag = 'activity';
+  const block = createRepeatBlock(5, [cv, createDefaultStep('eis')]);
+  block.tag = 'durability';
+  return [
+    createPhase('Setup', [createDefaultStep('purge')], 'setup'),
+    createPhase('Main', [block, ...Object.keys(TECHNIQUES).map(createDefaultStep)]),
+  ];
+};
+
+const strip = (list) => JSON.parse(JSON.stringify(list, (key, value) => (key === 'id' ? undefined : value)));
+
+const encoded = (payload, codec = 'j') =>
+  `#procedure=${codec}.${btoa(JSON.stringify(payload)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+
+describe('share links', () => {
+  it('round-trips a procedure through a compressed fragment', async () => {
+    const source = phases();
+    const fragment = await encodeShareFragment(meta, source);
+    expect(fragment).toMatch(/^procedure=z\.[A-Za-z0-9_-]+$/);
+    const result = await decodeShareFragment(`#${fragment}`);
+    expect(result.diagnostics).toEqual([]);
+    expect(result.mode).toBe('edit');
+    expect(strip(result.phases)).toEqual(strip(source));
+    // A link without variables clears the editor's
+    expect(result.metadata).toEqual({ ...meta, variables: [] });
+  });
+
+  it('compresses well below the plain payload size', async () => {
+    const fragment = await encodeShareFragment(meta, phases());
+    expect(fragment.length).toBeLessThan(generateShare(meta, phases()).length / 2);
+  });
+
+  it('marks read-only viewer links', async () => {
+    const fragment = await encodeShareFragment(meta, phases(), 'view');
+    expect(readShareFragment(fragment).mode).toBe('view');
+    expect((await decodeShareFragment(fragment)).mode).toBe('view');
+  });
+
+  it('ignores fragments that are not share links', async () => {
+    expect(readShareFragment('#results')).toBeNull();
+    expect(await decodeShareFragment('')).toBeNull();
+  });
+
+  it('reads plain JSON links and fills params added since with defaults', async () => {
+    const result = await decodeShareFragment(encoded({
+      v: 1,
+      metadata: { name: 'Old link' },
+      phases: [{ name: 'Main', steps: [{ technique: 'gcd', params: { current_mA: 2 } }] }],
+    }));
+    expect(result.diagnostics).toEqual([]);
+    expect(result.metadata).toMatchObject({ name: 'Old link', electrolyte: '' });
+    const [step] = result.phases[0].steps;
+    expect(step.params.current_mA).toBe(2);
+    expect(step.params.capacity_mAh).toBe(TECHNIQUES.gcd.params.capacity_mAh.default);
+  });
+
+  it('reports links from newer versions, unknown techniques and damage', async () => {
+    const newer = await decodeShareFragment(encoded({
+      v: SHARE_VERSION + 1,
+      metadata: {},
+      phases: [{ name: 'Main', steps: [{ technique: 'cv', params: {} }, { technique: 'xrd', params: {} }] }],
+    }));
+    expect(newer.diagnostics.map(d => d.code)).toEqual([IMPORT_CODES.FORMAT, IMPORT_CODES.TECHNIQUE]);
+    expect(newer.phases[0].steps).toHaveLength(1);
+
+    const damaged = await decodeShareFragment('#procedure=z.not-deflate-data');
+    expect(damaged.diagnostics.map(d => d.code)).toEqual([IMPORT_CODES.SYNTAX]);
+    expect((await decodeShareFragment('#view=q.abc')).diagnostics[0].message).toMatch(/newer IDE/);
+  });
+
+  it('builds the URL from the current page', () => {
+    const location = { origin: 'https://ecproc.example', pathname: '/ide/', search: '?lab=1' };
+    expect(shareURL('view=z.abc', location)).toBe('https://ecproc.example/ide/?lab=1#view=z.abc');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Stop Conditions
+ * Early termination of a step: the step ends when the measured potential,
+ * current, charge or drift crosses a value, or after a time, and the run
+ * then goes on to the next step, aborts, or jumps to a tagged step.
+ * Conditions live on the step as `stop_conditions: [{ when, value, action, target }]`;
+ * steps without the field have none.
+ */
+
+import { collectSteps } from './procedure';
+
+// What a condition watches, in the unit its value is entered in. In IR a
+// condition is the range the quantity must stay in (SI units): `bound` names
+// the end the value sets, `toSI` converts it.
+// Currents, charge and drift are compared by magnitude.
+export const STOP_WHEN = {
+  potential_above: { label: 'Potential above', unit: 'V', quantity: 'potential_V', bound: 'max', toSI: 1 },
+  potential_below: { label: 'Potential below', unit: 'V', quantity: 'potential_V', bound: 'min', toSI: 1 },
+  current_above: { label: 'Current above', unit: 'mA', quantity: 'current_A', bound: 'max', toSI: 1e-3 },
+  current_below: { label: 'Current below', unit: 'mA', quantity: 'current_A', bound: 'min', toSI: 1e-3 },
+  charge: { label: 'Charge reached', unit: 'C', quantity: 'charge_C', bound: 'max', toSI: 1 },
+  dEdt_below: { label: 'dE/dt below', unit: 'mV/s', quantity: 'dEdt_V_s', bound: 'min', toSI: 1e-3 },
+  time: { label: 'Time', unit: 's', quantity: 'time_s', bound: 'max', toSI: 1 },
+};
+
+export const STOP_ACTIONS = {
+  next: 'Next step',
+  abort: 'Abort procedure',
+  goto: 'Jump to tagged step',
+};
+
+export function createStopCondition(when = 'potential_above') {
+  return { when, value: null, action: 'next', target: '' };
+}
+
+// Conditions of a step ([] when it has none)
+export function stopConditions(step) {
+  return Array.isArray(step.stop_conditions) ? step.stop_conditions : [];
+}
+
+// Watched quantities that are signed; the others are magnitudes
+const SIGNED = ['potential_above', 'potential_below'];
+
+/**
+ * What is wrong with one condition, apart from its jump target
+ * @returns {string|null} Message, or null if the condition is complete
+ */
+export function stopConditionError(condition) {
+  const spec = STOP_WHEN[condition?.when];
+  if (!spec) return `Unknown condition "${condition?.when}"`;
+  if (!(condition.action in STOP_ACTIONS)) return `Unknown action "${condition.action}"`;
+  const { value } = condition;
+  if (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))) {
+    return `${spec.label}: enter a value in ${spec.unit}`;
+  }
+  if (!SIGNED.includes(condition.when) && Number(value) <= 0) return `${spec.label}: value must be above 0 ${spec.unit}`;
+  if (condition.action === 'goto' && !condition.target) return `${spec.label}: choose the tagged step to jump to`;
+  return null;
+}
+
+// Tags of the technique steps a condition can jump to, with how often each is used
+export function stepTags(nodes) {
+  const counts = new Map();
+  collectSteps(nodes).forEach(step => {
+    if (step.tag) counts.set(step.tag, (counts.get(step.tag) ?? 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * Time after which the step stops at the latest, or null without a time condition
+ * @returns {number|null} seconds
+ */
+export function stopTime(step) {
+  const times = stopConditions(step)
+    .filter(c => c.when === 'time' && Number(c.value) > 0)
+    .map(c => Number(c.value));
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * One line for a condition
+ * @returns {string} e.g. "Potential above 2 V → next step"
+ */
+export function describeStopCondition(condition) {
+  const spec = STOP_WHEN[condition.when];
+  const watched = spec ? `${spec.label} ${condition.value ?? '?'} ${spec.unit}` : String(condition.when);
+  const action = condition.action === 'goto' ? `jump to ${condition.target || '?'}`
+    : (STOP_ACTIONS[condition.action] ?? String(condition.action)).toLowerCase();
+  return `${watched} → ${action}`;
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { createStopCondition, stopConditions, stopConditionError, stepTags, stopTime, describeStopCondition } from './stops';
+import { createDefaultStep } from './techniques';
+import { createRepeatBlock } from './procedure';
+
+describe('stop conditions', () => {
+  it('are empty for steps without the field', () => {
+    expect(stopConditions(createDefaultStep('cv'))).toEqual([]);
+  });
+
+  it('start out without a value', () => {
+    expect(createStopCondition('charge')).toEqual({ when: 'charge', value: null, action: 'next', target: '' });
+    expect(stopConditionError(createStopCondition('charge'))).toMatch(/enter a value in C/);
+  });
+
+  it('take signed potentials but positive magnitudes', () => {
+    expect(stopConditionError({ when: 'potential_below', value: -0.3, action: 'abort' })).toBeNull();
+    expect(stopConditionError({ when: 'dEdt_below', value: 0, action: 'next' })).toMatch(/above 0 mV\/s/);
+    expect(stopConditionError({ when: 'time', value: 'soon', action: 'next' })).toMatch(/enter a value/);
+  });
+
+  it('need a target to jump to', () => {
+    expect(stopConditionError({ when: 'time', value: 5, action: 'goto', target: '' })).toMatch(/tagged step/);
+    expect(stopConditionError({ when: 'time', value: 5, action: 'goto', target: 'OER' })).toBeNull();
+    expect(stopConditionError({ when: 'time', value: 5, action: 'pause' })).toMatch(/Unknown action/);
+  });
+
+  it('count the tags of technique steps', () => {
+    const tagged = (tag) => ({ ...createDefaultStep('ocp'), tag });
+    const block = { ...createRepeatBlock(2, [tagged('a')]), tag: 'loop' };
+    expect(stepTags([tagged('a'), tagged(''), block])).toEqual(new Map([['a', 2]]));
+  });
+
+  it('give the earliest time stop', () => {
+    const step = createDefaultStep('ca');
+    expect(stopTime(step)).toBeNull();
+    step.stop_conditions = [createStopCondition('time'), { ...createStopCondition('time'), value: 90 }, { ...createStopCondition('time'), value: 30 }];
+    expect(stopTime(step)).toBe(30);
+  });
+
+  it('read as one line', () => {
+    expect(describeStopCondition({ when: 'current_below', value: 0.5, action: 'goto', target: 'OER' })).toBe('Current below 0.5 mA → jump to OER');
+    expect(describeStopCondition({ when: 'potential_above', value: 2, action: 'abort' })).toBe('Potential above 2 V → abort procedure');
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Parameter Sweeps
+ * A design of experiments over one param: a scan-rate study, a rotation or
+ * temperature series. The values come from a list, a linear range or a log
+ * range; the swept step is either expanded inline (one copy per value) or
+ * the whole procedure is copied into a batch, one procedure per value.
+ */
+
+import { TECHNIQUES } from './techniques';
+import { findPath, mapPhaseSteps, updateNode, isRepeatBlock } from './procedure';
+import { cleanParamKey, generateYAML, generateECDL } from './generators';
+
+export const SWEEP_MODES = {
+  list: 'List',
+  linear: 'Linear range',
+  log: 'Log range',
+};
+
+// Longest sweep accepted, so a typo cannot create thousands of steps
+export const MAX_SWEEP_POINTS = 100;
+
+// Procedure-level sweep target; every other target is a step param
+export const TEMPERATURE = 'temperature';
+
+// 6 significant digits keep range values readable (0.1 + 0.2 → 0.3)
+function tidy(value) {
+  return Number(value.toPrecision(6));
+}
+
+/**
+ * Values of a sweep
+ * @param {Object} sweep - { mode, list, start, stop, count }; list is text such as "10, 20, 50"
+ * @returns {Object} { values } or { error }
+ */
+export function sweepValues({ mode, list = '', start, stop, count }) {
+  let values;
+  if (mode === 'list') {
+    const items = String(list).split(/[\s,;]+/).filter(Boolean);
+    const bad = items.find(item => !Number.isFinite(Number(item)));
+    if (bad !== undefined) return { error: `"${bad}" is not a number` };
+    values = items.map(Number);
+  } else {
+    const [a, b, n] = [start, stop, count].map(v => (v === '' || v === null || v === undefined ? NaN : Number(v)));
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return { error: 'Start and stop must be numbers' };
+    if (!Number.isInteger(n) || n < 2) return { error: 'A range needs at least 2 points' };
+    if (n > MAX_SWEEP_POINTS) return { error: `At most ${MAX_SWEEP_POINTS} points` };
+    if (mode === 'log') {
+      if (a <= 0 || b <= 0) return { error: 'A log range needs start and stop above 0' };
+      values = Array.from({ length: n }, (_, i) => tidy(a * (b / a) ** (i / (n - 1))));
+    } else {
+      values = Array.from({ length: n }, (_, i) => tidy(a + (b - a) * i / (n - 1)));
+    }
+  }
+  if (values.length === 0) return { error: 'Enter at least one value' };
+  if (values.length > MAX_SWEEP_POINTS) return { error: `At most ${MAX_SWEEP_POINTS} points` };
+  return { values };
+}
+
+// Numeric params a step can be swept over
+export function sweepParams(step) {
+  const tech = TECHNIQUES[step.technique];
+  if (!tech) return [];
+  return Object.entries(tech.params)
+    .filter(([, config]) => config.type === 'number' || config.type === 'integer')
+    .map(([key]) => key);
+}
+
+// Label and unit of a sweep target
+export function describeTarget(step, param) {
+  if (param === TEMPERATURE) return { label: 'Temperature', unit: '°C' };
+  const config = TECHNIQUES[step.technique].params[param];
+  return { label: config.label, unit: config.unit ?? '' };
+}
+
+// A param value as the target stores it (integer params are rounded)
+function targetValue(step, param, value) {
+  if (param === TEMPERATURE) return value;
+  return TECHNIQUES[step.technique].params[param].type === 'integer' ? Math.round(value) : value;
+}
+
+const newStepId = () => `step-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Replace a step by one copy per value, in place
+ * @param {Array} phases - Procedure phases
+ * @returns {Array} New phases
+ */
+export function expandSweep(phases, stepId, param, values) {
+  const expand = (nodes) => nodes.flatMap(node => {
+    if (node.id === stepId) {
+      return values.map(value => ({
+        ...node,
+        id: newStepId(),
+        params: { ...node.params, [param]: targetValue(node, param, value) },
+      }));
+    }
+    return isRepeatBlock(node) ? [{ ...node, steps: expand(node.steps) }] : [node];
+  });
+  return mapPhaseSteps(phases, expand);
+}
+
+// File-name form of a value: 0.05 → 0p05, -0.2 → m0p2
+function valueSlug(value) {
+  return String(value).replace(/-/g, 'm').replace(/\./g, 'p').replace(/\+/g, '');
+}
+
+function nameSlug(name) {
+  return (name || 'procedure').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'procedure';
+}
+
+/**
+ * Copies of the procedure, one per value
+ * @returns {Array} [{ index, value, slug, metadata, phases }] — slug is the shared file-name stem
+ */
+export function sweepBatch(metadata, phases, step, param, values) {
+  const { label, unit } = describeTarget(step, param);
+  const key = param === TEMPERATURE ? 'temperature_C' : param;
+  const width = String(values.length).length;
+  return values.map((value, i) => {
+    const stored = targetValue(step, param, value);
+    const copy = JSON.parse(JSON.stringify(phases));
+    return {
+      index: i + 1,
+      value: stored,
+      slug: `${nameSlug(metadata.name)}_${String(i + 1).padStart(width, '0')}_${cleanParamKey(key)}_${valueSlug(stored)}`,
+      metadata: {
+        ...metadata,
+        name: `${metadata.name} — ${label} ${stored}${unit ? ` ${unit}` : ''}`,
+        ...(param === TEMPERATURE ? { temperature: stored } : {}),
+      },
+      phases: param === TEMPERATURE
+        ? copy
+        : mapPhaseSteps(copy, nodes => updateNode(nodes, step.id, node => ({ ...node, params: { ...node.params, [param]: stored } }))),
+    };
+  });
+}
+
+// Phase name and step number ("2.1" inside a repeat block) of a step
+function stepLocation(phases, stepId) {
+  for (const phase of phases) {
+    const path = findPath(phase.steps, stepId);
+    if (path) return { phase: phase.name, step: path.map(i => i + 1).join('.') };
+  }
+  return { phase: null, step: null };
+}
+
+export const BATCH_FORMATS = {
+  ecproc: { label: '.ecproc', extension: 'ecproc', generate: generateYAML },
+  ecdl: { label: 'ECDL', extension: 'ecdl.json', generate: generateECDL },
+};
+
+/**
+ * Files of a batch export: one procedure per value plus manifest.json
+ * describing the design, for pipelines that ingest the whole sweep
+ * @param {Object} sweep - { mode, values } as entered
+ * @param {string} format - Key of BATCH_FORMATS
+ * @returns {Array} [{ name, content }]
+ */
+export function batchFiles(metadata, phases, step, param, sweep, format, now = new Date()) {
+  const { extension, generate } = BATCH_FORMATS[format];
+  const runs = sweepBatch(metadata, phases, step, param, sweep.values);
+  const { unit } = describeTarget(step, param);
+  const manifest = {
+    manifest_version: '1.0',
+    created: now.toISOString(),
+    procedure: metadata.name,
+    format,
+    sweep: {
+      target: param === TEMPERATURE ? 'procedure' : 'step',
+      ...(param === TEMPERATURE ? {} : { technique: step.technique, ...stepLocation(phases, step.id) }),
+      param,
+      unit,
+      mode: sweep.mode,
+      values: runs.map(run => run.value),
+    },
+    runs: runs.map(run => ({ index: run.index, value: run.value, name: run.metadata.name, file: `${run.slug}.${extension}` })),
+  };
+  return [
+    ...runs.map(run => ({ name: `${run.slug}.${extension}`, content: generate(run.metadata, run.phases) })),
+    { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+  ];
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { sweepValues, sweepParams, expandSweep, sweepBatch, batchFiles, TEMPERATURE, MAX_SWEEP_POINTS } from './sweeps';
+import { createDefaultStep } from './techniques';
+import { createPhase, createRepeatBlock, collectSteps, flattenPhases } from './procedure';
+import { parseYAML } from './parsers';
+
+const meta = { name: 'Scan rate study', electrodes: 3, reference: 'RHE', electrolyte: '1 M KOH', temperature: 25 };
+
+const procedure = () => {
+  const cv = createDefaultStep('cv');
+  cv.tag = 'cdl';
+  return { cv, phases: [createPhase('Main', [createDefaultStep('ocp'), createRepeatBlock(2, [cv])])] };
+};
+
+describe('sweepValues', () => {
+  it('reads lists', () => {
+    expect(sweepValues({ mode: 'list', list: '10, 20;50 100' })).toEqual({ values: [10, 20, 50, 100] });
+    expect(sweepValues({ mode: 'list', list: '10, fast' }).error).toMatch(/"fast"/);
+    expect(sweepValues({ mode: 'list', list: ' ' }).error).toMatch(/at least one/);
+  });
+
+  it('spaces linear and log ranges', () => {
+    expect(sweepValues({ mode: 'linear', start: 0.1, stop: 0.5, count: 5 })).toEqual({ values: [0.1, 0.2, 0.3, 0.4, 0.5] });
+    expect(sweepValues({ mode: 'linear', start: 1, stop: 0, count: 3 })).toEqual({ values: [1, 0.5, 0] });
+    expect(sweepValues({ mode: 'log', start: 10, stop: 1000, count: 3 })).toEqual({ values: [10, 100, 1000] });
+  });
+
+  it('rejects ranges it cannot build', () => {
+    expect(sweepValues({ mode: 'linear', start: 1, stop: 2, count: 1 }).error).toMatch(/at least 2/);
+    expect(sweepValues({ mode: 'linear', start: '', stop: 2, count: 3 }).error).toMatch(/numbers/);
+    expect(sweepValues({ mode: 'linear', start: 'a', stop: 2, count: 3 }).error).toMatch(/numbers/);
+    expect(sweepValues({ mode: 'log', start: 0, stop: 2, count: 3 }).error).toMatch(/above 0/);
+    expect(sweepValues({ mode: 'linear', start: 1, stop: 2, count: MAX_SWEEP_POINTS + 1 }).error).toMatch(/At most/);
+  });
+});
+
+describe('sweeps', () => {
+  it('offers numeric params only', () => {
+    expect(sweepParams(createDefaultStep('purge'))).not.toContain('gas');
+    expect(sweepParams(createDefaultStep('cv'))).toContain('scan_rate_mV_s');
+  });
+
+  it('expands a step inline, inside its repeat block', () => {
+    const { cv, phases } = procedure();
+    const expanded = expandSweep(phases, cv.id, 'scan_rate_mV_s', [10, 20, 50]);
+    const block = expanded[0].steps[1];
+    expect(block.steps.map(s => s.params.scan_rate_mV_s)).toEqual([10, 20, 50]);
+    expect(block.steps.every(s => s.tag === 'cdl' && s.technique === 'cv')).toBe(true);
+    expect(new Set(block.steps.map(s => s.id)).size).toBe(3);
+    expect(phases[0].steps[1].steps).toEqual([cv]);
+  });
+
+  it('rounds integer params', () => {
+    const { cv, phases } = procedure();
+    const expanded = expandSweep(phases, cv.id, 'cycles', [1.4, 2.6]);
+    expect(expanded[0].steps[1].steps.map(s => s.params.cycles)).toEqual([1, 3]);
+  });
+
+  it('copies the procedure once per value for a batch', () => {
+    const { cv, phases } = procedure();
+    const batch = sweepBatch(meta, phases, cv, 'scan_rate_mV_s', [5, 12.5]);
+    expect(batch.map(run => run.slug)).toEqual(['scan_rate_study_1_scan_rate_5', 'scan_rate_study_2_scan_rate_12p5']);
+    expect(batch[1].metadata.name).toBe('Scan rate study — Scan rate 12.5 mV/s');
+    expect(collectSteps(flattenPhases(batch[1].phases))[1].params.scan_rate_mV_s).toBe(12.5);
+    expect(cv.params.scan_rate_mV_s).toBe(50);
+  });
+
+  it('sweeps the procedure temperature', () => {
+    const { cv, phases } = procedure();
+    const batch = sweepBatch(meta, phases, cv, TEMPERATURE, [25, 40, 60]);
+    expect(batch.map(run => run.metadata.temperature)).toEqual([25, 40, 60]);
+    expect(batch[2].slug).toBe('scan_rate_study_3_temperature_60');
+  });
+
+  it('exports a batch with a manifest', () => {
+    const { cv, phases } = procedure();
+    const values = Array.from({ length: 10 }, (_, i) => (i + 1) * 10);
+    const files = batchFiles(meta, phases, cv, 'scan_rate_mV_s', { mode: 'linear', values }, 'ecproc', new Date(0));
+    expect(files).toHaveLength(11);
+    expect(files[0].name).toBe('scan_rate_study_01_scan_rate_10.ecproc');
+    expect(parseYAML(files[9].content).phases[0].steps[1].steps[0].params.scan_rate_mV_s).toBe(100);
+
+    const manifest = JSON.parse(files[10].content);
+    expect(manifest).toMatchObject({
+      created: '1970-01-01T00:00:00.000Z',
+      procedure: 'Scan rate study',
+      format: 'ecproc',
+      sweep: { target: 'step', technique: 'cv', phase: 'Main', step: '2.1', param: 'scan_rate_mV_s', unit: 'mV/s', mode: 'linear', values },
+    });
+    expect(manifest.runs.map(run => run.file)).toEqual(files.slice(0, 10).map(f => f.name));
+
+    const ecdl = batchFiles(meta, phases, cv, TEMPERATURE, { mode: 'list', values: [30] }, 'ecdl');
+    expect(ecdl[0].name).toBe('scan_rate_study_1_temperature_30.ecdl.json');
+    expect(JSON.parse(ecdl[0].content).protocol.temperature_C).toBe(30);
+    expect(JSON.parse(ecdl[1].content).sweep).toMatchObject({ target: 'procedure', param: TEMPERATURE, unit: '°C' });
+  });
+});
@@ -3,6 +3,10 @@
  * Complete definitions for all ecproc-supported techniques
  */
 
+// Params flagged `potential: true` are on the scale of the procedure's
+// reference electrode (metadata.reference) — see potentials.js.
+// Params flagged `current: true` are in the unit the step's current_basis
+// names, relative to the working electrode's geometry — see electrodes.js
 export const TECHNIQUES = {
   // === Potential Measurements ===
   ocp: {
@@ -56,7 +60,8 @@ export const TECHNIQUES = {
         label: 'Lower vertex', 
         type: 'number',
         default: 0.05, 
-        unit: 'V vs RHE', 
+        unit: 'V',
+        potential: true, 
         min: -3,
         max: 3,
         help: 'Lower potential limit (typically cathodic).' 
@@ -65,7 +70,8 @@ export const TECHNIQUES = {
         label: 'Upper vertex', 
         type: 'number',
         default: 1.2, 
-        unit: 'V vs RHE', 
+        unit: 'V',
+        potential: true, 
         min: -3,
         max: 3,
         help: 'Upper potential limit (typically anodic).' 
@@ -92,7 +98,8 @@ export const TECHNIQUES = {
         label: 'Start potential',
         type: 'number',
         default: null,
-        unit: 'V vs RHE',
+        unit: 'V',
+        potential: true,
         min: -3,
         max: 3,
         help: 'Initial potential. If null, starts at OCP.'
@@ -118,7 +125,8 @@ export const TECHNIQUES = {
         label: 'Start potential', 
         type: 'number',
         default: 1.0, 
-        unit: 'V vs RHE',
+        unit: 'V',
+        potential: true,
         min: -3,
         max: 3, 
         help: 'Initial potential.' 
@@ -127,7 +135,8 @@ export const TECHNIQUES = {
         label: 'End potential', 
         type: 'number',
         default: 0.2, 
-        unit: 'V vs RHE',
+        unit: 'V',
+        potential: true,
         min: -3,
         max: 3, 
         help: 'Final potential.' 
@@ -158,8 +167,8 @@ export const TECHNIQUES = {
     description: 'Applies small voltage pulses superimposed on a linear ramp. Higher sensitivity than CV for detecting trace analytes.',
     mlDescription: 'Input: potential range, pulse parameters. Output: differential current vs potential.',
     params: {
-      start_V: { label: 'Start potential', type: 'number', default: 0.0, unit: 'V', min: -3, max: 3, help: 'Initial potential.' },
-      end_V: { label: 'End potential', type: 'number', default: 1.0, unit: 'V', min: -3, max: 3, help: 'Final potential.' },
+      start_V: { label: 'Start potential', type: 'number', default: 0.0, unit: 'V', potential: true, min: -3, max: 3, help: 'Initial potential.' },
+      end_V: { label: 'End potential', type: 'number', default: 1.0, unit: 'V', potential: true, min: -3, max: 3, help: 'Final potential.' },
       pulse_height_mV: { label: 'Pulse height', type: 'number', default: 50, unit: 'mV', min: 1, max: 250, help: 'Amplitude of voltage pulse.' },
       pulse_width_ms: { label: 'Pulse width', type: 'number', default: 50, unit: 'ms', min: 1, max: 1000, help: 'Duration of each pulse.' },
       step_height_mV: { label: 'Step height', type: 'number', default: 5, unit: 'mV', min: 0.1, max: 50, help: 'Potential increment between pulses.' },
@@ -175,8 +184,8 @@ export const TECHNIQUES = {
     description: 'Applies square wave pulses on a staircase ramp. Even higher sensitivity and faster than DPV.',
     mlDescription: 'Input: potential range, frequency, amplitude. Output: net current vs potential.',
     params: {
-      start_V: { label: 'Start potential', type: 'number', default: 0.0, unit: 'V', min: -3, max: 3, help: 'Initial potential.' },
-      end_V: { label: 'End potential', type: 'number', default: 1.0, unit: 'V', min: -3, max: 3, help: 'Final potential.' },
+      start_V: { label: 'Start potential', type: 'number', default: 0.0, unit: 'V', potential: true, min: -3, max: 3, help: 'Initial potential.' },
+      end_V: { label: 'End potential', type: 'number', default: 1.0, unit: 'V', potential: true, min: -3, max: 3, help: 'Final potential.' },
       frequency_Hz: { label: 'Frequency', type: 'number', default: 25, unit: 'Hz', min: 1, max: 500, help: 'Square wave frequency.' },
       amplitude_mV: { label: 'Amplitude', type: 'number', default: 25, unit: 'mV', min: 1, max: 250, help: 'Square wave amplitude.' },
       step_height_mV: { label: 'Step height', type: 'number', default: 5, unit: 'mV', min: 0.1, max: 50, help: 'Staircase step size.' },
@@ -191,11 +200,11 @@ export const TECHNIQUES = {
     description: 'Two-step technique: first deposit analyte at fixed potential, then strip via potential scan. Ultra-sensitive for trace metals.',
     mlDescription: 'Input: deposition potential/time, stripping scan params. Output: stripping peak current (analyte concentration).',
     params: {
-      deposition_V: { label: 'Deposition potential', type: 'number', default: -0.8, unit: 'V', min: -3, max: 3, help: 'Potential to electrodeposit analyte.' },
+      deposition_V: { label: 'Deposition potential', type: 'number', default: -0.8, unit: 'V', potential: true, min: -3, max: 3, help: 'Potential to electrodeposit analyte.' },
       deposition_time_s: { label: 'Deposition time', type: 'number', default: 120, unit: 's', min: 1, max: 3600, help: 'How long to accumulate analyte.' },
       equilibration_s: { label: 'Equilibration', type: 'number', default: 10, unit: 's', min: 0, max: 120, help: 'Rest time after deposition.' },
-      strip_start_V: { label: 'Strip start', type: 'number', default: -0.8, unit: 'V', min: -3, max: 3, help: 'Starting potential for stripping scan.' },
-      strip_end_V: { label: 'Strip end', type: 'number', default: 0.3, unit: 'V', min: -3, max: 3, help: 'Ending potential for stripping scan.' },
+      strip_start_V: { label: 'Strip start', type: 'number', default: -0.8, unit: 'V', potential: true, min: -3, max: 3, help: 'Starting potential for stripping scan.' },
+      strip_end_V: { label: 'Strip end', type: 'number', default: 0.3, unit: 'V', potential: true, min: -3, max: 3, help: 'Ending potential for stripping scan.' },
       scan_rate_mV_s: { label: 'Scan rate', type: 'number', default: 50, unit: 'mV/s', min: 1, max: 1000, help: 'Stripping scan rate.' },
     }
   },
@@ -241,6 +250,7 @@ export const TECHNIQUES = {
         type: 'string',
         default: 'OCP', 
         unit: 'V or OCP', 
+        potential: true,
         help: 'Bias potential during measurement. Use "OCP" for open circuit.' 
       },
       points_per_decade: {
@@ -268,7 +278,8 @@ export const TECHNIQUES = {
         label: 'Applied potential', 
         type: 'number',
         default: 1.5, 
-        unit: 'V vs RHE',
+        unit: 'V',
+        potential: true,
         min: -3,
         max: 3, 
         help: 'Fixed potential to apply.' 
@@ -307,10 +318,18 @@ export const TECHNIQUES = {
         type: 'number',
         default: 10, 
         unit: 'mA',
+        current: true,
         min: -1000,
         max: 1000, 
         help: 'Fixed current to apply. Positive = anodic, negative = cathodic.' 
       },
+      current_basis: {
+        label: 'Current entered as',
+        type: 'select',
+        default: 'mA',
+        options: ['mA', 'mA/cm²', 'A/g'],
+        help: 'Current (mA), current density per geometric area (mA/cm²) or specific current per catalyst mass (A/g). Area and loading are set in Experiment Setup.'
+      },
       duration_s: { 
         label: 'Duration', 
         type: 'number',
@@ -338,10 +357,12 @@ export const TECHNIQUES = {
     description: 'Charges and discharges at constant current between voltage limits. Standard for battery/supercapacitor characterization.',
     mlDescription: 'Input: current, voltage limits, cycles. Output: charge/discharge curves, capacity.',
     params: {
-      current_mA: { label: 'Current', type: 'number', default: 10, unit: 'mA', min: 0.001, max: 1000, help: 'Charge/discharge current.' },
+      current_mA: { label: 'Current', type: 'number', default: 10, unit: 'mA', current: true, min: 0.001, max: 1000, help: 'Charge/discharge current.' },
+      current_basis: { label: 'Current entered as', type: 'select', default: 'mA', options: ['mA', 'mA/cm²', 'A/g'], help: 'Current (mA), current density (mA/cm²) or specific current (A/g) — see Experiment Setup for area and loading.' },
       upper_V: { label: 'Upper voltage', type: 'number', default: 1.0, unit: 'V', min: -3, max: 5, help: 'Charged state voltage limit.' },
       lower_V: { label: 'Lower voltage', type: 'number', default: 0.0, unit: 'V', min: -3, max: 5, help: 'Discharged state voltage limit.' },
       cycles: { label: 'Cycles', type: 'integer', default: 5, unit: '', min: 1, max: 10000, help: 'Number of charge-discharge cycles.' },
+      capacity_mAh: { label: 'Expected capacity', type: 'number', default: null, unit: 'mAh', min: 0.001, max: 100000, help: 'Nominal cell capacity, used only to estimate run time (optional; 1C is assumed if empty).' },
     }
   },
 
@@ -355,6 +376,7 @@ export const TECHNIQUES = {
     params: {
       mode: { label: 'Control mode', type: 'select', default: 'potentiostatic', options: ['potentiostatic', 'galvanostatic'], help: 'Fixed potential or fixed current.' },
       setpoint: { label: 'Setpoint', type: 'number', default: 1.0, unit: 'V or mA', min: -10, max: 10, help: 'Fixed potential (V) or current (mA) depending on mode.' },
+      current_basis: { label: 'Current entered as', type: 'select', default: 'mA', options: ['mA', 'mA/cm²', 'A/g'], help: 'Galvanostatic mode only: setpoint as current (mA), current density (mA/cm²) or specific current (A/g).' },
       duration_s: { label: 'Duration', type: 'number', default: 600, unit: 's', min: 1, max: 86400, help: 'Integration time.' },
       cutoff_C: { label: 'Charge cutoff', type: 'number', default: null, unit: 'C', min: 0, max: 10000, help: 'Stop when this charge is reached (optional).' },
     }
@@ -0,0 +1,82 @@
+/**
+ * Protocol Templates
+ * Curated benchmark procedures shipped as .ecproc files in src/templates,
+ * and team templates saved from the user's own procedures. A template is an
+ * ordinary .ecproc document with a `template` section (category and
+ * rationale), read through the normal import path.
+ */
+
+import { importProcedure } from './parsers';
+import { generateYAML } from './generators';
+
+const BUILT_IN_FILES = import.meta.glob('../templates/*.ecproc', { query: '?raw', import: 'default', eager: true });
+
+// Gallery order; templates with other categories are listed after these
+export const TEMPLATE_CATEGORIES = ['Electrocatalysis', 'Energy storage', 'Electroanalysis', 'Surface characterization'];
+
+const categoryRank = (category) => {
+  const index = TEMPLATE_CATEGORIES.indexOf(category);
+  return index === -1 ? TEMPLATE_CATEGORIES.length : index;
+};
+
+export function sortTemplates(templates) {
+  return [...templates].sort((a, b) => categoryRank(a.category) - categoryRank(b.category));
+}
+
+/**
+ * Read a template file
+ * @param {string} fileName - Used to pick the parser, as for any import
+ * @param {string} content - File text
+ * @returns {Object} { id, fileName, content, metadata, phases, category, rationale, diagnostics }
+ */
+export function loadTemplate(fileName, content, id = fileName.replace(/\.[^.]+$/, '')) {
+  const result = importProcedure(fileName, content);
+  return {
+    id,
+    fileName,
+    content,
+    metadata: result.metadata,
+    phases: result.phases,
+    category: result.template?.category || 'Other',
+    rationale: result.template?.rationale ?? '',
+    diagnostics: result.diagnostics,
+  };
+}
+
+export const BUILT_IN_TEMPLATES = sortTemplates(
+  Object.entries(BUILT_IN_FILES).map(([path, content]) => loadTemplate(path.split('/').pop(), content))
+);
+
+// Metadata and phases for a new procedure; each use gets fresh step ids
+export function instantiateTemplate(template) {
+  const { metadata, phases } = importProcedure(template.fileName, template.content);
+  return { metadata, phases };
+}
+
+// File name for a procedure saved as .ecproc, as used for downloads
+export function templateFileName(name) {
+  return `${(name || 'template').toLowerCase().replace(/\s+/g, '_')}.ecproc`;
+}
+
+/**
+ * A team template as stored
+ * @param {string} content - .ecproc text
+ * @returns {Object} { id, content, saved } — saved in ms since epoch
+ */
+export function teamTemplateEntry(content, now = Date.now()) {
+  return { id: `tpl-${now}-${Math.random().toString(36).substr(2, 9)}`, content, saved: now };
+}
+
+/**
+ * Save a procedure as a team template
+ * @param {Object} template - { category, rationale }
+ */
+export function createTeamTemplate(metadata, phases, template, now = Date.now()) {
+  return teamTemplateEntry(generateYAML(metadata, phases, template), now);
+}
+
+// A stored team template, read like a built-in one
+export function loadTeamTemplate({ id, content, saved }) {
+  const template = loadTemplate('team-template.ecproc', content, id);
+  return { ...template, fileName: templateFileName(template.metadata.name), saved, team: true };
+}
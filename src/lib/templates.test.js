@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BUILT_IN_TEMPLATES, TEMPLATE_CATEGORIES, loadTemplate, instantiateTemplate, createTeamTemplate, loadTeamTemplate,
+  templateFileName, sortTemplates
+} from './templates';
+import { validateStep, validateProcedure, summarizeIssues } from './validation';
+import { collectSteps, flattenPhases, createPhase } from './procedure';
+import { createDefaultStep } from './techniques';
+import { IMPORT_CODES } from './parsers';
+
+const issuesOf = ({ metadata, phases }) => summarizeIssues([
+  ...collectSteps(flattenPhases(phases)).flatMap(step => validateStep(step, metadata)),
+  ...validateProcedure(phases, metadata),
+]);
+
+describe('built-in templates', () => {
+  it('ships the curated benchmark protocols', () => {
+    expect(BUILT_IN_TEMPLATES.map(t => t.id).sort()).toEqual([
+      'battery-formation', 'co2rr', 'double-layer-ecsa', 'her', 'oer-benchmark', 'orr-rde', 'supercap-gcd', 'trace-metal-asv',
+    ]);
+  });
+
+  it.each(BUILT_IN_TEMPLATES.map(t => [t.id, t]))('%s imports cleanly and validates without issues', (_, template) => {
+    expect(template.diagnostics).toEqual([]);
+    expect(template.phases).not.toBeNull();
+    expect(template.metadata.name).toBeTruthy();
+    expect(template.metadata.description).toBeTruthy();
+    expect(TEMPLATE_CATEGORIES).toContain(template.category);
+    expect(template.rationale.length).toBeGreaterThan(80);
+    const { errors, warnings } = issuesOf(template);
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([]);
+  });
+
+  it('lists templates in category order', () => {
+    const ranks = BUILT_IN_TEMPLATES.map(t => TEMPLATE_CATEGORIES.indexOf(t.category));
+    expect(ranks).toEqual([...ranks].sort((a, b) => a - b));
+  });
+
+  it('gives every use of a template fresh ids', () => {
+    const [template] = BUILT_IN_TEMPLATES;
+    const first = instantiateTemplate(template);
+    const second = instantiateTemplate(template);
+    expect(first.metadata).toEqual(template.metadata);
+    expect(first.phases[0].id).not.toBe(second.phases[0].id);
+    expect(collectSteps(flattenPhases(first.phases)).length).toBe(collectSteps(flattenPhases(template.phases)).length);
+  });
+});
+
+describe('team templates', () => {
+  const metadata = {
+    name: 'Lab CV check',
+    author: 'Team',
+    description: 'Weekly electrode check',
+    electrodes: 3,
+    reference: 'Ag/AgCl',
+    electrolyte: '0.5 M H2SO4',
+    temperature: 25,
+    working_electrode: 'Pt disk',
+    counter_electrode: 'Pt wire',
+  };
+  const phases = [createPhase('Main', [createDefaultStep('ocp'), createDefaultStep('cv')])];
+
+  it('saves a procedure as .ecproc text and reads it back like a built-in template', () => {
+    const saved = createTeamTemplate(metadata, phases, { category: 'Quality control', rationale: 'Line 1\nLine "2"' }, 1000);
+    expect(saved).toMatchObject({ saved: 1000 });
+    expect(saved.id).toMatch(/^tpl-/);
+    expect(saved.content).toContain('template:');
+
+    const template = loadTeamTemplate(saved);
+    expect(template.diagnostics).toEqual([]);
+    expect(template).toMatchObject({ id: saved.id, team: true, category: 'Quality control', rationale: 'Line 1\nLine "2"' });
+    expect(template.metadata).toEqual(metadata);
+    expect(template.fileName).toBe('lab_cv_check.ecproc');
+    expect(instantiateTemplate(template).phases[0].steps.map(s => s.technique)).toEqual(['ocp', 'cv']);
+  });
+
+  it('reads plain .ecproc files without a template section as uncategorised', () => {
+    const template = loadTemplate('plain.ecproc', 'metadata:\n  protocol: "Plain"\nprocedure:\n  - name: Main\n    steps:\n      - ocp: {}\n');
+    expect(template).toMatchObject({ id: 'plain', category: 'Other', rationale: '' });
+  });
+
+  it('reports files that hold no procedure', () => {
+    const template = loadTemplate('broken.ecproc', 'metadata: [');
+    expect(template.phases).toBeNull();
+    expect(template.diagnostics[0].code).toBe(IMPORT_CODES.SYNTAX);
+  });
+
+  it('sorts unknown categories after the built-in ones', () => {
+    const sorted = sortTemplates([{ category: 'Quality control' }, { category: 'Electroanalysis' }]);
+    expect(sorted.map(t => t.category)).toEqual(['Electroanalysis', 'Quality control']);
+  });
+
+  it('derives download names from the procedure name', () => {
+    expect(templateFileName('ORR on RDE')).toBe('orr_on_rde.ecproc');
+    expect(templateFileName('')).toBe('template.ecproc');
+  });
+});
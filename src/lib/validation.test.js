@@ -1,6 +1,9 @@
 import { describe, it, expect } from 'vitest';
-import { validateStep, validateProcedure, summarizeIssues, isValid, LEVEL } from './validation';
+import {
+  validateStep, validateRepeat, validateProcedure, summarizeIssues, isValid, applyFix, fixWarnings, LEVEL
+} from './validation';
 import { createDefaultStep } from './techniques';
+import { createRepeatBlock, createPhase, collectSteps, flattenPhases } from './procedure';
 
 // === PV Error Rules ===
 
@@ -20,6 +23,10 @@ describe('validateStep — PV error rules', () => {
     expect(issues.some(i => i.code === 'PV000' && i.level === LEVEL.ERROR)).toBe(true);
   });
 
+  it('PV000: empty optional params are not range-checked', () => {
+    expect(validateStep(createDefaultStep('gcd'))).toEqual([]);
+  });
+
   it('PV001: CV scan rate exceeds 10 V/s', () => {
     const step = createDefaultStep('cv');
     step.params.scan_rate_mV_s = 15000;
@@ -161,6 +168,62 @@ describe('validateStep — DR warning rules', () => {
     expect(issues.some(i => i.code === 'DR001' && i.level === LEVEL.WARNING)).toBe(true);
   });
 
+  describe('DR001: solvent window', () => {
+    const acid = { reference: 'RHE', electrolyte: '0.1 M HClO4', temperature: 25 };
+    const dr001 = (technique, params, metadata, tag) => {
+      const step = { ...createDefaultStep(technique), tag };
+      step.params = { ...step.params, ...params };
+      return validateStep(step, metadata).filter(i => i.code === 'DR001');
+    };
+
+    it('checks every potential against HER/OER onset', () => {
+      expect(dr001('cv', { vertex2_V: 1.6 }, acid)).toEqual([]);
+      expect(dr001('cv', { vertex2_V: 1.8 }, acid)).toEqual([expect.objectContaining({
+        param: 'vertex2_V',
+        message: 'Upper vertex 1.8 V is 0.57 V past OER onset (1.23 V vs RHE) — tag the step "OER" if this is intended',
+      })]);
+      expect(dr001('lsv', { start_V: 0, end_V: -0.5 }, acid).map(i => i.param)).toEqual(['end_V']);
+    });
+
+    it('follows the reference and pH', () => {
+      // 1.2 V vs Ag/AgCl is 2.2 V vs RHE in 1 M KOH, but 1.5 V vs RHE in 0.5 M H2SO4
+      expect(dr001('ca', { potential_V: 1.2 }, { reference: 'Ag/AgCl', electrolyte: '1 M KOH' })).toHaveLength(1);
+      expect(dr001('ca', { potential_V: 1.2 }, { reference: 'Ag/AgCl', electrolyte: '0.5 M H2SO4' })).toEqual([]);
+      expect(dr001('ca', { potential_V: -1.1 }, { reference: 'Ag/AgCl', electrolyte: '1 M KOH' })).toEqual([]);
+    });
+
+    it('accepts excursions the step tag names', () => {
+      expect(dr001('lsv', { start_V: 0, end_V: -0.6 }, acid, 'HER polarisation')).toEqual([]);
+      expect(dr001('ca', { potential_V: -1.0 }, acid, 'CO2RR at -1.0 V')).toEqual([]);
+      // A tag for the other side does not count
+      expect(dr001('ca', { potential_V: -1.0 }, acid, 'OER')).toHaveLength(1);
+    });
+
+    it('checks redox-probe electrolytes against the water window', () => {
+      const probe = { reference: 'Ag/AgCl', electrolyte: '5 mM K3Fe(CN)6 in 0.1 M KCl' };
+      expect(dr001('ca', { potential_V: 0.5 }, probe)).toEqual([]);
+      expect(dr001('ca', { potential_V: 2.0 }, probe)[0].message).toMatch(/past OER onset/);
+    });
+
+    it('uses the window of a nonaqueous solvent', () => {
+      const mecn = { reference: 'SCE', electrolyte: '0.1 M TBAPF6 in MeCN' };
+      expect(dr001('ca', { potential_V: -2.2 }, mecn)).toEqual([]);
+      expect(dr001('ca', { potential_V: 3.0 }, mecn)[0].message)
+        .toBe('Applied potential 3 V is 0.5 V past the acetonitrile oxidation limit (2.5 V vs SCE) — tag the step "breakdown" if this is intended');
+    });
+
+    it('falls back to a plain |E| limit without a known window', () => {
+      expect(dr001('cv', { vertex2_V: 2.0 }, {})).toEqual([]);
+      expect(dr001('cv', { vertex2_V: 2.6 }, {})[0].message).toBe('Upper vertex 2.6 V may exceed the solvent stability window');
+    });
+
+    it('takes margins from the policy', () => {
+      const policy = { rules: { DR001: { params: { margin_V: 0.1 } } } };
+      const step = { ...createDefaultStep('cv'), params: { ...createDefaultStep('cv').params, vertex2_V: 1.5 } };
+      expect(validateStep(step, acid, null, policy).map(i => i.code)).toContain('DR001');
+    });
+  });
+
   it('DR004: OCP < 30s', () => {
     const step = createDefaultStep('ocp');
     step.params.duration_s = 10;
@@ -197,6 +260,72 @@ describe('validateStep — DR warning rules', () => {
   });
 });
 
+// === DPV, SWV, Stripping, GCD and CC ===
+
+describe('validateStep — pulse, stripping and galvanostatic rules', () => {
+  const step = (technique, params) => {
+    const s = createDefaultStep(technique);
+    Object.assign(s.params, params);
+    return s;
+  };
+  const codes = (s) => validateStep(s).map(i => i.code);
+
+  it('default steps pass', () => {
+    ['dpv', 'swv', 'stripping', 'gcd', 'cc'].forEach(technique => {
+      expect(validateStep(createDefaultStep(technique))).toEqual([]);
+    });
+  });
+
+  it('PV019: DPV samples within the pulse', () => {
+    expect(codes(step('dpv', { sample_period_ms: 50 }))).toEqual(['PV019']);
+    expect(codes(step('dpv', { sample_period_ms: 49 }))).toEqual([]);
+  });
+
+  it('DR013: DPV pulse height vs step height', () => {
+    expect(codes(step('dpv', { pulse_height_mV: 5 }))).toEqual(['DR013']);
+    expect(codes(step('dpv', { pulse_height_mV: 150 }))).toEqual(['DR013']);
+  });
+
+  it('PV020: scans need distinct ends', () => {
+    expect(codes(step('dpv', { end_V: 0 }))).toEqual(['PV020']);
+    expect(codes(step('swv', { start_V: 1 }))).toEqual(['PV020']);
+    expect(validateStep(step('stripping', { strip_end_V: -0.8 }))[0]).toMatchObject({ code: 'PV020', message: 'Strip start and strip end must differ' });
+  });
+
+  it('PV001/DR014: SWV effective scan rate', () => {
+    expect(codes(step('swv', { frequency_Hz: 100, step_height_mV: 20 }))).toEqual(['DR014']);
+    expect(validateStep(step('swv', { frequency_Hz: 250, step_height_mV: 50 }))[0])
+      .toMatchObject({ code: 'PV001', message: expect.stringMatching(/12500 mV\/s/) });
+  });
+
+  it('DR015: SWV frequency too high for the acquisition rate', () => {
+    expect(codes(step('swv', { frequency_Hz: 250, step_height_mV: 1 }))).toEqual([]);
+    expect(codes(step('swv', { frequency_Hz: 300, step_height_mV: 1 }))).toEqual(['DR015']);
+  });
+
+  it('PV021: deposition on the wrong side of the stripping window', () => {
+    expect(codes(step('stripping', { deposition_V: -0.5 }))).toEqual(['PV021']);
+    // Cathodic stripping deposits at the anodic end
+    expect(codes(step('stripping', { deposition_V: 0.5, strip_start_V: 0.5, strip_end_V: -0.2 }))).toEqual([]);
+    expect(codes(step('stripping', { deposition_V: 0.2, strip_start_V: 0.5, strip_end_V: -0.2 }))).toEqual(['PV021']);
+  });
+
+  it('DR016: strip start away from the deposition potential', () => {
+    expect(codes(step('stripping', { deposition_V: -1.0 }))).toEqual(['DR016']);
+  });
+
+  it('PV022: GCD upper voltage above lower voltage', () => {
+    expect(codes(step('gcd', { upper_V: 0, lower_V: 0 }))).toEqual(['PV022']);
+    expect(codes(step('gcd', { upper_V: 2.5, lower_V: 4.2 }))).toEqual(['PV022']);
+  });
+
+  it('PV023/DR017: CC setpoint units follow the mode', () => {
+    expect(codes(step('cc', { setpoint: 5 }))).toEqual(['DR001', 'PV023']);
+    expect(codes(step('cc', { mode: 'galvanostatic', setpoint: 5 }))).toEqual([]);
+    expect(codes(step('cc', { current_basis: 'mA/cm²' }))).toEqual(['DR017']);
+  });
+});
+
 // === validateProcedure ===
 
 describe('validateProcedure', () => {
@@ -236,6 +365,431 @@ describe('validateProcedure', () => {
   });
 });
 
+// === Variables ===
+
+describe('variables', () => {
+  const meta = { name: 'Test', electrolyte: '0.1 M HClO4', temperature: 25, electrodes: 3, reference: 'RHE' };
+  const variables = [{ name: 'rate', value: 10 }];
+
+  it('PV014: expression that cannot be evaluated', () => {
+    const step = createDefaultStep('cv');
+    step.params.scan_rate_mV_s = '2*speed';
+    const issues = validateStep(step, { variables });
+    expect(issues).toEqual([expect.objectContaining({ code: 'PV014', level: LEVEL.ERROR, param: 'scan_rate_mV_s' })]);
+    expect(issues[0].message).toMatch(/Unknown variable "speed"/);
+  });
+
+  it('checks the rules on resolved values', () => {
+    const step = createDefaultStep('cv');
+    step.params.scan_rate_mV_s = 'rate * 2000';
+    expect(validateStep(step, { variables }).some(i => i.code === 'PV001')).toBe(true);
+    step.params.scan_rate_mV_s = 'rate * 2';
+    expect(validateStep(step, { variables })).toEqual([]);
+  });
+
+  it('PV015: invalid variable definitions', () => {
+    const issues = validateProcedure([createDefaultStep('ocp')], { ...meta, variables: [...variables, { name: 'rate', value: 5 }] });
+    expect(issues).toEqual([expect.objectContaining({ code: 'PV015', level: LEVEL.ERROR, variable: 1 })]);
+  });
+
+  it('procedure rules see resolved values', () => {
+    const step = createDefaultStep('cv');
+    step.params.ir_compensation = true;
+    const steps = [createDefaultStep('purge'), createDefaultStep('ocp'), step];
+    expect(isValid(steps, { ...meta, variables })).toBe(true);
+    steps[2].params.cycles = 'rate - 20';
+    expect(isValid(steps, { ...meta, variables })).toBe(false);
+  });
+});
+
+// === Electrode Geometry ===
+
+describe('electrode geometry', () => {
+  const rde = { electrode_type: 'rde', electrode_area_cm2: 0.2, catalyst_loading_mg_cm2: 0.25 };
+
+  it('DR009: current density above the limit of the electrode type', () => {
+    const step = createDefaultStep('cp');
+    step.params.current_mA = 20;
+    const [issue] = validateStep(step, rde);
+    expect(issue).toMatchObject({ code: 'DR009', level: LEVEL.WARNING, param: 'current_mA' });
+    expect(issue.message).toMatch(/100 mA\/cm² exceeds 50 mA\/cm²/);
+    expect(validateStep(step, { ...rde, electrode_type: 'foam' })).toEqual([]);
+  });
+
+  it('DR009: large currents are fine on a large electrode', () => {
+    const step = createDefaultStep('cp');
+    step.params.current_mA = 200;
+    expect(validateStep(step, { electrode_type: 'foam', electrode_area_cm2: 4 })).toEqual([]);
+  });
+
+  it('checks densities and specific currents as the current they give', () => {
+    const gcd = createDefaultStep('gcd');
+    gcd.params.current_basis = 'A/g';
+    gcd.params.current_mA = 2; // 2 A/g × 0.05 mg = 0.1 mA
+    expect(validateStep(gcd, rde)).toEqual([]);
+    gcd.params.current_mA = 100000; // 5000 mA, above the param maximum
+    expect(validateStep(gcd, rde).map(i => i.code).sort()).toEqual(['DR009', 'PV000']);
+  });
+
+  it('PV016: density or specific current without the electrode geometry', () => {
+    const cc = createDefaultStep('cc');
+    cc.params.mode = 'galvanostatic';
+    cc.params.current_basis = 'mA/cm²';
+    expect(validateStep(cc)).toEqual([expect.objectContaining({ code: 'PV016', level: LEVEL.ERROR, param: 'setpoint' })]);
+    expect(validateStep(cc, { electrode_area_cm2: 1 })).toEqual([]);
+    const specific = { ...cc, params: { ...cc.params, current_basis: 'A/g' } };
+    expect(validateStep(specific, { electrode_area_cm2: 1 })[0].message).toMatch(/catalyst loading/);
+  });
+
+  it('ignores the basis of potentiostatic coulometry, apart from DR017', () => {
+    const cc = createDefaultStep('cc');
+    cc.params.current_basis = 'A/g';
+    expect(validateStep(cc)).toEqual([expect.objectContaining({ code: 'DR017', level: LEVEL.WARNING })]);
+  });
+});
+
+// === Lab Safety Limits ===
+
+describe('lab safety limits', () => {
+  const limits = { min_potential_V: -0.5, max_potential_V: 1.8, max_current_mA: 50 };
+
+  it('PV017: applied potential outside the limits', () => {
+    const cv = createDefaultStep('cv');
+    cv.params.vertex2_V = 1.9;
+    expect(validateStep(cv, {}, limits)).toEqual([expect.objectContaining({ code: 'PV017', level: LEVEL.ERROR, param: 'vertex2_V' })]);
+    expect(validateStep(cv, {}, { ...limits, max_potential_V: null })).toEqual([]);
+  });
+
+  it('PV017: cutoffs beyond the limits', () => {
+    const cp = createDefaultStep('cp');
+    const issues = validateStep(cp, {}, limits);
+    expect(issues).toEqual([expect.objectContaining({ code: 'PV017', param: 'voltage_limits_V' })]);
+    expect(issues[0].message).toMatch(/-0.5 to 2 V/);
+  });
+
+  it('PV017: current above the limit, after density conversion', () => {
+    const gcd = createDefaultStep('gcd');
+    gcd.params.current_basis = 'mA/cm²';
+    gcd.params.current_mA = 30;
+    expect(validateStep(gcd, { electrode_area_cm2: 1 }, limits)).toEqual([]);
+    expect(validateStep(gcd, { electrode_area_cm2: 2 }, limits))
+      .toEqual([expect.objectContaining({ code: 'PV017', param: 'current_mA' })]);
+  });
+
+  it('isValid applies the limits', () => {
+    const steps = [createDefaultStep('purge'), createDefaultStep('ocp'), createDefaultStep('cv')];
+    const meta = { name: 'Test', electrolyte: '0.1 M HClO4', temperature: 25, electrodes: 3, reference: 'RHE' };
+    expect(isValid(steps, meta, limits)).toBe(true);
+    expect(isValid(steps, meta, { max_potential_V: 1 })).toBe(false);
+  });
+});
+
+// === Stop Conditions ===
+
+describe('stop conditions', () => {
+  const condition = (fields) => ({ when: 'potential_above', value: 1.5, action: 'next', target: '', ...fields });
+
+  it('PV018: incomplete conditions', () => {
+    const ca = createDefaultStep('ca');
+    ca.stop_conditions = [
+      condition(),
+      condition({ when: 'potential_below', value: -0.2 }),
+      condition({ value: null }),
+      condition({ when: 'current_below', value: -1 }),
+      condition({ action: 'goto' }),
+      condition({ when: 'humidity' }),
+    ];
+    const issues = validateStep(ca);
+    expect(issues.map(i => [i.code, i.condition])).toEqual([['PV018', 2], ['PV018', 3], ['PV018', 4], ['PV018', 5]]);
+    expect(issues[1].message).toMatch(/Current below: value must be above 0 mA/);
+  });
+
+  it('PV018: CP voltage limits must be a range', () => {
+    const cp = createDefaultStep('cp');
+    expect(validateStep(cp)).toEqual([]);
+    cp.params.voltage_limits_V = 'up to 2 V';
+    expect(validateStep(cp)).toEqual([expect.objectContaining({ code: 'PV018', param: 'voltage_limits_V' })]);
+    cp.params.voltage_limits_V = '';
+    expect(validateStep(cp)).toEqual([]);
+  });
+
+  it('PV018: jumps need exactly one step with the target tag', () => {
+    const ca = createDefaultStep('ca');
+    ca.stop_conditions = [condition({ action: 'goto', target: 'recover' })];
+    const recover = { ...createDefaultStep('ocp'), tag: 'recover' };
+    const jumps = (steps) => validateProcedure(steps, {}).filter(i => i.code === 'PV018');
+    expect(jumps([ca, recover])).toEqual([]);
+    expect(jumps([ca])).toEqual([expect.objectContaining({ stepId: ca.id, condition: 0, message: expect.stringMatching(/no step is tagged "recover"/) })]);
+    expect(jumps([ca, recover, createRepeatBlock(2, [{ ...recover, id: 'other' }])])[0].message).toMatch(/ambiguous/);
+  });
+});
+
+// === Repeat Blocks ===
+
+describe('policy profiles', () => {
+  it('switches rules off', () => {
+    const step = createDefaultStep('cv');
+    step.params.cycles = 1;
+    expect(validateStep(step).map(i => i.code)).toEqual(['DR011']);
+    expect(validateStep(step, {}, null, { rules: { DR011: { enabled: false } } })).toEqual([]);
+  });
+
+  it('overrides severity', () => {
+    const step = createDefaultStep('ocp');
+    step.params.duration_s = 10;
+    const policy = { rules: { DR004: { level: LEVEL.ERROR } } };
+    expect(validateStep(step, {}, null, policy)).toEqual([expect.objectContaining({ code: 'DR004', level: LEVEL.ERROR })]);
+    expect(isValid([step], {}, null, policy)).toBe(false);
+  });
+
+  it('changes thresholds and the messages that quote them', () => {
+    const step = createDefaultStep('ocp');
+    step.params.duration_s = 45;
+    expect(validateStep(step)).toEqual([]);
+    const issues = validateStep(step, {}, null, { rules: { DR004: { params: { min_duration_s: 60 } } } });
+    expect(issues).toEqual([expect.objectContaining({ code: 'DR004', message: 'OCP duration <60s may not allow electrode equilibration' })]);
+  });
+
+  it('keeps warnings out of the range an enabled error covers', () => {
+    const eis = createDefaultStep('eis');
+    eis.params.amplitude_mV = 150;
+    const codes = (policy) => validateStep(eis, {}, null, policy).map(i => i.code).filter(code => code !== 'PV000');
+    expect(codes()).toEqual(['PV009']);
+    expect(codes({ rules: { PV009: { enabled: false } } })).toEqual(['DR005']);
+  });
+
+  it('applies to procedure, metadata and repeat rules', () => {
+    const block = createRepeatBlock(20000, []);
+    const policy = { rules: { PV012: { params: { max_count: 50000 } }, DR012: { level: LEVEL.INFO } } };
+    expect(validateRepeat(block, policy)).toEqual([expect.objectContaining({ code: 'DR012', level: LEVEL.INFO })]);
+    const lsv = createDefaultStep('lsv');
+    expect(validateProcedure([lsv], {}).map(i => i.code)).toEqual(['DR007']);
+    expect(validateProcedure([lsv], {}, { rules: { DR007: { enabled: false } } })).toEqual([]);
+  });
+
+  it('cannot switch off locked rules', () => {
+    const ca = createDefaultStep('ca');
+    ca.params.potential_V = 1.5;
+    const policy = { rules: { PV017: { enabled: false } } };
+    expect(validateStep(ca, {}, { max_potential_V: 1 }, policy).map(i => i.code)).toEqual(['PV017']);
+  });
+});
+
+describe('instrument profiles', () => {
+  const palmsens = { instrument: 'palmsens4' };
+  const cycler = { instrument: 'biologic_bcs805' };
+
+  it('holds scan rates and EIS frequencies to the instrument', () => {
+    const cv = createDefaultStep('cv');
+    cv.params.scan_rate_mV_s = 8000;
+    expect(validateStep(cv).filter(i => i.code === 'PV001')).toEqual([]);
+    expect(validateStep(cv, palmsens)).toEqual([expect.objectContaining({ code: 'PV001', message: 'Scan rate exceeds instrument limit (5 V/s)' })]);
+    const eis = createDefaultStep('eis');
+    eis.params.f_start_Hz = 2000000;
+    expect(validateStep(eis, palmsens).map(i => i.code)).toEqual(['PV006']);
+  });
+
+  it('flags techniques the instrument does not offer', () => {
+    const issues = validateStep(createDefaultStep('eis'), cycler);
+    expect(issues).toEqual([expect.objectContaining({ code: 'PV024', message: 'The BioLogic BCS-805 (battery cycler) cannot run Electrochemical Impedance Spectroscopy' })]);
+    expect(validateStep(createDefaultStep('purge'), cycler).filter(i => i.code === 'PV024')).toEqual([]);
+  });
+
+  it('checks potentials and currents against the instrument range and compliance', () => {
+    const ca = createDefaultStep('ca');
+    ca.params.potential_V = 6;
+    const codes = (metadata) => validateStep(ca, metadata).map(i => i.code).filter(code => code !== 'PV000');
+    expect(codes({})).toEqual(['DR001']);
+    expect(codes(palmsens)).toEqual(['DR001', 'PV025']);
+    const cp = createDefaultStep('cp');
+    cp.params.current_mA = 50;
+    expect(validateStep(cp, palmsens)).toEqual([
+      expect.objectContaining({ code: 'PV025', message: 'Applied current 50 mA exceeds the PalmSens4 maximum (30 mA)', param: 'current_mA' }),
+    ]);
+  });
+
+  it('needs pulses longer than the sampling interval', () => {
+    const swv = createDefaultStep('swv');
+    swv.params.frequency_Hz = 200;
+    expect(validateStep(swv, cycler).filter(i => i.code === 'PV026')).toEqual([]);
+    swv.params.frequency_Hz = 1000;
+    expect(validateStep(swv, cycler).filter(i => i.code === 'PV026')).toEqual([
+      expect.objectContaining({ message: 'Frequency 1000 Hz gives 0.5 ms half-periods, shorter than the BioLogic BCS-805 (battery cycler) sampling interval (1 ms)' }),
+    ]);
+    expect(validateStep(swv, cycler).find(i => i.code === 'DR015').message).toContain("the BioLogic BCS-805 (battery cycler)'s 1 kHz acquisition rate");
+  });
+
+  it('warns about currents below the lowest current range', () => {
+    const cp = createDefaultStep('cp');
+    cp.params.current_mA = 0.005;
+    cp.stop_conditions = [{ when: 'current_above', value: 0.001, action: 'next', target: '' }];
+    expect(validateStep(cp, cycler).filter(i => i.code === 'DR018').map(i => i.param ?? i.condition)).toEqual(['current_mA', 0]);
+    expect(validateStep(cp, palmsens).filter(i => i.code === 'DR018')).toEqual([]);
+  });
+
+  it('falls back to the generic limits for unknown instruments', () => {
+    const ca = createDefaultStep('ca');
+    ca.params.potential_V = 11;
+    expect(validateStep(ca, { instrument: 'unknown' }).map(i => i.code)).toContain('PV010');
+  });
+});
+
+describe('repeat blocks', () => {
+  const meta = { name: 'Test', electrolyte: '0.1 M HClO4', temperature: 25, electrodes: 3, reference: 'RHE' };
+
+  it('PV012: repeat count below 1', () => {
+    const block = createRepeatBlock(0, [createDefaultStep('cv')]);
+    expect(validateRepeat(block).some(i => i.code === 'PV012' && i.level === LEVEL.ERROR)).toBe(true);
+  });
+
+  it('PV012: non-integer repeat count', () => {
+    const block = createRepeatBlock(2.5, [createDefaultStep('cv')]);
+    expect(validateRepeat(block).some(i => i.code === 'PV012')).toBe(true);
+  });
+
+  it('PV012: repeat count above limit', () => {
+    const block = createRepeatBlock(20000, [createDefaultStep('cv')]);
+    expect(validateRepeat(block).some(i => i.code === 'PV012')).toBe(true);
+  });
+
+  it('DR012: empty repeat block', () => {
+    const issues = validateRepeat(createRepeatBlock(3));
+    expect(issues.some(i => i.code === 'DR012' && i.level === LEVEL.WARNING)).toBe(true);
+  });
+
+  it('PV013: nested repeats exceed total iteration limit', () => {
+    const inner = createRepeatBlock(5000, [createDefaultStep('ocp')]);
+    const outer = createRepeatBlock(5000, [inner]);
+    const issues = validateProcedure([outer], meta);
+    const pv013 = issues.filter(i => i.code === 'PV013');
+    expect(pv013).toHaveLength(1);
+    expect(pv013[0].stepId).toBe(inner.id);
+  });
+
+  it('validateProcedure includes block issues with stepId', () => {
+    const block = createRepeatBlock(0, [createDefaultStep('cv')]);
+    const issues = validateProcedure([block], meta);
+    expect(issues).toEqual(
+      expect.arrayContaining([expect.objectContaining({ code: 'PV012', stepId: block.id })])
+    );
+  });
+
+  it('sequence rules see steps inside repeat blocks', () => {
+    const steps = [createDefaultStep('ocp'), createRepeatBlock(10, [createDefaultStep('lsv')])];
+    const issues = validateProcedure(steps, meta);
+    expect(issues.some(i => i.code === 'DR007')).toBe(true);
+  });
+
+  it('isValid checks steps nested in repeat blocks', () => {
+    const step = createDefaultStep('cv');
+    step.params.scan_rate_mV_s = 50000;
+    expect(isValid([createRepeatBlock(3, [step])], meta)).toBe(false);
+  });
+});
+
+// === Quick Fixes ===
+
+describe('quick fixes', () => {
+  const meta = { name: 'Test', electrolyte: '0.1 M HClO4', temperature: 25, electrodes: 3, reference: 'RHE' };
+  const step = (technique, params = {}) => {
+    const s = createDefaultStep(technique);
+    return { ...s, params: { ...s.params, ...params } };
+  };
+  const fixOf = (issues, code) => issues.find(i => i.code === code)?.fix;
+  const techniques = (phases) => collectSteps(flattenPhases(phases)).map(s => s.technique);
+
+  it('PV005: swaps the frequencies', () => {
+    const eis = step('eis', { f_start_Hz: 0.1, f_end_Hz: 100000 });
+    const fix = fixOf(validateStep(eis), 'PV005');
+    expect(fix).toEqual({ kind: 'swap', params: ['f_start_Hz', 'f_end_Hz'], label: 'Swap start and end frequency', stepId: eis.id });
+    const [fixed] = collectSteps(flattenPhases(applyFix([createPhase('Main', [eis])], fix)));
+    expect(fixed.params).toMatchObject({ f_start_Hz: 100000, f_end_Hz: 0.1 });
+    expect(validateStep(fixed).some(i => i.code === 'PV005')).toBe(false);
+  });
+
+  it('PV005: offers no swap for equal frequencies', () => {
+    expect(fixOf(validateStep(step('eis', { f_start_Hz: 10, f_end_Hz: 10 })), 'PV005')).toBeUndefined();
+  });
+
+  it('PV004: resets a vertex to its default', () => {
+    expect(fixOf(validateStep(step('cv', { vertex1_V: 0.5, vertex2_V: 0.5 })), 'PV004'))
+      .toMatchObject({ kind: 'set', param: 'vertex2_V', value: 1.2, label: 'Reset upper vertex to 1.2 V' });
+    expect(fixOf(validateStep(step('cv', { vertex1_V: 1.2, vertex2_V: 1.2 })), 'PV004'))
+      .toMatchObject({ param: 'vertex1_V', value: 0.05 });
+  });
+
+  it('raises to the recommended value and clamps to the technique range', () => {
+    expect(fixOf(validateStep(step('cv', { cycles: 1 })), 'DR011')).toMatchObject({ kind: 'set', param: 'cycles', value: 3 });
+    expect(fixOf(validateStep(step('purge', { duration_min: 5 })), 'DR007')).toMatchObject({ param: 'duration_min', value: 10 });
+    expect(fixOf(validateStep(step('ocp', { duration_s: 10 })), 'DR004')).toMatchObject({ param: 'duration_s', value: 30 });
+    expect(fixOf(validateStep(step('purge', { duration_min: 200 })), 'PV000'))
+      .toMatchObject({ param: 'duration_min', value: 120, label: 'Clamp to maximum (120)' });
+  });
+
+  it('uses the thresholds of the policy', () => {
+    const policy = { rules: { DR011: { params: { min_cycles: 5 } } } };
+    expect(fixOf(validateStep(step('cv', { cycles: 3 }), {}, null, policy), 'DR011')).toMatchObject({ value: 5 });
+  });
+
+  it('leaves expressions and converted currents alone', () => {
+    const metadata = { variables: [{ name: 'n', value: 1 }] };
+    const issues = validateStep(step('cv', { cycles: 'n' }), metadata);
+    expect(issues.find(i => i.code === 'DR011')).toBeDefined();
+    expect(fixOf(issues, 'DR011')).toBeUndefined();
+
+    // 0.0002 mA/cm² on 2 cm² is checked as 0.0004 mA; a fix in mA would not fit the basis
+    const gcd = step('gcd', { current_mA: 0.0002, current_basis: 'mA/cm²' });
+    const converted = validateStep(gcd, { electrode_area_cm2: 2 });
+    expect(converted.find(i => i.code === 'PV000')).toBeDefined();
+    expect(fixOf(converted, 'PV000')).toBeUndefined();
+    expect(fixOf(validateStep(step('gcd', { current_mA: 0.0001 })), 'PV000')).toMatchObject({ value: 0.001 });
+  });
+
+  it('DR006: inserts OCP before the first measurement', () => {
+    const ca = step('ca');
+    const eis = step('eis');
+    const phases = [createPhase('Main', [ca, createRepeatBlock(2, [eis])])];
+    const fix = fixOf(validateProcedure(phases, meta), 'DR006');
+    expect(fix).toEqual({ kind: 'insert', technique: 'ocp', before: eis.id, label: 'Insert OCP before EIS' });
+    const fixed = applyFix(phases, fix);
+    expect(techniques(fixed)).toEqual(['ca', 'ocp', 'eis']);
+    expect(fixed[0].steps[1].steps[0].technique).toBe('ocp');
+    expect(validateProcedure(fixed, meta).some(i => i.code === 'DR006')).toBe(false);
+  });
+
+  it('DR007: inserts a purge ahead of the OCP before the LSV', () => {
+    const phases = [createPhase('Main', [step('ca'), step('ocp'), step('lsv')])];
+    const fix = fixOf(validateProcedure(phases, meta), 'DR007');
+    expect(fix).toMatchObject({ kind: 'insert', technique: 'purge', label: 'Insert purge before OCP' });
+    expect(techniques(applyFix(phases, fix))).toEqual(['ca', 'purge', 'ocp', 'lsv']);
+  });
+
+  it('applyFix leaves the procedure alone when the step is gone', () => {
+    const phases = [createPhase('Main', [step('cv')])];
+    expect(applyFix(phases, { kind: 'set', param: 'cycles', value: 3, stepId: 'missing' })[0].steps).toEqual(phases[0].steps);
+  });
+
+  it('fixWarnings fixes every warning and re-validates in between', () => {
+    const phases = [createPhase('Main', [step('ca'), step('lsv'), step('cv', { cycles: 2 }), step('eis', { f_start_Hz: 1, f_end_Hz: 100 })])];
+    const { phases: fixed, fixes } = fixWarnings(phases, meta);
+    expect(fixes.map(i => i.code)).toEqual(['DR011', 'DR006', 'DR007']);
+    expect(techniques(fixed)).toEqual(['ca', 'purge', 'ocp', 'lsv', 'cv', 'eis']);
+    expect(collectSteps(flattenPhases(fixed))[4].params.cycles).toBe(3);
+    // Errors are left for the user
+    const issues = collectSteps(flattenPhases(fixed)).flatMap(s => validateStep(s, meta));
+    expect(issues.map(i => i.code)).toEqual(['PV005']);
+    expect(validateProcedure(fixed, meta)).toEqual([]);
+    expect(phases[0].steps).toHaveLength(4);
+  });
+
+  it('fixWarnings returns the procedure unchanged when nothing is fixable', () => {
+    const phases = [createPhase('Main', [step('purge'), step('ocp'), step('cv')])];
+    const result = fixWarnings(phases, meta);
+    expect(result.fixes).toEqual([]);
+    expect(result.phases).toBe(phases);
+  });
+});
+
 // === summarizeIssues / isValid ===
 
 describe('summarizeIssues', () => {
@@ -0,0 +1,263 @@
+/**
+ * Procedure Variables
+ * Named numbers defined on the procedure (E_upper = 1.6, rate = 10) and
+ * numeric params written as expressions over them (E_upper - 0.05, 2*rate).
+ *
+ * Expressions are parsed by a small local evaluator — numbers, variables,
+ * + - * / and ^ (or **), parentheses and abs/min/max — never by eval().
+ * The syntax is a subset of Python, so the SDK export can write it as is.
+ */
+
+import { TECHNIQUES } from './techniques';
+import { mapSteps, mapPhaseSteps, toPhases } from './procedure';
+
+export const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const FUNCTIONS = {
+  abs: { min: 1, max: 1, apply: Math.abs },
+  min: { min: 1, max: Infinity, apply: Math.min },
+  max: { min: 1, max: Infinity, apply: Math.max },
+};
+
+// Names the Python export already uses (its loop variables and the builtins it
+// calls included), plus Python keywords
+const RESERVED = [
+  'p', 'proc', 'result', 'issue', '_', 'Procedure', ...Object.keys(FUNCTIONS),
+  'range', 'print', 'input', 'ImportError', 'ValueError', 'SystemExit',
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+  'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+  'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield',
+];
+
+const TOKEN = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\*\*|[-+*/^(),]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN.lastIndex))) break;
+    const at = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) throw new Error(`Unexpected "${source.slice(at).trim()[0]}"`);
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+    else tokens.push({ type: match[3] === '**' ? '^' : match[3] });
+  }
+  return tokens;
+}
+
+// Recursive descent over the tokens; ^ binds tighter than unary minus, as in Python
+function parseTokens(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos]?.type;
+  const expect = (type) => {
+    if (peek() !== type) throw new Error(pos < tokens.length ? `Expected "${type}"` : 'Incomplete expression');
+    pos++;
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Incomplete expression');
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type === '(') {
+      const inner = sum();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'name') {
+      if (peek() !== '(') return { type: 'name', name: token.value };
+      pos++;
+      const args = [];
+      if (peek() !== ')') {
+        args.push(sum());
+        while (peek() === ',') {
+          pos++;
+          args.push(sum());
+        }
+      }
+      expect(')');
+      return { type: 'call', name: token.value, args };
+    }
+    throw new Error(`Unexpected "${token.type}"`);
+  };
+  const power = () => {
+    const base = primary();
+    if (peek() !== '^') return base;
+    pos++;
+    return { type: 'binary', op: '^', left: base, right: unary() };
+  };
+  const unary = () => {
+    if (peek() === '-' || peek() === '+') {
+      const op = tokens[pos++].type;
+      return { type: 'unary', op, operand: unary() };
+    }
+    return power();
+  };
+  const product = () => {
+    let node = unary();
+    while (peek() === '*' || peek() === '/') {
+      const op = tokens[pos++].type;
+      node = { type: 'binary', op, left: node, right: unary() };
+    }
+    return node;
+  };
+  const sum = () => {
+    let node = product();
+    while (peek() === '+' || peek() === '-') {
+      const op = tokens[pos++].type;
+      node = { type: 'binary', op, left: node, right: product() };
+    }
+    return node;
+  };
+
+  const tree = sum();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value ?? tokens[pos].type}"`);
+  return tree;
+}
+
+/**
+ * Parse an expression without evaluating it
+ * @returns {Object} { tree } or { error }
+ */
+export function parseExpression(source) {
+  try {
+    if (typeof source !== 'string' || !source.trim()) return { error: 'Empty expression' };
+    return { tree: parseTokens(tokenize(source)) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// Variable names an expression refers to, or null if it does not parse
+export function expressionNames(source) {
+  const { tree } = parseExpression(source);
+  if (!tree) return null;
+  const names = new Set();
+  const walk = (node) => {
+    if (node.type === 'name') names.add(node.name);
+    if (node.type === 'unary') walk(node.operand);
+    if (node.type === 'binary') [node.left, node.right].forEach(walk);
+    if (node.type === 'call') node.args.forEach(walk);
+  };
+  walk(tree);
+  return [...names];
+}
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+function evaluateTree(node, scope) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'name':
+      if (!hasOwn(scope, node.name)) throw new Error(`Unknown variable "${node.name}"`);
+      return scope[node.name];
+    case 'unary': {
+      const value = evaluateTree(node.operand, scope);
+      return node.op === '-' ? -value : value;
+    }
+    case 'call': {
+      const fn = hasOwn(FUNCTIONS, node.name) ? FUNCTIONS[node.name] : null;
+      if (!fn) throw new Error(`Unknown function "${node.name}"`);
+      if (node.args.length < fn.min || node.args.length > fn.max) throw new Error(`Wrong number of arguments to ${node.name}()`);
+      return fn.apply(...node.args.map(arg => evaluateTree(arg, scope)));
+    }
+    default: {
+      const left = evaluateTree(node.left, scope);
+      const right = evaluateTree(node.right, scope);
+      if (node.op === '+') return left + right;
+      if (node.op === '-') return left - right;
+      if (node.op === '*') return left * right;
+      if (node.op === '/') {
+        if (right === 0) throw new Error('Division by zero');
+        return left / right;
+      }
+      return left ** right;
+    }
+  }
+}
+
+/**
+ * Evaluate an expression
+ * @param {Object} scope - { name: number }
+ * @returns {Object} { value } or { error }
+ */
+export function evaluateExpression(source, scope = {}) {
+  const parsed = parseExpression(source);
+  if (parsed.error) return parsed;
+  try {
+    const value = evaluateTree(parsed.tree, scope);
+    return Number.isFinite(value) ? { value } : { error: 'Result is not a finite number' };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// The same expression in Python syntax
+export function toPythonExpression(source) {
+  return source.replace(/\^/g, '**');
+}
+
+// A numeric param holding an expression rather than a number
+export function isExpression(config, value) {
+  return Boolean(config) && (config.type === 'number' || config.type === 'integer') &&
+    typeof value === 'string' && value.trim() !== '' && !Number.isFinite(Number(value));
+}
+
+/**
+ * Evaluate the procedure's variable list
+ * @param {Array} variables - [{ name, value }]
+ * @returns {Object} { scope, issues } — issues are [{ index, message }] for entries left out of the scope
+ */
+export function resolveVariables(variables) {
+  const scope = {};
+  const issues = [];
+  (Array.isArray(variables) ? variables : []).forEach(({ name, value }, index) => {
+    const report = (message) => issues.push({ index, name, message });
+    if (!VARIABLE_NAME.test(name ?? '')) return report(`"${name ?? ''}" is not a valid name — use letters, digits and _`);
+    if (RESERVED.includes(name)) return report(`"${name}" is reserved`);
+    if (hasOwn(scope, name)) return report(`"${name}" is defined twice`);
+    const number = typeof value === 'number' ? value : Number(value);
+    if (value === null || value === '' || !Number.isFinite(number)) return report(`${name} needs a number`);
+    scope[name] = number;
+  });
+  return { scope, issues };
+}
+
+/**
+ * Replace a step's expression params by their values
+ * @returns {Object} { step, errors } — errors maps param keys to messages; those params become null
+ */
+export function resolveStep(step, scope) {
+  const tech = TECHNIQUES[step.technique];
+  const errors = {};
+  if (!tech) return { step, errors };
+  let params = step.params;
+  Object.entries(step.params).forEach(([key, value]) => {
+    const config = tech.params[key];
+    if (!isExpression(config, value)) return;
+    const result = evaluateExpression(value, scope);
+    if (result.error) errors[key] = result.error;
+    const resolved = result.error ? null : config.type === 'integer' ? Math.round(result.value) : result.value;
+    params = { ...params, [key]: resolved };
+  });
+  return { step: params === step.params ? step : { ...step, params }, errors };
+}
+
+/**
+ * Phases with every expression replaced by its value (null where it cannot be evaluated)
+ * @param {Array} procedure - Phases, or a flat step list (treated as one "Main" phase)
+ */
+export function resolvePhases(procedure, variables) {
+  const { scope } = resolveVariables(variables);
+  return mapPhaseSteps(toPhases(procedure), nodes => mapSteps(nodes, step => resolveStep(step, scope).step));
+}
+
+/**
+ * A procedure with plain numbers in place of expressions and no variables,
+ * for exports that should not depend on them
+ * @returns {Object} { metadata, phases }
+ */
+export function inlineVariables(metadata, procedure) {
+  return { metadata: { ...metadata, variables: [] }, phases: resolvePhases(procedure, metadata.variables) };
+}
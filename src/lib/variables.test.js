@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseExpression, evaluateExpression, expressionNames, toPythonExpression, isExpression,
+  resolveVariables, resolveStep, resolvePhases, inlineVariables
+} from './variables';
+import { createDefaultStep } from './techniques';
+import { createPhase, createRepeatBlock } from './procedure';
+
+const variables = [{ name: 'E_upper', value: 1.6 }, { name: 'rate', value: 10 }, { name: 'Ru', value: 25 }];
+const { scope } = resolveVariables(variables);
+
+describe('evaluateExpression', () => {
+  it('evaluates arithmetic over variables', () => {
+    expect(evaluateExpression('E_upper - 0.05', scope).value).toBeCloseTo(1.55);
+    expect(evaluateExpression('2*rate', scope)).toEqual({ value: 20 });
+    expect(evaluateExpression('(rate + 5) / 3', scope)).toEqual({ value: 5 });
+    expect(evaluateExpression('max(rate, Ru) - min(1, 2)', scope)).toEqual({ value: 24 });
+    expect(evaluateExpression('abs(-E_upper)', scope)).toEqual({ value: 1.6 });
+    expect(evaluateExpression('1e-3 * .5', scope)).toEqual({ value: 0.0005 });
+  });
+
+  it('follows Python precedence for powers', () => {
+    expect(evaluateExpression('2^3^2').value).toBe(512);
+    expect(evaluateExpression('-2**2').value).toBe(-4);
+    expect(evaluateExpression('2*-rate', scope).value).toBe(-20);
+  });
+
+  it('reports what it cannot evaluate', () => {
+    expect(evaluateExpression('E_lower + 1', scope).error).toMatch(/Unknown variable "E_lower"/);
+    expect(evaluateExpression('rate /', scope).error).toMatch(/Incomplete/);
+    expect(evaluateExpression('rate / 0', scope).error).toMatch(/Division by zero/);
+    expect(evaluateExpression('sqrt(rate)', scope).error).toMatch(/Unknown function/);
+    expect(evaluateExpression('abs(1, 2)').error).toMatch(/Wrong number of arguments/);
+    expect(evaluateExpression('10^400').error).toMatch(/finite/);
+    expect(evaluateExpression('constructor', {}).error).toMatch(/Unknown variable/);
+  });
+
+  it('rejects anything beyond arithmetic', () => {
+    ['alert("x")', 'rate; 1', 'a.b', 'x = 1', '[1]', ''].forEach(source => {
+      expect(parseExpression(source).error).toBeDefined();
+    });
+  });
+});
+
+describe('expression helpers', () => {
+  it('lists the variables an expression uses', () => {
+    expect(expressionNames('max(rate, Ru) * rate')).toEqual(['rate', 'Ru']);
+    expect(expressionNames('1 V or mA')).toBeNull();
+  });
+
+  it('writes powers in Python syntax', () => {
+    expect(toPythonExpression('rate^2')).toBe('rate**2');
+  });
+
+  it('tells expressions from numbers and text params', () => {
+    expect(isExpression({ type: 'number' }, '2*rate')).toBe(true);
+    expect(isExpression({ type: 'number' }, '2.5')).toBe(false);
+    expect(isExpression({ type: 'number' }, 2)).toBe(false);
+    expect(isExpression({ type: 'text' }, 'OCP')).toBe(false);
+  });
+});
+
+describe('resolveVariables', () => {
+  it('reports invalid, reserved, duplicate and non-numeric definitions', () => {
+    const { scope: resolved, issues } = resolveVariables([
+      { name: 'a', value: 1 },
+      { name: '1a', value: 1 },
+      { name: 'max', value: 1 },
+      { name: 'a', value: 2 },
+      { name: 'b', value: 'x' },
+      { name: 'c', value: '2.5' },
+    ]);
+    expect(resolved).toEqual({ a: 1, c: 2.5 });
+    expect(issues.map(i => i.index)).toEqual([1, 2, 3, 4]);
+    expect(issues[2].message).toMatch(/defined twice/);
+  });
+
+  it('reserves the builtins and loop variables of the Python export', () => {
+    const { scope: resolved, issues } = resolveVariables([
+      { name: 'range', value: 1 },
+      { name: 'print', value: 1 },
+      { name: '_', value: 1 },
+    ]);
+    expect(resolved).toEqual({});
+    expect(issues[0].message).toBe('"range" is reserved');
+  });
+
+  it('treats a missing list as no variables', () => {
+    expect(resolveVariables(undefined)).toEqual({ scope: {}, issues: [] });
+  });
+});
+
+describe('resolving steps', () => {
+  it('replaces expressions by their values and rounds integer params', () => {
+    const cv = createDefaultStep('cv');
+    cv.params.vertex2_V = 'E_upper - 0.05';
+    cv.params.scan_rate_mV_s = '2*rate';
+    cv.params.cycles = 'rate / 4';
+    const { step, errors } = resolveStep(cv, scope);
+    expect(errors).toEqual({});
+    expect(step.params).toMatchObject({ scan_rate_mV_s: 20, cycles: 3 });
+    expect(step.params.vertex2_V).toBeCloseTo(1.55);
+    expect(cv.params.scan_rate_mV_s).toBe('2*rate');
+  });
+
+  it('leaves steps without expressions untouched', () => {
+    const ocp = createDefaultStep('ocp');
+    expect(resolveStep(ocp, scope).step).toBe(ocp);
+  });
+
+  it('sets params it cannot evaluate to null', () => {
+    const ocp = createDefaultStep('ocp');
+    ocp.params.duration_s = 'hold * 60';
+    const { step, errors } = resolveStep(ocp, scope);
+    expect(step.params.duration_s).toBeNull();
+    expect(errors.duration_s).toMatch(/Unknown variable "hold"/);
+  });
+
+  it('resolves every step of a procedure, inside repeat blocks too', () => {
+    const ca = createDefaultStep('ca');
+    ca.params.potential_V = 'E_upper';
+    const phases = [createPhase('Main', [createRepeatBlock(2, [ca])])];
+    expect(resolvePhases(phases, variables)[0].steps[0].steps[0].params.potential_V).toBe(1.6);
+
+    const inlined = inlineVariables({ name: 'X', variables }, phases);
+    expect(inlined.metadata).toEqual({ name: 'X', variables: [] });
+    expect(inlined.phases[0].steps[0].steps[0].params.potential_V).toBe(1.6);
+  });
+});
@@ -0,0 +1,813 @@
+/**
+ * Vendor Method Exports
+ * A procedure as the method or script a potentiostat's own software runs:
+ * - BioLogic EC-Lab technique sequence (.mps)
+ * - Gamry Explain script (.exp)
+ * - Autolab NOVA procedure description
+ * - PalmSens MethodSCRIPT (.ms)
+ *
+ * Each target writes the steps it can express and reports the rest: steps
+ * left out, params and stop conditions it has no equivalent for. Values are
+ * resolved first (see resolveProcedure), so expressions are numbers, currents
+ * are in mA and potentials stay on the procedure's reference scale.
+ */
+
+import { TECHNIQUES } from './techniques';
+import { LEVEL } from './rules';
+import { isRepeatBlock, repeatCount, toPhases } from './procedure';
+import { currentUnit, resolveProcedure } from './electrodes';
+import { stepCutoffs } from './safety';
+import { stopConditions, stopConditionError, describeStopCondition } from './stops';
+import { instrumentProfile } from './instruments';
+
+export const EXPORT_CODES = {
+  TECHNIQUE: 'EX001', // Step the target cannot run
+  PARAM: 'EX002', // Param the target has no setting for
+  STOP: 'EX003', // Stop condition the target cannot watch
+  VALUE: 'EX004', // Value missing or unreadable
+  TARGET: 'EX005', // Procedure targets another vendor's instrument
+};
+
+// Params that only feed estimates, never the run itself
+const ESTIMATE_ONLY = ['capacity_mAh'];
+
+// Criteria a step can run without
+const OPTIONAL_PARAMS = ['stability_mV_min'];
+
+// === Formatting ===
+
+// Number without float noise: 0.1 + 0.2 → "0.3"
+const num = (value) => String(Number(Number(value).toPrecision(6)));
+
+const fixed = (value, digits) => Number(value).toFixed(digits);
+
+// 3600 → "1:00:00.0000"
+function hms(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds - h * 3600 - m * 60;
+  return `${h}:${String(m).padStart(2, '0')}:${s.toFixed(4).padStart(7, '0')}`;
+}
+
+const SI_PREFIXES = [['M', 1e6], ['k', 1e3], ['', 1], ['m', 1e-3], ['u', 1e-6], ['n', 1e-9], ['p', 1e-12]];
+
+// MethodSCRIPT value: integer mantissa with an SI prefix (1.2 → "1200m")
+function si(value) {
+  if (value === 0) return '0';
+  const [prefix, factor] = SI_PREFIXES.find(([, f]) => {
+    const mantissa = value / f;
+    return Math.round(mantissa) !== 0 && Math.abs(mantissa - Math.round(mantissa)) < 1e-9 * Math.abs(mantissa);
+  }) ?? SI_PREFIXES[SI_PREFIXES.length - 1];
+  return `${Math.round(value / factor)}${prefix}`;
+}
+
+const indent = (lines, by) => lines.map(line => `${by}${line}`);
+
+// EIS DC potential: 'OCP', a number, or null when it is neither
+function eisPotential(value) {
+  const text = String(value ?? '').trim();
+  if (text.toUpperCase() === 'OCP') return 'OCP';
+  return text !== '' && Number.isFinite(Number(text)) ? Number(text) : null;
+}
+
+const unreadableDC = (p) => (eisPotential(p.dc_potential_V) === null ? `DC potential "${p.dc_potential_V}" is neither OCP nor a number` : null);
+
+// Start of a CV: the start potential if one is set, else the lower vertex
+const cvStart = (p) => p.start_potential_V ?? p.vertex1_V;
+
+// === BioLogic EC-Lab ===
+// Items are linked techniques: { name, rows: [[label, value]] }, or a loop
+// back over the `back` techniques before it
+
+const REF = ['vs.', 'Ref'];
+const ecLab = (name, rows) => ({ name, rows });
+
+const BIOLOGIC = {
+  label: 'BioLogic EC-Lab',
+  vendor: 'BioLogic',
+  extension: 'mps',
+  techniques: {
+    ocp: {
+      params: ['duration_s', 'stability_mV_min', 'sample_rate_Hz'],
+      write: (p) => [ecLab('Open Circuit Voltage', [
+        ['tR (h:m:s)', hms(p.duration_s)],
+        ['dER/dt (mV/h)', fixed((p.stability_mV_min ?? 0) * 60, 1)],
+        ['record', '<Ewe>'],
+        ['dtR (s)', fixed(1 / p.sample_rate_Hz, 4)],
+      ])],
+    },
+    cv: {
+      params: ['vertex1_V', 'vertex2_V', 'scan_rate_mV_s', 'cycles', 'start_potential_V'],
+      write: (p) => [ecLab('Cyclic Voltammetry', [
+        ['Ei (V)', fixed(cvStart(p), 3)],
+        REF,
+        ['dE/dt (mV/s)', fixed(p.scan_rate_mV_s, 3)],
+        ['E1 (V)', fixed(p.vertex2_V, 3)],
+        ['E2 (V)', fixed(p.vertex1_V, 3)],
+        ['nc cycles', String(p.cycles - 1)],
+        ['Ef (V)', fixed(cvStart(p), 3)],
+      ])],
+    },
+    lsv: {
+      params: ['start_V', 'end_V', 'scan_rate_mV_s'],
+      write: (p) => [ecLab('Linear Sweep Voltammetry', [
+        ['Ei (V)', fixed(p.start_V, 3)],
+        REF,
+        ['dE/dt (mV/s)', fixed(p.scan_rate_mV_s, 3)],
+        ['EL (V)', fixed(p.end_V, 3)],
+      ])],
+    },
+    dpv: {
+      params: ['start_V', 'end_V', 'pulse_height_mV', 'pulse_width_ms', 'step_height_mV'],
+      write: (p) => [ecLab('Differential Pulse Voltammetry', [
+        ['Ei (V)', fixed(p.start_V, 3)],
+        REF,
+        ['Ef (V)', fixed(p.end_V, 3)],
+        ['PH (mV)', fixed(p.pulse_height_mV, 1)],
+        ['PW (ms)', fixed(p.pulse_width_ms, 1)],
+        ['SH (mV)', fixed(p.step_height_mV, 1)],
+      ])],
+    },
+    swv: {
+      params: ['start_V', 'end_V', 'frequency_Hz', 'amplitude_mV', 'step_height_mV'],
+      write: (p) => [ecLab('Square Wave Voltammetry', [
+        ['Ei (V)', fixed(p.start_V, 3)],
+        REF,
+        ['Ef (V)', fixed(p.end_V, 3)],
+        ['PH (mV)', fixed(p.amplitude_mV, 1)],
+        ['SH (mV)', fixed(p.step_height_mV, 1)],
+        ['f (Hz)', fixed(p.frequency_Hz, 3)],
+      ])],
+    },
+    // Deposition and rest as one hold, then the stripping sweep
+    stripping: {
+      params: ['deposition_V', 'deposition_time_s', 'equilibration_s', 'strip_start_V', 'strip_end_V', 'scan_rate_mV_s'],
+      write: (p) => [
+        ecLab('Chronoamperometry / Chronocoulometry', [
+          ['Ei (V)', fixed(p.deposition_V, 3)],
+          REF,
+          ['ti (h:m:s)', hms(p.deposition_time_s + p.equilibration_s)],
+        ]),
+        ecLab('Linear Sweep Voltammetry', [
+          ['Ei (V)', fixed(p.strip_start_V, 3)],
+          REF,
+          ['dE/dt (mV/s)', fixed(p.scan_rate_mV_s, 3)],
+          ['EL (V)', fixed(p.strip_end_V, 3)],
+        ]),
+      ],
+    },
+    eis: {
+      params: ['f_start_Hz', 'f_end_Hz', 'amplitude_mV', 'dc_potential_V', 'points_per_decade'],
+      unsupported: unreadableDC,
+      write: (p) => {
+        const dc = eisPotential(p.dc_potential_V);
+        return [ecLab('Potentio Electrochemical Impedance Spectroscopy', [
+          ['E (V)', fixed(dc === 'OCP' ? 0 : dc, 3)],
+          ['vs.', dc === 'OCP' ? 'Eoc' : 'Ref'],
+          ['fi (Hz)', num(p.f_start_Hz)],
+          ['ff (Hz)', num(p.f_end_Hz)],
+          ['Nd', String(p.points_per_decade)],
+          ['Points', 'per decade'],
+          ['Va (mV)', fixed(p.amplitude_mV, 1)],
+        ])];
+      },
+    },
+    ca: {
+      params: ['potential_V', 'duration_s', 'sample_rate_Hz'],
+      write: (p) => [ecLab('Chronoamperometry / Chronocoulometry', [
+        ['Ei (V)', fixed(p.potential_V, 3)],
+        REF,
+        ['ti (h:m:s)', hms(p.duration_s)],
+        ['dtR (s)', fixed(1 / p.sample_rate_Hz, 4)],
+      ])],
+    },
+    cp: {
+      params: ['current_mA', 'duration_s', 'voltage_limits_V'],
+      write: (p, { cutoffs }) => [ecLab('Chronopotentiometry', [
+        ['Is (mA)', fixed(p.current_mA, 3)],
+        ['ts (h:m:s)', hms(p.duration_s)],
+        ...(cutoffs ? [['Limit Ewe > (V)', fixed(cutoffs.max, 3)], ['Limit Ewe < (V)', fixed(cutoffs.min, 3)]] : []),
+      ])],
+    },
+    gcd: {
+      params: ['current_mA', 'upper_V', 'lower_V', 'cycles'],
+      write: (p) => [ecLab('Galvanostatic Cycling with Potential Limitation', [
+        ['Is (mA)', fixed(p.current_mA, 3)],
+        ['EM (V)', fixed(p.upper_V, 3)],
+        ['E min (V)', fixed(p.lower_V, 3)],
+        ['nc cycles', String(p.cycles - 1)],
+      ])],
+    },
+    cc: {
+      params: ['mode', 'setpoint', 'duration_s', 'cutoff_C'],
+      write: (p) => {
+        const limit = p.cutoff_C === null || p.cutoff_C === undefined ? [] : [['Limit |Q| (C)', fixed(p.cutoff_C, 3)]];
+        return p.mode === 'galvanostatic'
+          ? [ecLab('Chronopotentiometry', [['Is (mA)', fixed(p.setpoint, 3)], ['ts (h:m:s)', hms(p.duration_s)], ...limit])]
+          : [ecLab('Chronoamperometry / Chronocoulometry', [['Ei (V)', fixed(p.setpoint, 3)], REF, ['ti (h:m:s)', hms(p.duration_s)], ...limit])];
+      },
+    },
+    purge: { params: ['gas', 'duration_min', 'flow_rate_mL_min'], manual: true, write: () => [] },
+  },
+  phase: () => [],
+  repeat: (count, inner) => (inner.length > 0 ? [...inner, { loop: true, back: inner.length, count }] : []),
+  finish: (items, { metadata, profile }) => {
+    const blocks = items.map((item, i) => {
+      const { name, rows } = item.loop
+        ? { name: 'Loop', rows: [['goto Ns', String(i + 1 - item.back)], ['nt times', String(item.count - 1)]] }
+        : item;
+      return [`Technique : ${i + 1}`, name, ...rows.map(([label, value]) => `${label.padEnd(20)}${value}`)].join('\n');
+    });
+    return [
+      'EC-LAB SETTING FILE',
+      '',
+      `Number of linked techniques : ${items.length}`,
+      '',
+      `Filename : ${fileName(metadata, 'mps')}`,
+      ...(profile ? [`Device : ${profile.name}`] : []),
+      `Comments : ${metadata.name} - potentials vs ${metadata.reference}, currents in mA; written by ecproc IDE`,
+      '',
+      ...blocks.flatMap(block => [block, '']),
+    ].join('\n');
+  },
+};
+
+// === Gamry Explain ===
+// Items are script lines inside Main; one commented call per step
+
+const explainCall = (label, tag, args, call) => [`; ${label}${tag ? ` [${tag}]` : ''}: ${args}`, call];
+const explainBool = (value) => (value ? 'TRUE' : 'FALSE');
+
+const GAMRY = {
+  label: 'Gamry Explain',
+  vendor: 'Gamry',
+  extension: 'exp',
+  techniques: {
+    ocp: {
+      params: ['duration_s', 'stability_mV_min', 'sample_rate_Hz'],
+      write: (p, { tag }) => explainCall('Open circuit', tag, 'Tmax (s), SampleTime (s), Stability (V/s)',
+        `OCDelay(Pstat, ${num(p.duration_s)}, ${num(1 / p.sample_rate_Hz)}, ${num((p.stability_mV_min ?? 0) / 60000)})`),
+    },
+    cv: {
+      params: ['vertex1_V', 'vertex2_V', 'scan_rate_mV_s', 'cycles', 'start_potential_V', 'ir_compensation'],
+      write: (p, { tag }) => explainCall('CV', tag, 'Vinit, Vapex1, Vapex2, Vfinal (V), ScanRate (V/s), Cycles, IRComp',
+        `CV(Pstat, ${num(cvStart(p))}, ${num(p.vertex2_V)}, ${num(p.vertex1_V)}, ${num(cvStart(p))}, ${num(p.scan_rate_mV_s / 1000)}, ${p.cycles}, ${explainBool(p.ir_compensation)})`),
+    },
+    lsv: {
+      params: ['start_V', 'end_V', 'scan_rate_mV_s', 'ir_compensation'],
+      write: (p, { tag }) => explainCall('LSV', tag, 'Vinit, Vfinal (V), ScanRate (V/s), IRComp',
+        `LSV(Pstat, ${num(p.start_V)}, ${num(p.end_V)}, ${num(p.scan_rate_mV_s / 1000)}, ${explainBool(p.ir_compensation)})`),
+    },
+    dpv: {
+      params: ['start_V', 'end_V', 'pulse_height_mV', 'pulse_width_ms', 'step_height_mV', 'sample_period_ms'],
+      write: (p, { tag }) => explainCall('DPV', tag, 'Vinit, Vfinal, StepSize, PulseSize (V), PulseTime, SampleTime (s)',
+        `DPV(Pstat, ${num(p.start_V)}, ${num(p.end_V)}, ${num(p.step_height_mV / 1000)}, ${num(p.pulse_height_mV / 1000)}, ${num(p.pulse_width_ms / 1000)}, ${num(p.sample_period_ms / 1000)})`),
+    },
+    swv: {
+      params: ['start_V', 'end_V', 'frequency_Hz', 'amplitude_mV', 'step_height_mV'],
+      write: (p, { tag }) => explainCall('SWV', tag, 'Vinit, Vfinal, StepSize, PulseSize (V), Frequency (Hz)',
+        `SWV(Pstat, ${num(p.start_V)}, ${num(p.end_V)}, ${num(p.step_height_mV / 1000)}, ${num(p.amplitude_mV / 1000)}, ${num(p.frequency_Hz)})`),
+    },
+    stripping: {
+      params: ['deposition_V', 'deposition_time_s', 'equilibration_s', 'strip_start_V', 'strip_end_V', 'scan_rate_mV_s'],
+      write: (p, { tag }) => [
+        ...explainCall('Stripping deposition', tag, 'Vdep (V), Tdep, Trest (s)',
+          `Deposit(Pstat, ${num(p.deposition_V)}, ${num(p.deposition_time_s)}, ${num(p.equilibration_s)})`),
+        ...explainCall('Stripping sweep', tag, 'Vinit, Vfinal (V), ScanRate (V/s), IRComp',
+          `LSV(Pstat, ${num(p.strip_start_V)}, ${num(p.strip_end_V)}, ${num(p.scan_rate_mV_s / 1000)}, FALSE)`),
+      ],
+    },
+    eis: {
+      params: ['f_start_Hz', 'f_end_Hz', 'amplitude_mV', 'dc_potential_V', 'points_per_decade'],
+      unsupported: unreadableDC,
+      write: (p, { tag }) => {
+        const dc = eisPotential(p.dc_potential_V);
+        return explainCall('EIS', tag, 'FreqInit, FreqFinal (Hz), PointsPerDecade, Vac, Vdc (V), VdcVsEoc',
+          `EISPOT(Pstat, ${num(p.f_start_Hz)}, ${num(p.f_end_Hz)}, ${p.points_per_decade}, ${num(p.amplitude_mV / 1000)}, ${dc === 'OCP' ? 0 : num(dc)}, ${explainBool(dc === 'OCP')})`);
+      },
+    },
+    ca: {
+      params: ['potential_V', 'duration_s', 'sample_rate_Hz'],
+      write: (p, { tag }) => explainCall('CA', tag, 'Vstep (V), Tstep, SampleTime (s)',
+        `CA(Pstat, ${num(p.potential_V)}, ${num(p.duration_s)}, ${num(1 / p.sample_rate_Hz)})`),
+    },
+    cp: {
+      params: ['current_mA', 'duration_s', 'voltage_limits_V'],
+      write: (p, { tag, cutoffs }) => (cutoffs
+        ? explainCall('CP', tag, 'Istep (A), Tstep (s), Vmin, Vmax (V)',
+          `CP(Pstat, ${num(p.current_mA / 1000)}, ${num(p.duration_s)}, ${num(cutoffs.min)}, ${num(cutoffs.max)})`)
+        : explainCall('CP', tag, 'Istep (A), Tstep (s)', `CP(Pstat, ${num(p.current_mA / 1000)}, ${num(p.duration_s)})`)),
+    },
+    gcd: {
+      params: ['current_mA', 'upper_V', 'lower_V', 'cycles'],
+      write: (p, { tag }) => explainCall('Charge-discharge', tag, 'Icharge (A), Vupper, Vlower (V), Cycles',
+        `ChargeDischarge(Pstat, ${num(p.current_mA / 1000)}, ${num(p.upper_V)}, ${num(p.lower_V)}, ${p.cycles})`),
+    },
+    cc: {
+      params: ['mode', 'setpoint', 'duration_s', 'cutoff_C'],
+      unsupported: (p) => (p.mode === 'galvanostatic' ? 'Gamry chronocoulometry holds a potential; galvanostatic coulometry cannot be written' : null),
+      write: (p, { tag }) => explainCall('Chronocoulometry', tag, 'Vstep (V), Tstep (s), Qlimit (C, 0 for none)',
+        `CC(Pstat, ${num(p.setpoint)}, ${num(p.duration_s)}, ${num(p.cutoff_C ?? 0)})`),
+    },
+    purge: {
+      params: ['gas', 'duration_min', 'flow_rate_mL_min'],
+      manual: true,
+      write: (p) => [`; Purge with ${p.gas} for ${num(p.duration_min)} min at ${num(p.flow_rate_mL_min)} mL/min before going on`],
+    },
+  },
+  phase: (name) => [`; --- ${name} ---`],
+  repeat: (count, inner, depth) => {
+    const counter = `Repeat${depth}`;
+    return [`${counter} = 0`, `while (${counter} lt ${count})`, ...indent([...inner, `${counter} = ${counter} + 1`], '   ')];
+  },
+  finish: (lines, { metadata, profile }) => [
+    `; ${metadata.name}`,
+    '; Explain script written by ecproc IDE: one call per step',
+    `; Potentials in V vs ${metadata.reference}, currents in A, times in s, frequencies in Hz`,
+    ...(profile ? [`; Instrument: ${profile.name}`] : []),
+    'include "explain4.exp"',
+    '',
+    'global Pstat',
+    '',
+    'function Main',
+    ...indent([
+      'Pstat = PSTAT.New("PSTAT", Settings)',
+      'Pstat.Open()',
+      ...lines,
+      'Pstat.Close()',
+      'return',
+    ], '   '),
+    '',
+  ].join('\n'),
+};
+
+// === Autolab NOVA ===
+// Items are lines of the command tree: a command, then its settings indented
+
+const novaCommand = (title, tag, settings) => [`${title}${tag ? ` [${tag}]` : ''}`, ...indent(settings, '  ')];
+const NOVA_ACTIONS = { next: 'Stop command', abort: 'Stop procedure' };
+const NOVA_SIGNALS = {
+  potential_above: (v) => `WE(1).Potential > ${num(v)} V`,
+  potential_below: (v) => `WE(1).Potential < ${num(v)} V`,
+  current_above: (v) => `Abs(WE(1).Current) > ${num(v / 1000)} A`,
+  current_below: (v) => `Abs(WE(1).Current) < ${num(v / 1000)} A`,
+  charge: (v) => `Abs(WE(1).Charge) > ${num(v)} C`,
+  time: (v) => `Time > ${num(v)} s`,
+};
+const novaCutoff = (signal, action = 'next') => `Cutoff: ${signal} → ${NOVA_ACTIONS[action]}`;
+
+const AUTOLAB = {
+  label: 'Autolab NOVA',
+  vendor: 'Metrohm Autolab',
+  extension: 'nova.txt',
+  techniques: {
+    ocp: {
+      params: ['duration_s', 'stability_mV_min', 'sample_rate_Hz'],
+      write: (p, { tag, stops }) => novaCommand('OCP determination', tag, [
+        `Maximum duration (s): ${num(p.duration_s)}`,
+        `Interval time (s): ${num(1 / p.sample_rate_Hz)}`,
+        ...(p.stability_mV_min ? [`Drift criterion (mV/s): ${num(p.stability_mV_min / 60)}`] : []),
+        ...stops,
+      ]),
+    },
+    cv: {
+      params: ['vertex1_V', 'vertex2_V', 'scan_rate_mV_s', 'cycles', 'start_potential_V', 'ir_compensation'],
+      write: (p, { tag, stops }) => novaCommand('Cyclic voltammetry potentiostatic', tag, [
+        `Start potential (V): ${num(cvStart(p))}`,
+        `Upper vertex potential (V): ${num(p.vertex2_V)}`,
+        `Lower vertex potential (V): ${num(p.vertex1_V)}`,
+        `Stop potential (V): ${num(cvStart(p))}`,
+        `Number of scans: ${p.cycles}`,
+        `Scan rate (V/s): ${num(p.scan_rate_mV_s / 1000)}`,
+        ...(p.ir_compensation ? ['iR compensation: On'] : []),
+        ...stops,
+      ]),
+    },
+    lsv: {
+      params: ['start_V', 'end_V', 'scan_rate_mV_s', 'ir_compensation'],
+      write: (p, { tag, stops }) => novaCommand('Linear sweep voltammetry potentiostatic', tag, [
+        `Start potential (V): ${num(p.start_V)}`,
+        `Stop potential (V): ${num(p.end_V)}`,
+        `Scan rate (V/s): ${num(p.scan_rate_mV_s / 1000)}`,
+        ...(p.ir_compensation ? ['iR compensation: On'] : []),
+        ...stops,
+      ]),
+    },
+    dpv: {
+      params: ['start_V', 'end_V', 'pulse_height_mV', 'pulse_width_ms', 'step_height_mV'],
+      write: (p, { tag, stops }) => novaCommand('Differential pulse voltammetry', tag, [
+        `Start potential (V): ${num(p.start_V)}`,
+        `Stop potential (V): ${num(p.end_V)}`,
+        `Step (V): ${num(p.step_height_mV / 1000)}`,
+        `Modulation amplitude (V): ${num(p.pulse_height_mV / 1000)}`,
+        `Modulation time (s): ${num(p.pulse_width_ms / 1000)}`,
+        ...stops,
+      ]),
+    },
+    swv: {
+      params: ['start_V', 'end_V', 'frequency_Hz', 'amplitude_mV', 'step_height_mV'],
+      write: (p, { tag, stops }) => novaCommand('Square wave voltammetry', tag, [
+        `Start potential (V): ${num(p.start_V)}`,
+        `Stop potential (V): ${num(p.end_V)}`,
+        `Step (V): ${num(p.step_height_mV / 1000)}`,
+        `Amplitude (V): ${num(p.amplitude_mV / 1000)}`,
+        `Frequency (Hz): ${num(p.frequency_Hz)}`,
+        ...stops,
+      ]),
+    },
+    stripping: {
+      params: ['deposition_V', 'deposition_time_s', 'equilibration_s', 'strip_start_V', 'strip_end_V', 'scan_rate_mV_s'],
+      write: (p, { tag, stops }) => [
+        ...novaCommand('Apply', tag, [`Potential (V): ${num(p.deposition_V)}`]),
+        ...novaCommand('Wait', null, [`Duration (s): ${num(p.deposition_time_s)}`]),
+        ...novaCommand('Wait', null, [`Duration (s): ${num(p.equilibration_s)}`]),
+        ...novaCommand('Linear sweep voltammetry potentiostatic', null, [
+          `Start potential (V): ${num(p.strip_start_V)}`,
+          `Stop potential (V): ${num(p.strip_end_V)}`,
+          `Scan rate (V/s): ${num(p.scan_rate_mV_s / 1000)}`,
+          ...stops,
+        ]),
+      ],
+    },
+    eis: {
+      params: ['f_start_Hz', 'f_end_Hz', 'amplitude_mV', 'dc_potential_V', 'points_per_decade'],
+      unsupported: unreadableDC,
+      stops: false,
+      write: (p, { tag }) => {
+        const dc = eisPotential(p.dc_potential_V);
+        return novaCommand('FRA measurement potentiostatic', tag, [
+          `First applied frequency (Hz): ${num(p.f_start_Hz)}`,
+          `Last applied frequency (Hz): ${num(p.f_end_Hz)}`,
+          `Number of frequencies per decade: ${p.points_per_decade}`,
+          `Amplitude (V): ${num(p.amplitude_mV / 1000)}`,
+          dc === 'OCP' ? 'Potential: OCP' : `Potential (V): ${num(dc)}`,
+        ]);
+      },
+    },
+    ca: {
+      params: ['potential_V', 'duration_s', 'sample_rate_Hz'],
+      write: (p, { tag, stops }) => novaCommand('Chrono amperometry', tag, [
+        `Potential (V): ${num(p.potential_V)}`,
+        `Duration (s): ${num(p.duration_s)}`,
+        `Interval time (s): ${num(1 / p.sample_rate_Hz)}`,
+        ...stops,
+      ]),
+    },
+    cp: {
+      params: ['current_mA', 'duration_s', 'voltage_limits_V'],
+      write: (p, { tag, stops, cutoffs }) => novaCommand('Chrono potentiometry', tag, [
+        `Current (A): ${num(p.current_mA / 1000)}`,
+        `Duration (s): ${num(p.duration_s)}`,
+        ...(cutoffs ? [novaCutoff(NOVA_SIGNALS.potential_above(cutoffs.max)), novaCutoff(NOVA_SIGNALS.potential_below(cutoffs.min))] : []),
+        ...stops,
+      ]),
+    },
+    // A repeat of a charge and a discharge, each ended by its voltage cutoff
+    gcd: {
+      params: ['current_mA', 'upper_V', 'lower_V', 'cycles'],
+      write: (p, { tag, stops }) => [
+        `Repeat (${p.cycles} times)${tag ? ` [${tag}]` : ''}`,
+        ...indent([
+          ...novaCommand('Chrono potentiometry', null, [
+            `Current (A): ${num(p.current_mA / 1000)}`,
+            novaCutoff(NOVA_SIGNALS.potential_above(p.upper_V)),
+            ...stops,
+          ]),
+          ...novaCommand('Chrono potentiometry', null, [
+            `Current (A): ${num(-p.current_mA / 1000)}`,
+            novaCutoff(NOVA_SIGNALS.potential_below(p.lower_V)),
+            ...stops,
+          ]),
+        ], '  '),
+      ],
+    },
+    cc: {
+      params: ['mode', 'setpoint', 'duration_s', 'cutoff_C'],
+      write: (p, { tag, stops }) => {
+        const limit = p.cutoff_C === null || p.cutoff_C === undefined ? [] : [novaCutoff(NOVA_SIGNALS.charge(p.cutoff_C))];
+        return p.mode === 'galvanostatic'
+          ? novaCommand('Chrono potentiometry', tag, [`Current (A): ${num(p.setpoint / 1000)}`, `Duration (s): ${num(p.duration_s)}`, ...limit, ...stops])
+          : novaCommand('Chrono amperometry', tag, [`Potential (V): ${num(p.setpoint)}`, `Duration (s): ${num(p.duration_s)}`, ...limit, ...stops]);
+      },
+    },
+    purge: {
+      params: ['gas', 'duration_min', 'flow_rate_mL_min'],
+      stops: false,
+      write: (p, { tag }) => novaCommand('Message', tag, [
+        `Text: Purge with ${p.gas} for ${num(p.duration_min)} min at ${num(p.flow_rate_mL_min)} mL/min, then press OK`,
+      ]),
+    },
+  },
+  stop: (condition) => {
+    const signal = NOVA_SIGNALS[condition.when];
+    if (!signal || !(condition.action in NOVA_ACTIONS)) return null;
+    return [novaCutoff(signal(Number(condition.value)), condition.action)];
+  },
+  phase: (name) => [`-- ${name} --`],
+  repeat: (count, inner) => [`Repeat (${count} times)`, ...indent(inner, '  ')],
+  finish: (lines, { metadata, profile }) => [
+    `NOVA procedure: ${metadata.name}`,
+    'Written by ecproc IDE: enter the commands in NOVA in this order',
+    `Potentials in V vs ${metadata.reference}, currents in A, times in s, frequencies in Hz`,
+    ...(profile ? [`Instrument: ${profile.name}`] : []),
+    '',
+    'Cell: On',
+    ...lines,
+    'Cell: Off',
+    '',
+  ].join('\n'),
+};
+
+// === PalmSens MethodSCRIPT ===
+// Items are script lines. Measurement loops send one data package per point;
+// stop conditions and CP voltage limits become checks inside the loop.
+
+// Potential increment of sweeps, which the procedure does not set
+const SWEEP_STEP_V = 0.001;
+// Sampling interval of steps without a sample rate
+const SAMPLE_INTERVAL_S = 0.1;
+// Variable declarations in script order; loop counters by nesting depth
+const SCRIPT_VARS = ['p', 'c', 'f', 'r', 'h', 'j'];
+const LOOP_COUNTERS = ['n', 'm', 'l', 'k', 'q', 's'];
+
+const measLoop = (command, vars, checks) => [
+  command,
+  ...indent(['pck_start', ...vars.map(v => `pck_add ${v}`), 'pck_end', ...checks], '  '),
+  'endloop',
+];
+const scriptCheck = (test, action = 'next') => [`if ${test}`, `  ${action === 'abort' ? 'abort' : 'breakloop'}`, 'endif'];
+const stepComment = (label, tag) => `# ${label}${tag ? ` [${tag}]` : ''}`;
+
+const PALMSENS = {
+  label: 'PalmSens MethodSCRIPT',
+  vendor: 'PalmSens',
+  extension: 'ms',
+  techniques: {
+    ocp: {
+      params: ['duration_s', 'sample_rate_Hz'],
+      measures: ['p'],
+      write: (p, { tag, stops }) => [
+        stepComment('Open circuit', tag),
+        ...measLoop(`meas_loop_ocp p ${si(1 / p.sample_rate_Hz)} ${si(p.duration_s)}`, ['p'], stops),
+      ],
+    },
+    cv: {
+      params: ['vertex1_V', 'vertex2_V', 'scan_rate_mV_s', 'cycles', 'start_potential_V'],
+      measures: ['p', 'c'],
+      write: (p, { tag, stops }) => [
+        stepComment('CV', tag),
+        ...measLoop(
+          `meas_loop_cv p c ${si(cvStart(p))} ${si(p.vertex2_V)} ${si(p.vertex1_V)} ${si(SWEEP_STEP_V)} ${si(p.scan_rate_mV_s / 1000)} nscans(${p.cycles})`,
+          ['p', 'c'], stops),
+      ],
+    },
+    lsv: {
+      params: ['start_V', 'end_V', 'scan_rate_mV_s'],
+      measures: ['p', 'c'],
+      write: (p, { tag, stops }) => [
+        stepComment('LSV', tag),
+        ...measLoop(`meas_loop_lsv p c ${si(p.start_V)} ${si(p.end_V)} ${si(SWEEP_STEP_V)} ${si(p.scan_rate_mV_s / 1000)}`, ['p', 'c'], stops),
+      ],
+    },
+    // One pulse per step, the pulse taking the second half of the step period
+    dpv: {
+      params: ['start_V', 'end_V', 'pulse_height_mV', 'pulse_width_ms', 'step_height_mV'],
+      measures: ['p', 'c'],
+      write: (p, { tag, stops }) => [
+        stepComment(`DPV, one pulse every ${num(2 * p.pulse_width_ms)} ms`, tag),
+        ...measLoop(
+          `meas_loop_dp p c ${si(p.start_V)} ${si(p.end_V)} ${si(p.step_height_mV / 1000)} ${si(p.pulse_height_mV / 1000)} ${si(p.pulse_width_ms / 1000)} ${si(p.step_height_mV / (2 * p.pulse_width_ms))}`,
+          ['p', 'c'], stops),
+      ],
+    },
+    swv: {
+      params: ['start_V', 'end_V', 'frequency_Hz', 'amplitude_mV', 'step_height_mV'],
+      measures: ['p', 'c'],
+      write: (p, { tag, stops }) => [
+        stepComment('SWV', tag),
+        ...measLoop(
+          `meas_loop_swv p c f r ${si(p.start_V)} ${si(p.end_V)} ${si(p.step_height_mV / 1000)} ${si(p.amplitude_mV / 1000)} ${si(p.frequency_Hz)}`,
+          ['p', 'c', 'f', 'r'], stops),
+      ],
+    },
+    stripping: {
+      params: ['deposition_V', 'deposition_time_s', 'equilibration_s', 'strip_start_V', 'strip_end_V', 'scan_rate_mV_s'],
+      measures: ['p', 'c'],
+      write: (p, { tag, stops }) => [
+        stepComment('Stripping: deposition, rest, sweep', tag),
+        `set_e ${si(p.deposition_V)}`,
+        `wait ${si(p.deposition_time_s)}`,
+        `wait ${si(p.equilibration_s)}`,
+        ...measLoop(`meas_loop_lsv p c ${si(p.strip_start_V)} ${si(p.strip_end_V)} ${si(SWEEP_STEP_V)} ${si(p.scan_rate_mV_s / 1000)}`, ['p', 'c'], stops),
+      ],
+    },
+    eis: {
+      params: ['f_start_Hz', 'f_end_Hz', 'amplitude_mV', 'dc_potential_V', 'points_per_decade'],
+      measures: [],
+      unsupported: (p) => unreadableDC(p) ?? (eisPotential(p.dc_potential_V) === 'OCP'
+        ? 'MethodSCRIPT applies the DC potential vs the reference; a DC potential at OCP cannot be written'
+        : null),
+      write: (p, { tag }) => {
+        const points = Math.round(Math.abs(Math.log10(p.f_start_Hz / p.f_end_Hz)) * p.points_per_decade) + 1;
+        return [
+          stepComment('EIS', tag),
+          ...measLoop(
+            `meas_loop_eis h r j ${si(p.f_start_Hz)} ${si(p.f_end_Hz)} ${points} ${si(p.amplitude_mV / 1000)} ${si(eisPotential(p.dc_potential_V))}`,
+            ['h', 'r', 'j'], []),
+        ];
+      },
+    },
+    ca: {
+      params: ['potential_V', 'duration_s', 'sample_rate_Hz'],
+      measures: ['p', 'c'],
+      write: (p, { tag, stops }) => [
+        stepComment('CA', tag),
+        ...measLoop(`meas_loop_ca p c ${si(p.potential_V)} ${si(1 / p.sample_rate_Hz)} ${si(p.duration_s)}`, ['p', 'c'], stops),
+      ],
+    },
+    cp: {
+      params: ['current_mA', 'duration_s', 'voltage_limits_V'],
+      measures: ['p', 'c'],
+      write: (p, { tag, stops, cutoffs }) => [
+        stepComment('CP', tag),
+        ...measLoop(`meas_loop_cp p c ${si(p.current_mA / 1000)} ${si(SAMPLE_INTERVAL_S)} ${si(p.duration_s)}`, ['p', 'c'], [
+          ...(cutoffs ? [...scriptCheck(`p > ${si(cutoffs.max)}`), ...scriptCheck(`p < ${si(cutoffs.min)}`)] : []),
+          ...stops,
+        ]),
+      ],
+    },
+    cc: {
+      params: ['mode', 'setpoint', 'duration_s'],
+      measures: ['p', 'c'],
+      write: (p, { tag, stops }) => [
+        stepComment(`Coulometry, ${p.mode}`, tag),
+        ...measLoop(p.mode === 'galvanostatic'
+          ? `meas_loop_cp p c ${si(p.setpoint / 1000)} ${si(SAMPLE_INTERVAL_S)} ${si(p.duration_s)}`
+          : `meas_loop_ca p c ${si(p.setpoint)} ${si(SAMPLE_INTERVAL_S)} ${si(p.duration_s)}`, ['p', 'c'], stops),
+      ],
+    },
+    purge: {
+      params: ['gas', 'duration_min', 'flow_rate_mL_min'],
+      manual: true,
+      write: (p) => [`# Purge with ${p.gas} for ${num(p.duration_min)} min at ${num(p.flow_rate_mL_min)} mL/min before going on`],
+    },
+  },
+  // Currents are compared by magnitude
+  stop: (condition, spec) => {
+    const value = Number(condition.value);
+    const { action } = condition;
+    if (action === 'goto') return null;
+    if (condition.when.startsWith('potential_') && spec.measures.includes('p')) {
+      return scriptCheck(`p ${condition.when === 'potential_above' ? '>' : '<'} ${si(value)}`, action);
+    }
+    if (condition.when === 'current_above' && spec.measures.includes('c')) {
+      return [...scriptCheck(`c > ${si(value / 1000)}`, action), ...scriptCheck(`c < ${si(-value / 1000)}`, action)];
+    }
+    if (condition.when === 'current_below' && spec.measures.includes('c')) {
+      return [`if c < ${si(value / 1000)}`, ...indent(scriptCheck(`c > ${si(-value / 1000)}`, action), '  '), 'endif'];
+    }
+    return null;
+  },
+  phase: (name) => [`# --- ${name} ---`],
+  repeat: (count, inner, depth) => {
+    const counter = LOOP_COUNTERS[depth - 1];
+    return [`store_var ${counter} 0i ja`, `loop ${counter} < ${count}i`, ...indent([...inner, `add_var ${counter} 1i`], '  '), 'endloop'];
+  },
+  finish: (lines, { metadata, profile }) => {
+    // Declare the variables the script uses
+    const used = (name) => lines.some(line => new RegExp(`(^|\\s)${name}(\\s|$)`).test(line.replace(/#.*/, '')));
+    const ranges = profile?.current_ranges_mA ?? [];
+    return [
+      'e',
+      `# ${metadata.name}`,
+      '# MethodSCRIPT written by ecproc IDE',
+      `# Potentials vs ${metadata.reference}; sweeps step ${num(SWEEP_STEP_V * 1000)} mV`,
+      ...(profile ? [`# Instrument: ${profile.name}`] : []),
+      ...[...SCRIPT_VARS, ...LOOP_COUNTERS].filter(used).map(name => `var ${name}`),
+      'set_pgstat_chan 0',
+      'set_pgstat_mode 2',
+      ...(ranges.length > 0 ? [`set_autoranging ba ${si(Math.min(...ranges) / 1000)} ${si(Math.max(...ranges) / 1000)}`] : []),
+      'cell_on',
+      ...lines,
+      'on_finished:',
+      'cell_off',
+      '',
+    ].join('\n');
+  },
+};
+
+// Export targets by id, in menu order
+export const VENDOR_FORMATS = {
+  biologic: BIOLOGIC,
+  gamry: GAMRY,
+  autolab: AUTOLAB,
+  palmsens: PALMSENS,
+};
+
+// Target matching the procedure's instrument, or null
+export function vendorFormatFor(metadata) {
+  const profile = instrumentProfile(metadata);
+  return Object.keys(VENDOR_FORMATS).find(id => VENDOR_FORMATS[id].vendor === profile?.vendor) ?? null;
+}
+
+function fileName(metadata, extension) {
+  return `${(metadata.name || 'procedure').toLowerCase().replace(/\s+/g, '_')}.${extension}`;
+}
+
+const isUnset = (value) => value === null || value === undefined || value === '' || value === false;
+
+function paramText(config, value) {
+  if (config.type === 'boolean') return config.label;
+  return `${config.label} (${value}${config.unit ? ` ${config.unit}` : ''})`;
+}
+
+/**
+ * Write a procedure as a vendor method or script
+ * @param {string} format - Key of VENDOR_FORMATS
+ * @param {Object} metadata - Procedure metadata
+ * @param {Array} procedure - Phases, or a flat step list (treated as one "Main" phase)
+ * @returns {Object} { content, issues } — issues are diagnostics ({ level, code, message, location })
+ *   for everything the target could not express; those steps, params and conditions are left out
+ */
+export function generateVendor(format, metadata, procedure) {
+  const target = VENDOR_FORMATS[format];
+  if (!target) throw new Error(`Unknown vendor format: ${format}`);
+  const issues = [];
+  const report = (level, code, message, location = null) => issues.push({ level, code, message, location });
+
+  const instrument = instrumentProfile(metadata);
+  const profile = instrument?.vendor === target.vendor ? instrument : null;
+  if (instrument && !profile) {
+    report(LEVEL.INFO, EXPORT_CODES.TARGET, `The procedure targets the ${instrument.name}; this method is for ${target.vendor} instruments`);
+  }
+
+  const writeStep = (step, location) => {
+    const tech = TECHNIQUES[step.technique];
+    const spec = target.techniques[step.technique];
+    if (!tech || !spec) {
+      report(LEVEL.ERROR, EXPORT_CODES.TECHNIQUE, `${tech?.name ?? step.technique} cannot be written as ${target.label} — step left out`, location);
+      return [];
+    }
+    const stepReport = (level, code, message) => report(level, code, message, location);
+    const p = step.params;
+
+    const reason = spec.unsupported?.(p);
+    if (reason) {
+      stepReport(LEVEL.ERROR, EXPORT_CODES.TECHNIQUE, `${reason} — step left out`);
+      return [];
+    }
+    if (currentUnit(step) !== 'mA') {
+      stepReport(LEVEL.ERROR, EXPORT_CODES.VALUE, `Currents in ${currentUnit(step)} need the electrode area and loading (Experiment Setup) — step left out`);
+      return [];
+    }
+    const missing = spec.params.filter(key => {
+      const config = tech.params[key];
+      return (config.type === 'number' || config.type === 'integer') && config.default !== null &&
+        !OPTIONAL_PARAMS.includes(key) && (isUnset(p[key]) || !Number.isFinite(Number(p[key])));
+    });
+    if (missing.length > 0) {
+      stepReport(LEVEL.ERROR, EXPORT_CODES.VALUE, `${missing.map(key => tech.params[key].label).join(', ')}: no value — step left out`);
+      return [];
+    }
+
+    Object.entries(tech.params).forEach(([key, config]) => {
+      if (spec.params.includes(key) || key === 'current_basis' || ESTIMATE_ONLY.includes(key) || isUnset(p[key])) return;
+      stepReport(LEVEL.WARNING, EXPORT_CODES.PARAM, `${paramText(config, p[key])} has no ${target.label} setting — left out`);
+    });
+    const cutoffs = step.technique === 'cp' ? stepCutoffs(step) : null;
+    if (step.technique === 'cp' && !cutoffs && !isUnset(p.voltage_limits_V)) {
+      stepReport(LEVEL.WARNING, EXPORT_CODES.VALUE, `Voltage limits "${p.voltage_limits_V}" could not be read — left out`);
+    }
+    const stops = stopConditions(step).flatMap(condition => {
+      const problem = stopConditionError(condition);
+      const lines = problem || spec.stops === false ? null : target.stop?.(condition, spec) ?? null;
+      if (problem) stepReport(LEVEL.WARNING, EXPORT_CODES.STOP, `Stop condition left out: ${problem}`);
+      else if (!lines) stepReport(LEVEL.WARNING, EXPORT_CODES.STOP, `Stop condition "${describeStopCondition(condition)}" has no ${target.label} equivalent — left out`);
+      return lines ?? [];
+    });
+    if (spec.manual) {
+      stepReport(LEVEL.INFO, EXPORT_CODES.TECHNIQUE, `${tech.name} is not run by the instrument — do it by hand at this point`);
+    }
+
+    return spec.write(p, { tag: step.tag || null, stops, cutoffs });
+  };
+
+  const writeNodes = (nodes, prefix, phaseName, depth) => nodes.flatMap((node, i) => {
+    const number = `${prefix}${i + 1}`;
+    const location = `${phaseName}, step ${number}`;
+    if (!isRepeatBlock(node)) return writeStep(node, location);
+    const count = repeatCount(node);
+    if (count === 0) {
+      report(LEVEL.ERROR, EXPORT_CODES.VALUE, 'Repeat block without a valid count — left out', location);
+      return [];
+    }
+    return target.repeat(count, writeNodes(node.steps, `${number}.`, phaseName, depth + 1), depth);
+  });
+
+  const phases = resolveProcedure(toPhases(procedure), metadata);
+  const items = phases.flatMap(phase => [
+    ...(phases.length > 1 ? target.phase(phase.name) : []),
+    ...writeNodes(phase.steps, '', phase.name, 1),
+  ]);
+  return { content: target.finish(items, { metadata, profile }), issues };
+}
@@ -0,0 +1,226 @@
+import { describe, it, expect } from 'vitest';
+import { generateVendor, vendorFormatFor, VENDOR_FORMATS, EXPORT_CODES } from './vendors';
+import { TECHNIQUES, createDefaultStep } from './techniques';
+import { createRepeatBlock, createPhase } from './procedure';
+
+const meta = {
+  name: 'Vendor Golden',
+  reference: 'Ag/AgCl',
+  electrolyte: '0.1 M KCl',
+  temperature: 25,
+  instrument: '',
+};
+
+// Every technique at its defaults, in library order
+const allDefaults = [createPhase('Main', Object.keys(TECHNIQUES).map(createDefaultStep))];
+
+const step = (technique, params = {}, extra = {}) => {
+  const s = createDefaultStep(technique);
+  return { ...s, params: { ...s.params, ...params }, ...extra };
+};
+
+const codes = (issues) => issues.map(i => i.code);
+
+// === Golden files ===
+
+describe('golden files at technique defaults', () => {
+  Object.entries(VENDOR_FORMATS).forEach(([id, target]) => {
+    it(`writes ${target.label}`, async () => {
+      const { content } = generateVendor(id, meta, allDefaults);
+      await expect(content).toMatchFileSnapshot(`./__golden__/vendors/defaults.${target.extension}`);
+    });
+  });
+
+  it('reports what each target leaves out of the defaults', () => {
+    const summary = Object.fromEntries(Object.keys(VENDOR_FORMATS).map(id => [
+      id,
+      generateVendor(id, meta, allDefaults).issues.map(i => `${i.level} ${i.code} ${i.location}`),
+    ]));
+    expect(summary).toEqual({
+      biologic: ['warning EX002 Main, step 4', 'info EX001 Main, step 12'],
+      gamry: ['info EX001 Main, step 12'],
+      autolab: ['warning EX002 Main, step 4'],
+      palmsens: [
+        'warning EX002 Main, step 1',
+        'warning EX002 Main, step 4',
+        'error EX001 Main, step 7',
+        'error EX001 Main, step 10',
+        'info EX001 Main, step 12',
+      ],
+    });
+  });
+});
+
+// === Steps and params ===
+
+describe('generateVendor', () => {
+  it('rejects an unknown format', () => {
+    expect(() => generateVendor('metrohm', meta, allDefaults)).toThrow('Unknown vendor format');
+  });
+
+  it('names the params a target has no setting for', () => {
+    const { issues } = generateVendor('biologic', meta, [step('cv', { ir_compensation: true })]);
+    expect(issues).toEqual([{
+      level: 'warning',
+      code: EXPORT_CODES.PARAM,
+      message: 'iR compensation has no BioLogic EC-Lab setting — left out',
+      location: 'Main, step 1',
+    }]);
+  });
+
+  it('leaves out steps a target cannot run', () => {
+    const { content, issues } = generateVendor('gamry', meta, [step('cc', { mode: 'galvanostatic' })]);
+    expect(codes(issues)).toEqual([EXPORT_CODES.TECHNIQUE]);
+    expect(issues[0].level).toBe('error');
+    expect(content).not.toContain('CC(');
+
+    const eis = generateVendor('palmsens', meta, [step('eis', { dc_potential_V: '0.2' })]);
+    expect(eis.issues).toEqual([]);
+    expect(eis.content).toContain('meas_loop_eis h r j 100k 100m 61 10m 200m');
+  });
+
+  it('ignores params that only feed estimates', () => {
+    const { issues } = generateVendor('biologic', meta, [step('gcd', { capacity_mAh: 5 })]);
+    expect(issues).toEqual([]);
+  });
+
+  it('writes currents entered per area in mA', () => {
+    const withArea = { ...meta, electrode_area_cm2: 0.2 };
+    const cp = step('cp', { current_mA: 5, current_basis: 'mA/cm²' });
+    expect(generateVendor('biologic', withArea, [cp]).content).toContain('Is (mA)             1.000');
+    expect(generateVendor('autolab', withArea, [cp]).content).toContain('Current (A): 0.001');
+
+    const { content, issues } = generateVendor('biologic', meta, [cp]);
+    expect(issues[0]).toMatchObject({ level: 'error', code: EXPORT_CODES.VALUE });
+    expect(content).toContain('Number of linked techniques : 0');
+  });
+
+  it('writes variables as their values', () => {
+    const withVariables = { ...meta, variables: [{ name: 'E_hold', value: 0.4 }] };
+    const { content, issues } = generateVendor('gamry', withVariables, [step('ca', { potential_V: 'E_hold + 0.1' })]);
+    expect(issues).toEqual([]);
+    expect(content).toContain('CA(Pstat, 0.5, 3600, 1)');
+  });
+
+  it('leaves out steps with a missing value', () => {
+    const { issues } = generateVendor('autolab', meta, [step('lsv', { scan_rate_mV_s: '' })]);
+    expect(issues[0]).toMatchObject({ level: 'error', code: EXPORT_CODES.VALUE, message: 'Scan rate: no value — step left out' });
+  });
+
+  it('writes CP voltage limits as cutoffs', () => {
+    const cp = [step('cp', { voltage_limits_V: '0 to 1.5' })];
+    expect(generateVendor('biologic', meta, cp).content).toMatch(/Limit Ewe > \(V\)\s+1\.500/);
+    expect(generateVendor('autolab', meta, cp).content).toContain('Cutoff: WE(1).Potential < 0 V → Stop command');
+    expect(generateVendor('palmsens', meta, cp).content).toContain('if p > 1500m');
+
+    const unreadable = generateVendor('gamry', meta, [step('cp', { voltage_limits_V: 'up to 2' })]);
+    expect(unreadable.issues[0]).toMatchObject({ code: EXPORT_CODES.VALUE, message: 'Voltage limits "up to 2" could not be read — left out' });
+    expect(unreadable.content).toContain('CP(Pstat, 0.01, 3600)');
+  });
+
+  it('numbers steps inside repeat blocks', () => {
+    const phases = [createPhase('Main', [createRepeatBlock(2, [step('ocp'), step('purge')])])];
+    expect(generateVendor('biologic', meta, phases).issues[0].location).toBe('Main, step 1.2');
+  });
+
+  it('marks phases in targets that have comments', () => {
+    const phases = [createPhase('Conditioning', [step('ocp')]), createPhase('Test', [step('lsv')])];
+    const { content } = generateVendor('gamry', meta, phases);
+    expect(content).toContain('; --- Conditioning ---');
+    expect(content).toContain('; --- Test ---');
+  });
+});
+
+// === Repeat blocks ===
+
+describe('repeat blocks', () => {
+  const phases = [createPhase('Main', [
+    step('ocp'),
+    createRepeatBlock(3, [step('cv'), createRepeatBlock(2, [step('lsv')])]),
+  ])];
+
+  it('loops back over linked techniques in EC-Lab', () => {
+    const { content } = generateVendor('biologic', meta, phases);
+    expect(content).toContain('Number of linked techniques : 5');
+    expect(content).toMatch(/Technique : 4\nLoop\ngoto Ns\s+3\nnt times\s+1/);
+    expect(content).toMatch(/Technique : 5\nLoop\ngoto Ns\s+2\nnt times\s+2/);
+  });
+
+  it('counts loops in scripts', () => {
+    expect(generateVendor('gamry', meta, phases).content).toContain('while (Repeat1 lt 3)');
+    expect(generateVendor('autolab', meta, phases).content).toContain('Repeat (3 times)\n  Cyclic voltammetry potentiostatic');
+
+    const script = generateVendor('palmsens', meta, phases).content;
+    expect(script).toContain('loop n < 3i');
+    expect(script).toContain('  loop m < 2i');
+    expect(script).toMatch(/^var n$/m);
+    expect(script).toMatch(/^var m$/m);
+  });
+
+  it('leaves out a repeat block without a count', () => {
+    const { issues } = generateVendor('palmsens', meta, [createPhase('Main', [createRepeatBlock(0, [step('ocp')])])]);
+    expect(issues[0]).toMatchObject({ level: 'error', code: EXPORT_CODES.VALUE, location: 'Main, step 1' });
+  });
+});
+
+// === Stop conditions ===
+
+describe('stop conditions', () => {
+  const conditions = [
+    { when: 'current_below', value: 0.05, action: 'next', target: '' },
+    { when: 'potential_above', value: 1.1, action: 'abort', target: '' },
+    { when: 'dEdt_below', value: 0.1, action: 'next', target: '' },
+  ];
+  const ca = [step('ca', {}, { stop_conditions: conditions })];
+
+  it('writes the conditions a target can watch', () => {
+    const autolab = generateVendor('autolab', meta, ca);
+    expect(autolab.content).toContain('Cutoff: Abs(WE(1).Current) < 0.00005 A → Stop command');
+    expect(autolab.content).toContain('Cutoff: WE(1).Potential > 1.1 V → Stop procedure');
+    expect(codes(autolab.issues)).toEqual([EXPORT_CODES.STOP]);
+
+    const palmsens = generateVendor('palmsens', meta, ca);
+    expect(palmsens.content).toContain('  if c < 50u\n    if c > -50u\n      breakloop');
+    expect(palmsens.content).toContain('  if p > 1100m\n    abort');
+    expect(codes(palmsens.issues)).toEqual([EXPORT_CODES.STOP]);
+  });
+
+  it('reports conditions a target cannot watch', () => {
+    const { issues } = generateVendor('gamry', meta, ca);
+    expect(issues).toHaveLength(3);
+    expect(issues[1].message).toBe('Stop condition "Potential above 1.1 V → abort procedure" has no Gamry Explain equivalent — left out');
+  });
+
+  it('reports jumps and incomplete conditions', () => {
+    const jumps = [step('ca', {}, { stop_conditions: [
+      { when: 'potential_above', value: 1.1, action: 'goto', target: 'rest' },
+      { when: 'time', value: null, action: 'next', target: '' },
+    ] })];
+    const { issues } = generateVendor('palmsens', meta, jumps);
+    expect(codes(issues)).toEqual([EXPORT_CODES.STOP, EXPORT_CODES.STOP]);
+    expect(issues[1].message).toBe('Stop condition left out: Time: enter a value in s');
+  });
+});
+
+// === Instruments ===
+
+describe('target instrument', () => {
+  it('picks the format of the instrument vendor', () => {
+    expect(vendorFormatFor({ instrument: 'palmsens4' })).toBe('palmsens');
+    expect(vendorFormatFor({ instrument: 'autolab_pgstat302n' })).toBe('autolab');
+    expect(vendorFormatFor({ instrument: '' })).toBeNull();
+  });
+
+  it('names the instrument and uses its current ranges', () => {
+    const { content, issues } = generateVendor('palmsens', { ...meta, instrument: 'palmsens4' }, [step('ocp')]);
+    expect(issues.map(i => i.code)).not.toContain(EXPORT_CODES.TARGET);
+    expect(content).toContain('# Instrument: PalmSens4');
+    expect(content).toContain('set_autoranging ba 100p 10m');
+  });
+
+  it('notes a method for another vendor', () => {
+    const { content, issues } = generateVendor('biologic', { ...meta, instrument: 'gamry_1010e' }, [step('ocp')]);
+    expect(issues[0]).toMatchObject({ level: 'info', code: EXPORT_CODES.TARGET });
+    expect(content).not.toContain('Device :');
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * Applied Waveforms
+ * Generates the signal each technique applies — potential E(t) or current
+ * I(t) — from its params, for previews.
+ *
+ * Units: time in s, potential in V (on the procedure's reference scale),
+ * current in mA.
+ */
+
+import { TECHNIQUES } from './techniques';
+import { isRepeatBlock, repeatCount, flattenPhases } from './procedure';
+import { num, dpvInterval, eisSweepSeconds, gcdHalfCycle, stepDuration } from './duration';
+import { stopTime } from './stops';
+
+// Periodic signals stop adding points past this and are marked truncated
+const MAX_POINTS = 4000;
+
+// Procedure view: repeats beyond this many segments are collapsed
+const MAX_SEGMENTS = 200;
+
+function waveform(fields) {
+  return {
+    quantity: 'E', // 'E' (V), 'I' (mA) or null (no applied signal)
+    points: [], // [[t, value], ...]
+    duration_s: 0,
+    applied: true,
+    truncatedAt: null, // time after which points are omitted
+    band: null, // ± amplitude drawn around the line (EIS)
+    marks: [], // [{ t, label }] sub-stage boundaries
+    note: '',
+    ...fields,
+  };
+}
+
+function invalid(quantity, note) {
+  return waveform({ quantity, note, duration_s: 0 });
+}
+
+// Follow a list of potential targets at a fixed sweep rate
+function sweep(points, start, targets, rate, t0 = 0) {
+  let t = t0;
+  let E = start;
+  targets.forEach(target => {
+    if (target === E) return;
+    t += Math.abs(target - E) / rate;
+    points.push([t, target]);
+    E = target;
+  });
+  return t;
+}
+
+function cvWaveform(p) {
+  const v1 = num(p.vertex1_V, 0);
+  const v2 = num(p.vertex2_V, 0);
+  const rate = num(p.scan_rate_mV_s, 0) / 1000;
+  const cycles = Math.max(0, Math.floor(num(p.cycles, 0)));
+  const E0 = num(p.start_potential_V, v1);
+  if (rate <= 0) return invalid('E', 'Scan rate must be positive');
+
+  const legs = [v2, v1, E0];
+  const cycleTime = (Math.abs(v2 - E0) + Math.abs(v1 - v2) + Math.abs(E0 - v1)) / rate;
+  const shown = Math.min(cycles, Math.floor(MAX_POINTS / legs.length));
+  const points = [[0, E0]];
+  let t = 0;
+  for (let c = 0; c < shown; c++) t = sweep(points, E0, legs, rate, t);
+
+  return waveform({
+    points,
+    duration_s: cycleTime * cycles,
+    truncatedAt: shown < cycles ? t : null,
+  });
+}
+
+function lsvWaveform(p) {
+  const start = num(p.start_V, 0);
+  const end = num(p.end_V, 0);
+  const rate = num(p.scan_rate_mV_s, 0) / 1000;
+  if (rate <= 0) return invalid('E', 'Scan rate must be positive');
+  const points = [[0, start]];
+  const t = sweep(points, start, [end], rate);
+  return waveform({ points, duration_s: t });
+}
+
+// Staircase techniques: one call per step to add that step's points
+function staircase(p, period, addStep) {
+  const start = num(p.start_V, 0);
+  const end = num(p.end_V, 0);
+  const stepV = num(p.step_height_mV, 0) / 1000;
+  if (stepV <= 0) return invalid('E', 'Step height must be positive');
+  if (!(period > 0)) return invalid('E', 'Pulse timing must be positive');
+
+  const direction = end >= start ? 1 : -1;
+  const steps = Math.max(1, Math.ceil(Math.abs(end - start) / stepV - 1e-9));
+  const shown = Math.min(steps, Math.floor(MAX_POINTS / 4));
+  const points = [];
+  for (let k = 0; k < shown; k++) {
+    addStep(points, k * period, start + direction * k * stepV, direction);
+  }
+  return waveform({
+    points,
+    duration_s: steps * period,
+    truncatedAt: shown < steps ? shown * period : null,
+  });
+}
+
+function dpvWaveform(p) {
+  const width = num(p.pulse_width_ms, 0) / 1000;
+  const height = num(p.pulse_height_mV, 0) / 1000;
+  const interval = dpvInterval(p);
+  if (width <= 0) return invalid('E', 'Pulse width must be positive');
+  return staircase(p, interval, (points, t, base, dir) => {
+    points.push([t, base], [t + interval - width, base]);
+    points.push([t + interval - width, base + dir * height], [t + interval, base + dir * height]);
+  });
+}
+
+function swvWaveform(p) {
+  const f = num(p.frequency_Hz, 0);
+  const amp = num(p.amplitude_mV, 0) / 1000;
+  if (f <= 0) return invalid('E', 'Frequency must be positive');
+  const period = 1 / f;
+  return staircase(p, period, (points, t, base, dir) => {
+    points.push([t, base + dir * amp], [t + period / 2, base + dir * amp]);
+    points.push([t + period / 2, base - dir * amp], [t + period, base - dir * amp]);
+  });
+}
+
+function strippingWaveform(p) {
+  const dep = num(p.deposition_V, 0);
+  const depTime = Math.max(0, num(p.deposition_time_s, 0));
+  const eqTime = Math.max(0, num(p.equilibration_s, 0));
+  const start = num(p.strip_start_V, 0);
+  const end = num(p.strip_end_V, 0);
+  const rate = num(p.scan_rate_mV_s, 0) / 1000;
+  if (rate <= 0) return invalid('E', 'Scan rate must be positive');
+
+  const stripStart = depTime + eqTime;
+  const points = [[0, dep], [stripStart, dep], [stripStart, start]];
+  const t = sweep(points, start, [end], rate, stripStart);
+  return waveform({
+    points,
+    duration_s: t,
+    marks: [
+      { t: 0, label: 'deposit' },
+      ...(eqTime > 0 ? [{ t: depTime, label: 'rest' }] : []),
+      { t: stripStart, label: 'strip' },
+    ],
+  });
+}
+
+function eisWaveform(p) {
+  const duration = eisSweepSeconds(p);
+  const amp = num(p.amplitude_mV, 0) / 1000;
+  const dc = num(p.dc_potential_V);
+  const range = `${p.f_start_Hz} Hz → ${p.f_end_Hz} Hz`;
+  if (dc === null) {
+    return waveform({
+      applied: false,
+      duration_s: duration,
+      note: `±${p.amplitude_mV} mV AC about OCP, ${range}`,
+    });
+  }
+  return waveform({
+    points: [[0, dc], [duration, dc]],
+    duration_s: duration,
+    band: amp,
+    note: `±${p.amplitude_mV} mV AC, ${range}`,
+  });
+}
+
+function holdWaveform(quantity, value, duration) {
+  if (value === null) return invalid(quantity, 'Setpoint is not set');
+  const d = Math.max(0, num(duration, 0));
+  return waveform({ quantity, points: [[0, value], [d, value]], duration_s: d });
+}
+
+function gcdWaveform(step) {
+  const p = step.params;
+  const current = Math.abs(num(p.current_mA, 0));
+  const cycles = Math.max(0, Math.floor(num(p.cycles, 0)));
+  const half = gcdHalfCycle(p).seconds;
+  const shown = Math.min(cycles, Math.floor(MAX_POINTS / 4));
+  const points = [];
+  for (let c = 0; c < shown; c++) {
+    const t = 2 * c * half;
+    points.push([t, current], [t + half, current], [t + half, -current], [t + 2 * half, -current]);
+  }
+  // The time stop is noted by stepWaveform
+  const { note } = stepDuration({ ...step, stop_conditions: [] });
+  return waveform({
+    quantity: 'I',
+    points,
+    duration_s: 2 * half * cycles,
+    truncatedAt: shown < cycles ? 2 * shown * half : null,
+    note: `±${current} mA between ${p.lower_V} V and ${p.upper_V} V${note ? `; ${note}` : ''}`,
+  });
+}
+
+// A time stop condition ends the signal early, as it ends the step in stepDuration
+function stopAt(wave, limit) {
+  if (limit === null || limit >= wave.duration_s) return wave;
+  const points = wave.points.filter(([t]) => t <= limit);
+  const last = points[points.length - 1];
+  const next = wave.points.find(([t]) => t > limit);
+  if (last && next && last[0] < limit) {
+    points.push([limit, last[1] + (next[1] - last[1]) * (limit - last[0]) / (next[0] - last[0])]);
+  }
+  return {
+    ...wave,
+    points,
+    duration_s: limit,
+    truncatedAt: wave.truncatedAt !== null && wave.truncatedAt < limit ? wave.truncatedAt : null,
+    marks: wave.marks.filter(mark => mark.t < limit),
+    note: [wave.note, `time stop after ${limit} s`].filter(Boolean).join('; '),
+  };
+}
+
+/**
+ * Applied waveform of a single step, cut short by a time stop condition
+ * @param {Object} step - Step object with technique and params
+ * @returns {Object} Waveform: { quantity, points, duration_s, applied, truncatedAt, band, marks, note }
+ */
+export function stepWaveform(step) {
+  return stopAt(techniqueWaveform(step), stopTime(step));
+}
+
+function techniqueWaveform(step) {
+  const p = step.params;
+  switch (step.technique) {
+    case 'cv': return cvWaveform(p);
+    case 'lsv': return lsvWaveform(p);
+    case 'dpv': return dpvWaveform(p);
+    case 'swv': return swvWaveform(p);
+    case 'stripping': return strippingWaveform(p);
+    case 'eis': return eisWaveform(p);
+    case 'ca': return holdWaveform('E', num(p.potential_V), p.duration_s);
+    case 'cp': return holdWaveform('I', num(p.current_mA), p.duration_s);
+    case 'cc': return holdWaveform(p.mode === 'galvanostatic' ? 'I' : 'E', num(p.setpoint), p.duration_s);
+    case 'gcd': return gcdWaveform(step);
+    case 'ocp':
+      return waveform({ applied: false, duration_s: Math.max(0, num(p.duration_s, 0)), note: 'Open circuit — potential is measured, not applied' });
+    case 'purge':
+      return waveform({ quantity: null, applied: false, duration_s: Math.max(0, num(p.duration_min, 0)) * 60, note: `${p.gas} purge` });
+    default:
+      return waveform({ quantity: null, applied: false, note: `Unknown technique: ${step.technique}` });
+  }
+}
+
+/**
+ * Whole-procedure waveform: every step placed on one time axis, with repeat
+ * blocks unrolled.
+ * @param {Array} procedure - Phases, or an array of steps and repeat blocks
+ * @returns {Object} { segments: [{ t0, duration_s, step, label, waveform }], collapsed: [{ t0, duration_s, label }], total_s }
+ */
+export function procedureWaveform(procedure) {
+  const segments = [];
+  const collapsed = [];
+  const cache = new Map();
+
+  const waveOf = (step) => {
+    if (!cache.has(step)) cache.set(step, stepWaveform(step));
+    return cache.get(step);
+  };
+  const durationOf = (step) => waveOf(step).duration_s;
+  const nodeDuration = (node) => (isRepeatBlock(node)
+    ? repeatCount(node) * node.steps.reduce((t, n) => t + nodeDuration(n), 0)
+    : durationOf(node));
+
+  const walk = (nodes, t0, prefix) => nodes.reduce((t, node, i) => {
+    const label = `${prefix}${i + 1}`;
+    if (isRepeatBlock(node)) {
+      let time = t;
+      for (let k = 0; k < repeatCount(node); k++) {
+        if (segments.length >= MAX_SEGMENTS) {
+          const rest = (repeatCount(node) - k) * nodeDuration({ ...node, count: 1 });
+          collapsed.push({ t0: time, duration_s: rest, label: `${label} ×${repeatCount(node) - k}` });
+          return time + rest;
+        }
+        const placed = segments.length;
+        time = walk(node.steps, time, `${label}.`);
+        // A body that places no segment (no steps, or only blocks that never
+        // run) places none in later iterations either: skip them
+        if (segments.length === placed) {
+          return time + (repeatCount(node) - k - 1) * nodeDuration({ ...node, count: 1 });
+        }
+      }
+      return time;
+    }
+    if (segments.length >= MAX_SEGMENTS) {
+      collapsed.push({ t0: t, duration_s: durationOf(node), label });
+      return t + durationOf(node);
+    }
+    const tech = TECHNIQUES[node.technique];
+    segments.push({ t0: t, duration_s: durationOf(node), step: node, label: `${label} ${tech?.abbrev ?? node.technique}`, waveform: waveOf(node) });
+    return t + durationOf(node);
+  }, t0);
+
+  const total = walk(flattenPhases(procedure), 0, '');
+  return { segments, collapsed, total_s: total };
+}
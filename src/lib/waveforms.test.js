@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import { stepWaveform, procedureWaveform } from './waveforms';
+import { stepSeconds } from './duration';
+import { createDefaultStep } from './techniques';
+import { createPhase, createRepeatBlock } from './procedure';
+
+const step = (technique, params = {}) => {
+  const s = createDefaultStep(technique);
+  return { ...s, params: { ...s.params, ...params } };
+};
+
+describe('stepWaveform', () => {
+  it('CV sweeps a triangle per cycle at the scan rate', () => {
+    const w = stepWaveform(step('cv', { vertex1_V: 0, vertex2_V: 1, scan_rate_mV_s: 100, cycles: 2 }));
+    expect(w.quantity).toBe('E');
+    expect(w.points).toEqual([[0, 0], [10, 1], [20, 0], [30, 1], [40, 0]]);
+    expect(w.duration_s).toBe(40);
+  });
+
+  it('CV returns to the start potential when it lies between the vertices', () => {
+    const w = stepWaveform(step('cv', { vertex1_V: 0, vertex2_V: 1, start_potential_V: 0.5, scan_rate_mV_s: 100, cycles: 1 }));
+    expect(w.points.map(([, E]) => E)).toEqual([0.5, 1, 0, 0.5]);
+    expect(w.duration_s).toBe(20);
+  });
+
+  it('CV truncates very long cycle counts but keeps the full duration', () => {
+    const w = stepWaveform(step('cv', { vertex1_V: 0, vertex2_V: 1, scan_rate_mV_s: 100, cycles: 5000 }));
+    expect(w.duration_s).toBe(100000);
+    expect(w.truncatedAt).toBeGreaterThan(0);
+    expect(w.truncatedAt).toBeLessThan(w.duration_s);
+    expect(w.points.length).toBeLessThanOrEqual(4001);
+  });
+
+  it('reports invalid scan rates instead of dividing by zero', () => {
+    const w = stepWaveform(step('lsv', { scan_rate_mV_s: 0 }));
+    expect(w.points).toEqual([]);
+    expect(w.note).toMatch(/Scan rate/);
+  });
+
+  it('LSV ramps from start to end', () => {
+    const w = stepWaveform(step('lsv', { start_V: 1, end_V: 0.2, scan_rate_mV_s: 5 }));
+    expect(w.points).toEqual([[0, 1], [160, 0.2]]);
+  });
+
+  it('DPV superimposes pulses on a staircase', () => {
+    const w = stepWaveform(step('dpv', { start_V: 0, end_V: 0.01, step_height_mV: 5, pulse_height_mV: 50, pulse_width_ms: 50 }));
+    expect(w.points).toHaveLength(8);
+    expect(w.points[0]).toEqual([0, 0]);
+    expect(w.points[2][0]).toBeCloseTo(0.45);
+    expect(w.points[2][1]).toBeCloseTo(0.05);
+    expect(w.points[4]).toEqual([0.5, 0.005]);
+    expect(w.duration_s).toBe(1);
+  });
+
+  it('DPV pulses follow the scan direction', () => {
+    const w = stepWaveform(step('dpv', { start_V: 0.5, end_V: 0, pulse_height_mV: 50 }));
+    expect(w.points[2][1]).toBeCloseTo(0.45);
+  });
+
+  it('SWV alternates ± amplitude around each stair', () => {
+    const w = stepWaveform(step('swv', { start_V: 0, end_V: 0.005, frequency_Hz: 10, amplitude_mV: 25, step_height_mV: 5 }));
+    expect(w.points.map(([, E]) => E)).toEqual([0.025, 0.025, -0.025, -0.025]);
+    expect(w.points[3][0]).toBeCloseTo(0.1);
+  });
+
+  it('stripping holds the deposition potential, rests, then sweeps', () => {
+    const w = stepWaveform(step('stripping', {
+      deposition_V: -0.8, deposition_time_s: 60, equilibration_s: 10, strip_start_V: -0.8, strip_end_V: 0.2, scan_rate_mV_s: 100,
+    }));
+    expect(w.points).toEqual([[0, -0.8], [70, -0.8], [70, -0.8], [80, 0.2]]);
+    expect(w.marks.map(m => m.label)).toEqual(['deposit', 'rest', 'strip']);
+  });
+
+  it('holds use their quantity and duration', () => {
+    expect(stepWaveform(step('ca', { potential_V: 0, duration_s: 30 })).points).toEqual([[0, 0], [30, 0]]);
+    expect(stepWaveform(step('cp', { current_mA: 2 })).quantity).toBe('I');
+    expect(stepWaveform(step('cc', { mode: 'galvanostatic' })).quantity).toBe('I');
+    expect(stepWaveform(step('cc', { mode: 'potentiostatic' })).quantity).toBe('E');
+  });
+
+  it('GCD alternates ± current with half-cycles set by capacity', () => {
+    const w = stepWaveform(step('gcd', { current_mA: 5, cycles: 2, capacity_mAh: 1 }));
+    expect(w.quantity).toBe('I');
+    expect(w.points.map(([, I]) => I)).toEqual([5, 5, -5, -5, 5, 5, -5, -5]);
+    expect(w.points[1][0]).toBeCloseTo(720);
+    expect(w.duration_s).toBeCloseTo(2880);
+  });
+
+  it('waveform durations agree with the duration model', () => {
+    ['cv', 'lsv', 'dpv', 'swv', 'stripping', 'eis', 'ca', 'cp', 'cc', 'gcd', 'ocp', 'purge'].forEach(t => {
+      const s = step(t);
+      expect(stepWaveform(s).duration_s).toBeCloseTo(stepSeconds(s), 6);
+    });
+  });
+
+  it('OCP, purge and EIS at OCP apply no absolute signal', () => {
+    expect(stepWaveform(step('ocp', { duration_s: 60 }))).toMatchObject({ applied: false, duration_s: 60 });
+    expect(stepWaveform(step('purge', { duration_min: 10 }))).toMatchObject({ applied: false, duration_s: 600 });
+    expect(stepWaveform(step('eis')).applied).toBe(false);
+  });
+
+  it('EIS at a DC bias draws the AC amplitude as a band', () => {
+    const w = stepWaveform(step('eis', { dc_potential_V: '0.9', amplitude_mV: 10 }));
+    expect(w.applied).toBe(true);
+    expect(w.band).toBeCloseTo(0.01);
+    expect(w.points[0][1]).toBe(0.9);
+  });
+});
+
+describe('time stop conditions', () => {
+  const withStop = (s, seconds) => ({ ...s, stop_conditions: [{ when: 'time', value: seconds, action: 'next', target: '' }] });
+
+  it('cut the signal short where the step stops', () => {
+    const w = stepWaveform(withStop(step('cv', { vertex1_V: 0, vertex2_V: 1, scan_rate_mV_s: 100, cycles: 2 }), 15));
+    expect(w.points).toEqual([[0, 0], [10, 1], [15, 0.5]]);
+    expect(w.duration_s).toBe(15);
+    expect(w.note).toBe('time stop after 15 s');
+  });
+
+  it('agree with the timeline', () => {
+    const steps = [withStop(step('ca', { duration_s: 3600 }), 10), withStop(step('cv'), 5)];
+    steps.forEach(s => expect(stepWaveform(s).duration_s).toBe(stepSeconds(s)));
+    expect(procedureWaveform(steps).total_s).toBe(15);
+  });
+});
+
+describe('procedureWaveform', () => {
+  it('places steps of all phases on one time axis', () => {
+    const phases = [
+      createPhase('Setup', [step('ocp', { duration_s: 30 })]),
+      createPhase('Main', [step('ca', { potential_V: 0.5, duration_s: 60 })]),
+    ];
+    const { segments, total_s } = procedureWaveform(phases);
+    expect(segments.map(s => [s.t0, s.label])).toEqual([[0, '1 OCP'], [30, '2 CA']]);
+    expect(total_s).toBe(90);
+  });
+
+  it('unrolls repeat blocks', () => {
+    const block = createRepeatBlock(3, [step('ca', { duration_s: 10 })]);
+    const { segments, total_s } = procedureWaveform([block]);
+    expect(segments.map(s => s.t0)).toEqual([0, 10, 20]);
+    expect(segments[1].label).toBe('1.1 CA');
+    expect(total_s).toBe(30);
+  });
+
+  it('collapses iterations beyond the segment limit', () => {
+    const block = createRepeatBlock(1000, [step('ca', { duration_s: 1 })]);
+    const { segments, collapsed, total_s } = procedureWaveform([block]);
+    expect(segments).toHaveLength(200);
+    expect(collapsed).toEqual([{ t0: 200, duration_s: 800, label: '1 ×800' }]);
+    expect(total_s).toBe(1000);
+  });
+
+  it('skips iterations of blocks that place no steps', () => {
+    const empty = createRepeatBlock(10000, [createRepeatBlock(10000, [])]);
+    const neverRun = createRepeatBlock(50000000, [createRepeatBlock(0, [step('ca', { duration_s: 10 })])]);
+    const { segments, total_s } = procedureWaveform([empty, neverRun, step('ca', { duration_s: 5 })]);
+    expect(segments.map(s => [s.t0, s.label])).toEqual([[0, '3 CA']]);
+    expect(total_s).toBe(5);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Workspace
+ * Several saved procedures side by side, one of them open in the editor,
+ * plus the archive format that moves a whole workspace between browsers.
+ *
+ * All helpers are immutable — they return a new workspace and never modify input.
+ */
+
+import { TECHNIQUES } from './techniques';
+import { validateStep, validateProcedure, summarizeIssues, LEVEL } from './validation';
+import { collectSteps, flattenPhases, isPhase } from './procedure';
+import { IMPORT_CODES, readStoredPhases } from './parsers';
+
+export const ARCHIVE_FORMAT = 'ecproc-workspace';
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * A saved procedure
+ * @returns {Object} { id, metadata, phases, modified } — modified in ms since epoch
+ */
+export function createEntry(metadata, phases, modified = Date.now()) {
+  return {
+    id: `proc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    metadata,
+    phases,
+    modified,
+  };
+}
+
+export function createWorkspace(entries) {
+  return { activeId: entries[0].id, procedures: entries };
+}
+
+export function activeEntry(workspace) {
+  return workspace.procedures.find(p => p.id === workspace.activeId) ?? workspace.procedures[0];
+}
+
+// Store the editor's state into the open entry; unchanged state keeps the workspace as is
+export function saveActive(workspace, metadata, phases, now = Date.now()) {
+  const active = activeEntry(workspace);
+  if (active.metadata === metadata && active.phases === phases) return workspace;
+  return {
+    ...workspace,
+    procedures: workspace.procedures.map(p => (p === active ? { ...p, metadata, phases, modified: now } : p)),
+  };
+}
+
+// Add entries after the open one and open the first of them
+export function addEntries(workspace, entries) {
+  if (entries.length === 0) return workspace;
+  const index = workspace.procedures.indexOf(activeEntry(workspace));
+  const procedures = [...workspace.procedures];
+  procedures.splice(index + 1, 0, ...entries);
+  return { activeId: entries[0].id, procedures };
+}
+
+export function duplicateEntry(workspace, id, now = Date.now()) {
+  const source = workspace.procedures.find(p => p.id === id);
+  if (!source) return workspace;
+  const copy = JSON.parse(JSON.stringify(source));
+  const entry = createEntry({ ...copy.metadata, name: `${source.metadata.name} (copy)` }, copy.phases, now);
+  const procedures = [...workspace.procedures];
+  procedures.splice(procedures.indexOf(source) + 1, 0, entry);
+  return { activeId: entry.id, procedures };
+}
+
+export function renameEntry(workspace, id, name, now = Date.now()) {
+  return {
+    ...workspace,
+    procedures: workspace.procedures.map(p => (p.id === id ? { ...p, metadata: { ...p.metadata, name }, modified: now } : p)),
+  };
+}
+
+// The last procedure cannot be removed; removing the open one opens its neighbour
+export function removeEntry(workspace, id) {
+  const index = workspace.procedures.findIndex(p => p.id === id);
+  if (index === -1 || workspace.procedures.length === 1) return workspace;
+  const procedures = workspace.procedures.filter(p => p.id !== id);
+  const activeId = workspace.activeId === id
+    ? procedures[Math.min(index, procedures.length - 1)].id
+    : workspace.activeId;
+  return { activeId, procedures };
+}
+
+/**
+ * Procedures matching every word of the query in their name, author,
+ * description, electrolyte or technique names
+ */
+export function searchEntries(entries, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return entries;
+  return entries.filter(entry => {
+    const { name, author, description, electrolyte } = entry.metadata;
+    const techniques = collectSteps(flattenPhases(entry.phases))
+      .map(step => TECHNIQUES[step.technique])
+      .filter(Boolean)
+      .flatMap(tech => [tech.abbrev, tech.name]);
+    const haystack = [name, author, description, electrolyte, ...techniques].filter(Boolean).join(' ').toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+}
+
+/**
+ * Validation status of a saved procedure
+ * @param {Object} [limits] - Lab safety limits
+ * @param {Object} [policy] - Validation policy profile
+ * @returns {Object} { errors, warnings } — issue counts
+ */
+export function entryStatus(entry, limits = null, policy = null) {
+  const steps = flattenPhases(entry.phases);
+  const issues = [
+    ...collectSteps(steps).flatMap(step => validateStep(step, entry.metadata, limits, policy)),
+    ...validateProcedure(entry.phases, entry.metadata, policy),
+  ];
+  const { errors, warnings } = summarizeIssues(issues);
+  return { errors: errors.length, warnings: warnings.length };
+}
+
+// "just now", "5 min ago", "3 h ago", then the date
+export function formatModified(modified, now = Date.now()) {
+  const minutes = Math.floor((now - modified) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(modified).toISOString().split('T')[0];
+}
+
+// === Archive ===
+
+/**
+ * Serialize a workspace to an archive file
+ * @returns {string} JSON text
+ */
+export function serializeWorkspace(workspace, now = Date.now()) {
+  return JSON.stringify({
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported: new Date(now).toISOString(),
+    procedures: workspace.procedures.map(({ metadata, phases, modified }) => ({
+      metadata,
+      phases,
+      modified: new Date(modified).toISOString(),
+    })),
+  }, null, 2);
+}
+
+/**
+ * Read a workspace archive. Entries get new ids so they can be added next to
+ * existing procedures; malformed entries are skipped and reported.
+ * @param {string} content - File text
+ * @returns {Object} { entries, diagnostics }
+ */
+export function parseWorkspace(content, now = Date.now()) {
+  const diagnostics = [];
+  const report = (level, code, message, location = null) => diagnostics.push({ level, code, message, location });
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    report(LEVEL.ERROR, IMPORT_CODES.SYNTAX, `JSON syntax error: ${err.message}`);
+    return { entries: [], diagnostics };
+  }
+  if (data?.format !== ARCHIVE_FORMAT || !Array.isArray(data.procedures)) {
+    report(LEVEL.ERROR, IMPORT_CODES.FORMAT, 'File is not an ecproc workspace archive');
+    return { entries: [], diagnostics };
+  }
+  if (data.version > ARCHIVE_VERSION) {
+    report(LEVEL.WARNING, IMPORT_CODES.FORMAT, `Archive version ${data.version} is newer than this IDE supports (${ARCHIVE_VERSION})`);
+  }
+
+  const entries = data.procedures.flatMap((raw, i) => {
+    const location = `Procedure ${i + 1}${raw?.metadata?.name ? ` ("${raw.metadata.name}")` : ''}`;
+    if (!raw || typeof raw.metadata !== 'object' || raw.metadata === null) {
+      report(LEVEL.WARNING, IMPORT_CODES.FORMAT, 'Entry has no metadata — skipped', location);
+      return [];
+    }
+    if (!Array.isArray(raw.phases) || raw.phases.length === 0 || !raw.phases.every(isPhase)) {
+      report(LEVEL.WARNING, IMPORT_CODES.FORMAT, 'Entry has no valid phase list — skipped', location);
+      return [];
+    }
+    // Steps are rebuilt like imported ones, so a hand-edited archive cannot
+    // open a step the editor and exports cannot handle
+    const phases = readStoredPhases(raw.phases, raw.metadata.variables, report, location);
+    if (!phases) return [];
+    const modified = Date.parse(raw.modified);
+    return [createEntry(raw.metadata, phases, Number.isFinite(modified) ? modified : now)];
+  });
+  return { entries, diagnostics };
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEntry, createWorkspace, activeEntry, saveActive, addEntries, duplicateEntry, renameEntry, removeEntry,
+  searchEntries, entryStatus, formatModified, serializeWorkspace, parseWorkspace, ARCHIVE_FORMAT
+} from './workspace';
+import { createDefaultStep } from './techniques';
+import { createPhase } from './procedure';
+import { IMPORT_CODES } from './parsers';
+
+const meta = (name, extra = {}) => ({ name, electrodes: 3, reference: 'RHE', electrolyte: '0.1 M KOH', temperature: 25, ...extra });
+const entry = (name, techniques = ['cv'], extra = {}) =>
+  createEntry(meta(name, extra), [createPhase('Main', techniques.map(createDefaultStep))], 1000);
+
+describe('workspace', () => {
+  it('saves editor state into the open entry only when it changed', () => {
+    const ws = createWorkspace([entry('A'), entry('B')]);
+    const open = activeEntry(ws);
+    expect(saveActive(ws, open.metadata, open.phases, 2000)).toBe(ws);
+    const saved = saveActive(ws, { ...open.metadata, name: 'A2' }, open.phases, 2000);
+    expect(activeEntry(saved)).toMatchObject({ metadata: { name: 'A2' }, modified: 2000 });
+    expect(saved.procedures[1]).toBe(ws.procedures[1]);
+  });
+
+  it('adds and duplicates next to the source and opens the new entry', () => {
+    const [a, b] = [entry('A'), entry('B')];
+    let ws = addEntries(createWorkspace([a, b]), [entry('C')]);
+    expect(ws.procedures.map(p => p.metadata.name)).toEqual(['A', 'C', 'B']);
+    expect(activeEntry(ws).metadata.name).toBe('C');
+    ws = duplicateEntry(ws, b.id, 5000);
+    expect(ws.procedures.map(p => p.metadata.name)).toEqual(['A', 'C', 'B', 'B (copy)']);
+    const copy = activeEntry(ws);
+    expect(copy.id).not.toBe(b.id);
+    expect(copy.phases).toEqual(b.phases);
+    expect(copy.phases).not.toBe(b.phases);
+    expect(copy.modified).toBe(5000);
+  });
+
+  it('renames through the metadata name', () => {
+    const a = entry('A');
+    const ws = renameEntry(createWorkspace([a]), a.id, 'Renamed', 3000);
+    expect(ws.procedures[0]).toMatchObject({ metadata: { name: 'Renamed', electrolyte: '0.1 M KOH' }, modified: 3000 });
+  });
+
+  it('removes entries but keeps at least one, opening a neighbour', () => {
+    const [a, b, c] = [entry('A'), entry('B'), entry('C')];
+    let ws = { activeId: b.id, procedures: [a, b, c] };
+    ws = removeEntry(ws, b.id);
+    expect(ws.procedures.map(p => p.metadata.name)).toEqual(['A', 'C']);
+    expect(ws.activeId).toBe(c.id);
+    ws = removeEntry(removeEntry(ws, c.id), a.id);
+    expect(ws.procedures).toHaveLength(1);
+  });
+
+  it('searches every word across names, electrolytes and techniques', () => {
+    const entries = [entry('ORR activity', ['cv', 'lsv']), entry('OER stability', ['cp'], { electrolyte: '1 M KOH' })];
+    expect(searchEntries(entries, '').length).toBe(2);
+    expect(searchEntries(entries, 'orr').map(e => e.metadata.name)).toEqual(['ORR activity']);
+    expect(searchEntries(entries, 'koh chronopot').map(e => e.metadata.name)).toEqual(['OER stability']);
+    expect(searchEntries(entries, 'LSV stability')).toEqual([]);
+  });
+
+  it('counts validation issues per entry', () => {
+    const ok = entryStatus(entry('A', ['purge', 'ocp', 'cv']));
+    expect(ok.errors).toBe(0);
+    const bad = entry('B');
+    bad.phases[0].steps[0].params.scan_rate_mV_s = 50000;
+    expect(entryStatus(bad).errors).toBeGreaterThan(0);
+  });
+
+  it('formats modification times relative to now', () => {
+    const now = Date.parse('2024-03-10T12:00:00Z');
+    expect(formatModified(now - 20000, now)).toBe('just now');
+    expect(formatModified(now - 5 * 60000, now)).toBe('5 min ago');
+    expect(formatModified(now - 3 * 3600000, now)).toBe('3 h ago');
+    expect(formatModified(Date.parse('2024-02-01T09:00:00Z'), now)).toBe('2024-02-01');
+  });
+});
+
+describe('workspace archive', () => {
+  it('round-trips every procedure with new ids', () => {
+    const ws = createWorkspace([entry('A', ['cv', 'eis']), entry('B', ['gcd'])]);
+    const { entries, diagnostics } = parseWorkspace(serializeWorkspace(ws, 0));
+    expect(diagnostics).toEqual([]);
+    expect(entries.map(e => [e.metadata, e.phases, e.modified])).toEqual(ws.procedures.map(p => [p.metadata, p.phases, 1000]));
+    expect(entries[0].id).not.toBe(ws.procedures[0].id);
+  });
+
+  it('rejects files that are not archives', () => {
+    expect(parseWorkspace('{').diagnostics.map(d => d.code)).toEqual([IMPORT_CODES.SYNTAX]);
+    expect(parseWorkspace('{"procedure": []}').diagnostics.map(d => d.code)).toEqual([IMPORT_CODES.FORMAT]);
+  });
+
+  it('skips malformed entries and reports them', () => {
+    const good = JSON.parse(serializeWorkspace(createWorkspace([entry('Good')]))).procedures[0];
+    const content = JSON.stringify({
+      format: ARCHIVE_FORMAT,
+      version: 1,
+      procedures: [
+        good,
+        { metadata: { name: 'No phases' } },
+        { metadata: { name: 'Alien' }, phases: [createPhase('Main', [{ id: 's', technique: 'xrd', params: {} }])] },
+        { metadata: { name: 'Bare' }, phases: [createPhase('Main', [{ id: 's', technique: 'cv' }])] },
+      ],
+    });
+    const { entries, diagnostics } = parseWorkspace(content);
+    expect(entries.map(e => e.metadata.name)).toEqual(['Good']);
+    expect(diagnostics.map(d => d.code)).toEqual([IMPORT_CODES.FORMAT, IMPORT_CODES.TECHNIQUE, IMPORT_CODES.FORMAT]);
+    expect(diagnostics[1].location).toBe('Procedure 3 ("Alien")');
+    expect(diagnostics[2].message).toBe('CV step has no params — procedure skipped');
+  });
+
+  it('rebuilds steps with defaults, coerced values and ids', () => {
+    const content = JSON.stringify({
+      format: ARCHIVE_FORMAT,
+      version: 1,
+      procedures: [{
+        metadata: { name: 'Hand-edited' },
+        phases: [createPhase('Main', [
+          { technique: 'cv', params: { scan_rate_mV_s: '20', cycles: 'many' } },
+          { type: 'repeat', count: 2, steps: [{ id: 'ocp-1', technique: 'ocp', params: {} }] },
+        ])],
+      }],
+    });
+    const { entries, diagnostics } = parseWorkspace(content);
+    expect(diagnostics.map(d => d.code)).toEqual([IMPORT_CODES.VALUE]);
+    const [cv, block] = entries[0].phases[0].steps;
+    expect(cv.id).toMatch(/^step-/);
+    expect(cv.params).toEqual({ ...createDefaultStep('cv').params, scan_rate_mV_s: 20 });
+    expect(block.steps[0]).toMatchObject({ id: 'ocp-1', params: createDefaultStep('ocp').params });
+    expect(entryStatus(entries[0])).toBeTruthy();
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { createZip, crc32 } from './zip';
+
+// Read a stored (uncompressed) archive back through its central directory
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054B50);
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  return Array.from({ length: count }, () => {
+    const nameLength = view.getUint16(at + 28, true);
+    const size = view.getUint32(at + 24, true);
+    const local = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    at += 46 + nameLength;
+    const start = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(start, start + size);
+    return { name, content: decoder.decode(data), crc: view.getUint32(local + 14, true), dataCrc: crc32(data) };
+  });
+}
+
+describe('zip', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+
+  it('stores every file with its name, content and checksum', () => {
+    const files = [{ name: 'a.ecproc', content: 'metadata:\n  protocol: "A"\n' }, { name: 'manifest.json', content: '{"µ": "0.1 M"}' }];
+    const entries = readZip(createZip(files, new Date(2024, 0, 2, 3, 4, 6)));
+    expect(entries.map(({ name, content }) => ({ name, content }))).toEqual(files);
+    entries.forEach(entry => expect(entry.crc).toBe(entry.dataCrc));
+  });
+
+  it('writes an empty archive', () => {
+    expect(createZip([])).toHaveLength(22);
+  });
+});